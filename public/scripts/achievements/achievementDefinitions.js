@@ -171,6 +171,17 @@ export const ACHIEVEMENTS = [
     condition: () => true,
     hidden: true,
   },
+  {
+    id: 'giant_crop',
+    category: 'farming',
+    icon: '🎃',
+    i18nKey: 'achievements.giantCrop',
+    type: 'single',
+    target: 1,
+    events: ['giantCropHarvested'],
+    condition: () => true,
+    hidden: false,
+  },
 
   // ═══════════════════════ ANIMALS ═══════════════════════
 
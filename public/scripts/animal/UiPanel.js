@@ -8,6 +8,18 @@ import { t } from '../i18n/i18n.js';
 import { getObject, getSystem, registerSystem } from '../gameState.js';
 import { safeDispatch } from '../safeDispatch.js';
 import { setItemIcon } from '../itemUtils.js';
+import { withQualityBadge } from '../itemQuality.js';
+import { GENE_KEYS, geneGrade } from './genetics.js';
+import { openFamilyTree } from './familyTreePanel.js';
+import { openDogCommandPanel } from './dogCommandPanel.js';
+
+// Ícone por gene na seção de genética (mesmo esquema das barras de stats).
+const GENE_ICONS = {
+  production:  '🥛',
+  temperament: '🕊️',
+  resistance:  '🛡️',
+  longevity:   '⏳',
+};
 
 function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
@@ -41,7 +53,7 @@ class UiPanel {
     // em modo 'medicine', exibe a lista de remédios do inventário.
     this.subActionsMenu = null;
     this.showSubActions = false;
-    this.subActionsMode = null; // 'choice' | 'food' | 'medicine'
+    this.subActionsMode = null; // 'choice' | 'food' | 'medicine' | 'vaccine'
 
     this.layer = null;
     this.svg = null;
@@ -161,6 +173,8 @@ class UiPanel {
     const actionItems = [
       { action: 'pet', icon: '❤', label: t('animal.actions.pet') },
       { action: 'guide', icon: '➤', label: t('animal.actions.guide') },
+      // Só no cão: no lugar do Guiar, abre o painel de comandos (dogSystem).
+      { action: 'commands', icon: '🐕', label: t('animal.actions.commands') },
       { action: 'feed', icon: '🍎', label: t('animal.actions.feed') },
       // Coletar só aparece quando o animal tem produto pendente.
       // Visibility controlada em `_updateActionStates`. Click sempre
@@ -187,6 +201,11 @@ class UiPanel {
         // ração (fluxo antigo) e remédios (lista do inventário). Demais
         // ações continuam sendo emitidas direto.
         if (item.action === "feed") return this._openSubActions('choice');
+        if (item.action === "commands") {
+          const dog = this.target;
+          this.closeAll();
+          return openDogCommandPanel(dog);
+        }
         this._emitAction(item.action);
       });
       actionsContainer.appendChild(btn);
@@ -322,7 +341,43 @@ class UiPanel {
       barsContainer.appendChild(row);
     }
 
-    this.infoMenu.append(infoTitle, infoHeader, moodRow, injuryRow, treatmentRow, barsContainer);
+    // Genética: nota A–E + barrinha por gene, pelagem e geração. Preenchido
+    // no updateContent (só re-renderiza quando o genoma muda).
+    const genomeBox = document.createElement('div');
+    genomeBox.className = 'aui-genome';
+    const genomeTitle = document.createElement('div');
+    genomeTitle.className = 'aui-genome-title';
+    genomeTitle.dataset.role = 'genomeTitle';
+    const genomeRows = document.createElement('div');
+    genomeRows.className = 'aui-genome-rows';
+    genomeRows.dataset.role = 'genomeRows';
+    genomeBox.append(genomeTitle, genomeRows);
+
+    // Árvore genealógica (pedigreeSystem) — abre o modal centrado neste animal.
+    const pedigreeBtn = document.createElement('button');
+    pedigreeBtn.type = 'button';
+    pedigreeBtn.className = 'aui-pedigree-btn aui-interactive';
+    pedigreeBtn.textContent = `🌳 ${t('animal.pedigree.open')}`;
+    pedigreeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.target?.id) openFamilyTree(this.target.id);
+    });
+
+    // Carteira de vacinação: uma linha por vacina ativa com a validade.
+    // Escondida quando o animal não tem nenhuma (vaccinationSystem).
+    const vaccineCard = document.createElement('div');
+    vaccineCard.className = 'aui-vaccine-card';
+    vaccineCard.dataset.role = 'vaccineCard';
+    vaccineCard.style.display = 'none';
+    const vaccineTitle = document.createElement('div');
+    vaccineTitle.className = 'aui-vaccine-title';
+    vaccineTitle.textContent = `💉 ${t('animal.vaccine.cardTitle')}`;
+    const vaccineRows = document.createElement('div');
+    vaccineRows.className = 'aui-vaccine-rows';
+    vaccineRows.dataset.role = 'vaccineRows';
+    vaccineCard.append(vaccineTitle, vaccineRows);
+
+    this.infoMenu.append(infoTitle, infoHeader, moodRow, injuryRow, treatmentRow, barsContainer, vaccineCard, genomeBox, pedigreeBtn);
 
     const nameEl = this.infoMenu.querySelector('[data-role="name"]');
 
@@ -594,7 +649,8 @@ class UiPanel {
       }
       if (this.target._pendingProduct) {
         const productEmoji = { 60: '🥚', 61: '🥛', 62: '🧶' }[this.target._pendingProduct] || '✨';
-        badges.push({ icon: productEmoji, tip: 'Produto pronto pra coletar', kind: 'product' });
+        // Selo 🥈/🥇 quando o produto saiu de qualidade.
+        badges.push({ icon: withQualityBadge(productEmoji, this.target._pendingQuality), tip: 'Produto pronto pra coletar', kind: 'product' });
       }
       // Re-render só se mudou (evita reflow contínuo)
       const signature = badges.map(b => `${b.kind}:${b.icon}`).join('|');
@@ -732,6 +788,8 @@ class UiPanel {
     this._setBar("hunger", hunger);
     this._setBar("thirst", thirst);
     this._setBar("moral", moral);
+    this._renderVaccines();
+    this._renderGenome();
 
     // Disable action buttons based on mood
     this._updateActionStates();
@@ -742,6 +800,7 @@ class UiPanel {
     const mood = this.target.mood || this.target._mood || 'calm';
     const isSleeping = mood === 'sleeping';
     const isFollowing = this.target.following || false;
+    const isDog = !!this.target.dogMode;
 
     const btns = this.actionsMenu.querySelectorAll('.aui-action-btn');
     const hasProduct = !!this.target._pendingProduct;
@@ -749,6 +808,10 @@ class UiPanel {
       const action = btn.dataset.action;
       if (action === 'close') return;
 
+      // Cão troca o Guiar pelos Comandos.
+      if (action === 'guide') btn.style.display = isDog ? 'none' : '';
+      if (action === 'commands') btn.style.display = isDog ? '' : 'none';
+
       // Toggle guide/unguide label
       if (action === 'guide') {
         const iconSpan = btn.querySelector('.icon');
@@ -830,6 +893,85 @@ class UiPanel {
     }
   }
 
+  _renderVaccines() {
+    const card = this.infoMenu.querySelector('[data-role="vaccineCard"]');
+    const rowsEl = this.infoMenu.querySelector('[data-role="vaccineRows"]');
+    if (!card || !rowsEl) return;
+    const vaccines = getSystem('vaccination')?.getVaccines?.(this.target) || [];
+    const signature = vaccines.map(v => `${v.diseaseId}:${v.daysLeft}`).join('|');
+    if (rowsEl.dataset.signature === signature) return;
+    rowsEl.dataset.signature = signature;
+    card.style.display = vaccines.length ? '' : 'none';
+    rowsEl.replaceChildren();
+    for (const v of vaccines) {
+      const row = document.createElement('div');
+      row.className = 'aui-vaccine-row';
+      // Últimos dias em destaque — hora de reforçar.
+      if (v.daysLeft <= 3) row.dataset.expiring = '1';
+      const name = document.createElement('span');
+      name.className = 'aui-vaccine-name';
+      name.textContent = t(`animal.disease.names.${v.diseaseId}`);
+      const until = document.createElement('span');
+      until.className = 'aui-vaccine-until';
+      until.textContent = t('animal.vaccine.daysLeft', { days: v.daysLeft });
+      row.append(name, until);
+      rowsEl.appendChild(row);
+    }
+  }
+
+  _renderGenome() {
+    const titleEl = this.infoMenu.querySelector('[data-role="genomeTitle"]');
+    const rowsEl = this.infoMenu.querySelector('[data-role="genomeRows"]');
+    if (!titleEl || !rowsEl) return;
+    const genome = this.target?.genome;
+    const box = rowsEl.parentElement;
+    if (!genome) {
+      box.style.display = 'none';
+      return;
+    }
+    box.style.display = '';
+
+    const signature = JSON.stringify(genome);
+    if (rowsEl.dataset.signature === signature) return;
+    rowsEl.dataset.signature = signature;
+
+    titleEl.textContent = `🧬 ${t('animal.genetics.title')} · ${t('animal.genetics.generation', { n: genome.generation || 0 })}`;
+    rowsEl.replaceChildren();
+    for (const key of GENE_KEYS) {
+      const value = genome[key] ?? 50;
+      const grade = geneGrade(value);
+      const row = document.createElement('div');
+      row.className = 'aui-gene-row';
+      row.title = t(`animal.genetics.tips.${key}`);
+      const label = document.createElement('span');
+      label.className = 'aui-gene-label';
+      label.textContent = `${GENE_ICONS[key]} ${t(`animal.genetics.genes.${key}`)}`;
+      const bar = document.createElement('span');
+      bar.className = 'aui-gene-bar';
+      const fill = document.createElement('span');
+      fill.className = 'aui-gene-fill';
+      fill.style.setProperty('--gene-value', `${value}%`);
+      bar.appendChild(fill);
+      const gradeEl = document.createElement('span');
+      gradeEl.className = 'aui-gene-grade';
+      gradeEl.dataset.grade = grade;
+      gradeEl.textContent = grade;
+      row.append(label, bar, gradeEl);
+      rowsEl.appendChild(row);
+    }
+    const coatRow = document.createElement('div');
+    coatRow.className = 'aui-gene-row aui-gene-coat';
+    const coatLabel = document.createElement('span');
+    coatLabel.className = 'aui-gene-label';
+    coatLabel.textContent = `🎨 ${t('animal.genetics.genes.coat')}`;
+    const coatValue = document.createElement('span');
+    coatValue.className = 'aui-gene-coat-value';
+    coatValue.dataset.coat = genome.coat || 'standard';
+    coatValue.textContent = t(`animal.genetics.coats.${genome.coat || 'standard'}`);
+    coatRow.append(coatLabel, coatValue);
+    rowsEl.appendChild(coatRow);
+  }
+
   _emitAction(actionId, extra = {}) {
     const ev = new CustomEvent("animalAction", {
       detail: { action: actionId, animal: this.target, ...extra }
@@ -867,6 +1009,8 @@ class UiPanel {
       const tpl = t('animal.feedSub.medicinesTitle');
       titleEl.textContent = (typeof tpl === 'string' && tpl !== 'animal.feedSub.medicinesTitle')
         ? tpl : 'Remédios';
+    } else if (this.subActionsMode === 'vaccine') {
+      titleEl.textContent = t('animal.feedSub.vaccinesTitle');
     } else {
       const tpl = t('animal.feedSub.title');
       titleEl.textContent = (typeof tpl === 'string' && tpl !== 'animal.feedSub.title')
@@ -888,6 +1032,8 @@ class UiPanel {
       list.appendChild(this._buildSubBtn('💊',
         (remediosLabel !== 'animal.feedSub.medicine') ? remediosLabel : 'Remédios',
         () => this._openSubActions('medicine')));
+      list.appendChild(this._buildSubBtn('💉', t('animal.feedSub.vaccine'),
+        () => this._openSubActions('vaccine')));
     } else if (this.subActionsMode === 'food') {
       const foods = this._collectFoodFromInventory();
       if (foods.length === 0) {
@@ -945,6 +1091,24 @@ class UiPanel {
       list.appendChild(this._buildSubBtn('↩',
         (backLabel !== 'animal.feedSub.back') ? backLabel : 'Voltar',
         () => this._openSubActions('choice')));
+    } else if (this.subActionsMode === 'vaccine') {
+      const vaccines = this._collectInventoryByType('vaccine');
+      if (vaccines.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'aui-feedSub-empty';
+        empty.textContent = t('animal.feedSub.emptyVaccine');
+        list.appendChild(empty);
+      } else {
+        for (const vac of vaccines) {
+          const label = `${vac.name} ×${vac.quantity}`;
+          list.appendChild(this._buildSubBtn(vac.icon || '💉', label, () => {
+            this._closeSubActions();
+            this._emitAction('applyVaccine', { itemId: vac.id });
+          }));
+        }
+      }
+      list.appendChild(this._buildSubBtn('↩', t('animal.feedSub.back'),
+        () => this._openSubActions('choice')));
     }
 
     this.subActionsMenu.appendChild(list);
@@ -985,18 +1149,23 @@ class UiPanel {
    * Os itens já trazem icon/name/quantity gravados pelo addItem.
    */
   _collectMedicinesFromInventory() {
+    return this._collectInventoryByType('medicine');
+  }
+
+  /** Itens do inventário com esse `type` e quantidade > 0. */
+  _collectInventoryByType(type) {
     const inv = getSystem('inventory');
     if (!inv) return [];
     const cats = inv.categories || (typeof inv.getInventory === 'function' ? inv.getInventory() : null);
     if (!cats) return [];
-    const meds = [];
+    const found = [];
     for (const cat of Object.values(cats)) {
       if (!cat?.items) continue;
       for (const it of cat.items) {
-        if (it.type === 'medicine' && it.quantity > 0) meds.push(it);
+        if (it.type === type && it.quantity > 0) found.push(it);
       }
     }
-    return meds;
+    return found;
   }
 
   /**
@@ -10,6 +10,11 @@ import { collisionSystem } from "../collisionSystem.js";
 import { getSystem, getObject, getDebugFlag } from '../gameState.js';
 import { qualityMode } from '../qualityMode.js';
 import { resolveReach } from './animalHitboxConfig.js';
+import { findPath, boxBlocker, troughWaypoint } from './animalPathfinder.js';
+import {
+    randomGenome, normalizeGenome, lifespanFromGenome, longevityForLifespan,
+    moralDecayMult, COAT_FILTERS,
+} from './genetics.js';
 import { IDLE_STATE_MIN_MS, IDLE_STATE_MAX_MS, MOVE_STATE_MIN_MS, MOVE_STATE_MAX_MS, MOVEMENT, ANIMATION, RANGES } from '../constants.js';
 import { items } from '../item.js';
 import { animals } from '../theWorld.js';
@@ -136,8 +141,34 @@ const AnimalState = {
     // Issue #171: food (hunger-driven). Mirrors water states.
     SEEKING_FOOD: "seeking_food",
     EATING: "eating",
+    // Celeiro/galinheiro (shelterSystem): SEEKING = indo até a porta;
+    // SHELTERED = lá dentro, fora do mundo até amanhecer/passar o temporal.
+    SEEKING_SHELTER: "seeking_shelter",
+    SHELTERED: "sheltered",
 };
 
+// Tempo máximo andando até a porta antes de desistir, e o cooldown depois
+// (caminho bloqueado, cercado fechado) antes de tentar de novo.
+const SHELTER_SEEK_TIMEOUT_MS = 20000;
+const SHELTER_RETRY_MS = 30000;
+// Distância (px) da porta que já conta como "entrou".
+const SHELTER_ENTER_DIST = 8;
+
+// Cão da fazenda (dogSystem). FOLLOW segue o jogador, STAY fica parado,
+// GUARD faz ronda em volta do posto e passa a noite acordado, HERD leva o
+// grupo guiado até o cercado.
+export const DogMode = {
+    FOLLOW: "follow",
+    STAY: "stay",
+    GUARD: "guard",
+    HERD: "herd",
+};
+// Raio (px) da ronda em volta do posto de guarda.
+const DOG_GUARD_LEASH = 96;
+// Longe assim do jogador (px), o cão sente falta: moral cai mais rápido.
+const DOG_LONELY_DIST = 480;
+const DOG_LONELY_MORAL_EXTRA_PER_MIN = 0.6;
+
 // Cada animal sorteia um threshold próprio entre 5 e 25 — uns são mais
 // vigilantes (correm pro cocho cedo), outros aguentam até quase secar.
 const THIRST_THRESHOLD_MIN = 5;
@@ -271,6 +302,8 @@ const SPECIES_RATE_MULT = {
     Chicken: { hunger: 0.8, thirst: 1.0, moral: 1.0 },
     Rooster: { hunger: 0.8, thirst: 1.0, moral: 0.9 },
     Turkey:  { hunger: 1.0, thirst: 1.0, moral: 1.0 },
+    // Cão gasta energia correndo atrás do rebanho e sente falta de atenção.
+    Dog:     { hunger: 1.1, thirst: 1.2, moral: 1.3 },
 };
 
 function speciesMult(assetName, key) {
@@ -303,6 +336,10 @@ const SEPARATION_CAP_WANDER = 0.25;
 // ciclava MOVE→IDLE→MOVE→IDLE com targets impossíveis e parecia imóvel.
 const PICK_TARGET_MAX_ATTEMPTS = 5;
 
+// Follow (guide): de quanto em quanto tempo o A* até o jogador é refeito.
+// O jogador anda; caminho mais velho que isso já aponta pro lugar errado.
+const FOLLOW_REPATH_MS = 500;
+
 // Efeitos do ferimento por severidade.
 // scratch e null: comportamento normal (sem entrada na tabela = 1.0 / 0).
 const INJURY_SPEED_MULT = {
@@ -478,6 +515,20 @@ export class AnimalEntity {
         // Doença atual: null = saudável, ou { id, daysSince, diagnosed }.
         // Enquanto não diagnosticada, o UiPanel exibe apenas "?".
         this.disease = opts.disease ?? null;
+        // Exposição (contágio) em incubação: null ou { id, daysLeft, sourceId, day }.
+        // Sem sintomas nem transmissão até virar `disease` (diseaseSystem).
+        this.exposure = opts.exposure ?? null;
+        // Vacinas ativas: { [diseaseId]: daysLeft } (vaccinationSystem).
+        this.vaccines = opts.vaccines ?? {};
+        // Abrigo (shelterSystem): id do celeiro reservado e se já está
+        // dentro. shelterId também é o que conta como vaga ocupada.
+        this.shelterId = opts.shelterId ?? null;
+        this.sheltered = opts.sheltered ?? false;
+        // Cão (dogSystem): modo de comando, posto de guarda e o pastoreio em
+        // andamento ({ enclosureId, animalIds, gate }). null nos outros bichos.
+        this.dogMode = assetName === 'Dog' ? (opts.dogMode ?? DogMode.FOLLOW) : null;
+        this.guardPost = opts.guardPost ?? null;
+        this.herd = opts.herd ?? null;
 
         // Produção (milk/wool/egg). `_pendingProduct` é setado pelo
         // productionSystem no `dayChanged` quando o animal está elegível.
@@ -487,6 +538,12 @@ export class AnimalEntity {
         this._pendingProduct = opts.pendingProduct ?? null;
         this._pendingTool    = opts.pendingTool    ?? null;
         this._lastProducedDay = opts.lastProducedDay ?? -1;
+        // Qualidade/quantidade sorteadas junto com o produto pendente, e a
+        // dieta (refeições comuns vs Ração de Qualidade) desde a última
+        // coleta — entra no score de qualidade do productionSystem.
+        this._pendingQuality  = opts.pendingQuality  ?? null;
+        this._pendingQuantity = opts.pendingQuantity ?? 1;
+        this._diet = { basic: 0, premium: 0, ...(opts.diet || {}) };
 
         // Feedback visual flutuante (sucesso/falha de coleta).
         // `{ text, success, startedAt, duration }`. Cleared no draw quando
@@ -504,10 +561,13 @@ export class AnimalEntity {
         this._daysOld   = opts.daysOld   ?? 0;
         this._lifeStage = opts.lifeStage ?? this._defaultLifeStageFromAsset(assetName);
         this._avgMoral  = opts.avgMoral  ?? this.stats.moral;
-        // Tempo de vida total (em dias) sorteado ao nascer. Variância 85-110
+        // Genoma hereditário (genetics.js). Filhote nascido no cercado recebe
+        // o genoma herdado via opts; comprado/spawnado vira fundador.
+        this.genome = normalizeGenome(opts.genome) || randomGenome();
+        // Tempo de vida total (em dias) vem do gene de longevidade: 85-110
         // dias = idoso vive 20-45 dias após chegar ao último estágio (65d).
-        // Player não vê o valor — gera incerteza de "quando ela vai partir".
-        this._lifespan = opts.lifespan ?? (85 + Math.floor(Math.random() * 26));
+        // Player só vê a nota do gene — segue a incerteza de "quando ela vai partir".
+        this._lifespan = opts.lifespan ?? lifespanFromGenome(this.genome);
 
         // Grávida? (breedingSystem, #243). Persiste pra o selo 🤰 no mundo
         // reaparecer na hora após o load (o painel usa breeding.isPregnant).
@@ -523,6 +583,7 @@ export class AnimalEntity {
         this.lastPetDay = -1;
         this.following = false;
         this._followTarget = null;
+        this._followPath = null; // { at, points, idx } — ver _followWaypoint
 
         // Schedule de decay independente por stat. Cada um tem seu próprio
         // "lastAt" (quando dropou pela última vez) e "nextAt" (quando vai
@@ -569,6 +630,11 @@ export class AnimalEntity {
         this._eatPos = null;
         this._lastEatTickAt = 0;
         this._eatCooldownUntil = 0;
+
+        // Caminhada até o abrigo: porta-alvo, prazo e cooldown após desistir.
+        this._shelterDoor = null;
+        this._shelterSeekUntil = 0;
+        this._shelterCooldownUntil = 0;
     }
 
     /**
@@ -938,6 +1004,12 @@ export class AnimalEntity {
         const sy = this.direction * this.frameHeight;
         const drawX = Math.floor(screenPos.x);
         const drawY = Math.floor(screenPos.y);
+        // Pelagem (genoma): variantes são um filtro de cor sobre o mesmo sprite.
+        const coatFilter = COAT_FILTERS[this.genome?.coat];
+        if (coatFilter) {
+            ctx.save();
+            ctx.filter = coatFilter;
+        }
         if (this.flipX) {
             // Translada pro canto direito e inverte X — o sprite desenhado
             // em (0,0) cai exatamente no lugar de antes, só espelhado.
@@ -949,6 +1021,7 @@ export class AnimalEntity {
         } else {
             ctx.drawImage(this.img, sx, sy, this.frameWidth, this.frameHeight, drawX, drawY, zoomedWidth, zoomedHeight);
         }
+        if (coatFilter) ctx.restore();
     }
 
     /** Mood emoji just above the sprite (skipped when CALM). */
@@ -1078,7 +1151,8 @@ export class AnimalEntity {
         if (weather) {
             const minutes = weather.currentTime ?? 0;
             const hour = Math.floor(minutes / 60);
-            if (hour >= 22 || hour < 6) {
+            // Cão de guarda passa a noite acordado, de vigia.
+            if ((hour >= 22 || hour < 6) && this.dogMode !== DogMode.GUARD) {
                 this._mood = AnimalMood.SLEEPING;
                 return;
             }
@@ -1146,6 +1220,16 @@ export class AnimalEntity {
         return INJURY_MORAL_DECAY_EXTRA_PER_MIN[this.injury?.severity] ?? 0;
     }
 
+    /** Cão longe do jogador (ficou parado, de guarda) sente solidão. */
+    _lonelinessMoralExtra() {
+        if (!this.dogMode) return 0;
+        const player = getObject('currentPlayer');
+        if (!player) return 0;
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        return dx * dx + dy * dy > DOG_LONELY_DIST * DOG_LONELY_DIST ? DOG_LONELY_MORAL_EXTRA_PER_MIN : 0;
+    }
+
     _diseaseMoralDecayExtra() {
         const d = this.disease;
         if (!d) return 0;
@@ -1198,6 +1282,7 @@ export class AnimalEntity {
         const moralRate = (MORAL_DECAY_PER_MIN
             + this._injuryMoralDecayExtra()
             + this._diseaseMoralDecayExtra()
+            + this._lonelinessMoralExtra()
             + this._weatherMoralPenaltyPerMin())
             * this._stageMoralMult();
 
@@ -1229,7 +1314,9 @@ export class AnimalEntity {
         //   animalMult  — metabolismo individual sorteado na construção
         const animalMult = this._statRateMultipliers?.[key] ?? 1;
         const specMult = speciesMult(this.assetName, key);
-        const drop = ratePerMin * specMult * animalMult * minutes * magnitudeJitter;
+        // Temperamento (genoma): animal calmo perde moral mais devagar.
+        const geneMult = key === 'moral' ? moralDecayMult(this.genome) : 1;
+        const drop = ratePerMin * specMult * animalMult * geneMult * minutes * magnitudeJitter;
 
         this.stats[key] = Math.max(0, this.stats[key] - drop);
 
@@ -1239,6 +1326,8 @@ export class AnimalEntity {
 
     /** Penalidade extra de moral por minuto causada pelo clima atual. */
     _weatherMoralPenaltyPerMin() {
+        // Dentro do celeiro/galinheiro o temporal não pega.
+        if (this.sheltered) return 0;
         const weather = getSystem('weather');
         if (!weather) return 0;
         const wt = weather.weatherType;
@@ -1349,6 +1438,8 @@ export class AnimalEntity {
 
         this.stats.hunger = Math.min(100, this.stats.hunger + FEED_HUNGER_GAIN);
         this.stats.moral  = Math.min(100, this.stats.moral  + FEED_MORAL_GAIN);
+        // Ração universal ('all') é a de qualidade — mesma regra do cocho.
+        this._diet[catalog.targetAnimals === 'all' ? 'premium' : 'basic']++;
         this.recalcMood();
         return { success: true, message: 'fed' };
     }
@@ -1536,6 +1627,9 @@ export class AnimalEntity {
         }
 
         this.following = !this.following;
+        this._followPath = null;
+        // Parou de seguir: também sai do pastoreio do cão, se estava nele.
+        if (!this.following) this._followTarget = null;
         if (this.following) {
             this.state = AnimalState.FOLLOW;
         } else {
@@ -1550,6 +1644,41 @@ export class AnimalEntity {
         };
     }
 
+    /**
+     * Para de seguir (o jogador ou o cão) sem passar pelas recusas do
+     * guide() — dormindo também solta. Usado pelo dogSystem ao encerrar
+     * o pastoreio.
+     */
+    stopFollowing() {
+        this.following = false;
+        this._followTarget = null;
+        this._followPath = null;
+        this.state = AnimalState.IDLE;
+        this.stateTimer = performance.now();
+        this.stateDuration = IDLE_STATE_MIN_MS;
+    }
+
+    /**
+     * Teleporta o animal (sprite top-left) — usado ao mover de cercado pelo
+     * painel do rebanho. Solta cocho reservado e para de seguir, senão o
+     * animal tentaria voltar andando pro cercado antigo.
+     */
+    relocate(x, y) {
+        this._exitDrinkFlow();
+        this._exitFoodFlow();
+        this._clearShelter();
+        this.following = false;
+        this._followTarget = null;
+        this._followPath = null;
+        this.x = x;
+        this.y = y;
+        this.targetX = x;
+        this.targetY = y;
+        this.state = AnimalState.IDLE;
+        this.stateTimer = performance.now();
+        this.stateDuration = IDLE_STATE_MIN_MS;
+    }
+
     _startFlee() {
         const currentPlayer = getObject('currentPlayer');
         const px = currentPlayer?.x ?? this.x;
@@ -1621,6 +1750,17 @@ export class AnimalEntity {
             this._eatPos = null;
         }
 
+        // Vaga de abrigo reservada mas o animal saiu do caminho (guiar,
+        // FLEE): solta, senão a vaga fica presa até o próximo load.
+        if (this.shelterId && !this.sheltered && this.state !== AnimalState.SEEKING_SHELTER) {
+            this._clearShelter();
+        }
+
+        // Abrigo vem antes do sono: de noite o animal entra no celeiro e
+        // dorme lá; quem anoitece fora ainda caminha até a porta. O cão
+        // não tem vaga em celeiro nem galinheiro.
+        if (!this.dogMode && !this.following && this.state !== AnimalState.FLEE && this._updateShelter(now)) return;
+
         if (this._mood === AnimalMood.SLEEPING) {
             this.state = AnimalState.IDLE;
             this.frameIndex = 0;
@@ -1660,6 +1800,8 @@ export class AnimalEntity {
         // ─── Drinking/eating states (prioridade média, abaixo de FLEE/FOLLOW) ─
         if (this._updateNeedStates(now)) return;
 
+        if (this.dogMode === DogMode.GUARD) this._keepGuardPost(now);
+
         if (now - this.stateTimer > this.stateDuration) {
             this.pickNewState();
             this.stateTimer = now;
@@ -1783,6 +1925,7 @@ export class AnimalEntity {
             this._setFacing(sdx, sdy);
             this.frameIndex = 0;
         } else {
+            this._steerToTroughSlot(`water:${this._claimedTrough}:${this._claimedSlot}`, dp);
             this.move();
             // move() pode ter setado IDLE em dist<2 corner case — restaura.
             if (this.state !== AnimalState.SEEKING_WATER) {
@@ -1941,6 +2084,7 @@ export class AnimalEntity {
                               ep.facing === 'down'  ? 1 : ep.facing === 'up'   ? -1 : 0);
             this.frameIndex = 0;
         } else {
+            this._steerToTroughSlot(`food:${troughId}:${this._claimedFoodSlot}`, ep);
             this.move();
             if (this.state !== AnimalState.SEEKING_FOOD) this.state = AnimalState.SEEKING_FOOD;
         }
@@ -1976,6 +2120,7 @@ export class AnimalEntity {
             if (result && result.drained) {
                 const gain = result.fromPremium ? restore.premium : restore.basic;
                 this.stats.hunger = Math.min(100, (this.stats.hunger || 0) + gain);
+                this._diet[result.fromPremium ? 'premium' : 'basic']++;
             } else {
                 // Trough emptied mid-meal. Set the same 5s cooldown the
                 // seek-timeout path uses (line ~1592) so the animal doesn't
@@ -2010,16 +2155,191 @@ export class AnimalEntity {
         this.frameIndex = 0;
     }
 
+    /**
+     * Estados de abrigo. Retorna true se cuidou do tick (caller retorna).
+     * Dentro: fica até passar a hora/o temporal — ou sai antes se tiver
+     * sede/fome acordado (sem cocho lá dentro). Fora: tenta reservar vaga
+     * quando shelterSystem.shouldShelter() e anda até a porta.
+     */
+    _updateShelter(now) {
+        const shelterSys = getSystem('shelter');
+
+        if (this.sheltered) {
+            const shelter = shelterSys?.getShelter?.(this.shelterId);
+            if (shelter && shelterSys.shouldShelter() && !this._needsOutside()) {
+                this.state = AnimalState.SHELTERED;
+                this.frameIndex = 0;
+                return true;
+            }
+            this._leaveShelter(shelter);
+            return false;
+        }
+
+        if (this.state === AnimalState.SEEKING_SHELTER) { this._updateSeekingShelter(now); return true; }
+        if (this._tryEnterSeekingShelter(now)) { this._updateSeekingShelter(now); return true; }
+        return false;
+    }
+
+    /** Sede/fome abaixo do limiar e acordado → precisa sair pros cochos. */
+    _needsOutside() {
+        if (this._mood === AnimalMood.SLEEPING) return false;
+        return (this.stats.thirst || 0) < this._drinkThreshold
+            || (this.stats.hunger || 0) < this._eatThreshold;
+    }
+
+    _tryEnterSeekingShelter(now) {
+        if (now < this._shelterCooldownUntil) return false;
+        // Não larga o cocho no meio: termina de beber/comer primeiro.
+        if (this.state === AnimalState.SEEKING_WATER || this.state === AnimalState.DRINKING ||
+            this.state === AnimalState.SEEKING_FOOD || this.state === AnimalState.EATING) return false;
+        if (this._needsOutside()) return false;
+
+        const shelterSys = getSystem('shelter');
+        if (!shelterSys?.shouldShelter?.()) return false;
+        const found = shelterSys.claim(this);
+        if (!found) return false;
+
+        this._shelterDoor = found.door;
+        this.state = AnimalState.SEEKING_SHELTER;
+        this.stateTimer = now;
+        // Prazo próprio: move() reinicia stateTimer quando empaca.
+        this._shelterSeekUntil = now + SHELTER_SEEK_TIMEOUT_MS;
+        return true;
+    }
+
+    _updateSeekingShelter(now) {
+        const shelterSys = getSystem('shelter');
+        const shelter = shelterSys?.getShelter?.(this.shelterId);
+        // Abrigo sumiu ou amanheceu/passou o temporal no caminho → desiste.
+        if (!shelter || !shelterSys.shouldShelter()) {
+            this._clearShelter();
+            return;
+        }
+
+        const door = this._shelterDoor || (this._shelterDoor = shelterSys.doorFor(shelter, this));
+        const dx = door.x - this.x;
+        const dy = door.y - this.y;
+        if (dx * dx + dy * dy < SHELTER_ENTER_DIST * SHELTER_ENTER_DIST) {
+            this._enterShelter(shelter);
+            return;
+        }
+
+        this._steerToTroughSlot(`shelter:${shelter.id}`, door);
+        this.move();
+        if (this.state !== AnimalState.SEEKING_SHELTER) {
+            this.state = AnimalState.SEEKING_SHELTER;
+        }
+        this.updateAnimation(now);
+
+        if (now > this._shelterSeekUntil) {
+            this._shelterCooldownUntil = now + SHELTER_RETRY_MS;
+            this._clearShelter();
+        }
+    }
+
+    _enterShelter(shelter) {
+        const pos = getSystem('shelter')?.insidePos?.(shelter, this) || { x: this.x, y: this.y };
+        this.sheltered = true;
+        this._shelterDoor = null;
+        this.x = this.targetX = pos.x;
+        this.y = this.targetY = pos.y;
+        this.state = AnimalState.SHELTERED;
+        this.frameIndex = 0;
+    }
+
+    /** Sai pela porta (ou fica onde está, se o abrigo foi removido). */
+    _leaveShelter(shelter) {
+        const door = shelter ? getSystem('shelter')?.doorFor?.(shelter, this) : null;
+        if (door) {
+            this.relocate(door.x, door.y);
+        } else {
+            this._clearShelter();
+        }
+    }
+
+    /** Solta a vaga e volta pro IDLE se estava indo/dentro do abrigo. */
+    _clearShelter() {
+        const wasShelterState = this.state === AnimalState.SEEKING_SHELTER
+            || this.state === AnimalState.SHELTERED;
+        this.shelterId = null;
+        this.sheltered = false;
+        this._shelterDoor = null;
+        if (wasShelterState) {
+            this.state = AnimalState.IDLE;
+            this.frameIndex = 0;
+            this.stateTimer = performance.now();
+            this.stateDuration = IDLE_STATE_MIN_MS;
+        }
+    }
+
+    /**
+     * Aponta `targetX/Y` pro próximo waypoint do flow field do slot
+     * (cacheado por cocho em animalPathfinder), contornando as cercas do
+     * cercado. Fora da janela do field ou sem caminho, mira direto no
+     * `goal` e o `_tryMoveTowards` faz o que der.
+     */
+    _steerToTroughSlot(key, goal) {
+        if (!goal) return;
+        const wp = troughWaypoint(key, goal, this.collisionBox, this.x, this.y);
+        this.targetX = wp ? wp.x : goal.x;
+        this.targetY = wp ? wp.y : goal.y;
+    }
+
+    /**
+     * Próximo waypoint do A* até o jogador durante o follow. Refaz o
+     * caminho a cada FOLLOW_REPATH_MS; null = sem caminho (jogador longe
+     * demais ou inalcançável) → caller segue em linha reta.
+     */
+    _followWaypoint(px, py) {
+        const now = performance.now();
+        let path = this._followPath;
+        if (!path || now - path.at > FOLLOW_REPATH_MS) {
+            const points = findPath(
+                { x: this.x, y: this.y }, { x: px, y: py },
+                boxBlocker(this.collisionBox),
+            );
+            path = this._followPath = { at: now, points: points || [], idx: 0 };
+        }
+        // Waypoint alcançado (dentro de 3px) → próximo.
+        while (path.idx < path.points.length) {
+            const wp = path.points[path.idx];
+            if (Math.abs(wp.x - this.x) > 3 || Math.abs(wp.y - this.y) > 3) break;
+            path.idx++;
+        }
+        return path.points[path.idx] || null;
+    }
+
+    /**
+     * Cão de guarda não se afasta do posto: passou do raio da ronda, volta
+     * andando. Dentro dele, o wander normal faz a ronda.
+     */
+    _keepGuardPost(now) {
+        const post = this.guardPost;
+        if (!post) return;
+        const dx = post.x - this.x;
+        const dy = post.y - this.y;
+        if (dx * dx + dy * dy <= DOG_GUARD_LEASH * DOG_GUARD_LEASH) return;
+        if (this.state === AnimalState.MOVE && this.targetX === post.x && this.targetY === post.y) return;
+        this.state = AnimalState.MOVE;
+        this.targetX = post.x;
+        this.targetY = post.y;
+        this.stateTimer = now;
+        this.stateDuration = MOVE_STATE_MAX_MS;
+        this.updateDirection();
+    }
+
     _updateFollow() {
-        const currentPlayer = getObject('currentPlayer');
-        if (!currentPlayer) {
+        // Líder: o jogador, ou quem o dogSystem apontou — o cão, pro grupo
+        // que ele pastoreia; a porteira do cercado, pro próprio cão.
+        const leader = this._followTarget || getObject('currentPlayer');
+        if (!leader) {
             this.following = false;
             this.state = AnimalState.IDLE;
             return;
         }
 
-        const px = currentPlayer.x;
-        const py = currentPlayer.y;
+        const px = leader.x;
+        const py = leader.y;
         const dx = px - this.x;
         const dy = py - this.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -2041,13 +2361,19 @@ export class AnimalEntity {
         }
 
         const speed = MOVEMENT.ANIMAL_SPEED * 1.2 * this._injurySpeedMult() * this._stageSpeedMult();
+        // Rumo: próximo waypoint do caminho até o player (contorna o canto
+        // da cerca em vez de esfregar nela); sem caminho, reta até ele.
+        const wp = this._followWaypoint(px, py);
+        const hx = wp ? wp.x - this.x : dx;
+        const hy = wp ? wp.y - this.y : dy;
+        const hDist = Math.sqrt(hx * hx + hy * hy) || 1;
         // Combina vetor rumo ao player com força de separação CAPADA.
         // Sem cap, vários vizinhos somavam força maior que a velocidade
         // base e o animal andava pra LONGE do player — entrava em loop
         // de "FOLLOW eterno" sem nunca chegar perto. Com cap, separação
         // afasta sem dominar.
-        const baseVx = (dx / dist) * speed;
-        const baseVy = (dy / dist) * speed;
+        const baseVx = (hx / hDist) * speed;
+        const baseVy = (hy / hDist) * speed;
         const sep = this._computeSeparation(28, SEPARATION_CAP_FOLLOW);
         const vx = baseVx + sep.x;
         const vy = baseVy + sep.y;
@@ -2413,7 +2739,7 @@ export class AnimalEntity {
             if (!other || other === this) continue;
             if (other.injury) continue;
             if (other.disease) continue;
-            if (other.hospitalized) continue;
+            if (other.hospitalized || other.sheltered) continue;
             const ocx = other.x + other.width / 2;
             const ocy = other.y + other.height / 2;
             const ddx = myCx - ocx;
@@ -2473,6 +2799,8 @@ export class AnimalEntity {
 
     draw(ctx, camera, frameNow) {
         if (!this.img || !camera) return;
+        // Dentro do celeiro/galinheiro: não aparece.
+        if (this.sheltered) return;
 
         const screenPos = camera.worldToScreen(this.x, this.y);
         const zoomedWidth = this.width * camera.zoom;
@@ -2541,22 +2869,35 @@ export class AnimalEntity {
                     lastMedicine: this.disease.lastMedicine ? { ...this.disease.lastMedicine } : undefined,
                 }
                 : null,
+            exposure: this.exposure ? { ...this.exposure } : null,
+            vaccines: { ...(this.vaccines || {}) },
+            shelterId: this.sheltered ? this.shelterId : null,
+            sheltered: this.sheltered,
             statRateMultipliers: this._statRateMultipliers
                 ? { ...this._statRateMultipliers } : null,
             petsToday: this.petsToday,
             petAttempts: this.petAttempts,
             lastPetDay: this.lastPetDay,
             following: this.following,
+            dogMode: this.dogMode,
+            guardPost: this.guardPost ? { ...this.guardPost } : null,
+            herd: this.herd
+                ? { ...this.herd, animalIds: [...this.herd.animalIds], gate: { ...this.herd.gate } }
+                : null,
             // Produção persistida
             pendingProduct:  this._pendingProduct ?? null,
             pendingTool:     this._pendingTool    ?? null,
             lastProducedDay: this._lastProducedDay ?? -1,
+            pendingQuality:  this._pendingQuality  ?? null,
+            pendingQuantity: this._pendingQuantity ?? 1,
+            diet:            { ...this._diet },
             // Aging / lifecycle
             daysOld:   this._daysOld   ?? 0,
             lifeStage: this._lifeStage ?? 'adult',
             avgMoral:  this._avgMoral  ?? this.stats.moral,
             lifespan:  this._lifespan  ?? 90,
             pregnant:  this._pregnant  ?? false,
+            genome:    this.genome ? { ...this.genome } : null,
         };
     }
 
@@ -2589,6 +2930,13 @@ export class AnimalEntity {
         }
         // Doença persistida. Saves antigos não têm o campo → animal saudável.
         this.disease = data.disease ?? null;
+        this.exposure = data.exposure ?? null;
+        this.vaccines = data.vaccines ? { ...data.vaccines } : {};
+        // Abrigo: só quem já estava dentro volta dentro; quem estava a
+        // caminho recomeça do zero (a porta/prazo não são salvos).
+        this.sheltered = !!(data.sheltered && data.shelterId);
+        this.shelterId = this.sheltered ? data.shelterId : null;
+        if (this.sheltered) this.state = AnimalState.SHELTERED;
         // Metabolismo individual: preserva entre saves. Em saves antigos
         // sem o campo, mantém o que o construtor sorteou.
         if (data.statRateMultipliers) {
@@ -2599,16 +2947,32 @@ export class AnimalEntity {
         this.lastPetDay = data.lastPetDay ?? -1;
         this.following = data.following ?? false;
         if (this.following) this.state = AnimalState.FOLLOW;
+        // Cão: o dogSystem religa o grupo do pastoreio no próximo update.
+        if (this.dogMode) {
+            this.dogMode = data.dogMode ?? DogMode.FOLLOW;
+            this.guardPost = data.guardPost ?? null;
+            this.herd = data.herd ?? null;
+            if (this.herd) this._followTarget = this.herd.gate;
+        }
         // Produção
         this._pendingProduct  = data.pendingProduct  ?? null;
         this._pendingTool     = data.pendingTool     ?? null;
         this._lastProducedDay = data.lastProducedDay ?? -1;
+        // Saves antigos: produto pendente sai normal, dieta zerada.
+        this._pendingQuality  = data.pendingQuality  ?? null;
+        this._pendingQuantity = data.pendingQuantity ?? 1;
+        this._diet = { basic: 0, premium: 0, ...(data.diet || {}) };
         // Aging / lifecycle. Saves antigos sem campo: filhote começa 'young',
         // adulto começa 'adult' (fallback via assetName).
         this._daysOld   = data.daysOld   ?? 0;
         this._lifeStage = data.lifeStage ?? this._defaultLifeStageFromAsset(this.assetName);
         this._avgMoral  = data.avgMoral  ?? this.stats.moral;
-        this._lifespan  = data.lifespan  ?? (85 + Math.floor(Math.random() * 26));
+        // Genoma: saves antigos não têm — mantém o fundador sorteado no
+        // construtor, mas alinha a longevidade com o lifespan já salvo.
+        const genome = normalizeGenome(data.genome);
+        if (genome) this.genome = genome;
+        this._lifespan  = data.lifespan  ?? lifespanFromGenome(this.genome);
+        if (!genome) this.genome.longevity = longevityForLifespan(this._lifespan);
         this._pregnant  = data.pregnant  ?? false;
         this.recalcMood();
     }
@@ -0,0 +1,372 @@
+/**
+ * @file animalPathfinder.js - Grid pathfinding for animals
+ * @description The greedy steering in animalAI (`_tryMoveTowards`: direct
+ * step, axis slide, rotated detours) works in the open but gets stuck behind
+ * fence corners in irregular enclosures. This module plans over a fine grid
+ * of animal positions (PATH_CELL_PX apart). A node is free when the animal's
+ * collision box, standing there, doesn't hit anything on the collisionSystem
+ * spatial grid (`areaCollides`) — so enclosure walls block exactly as they do
+ * while walking.
+ *
+ *   - `findPath`: A* from the animal to a goal that moves (the player, while
+ *     guiding). Recomputed by the caller every few hundred ms.
+ *   - `buildFlowField` / `fieldWaypoint`: Dijkstra outward from a trough
+ *     slot's stand position. One field serves every animal heading to that
+ *     slot, so `troughWaypoint` caches fields per trough slot (and box size)
+ *     until the static collision layout changes
+ *     (`collisionSystem.layoutVersion`).
+ *
+ * Grids are anchored on the goal, so the goal itself is always a node.
+ * Moving hitboxes (animals, NPCs, the player) are ignored while planning;
+ * local steering already deals with them.
+ * @module AnimalPathfinder
+ */
+
+import { collisionSystem, CollisionSystem } from '../collisionSystem.js';
+
+export const PATH_CELL_PX = 10;
+
+// Flow field: ±FIELD_RADIUS_CELLS nós em volta do cocho (±400px).
+const FIELD_RADIUS_CELLS = 40;
+const FIELD_CACHE_MAX = 64;
+
+// A*: margem além do retângulo start–goal, raio máximo da janela e
+// orçamento de nós expandidos (acima disso o caller volta pro greedy).
+const SEARCH_MARGIN_CELLS = 15;
+const SEARCH_MAX_RADIUS_CELLS = 60;
+const SEARCH_MAX_NODES = 1500;
+
+// Passos seguidos na mesma direção viram um waypoint só.
+const MAX_LOOKAHEAD_STEPS = 8;
+
+const NEIGHBORS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+/**
+ * Square window of nodes (±radius) around the goal. Walkability is tested
+ * lazily and memoized: 0 = unknown, 1 = free, 2 = blocked.
+ */
+class PathGrid {
+    constructor(goal, radius, isBlocked) {
+        this.goal = goal;
+        this.radius = radius;
+        this.size = radius * 2 + 1;
+        this.isBlocked = isBlocked;
+        this.state = new Uint8Array(this.size * this.size);
+    }
+
+    inside(i, j) {
+        return Math.abs(i) <= this.radius && Math.abs(j) <= this.radius;
+    }
+
+    index(i, j) {
+        return (j + this.radius) * this.size + (i + this.radius);
+    }
+
+    col(idx) { return (idx % this.size) - this.radius; }
+    row(idx) { return Math.floor(idx / this.size) - this.radius; }
+
+    pos(i, j) {
+        return { x: this.goal.x + i * PATH_CELL_PX, y: this.goal.y + j * PATH_CELL_PX };
+    }
+
+    /** Node nearest to a world position (may be outside the window). */
+    nearest(x, y) {
+        return [
+            Math.round((x - this.goal.x) / PATH_CELL_PX),
+            Math.round((y - this.goal.y) / PATH_CELL_PX),
+        ];
+    }
+
+    free(i, j) {
+        if (!this.inside(i, j)) return false;
+        if (i === 0 && j === 0) return true; // o alvo é sempre alcançável
+        const idx = this.index(i, j);
+        if (this.state[idx] === 0) {
+            const p = this.pos(i, j);
+            this.state[idx] = this.isBlocked(p.x, p.y) ? 2 : 1;
+        }
+        return this.state[idx] === 1;
+    }
+
+    /** Diagonal steps can't cut a corner: both orthogonal nodes must be free. */
+    canStep(i, j, di, dj) {
+        if (!this.free(i + di, j + dj)) return false;
+        if (di !== 0 && dj !== 0) return this.free(i + di, j) && this.free(i, j + dj);
+        return true;
+    }
+}
+
+/** Binary min-heap of node indices. */
+class NodeHeap {
+    constructor() {
+        this.nodes = [];
+        this.prio = [];
+    }
+
+    get size() { return this.nodes.length; }
+
+    push(node, priority) {
+        const { nodes, prio } = this;
+        let k = nodes.length;
+        nodes.push(node);
+        prio.push(priority);
+        while (k > 0) {
+            const parent = (k - 1) >> 1;
+            if (prio[parent] <= priority) break;
+            nodes[k] = nodes[parent];
+            prio[k] = prio[parent];
+            k = parent;
+        }
+        nodes[k] = node;
+        prio[k] = priority;
+    }
+
+    pop() {
+        const { nodes, prio } = this;
+        const top = nodes[0];
+        const topPrio = prio[0];
+        const lastNode = nodes.pop();
+        const lastPrio = prio.pop();
+        const n = nodes.length;
+        if (n > 0) {
+            let k = 0;
+            for (;;) {
+                let child = k * 2 + 1;
+                if (child >= n) break;
+                if (child + 1 < n && prio[child + 1] < prio[child]) child++;
+                if (prio[child] >= lastPrio) break;
+                nodes[k] = nodes[child];
+                prio[k] = prio[child];
+                k = child;
+            }
+            nodes[k] = lastNode;
+            prio[k] = lastPrio;
+        }
+        return { node: top, priority: topPrio };
+    }
+}
+
+/**
+ * Walkability test for an animal collision box on the collisionSystem
+ * spatial grid. `(x, y)` is the animal's top-left, like `animal.x/y`.
+ * @param {{width:number, height:number, offsetX?:number, offsetY?:number}} box
+ * @returns {(x:number, y:number) => boolean} true when blocked
+ */
+export function boxBlocker(box) {
+    const offX = box.offsetX || 0;
+    const offY = box.offsetY || 0;
+    return (x, y) => {
+        if (typeof collisionSystem?.areaCollides !== 'function') return false;
+        return collisionSystem.areaCollides(
+            x + offX, y + offY, box.width, box.height, null,
+            { ignoreTypes: CollisionSystem.MOBILE_TYPES },
+        );
+    };
+}
+
+/**
+ * A* from `start` to `goal` on the animal grid.
+ * @param {{x:number, y:number}} start
+ * @param {{x:number, y:number}} goal
+ * @param {(x:number, y:number) => boolean} isBlocked
+ * @param {{maxNodes?: number}} [opts]
+ * @returns {Array<{x:number, y:number}>|null} waypoints after the start,
+ *   ending exactly on the goal (collinear steps merged); null when there's
+ *   no path inside the search window/budget.
+ */
+export function findPath(start, goal, isBlocked, { maxNodes = SEARCH_MAX_NODES } = {}) {
+    const reach = Math.max(Math.abs(start.x - goal.x), Math.abs(start.y - goal.y)) / PATH_CELL_PX;
+    const radius = Math.min(SEARCH_MAX_RADIUS_CELLS, Math.ceil(reach) + SEARCH_MARGIN_CELLS);
+    const grid = new PathGrid(goal, radius, isBlocked);
+
+    const from = _nearestFree(grid, start.x, start.y);
+    if (!from) return null;
+
+    const total = grid.size * grid.size;
+    const g = new Float64Array(total).fill(Infinity);
+    const came = new Int32Array(total).fill(-1);
+    const closed = new Uint8Array(total);
+    const goalIdx = grid.index(0, 0);
+    const heap = new NodeHeap();
+
+    const startIdx = grid.index(from[0], from[1]);
+    g[startIdx] = 0;
+    heap.push(startIdx, _octile(from[0], from[1]));
+
+    let expanded = 0;
+    while (heap.size > 0) {
+        const { node } = heap.pop();
+        if (closed[node]) continue;
+        if (node === goalIdx) return _tracePath(grid, came, node);
+        closed[node] = 1;
+        if (++expanded > maxNodes) return null;
+
+        const i = grid.col(node);
+        const j = grid.row(node);
+        for (const [di, dj, cost] of NEIGHBORS) {
+            if (!grid.canStep(i, j, di, dj)) continue;
+            const next = grid.index(i + di, j + dj);
+            const d = g[node] + cost;
+            if (d >= g[next]) continue;
+            g[next] = d;
+            came[next] = node;
+            heap.push(next, d + _octile(i + di, j + dj));
+        }
+    }
+    return null;
+}
+
+/**
+ * Distance field (in steps) from every node reachable to the goal.
+ * @param {{x:number, y:number}} goal
+ * @param {(x:number, y:number) => boolean} isBlocked
+ * @param {{radius?: number}} [opts] - window half-size, in nodes
+ * @returns {{grid: PathGrid, dist: Float64Array}}
+ */
+export function buildFlowField(goal, isBlocked, { radius = FIELD_RADIUS_CELLS } = {}) {
+    const grid = new PathGrid(goal, radius, isBlocked);
+    const dist = new Float64Array(grid.size * grid.size).fill(Infinity);
+    const heap = new NodeHeap();
+    const goalIdx = grid.index(0, 0);
+    dist[goalIdx] = 0;
+    heap.push(goalIdx, 0);
+
+    while (heap.size > 0) {
+        const { node, priority } = heap.pop();
+        if (priority > dist[node]) continue;
+        const i = grid.col(node);
+        const j = grid.row(node);
+        // Passo é simétrico (mesmos nós livres nos dois sentidos), então
+        // expandir do alvo pra fora dá o custo de cada nó ATÉ o alvo.
+        for (const [di, dj, cost] of NEIGHBORS) {
+            if (!grid.canStep(i, j, di, dj)) continue;
+            const next = grid.index(i + di, j + dj);
+            const d = priority + cost;
+            if (d >= dist[next]) continue;
+            dist[next] = d;
+            heap.push(next, d);
+        }
+    }
+    return { grid, dist };
+}
+
+/**
+ * Next point to steer to from `(x, y)`, walking down the field. Keeps going
+ * while the direction doesn't change, so open ground gives long straight
+ * legs instead of a waypoint every PATH_CELL_PX.
+ * @returns {{x:number, y:number}|null} null when `(x, y)` is outside the
+ *   field or cut off from the goal (caller falls back to greedy steering).
+ */
+export function fieldWaypoint(field, x, y) {
+    const { grid, dist } = field;
+    let [i, j] = grid.nearest(x, y);
+    if (!grid.inside(i, j)) return null;
+
+    // Nó mais próximo sem caminho (a caixa raspa a cerca, por exemplo):
+    // começa pelo vizinho alcançável de menor custo.
+    if (dist[grid.index(i, j)] === Infinity) {
+        let best = null;
+        let bestD = Infinity;
+        for (const [di, dj] of NEIGHBORS) {
+            if (!grid.inside(i + di, j + dj)) continue;
+            const d = dist[grid.index(i + di, j + dj)];
+            if (d < bestD) { bestD = d; best = [i + di, j + dj]; }
+        }
+        if (!best) return null;
+        [i, j] = best;
+    }
+
+    let dirI = null;
+    let dirJ = null;
+    for (let step = 0; step < MAX_LOOKAHEAD_STEPS; step++) {
+        let bi = 0;
+        let bj = 0;
+        let bestD = dist[grid.index(i, j)];
+        for (const [di, dj] of NEIGHBORS) {
+            if (!grid.inside(i + di, j + dj)) continue;
+            const d = dist[grid.index(i + di, j + dj)];
+            if (d < bestD && grid.canStep(i, j, di, dj)) {
+                bestD = d;
+                bi = di;
+                bj = dj;
+            }
+        }
+        if (bi === 0 && bj === 0) break;
+        if (dirI !== null && (bi !== dirI || bj !== dirJ)) break;
+        dirI = bi;
+        dirJ = bj;
+        i += bi;
+        j += bj;
+    }
+    return grid.pos(i, j);
+}
+
+const _fieldCache = new Map(); // key -> { version, field }
+
+/**
+ * Cached flow-field waypoint toward a trough slot's stand position.
+ * @param {string} key - trough slot, e.g. `water:<troughId>:<slotIdx>`
+ * @param {{x:number, y:number}} goal - where the animal stops (drink/eat pos)
+ * @param {{width:number, height:number, offsetX?:number, offsetY?:number}} box
+ * @param {number} x - animal.x
+ * @param {number} y - animal.y
+ * @returns {{x:number, y:number}|null}
+ */
+export function troughWaypoint(key, goal, box, x, y) {
+    if (!goal || !box) return null;
+    const version = collisionSystem?.layoutVersion ?? 0;
+    // O stand position depende do lado e do tamanho do animal, e a
+    // caminhabilidade da caixa — ambos entram na chave.
+    const cacheKey = `${key}|${goal.x},${goal.y}|${box.width}x${box.height}+${box.offsetX || 0},${box.offsetY || 0}`;
+    let entry = _fieldCache.get(cacheKey);
+    if (!entry || entry.version !== version) {
+        if (_fieldCache.size >= FIELD_CACHE_MAX) _fieldCache.clear();
+        entry = { version, field: buildFlowField(goal, boxBlocker(box)) };
+        _fieldCache.set(cacheKey, entry);
+    }
+    return fieldWaypoint(entry.field, x, y);
+}
+
+/** Drops every cached trough field (tests, world reload). */
+export function clearPathCache() {
+    _fieldCache.clear();
+}
+
+function _octile(i, j) {
+    const dx = Math.abs(i);
+    const dy = Math.abs(j);
+    return dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
+}
+
+function _nearestFree(grid, x, y) {
+    const [i, j] = grid.nearest(x, y);
+    if (grid.free(i, j)) return [i, j];
+    for (const [di, dj] of NEIGHBORS) {
+        if (grid.free(i + di, j + dj)) return [i + di, j + dj];
+    }
+    return null;
+}
+
+function _tracePath(grid, came, goalIdx) {
+    const nodes = [];
+    for (let n = goalIdx; n !== -1; n = came[n]) nodes.push(n);
+    nodes.reverse();
+
+    const points = [];
+    for (let k = 1; k < nodes.length; k++) {
+        const i = grid.col(nodes[k]);
+        const j = grid.row(nodes[k]);
+        const next = nodes[k + 1];
+        // Mantém só os nós onde a direção muda (e o último).
+        if (next !== undefined) {
+            const pi = grid.col(nodes[k - 1]);
+            const pj = grid.row(nodes[k - 1]);
+            if (grid.col(next) - i === i - pi && grid.row(next) - j === j - pj) continue;
+        }
+        points.push(grid.pos(i, j));
+    }
+    return points;
+}
@@ -16,6 +16,10 @@
  * O estado (gestação/cooldown por cercado+família) é persistido por slot via
  * o export do theWorld (`breeding`), como enclosureSpecies/animalTombs.
  *
+ * Genética: no acasalamento o pai fica registrado (`fatherId`) ao lado da mãe;
+ * no parto o filhote recebe `inheritGenome(mãe, pai)` (ver genetics.js). Os
+ * pais também vão no `animalBorn`, de onde o pedigreeSystem monta a árvore.
+ *
  * Design: UMA gestação por família por cercado (não por casal). Simplifica a
  * persistência e limita naturalmente a superpopulação (um nascimento por ciclo
  * de gestação por família), atendendo "no runaway overpopulation".
@@ -25,6 +29,7 @@ import { registerSystem, getSystem } from '../gameState.js';
 import { logger } from '../logger.js';
 import { animals } from '../theWorld.js';
 import { t } from '../i18n/i18n.js';
+import { inheritGenome } from './genetics.js';
 
 // Asset adulto → família de reprodução + o filhote que gera. Dois adultos da
 // mesma família com gêneros opostos formam um casal.
@@ -50,7 +55,8 @@ const BREEDABLE_STAGES = new Set(['adult', 'mature']);
 
 class BreedingSystem {
   constructor() {
-    // _state[enclosureId][family] = { gestation: number|null, cooldown: number }
+    // _state[enclosureId][family] = { gestation: number|null, cooldown: number,
+    //                                 motherId, fatherId }
     this._state = {};
     this._abortController = null;
     this._init();
@@ -135,7 +141,7 @@ class BreedingSystem {
     for (const [encId, b] of byEnc) {
       const st = this._state[encId] || (this._state[encId] = {});
       for (const [family, fam] of b.fams) {
-        const fs = st[family] || (st[family] = { gestation: null, cooldown: 0, motherId: null });
+        const fs = st[family] || (st[family] = { gestation: null, cooldown: 0, motherId: null, fatherId: null });
 
         if (fs.cooldown > 0) { fs.cooldown--; continue; }
 
@@ -147,6 +153,7 @@ class BreedingSystem {
           // (estilo Minecraft). A partir daqui a fêmea fica grávida.
           fs.gestation = GESTATION_DAYS;
           fs.motherId = fam.females[0].id;
+          fs.fatherId = fam.males[0].id;
           fam.females[0]._pregnant = true; // selo já no mesmo tick do acasalamento
           this._loveFx(fam.males[0]);
           this._loveFx(fam.females[0]);
@@ -166,28 +173,37 @@ class BreedingSystem {
 
         if (fs.gestation === 0) {
           if (b.total >= ENCLOSURE_CAP) continue; // cheio — tenta de novo amanhã
-          const baby = enc.birthAnimal?.(encId, fam.young);
+          // Pai vendido/morto durante a gestação: o macho presente assume
+          // (mesma regra da mãe acima). Genoma ausente = fundador.
+          const mom = byId.get(fs.motherId);
+          const dad = byId.get(fs.fatherId) || fam.males[0];
+          const baby = enc.birthAnimal?.(encId, fam.young, {
+            genome: inheritGenome(mom?.genome, dad?.genome),
+          });
           if (baby) {
             b.total++;
-            const mom = byId.get(fs.motherId);
             if (mom) mom._pregnant = false; // deixou de estar grávida ao parir
             fs.gestation = null;
             fs.motherId = null;
+            fs.fatherId = null;
             fs.cooldown = COOLDOWN_DAYS;
             this._onBirth(baby);
             document.dispatchEvent(new CustomEvent('animalBorn', {
-              detail: { animal: baby, enclosureId: encId, family },
+              detail: { animal: baby, enclosureId: encId, family, mother: mom || null, father: dad || null },
             }));
             logger.debug?.(`[breeding] ${fam.young} nasceu no cercado ${encId}`);
 
             // Gêmeos raros: pequena chance de um 2º filhote (respeita capacidade).
             if (Math.random() < LITTER_TWIN_CHANCE && b.total < ENCLOSURE_CAP) {
-              const twin = enc.birthAnimal?.(encId, fam.young);
+              // Gêmeo tem sorteio próprio — irmãos não saem idênticos.
+              const twin = enc.birthAnimal?.(encId, fam.young, {
+                genome: inheritGenome(mom?.genome, dad?.genome),
+              });
               if (twin) {
                 b.total++;
                 this._onBirth(twin);
                 document.dispatchEvent(new CustomEvent('animalBorn', {
-                  detail: { animal: twin, enclosureId: encId, family, twin: true },
+                  detail: { animal: twin, enclosureId: encId, family, twin: true, mother: mom || null, father: dad || null },
                 }));
                 logger.debug?.(`[breeding] gêmeo ${fam.young} nasceu no cercado ${encId}`);
               }
@@ -0,0 +1,466 @@
+/**
+ * @file catSystem.js - Gatinho da fazenda (filhote da Madalena)
+ *
+ * Depois da quest da Milly ela oferece um dos filhotes da ninhada da
+ * Madalena (`npcMilly.js`). Diferente do cão, o gato NÃO é um AnimalEntity:
+ * não come no cocho, não adoece, não entra em cercado nem vai pro
+ * abatedouro. É um bichinho solto, no mesmo molde da Madalena da quest —
+ * sprite próprio, hitbox QUEST_ANIMAL pra tecla E e um objeto no Y-sort.
+ *
+ *   - home:   passeia em volta da porta da casa da fazenda.
+ *   - follow: vai atrás do jogador pela fazenda.
+ *
+ * Das 20:00 às 06:00 volta pra porta e dorme dentro de casa (some do mapa,
+ * sem hitbox); de manhã sai pela porta de novo. Carinho uma vez por dia dá
+ * um pouco de energia ao jogador.
+ *
+ * Estado por slot no payload do theWorld (`pet`).
+ *
+ * API pública:
+ *   cat.isAdopted()         → já tem o gatinho?
+ *   cat.adopt()             → { ok, reason? }
+ *   cat.command(mode)       → { ok, reason? } (home/follow)
+ *   cat.pet()               → { ok, energy?, reason? }
+ *   cat.canPetToday()
+ *   cat.isAsleep()          → dentro de casa?
+ *   cat.update(now?)
+ *   cat.getWorldObjects(mapId)
+ *   cat.onInteract()        → diálogo (carinho / seguir / ficar)
+ *   cat.serializeState() / cat.restoreState(data)
+ */
+
+import { registerSystem, getSystem, getObject } from '../gameState.js';
+import { logger } from '../logger.js';
+import { i18n } from '../i18n/i18n.js';
+import { camera } from '../thePlayer/cameraSystem.js';
+import { collisionSystem } from '../collisionSystem.js';
+import { WORLD_GENERATOR_CONFIG } from '../generatorSeeds.js';
+
+export const CatMode = {
+  HOME: 'home',
+  FOLLOW: 'follow',
+};
+
+export const CAT_NAME = 'Pipoca';
+// Energia devolvida ao jogador pelo carinho do dia.
+export const PET_ENERGY = 5;
+
+const C = 'npc.milly.kitten';
+const CAT_SPRITE_SRC = 'assets/animals/Black&WhiteCat.png';
+const CAT_PORTRAIT = 'assets/animals/madalena.png';
+const HITBOX_ID = 'farm_pet_cat';
+
+// Sheet 4×8: caminhada (cima/direita/baixo/esquerda) e depois poses;
+// a linha 4 é o gato sentado.
+const SHEET_COLS = 4;
+const SHEET_ROWS = 8;
+const DIR_ROWS = { up: 0, right: 1, down: 2, left: 3 };
+const SIT_ROW = 4;
+const FRAME_MS = 150;
+const SIT_FRAME_MS = 600;
+
+// Filhote: menor que a Madalena (32).
+const DRAW_SIZE = 28;
+const HITBOX_WIDTH = 22;
+const HITBOX_HEIGHT = 12;
+
+const NIGHT_HOUR = 20;
+const MORNING_HOUR = 6;
+
+// Passeio em volta da porta — só pra baixo, longe das paredes.
+const WANDER_RADIUS_X = 180;
+const WANDER_RADIUS_Y = 140;
+const WANDER_SPEED = 40; // px/s
+const FOLLOW_SPEED = 140; // um tico abaixo do jogador (150)
+const IDLE_MIN_MS = 3000;
+const IDLE_MAX_MS = 8000;
+// Segue até essa distância do jogador e para; longe demais (portal, sono)
+// reaparece do lado dele.
+const FOLLOW_GAP = 56;
+const FOLLOW_TELEPORT = 900;
+const ARRIVE_DIST = 4;
+// Passo máximo por frame, pra não atravessar meio mapa depois de um lag.
+const MAX_STEP_MS = 100;
+// Pés do gato abaixo da parede da casa.
+const DOOR_GAP = 20;
+
+function _now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function _hour() {
+  const time = getSystem('weather')?.currentTime;
+  return typeof time === 'number' ? Math.floor(time / 60) : 12;
+}
+
+function _isNight() {
+  const hour = _hour();
+  return hour >= NIGHT_HOUR || hour < MORNING_HOUR;
+}
+
+/** Dia de jogo atual, pro carinho "uma vez por dia". */
+function _dayKey() {
+  const w = getSystem('weather');
+  return `${w?.year ?? 1}-${w?.month ?? 1}-${w?.day ?? 1}`;
+}
+
+function _currentMapId() {
+  return getSystem('mapManager')?.getCurrentMapId?.() || 'farm';
+}
+
+function _playerFeet() {
+  const p = getObject('currentPlayer');
+  if (!p) return null;
+  return { x: p.x + (p.width || 32) / 2, y: p.y + (p.height || 32) };
+}
+
+function _t(key, params) {
+  return i18n.t(`${C}.${key}`, params);
+}
+
+function _playerName() {
+  const id = getSystem('player')?.activeCharacter?.id || 'stella';
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+function _playerPortrait() {
+  const id = getSystem('player')?.activeCharacter?.id || 'stella';
+  return `assets/character/${id}/dialog_${id.charAt(0).toUpperCase() + id.slice(1)}_00.png`;
+}
+
+let _img = null;
+function _loadSprite() {
+  if (_img || typeof Image === 'undefined') return _img;
+  _img = new Image();
+  _img.onerror = () => logger.error(`[catSystem] Falha ao carregar sprite: ${CAT_SPRITE_SRC}`);
+  _img.src = CAT_SPRITE_SRC;
+  return _img;
+}
+
+const catSystem = {
+  _adopted: false,
+  _name: CAT_NAME,
+  _mode: CatMode.HOME,
+  _x: 0,
+  _y: 0,
+  _asleep: false,
+  _lastPetKey: null,
+  // Runtime (não vai pro save).
+  _target: null,
+  _idleUntil: 0,
+  _facing: 'down',
+  _moving: false,
+  _lastTick: null,
+
+  isAdopted() {
+    return this._adopted;
+  },
+
+  getName() {
+    return this._name;
+  },
+
+  getMode() {
+    return this._mode;
+  },
+
+  getPosition() {
+    return { x: this._x, y: this._y };
+  },
+
+  isAsleep() {
+    return this._asleep;
+  },
+
+  /**
+   * Ponto na frente da porta da casa da fazenda (pés do gato). Usa a porta
+   * do houseSystem quando já existe; senão o meio da casa pelo gerador.
+   */
+  homePoint() {
+    const cfg = WORLD_GENERATOR_CONFIG.HOUSES;
+    const door = getSystem('house')?.houseInteractionHitbox;
+    const x = door ? door.x + door.width / 2 : cfg.SPAWN_POSITION.x + cfg.WIDTH / 2;
+    return { x, y: cfg.SPAWN_POSITION.y + cfg.HEIGHT + DOOR_GAP };
+  },
+
+  /** Milly entrega o filhote; ele espera na porta de casa. */
+  adopt() {
+    if (this._adopted) return { ok: false, reason: 'already_have' };
+    const home = this.homePoint();
+    this._adopted = true;
+    this._name = CAT_NAME;
+    this._mode = CatMode.HOME;
+    this._x = home.x;
+    this._y = home.y;
+    this._asleep = false;
+    this._lastPetKey = null;
+    this._target = null;
+    this._idleUntil = 0;
+    _loadSprite();
+    this._syncHitbox();
+    document.dispatchEvent(new CustomEvent('catAdopted', { detail: { name: this._name } }));
+    return { ok: true };
+  },
+
+  command(mode) {
+    if (!this._adopted) return { ok: false, reason: 'no_cat' };
+    if (mode !== CatMode.HOME && mode !== CatMode.FOLLOW) return { ok: false, reason: 'unknown_mode' };
+    this._mode = mode;
+    this._target = null;
+    this._idleUntil = 0;
+    return { ok: true };
+  },
+
+  canPetToday() {
+    return this._adopted && !this._asleep && this._lastPetKey !== _dayKey();
+  },
+
+  /** Carinho do dia: um pouco de energia pro jogador. */
+  pet() {
+    if (!this._adopted) return { ok: false, reason: 'no_cat' };
+    if (this._asleep) return { ok: false, reason: 'asleep' };
+    if (this._lastPetKey === _dayKey()) return { ok: false, reason: 'already_petted' };
+    this._lastPetKey = _dayKey();
+    getSystem('player')?.restoreNeeds?.(0, 0, PET_ENERGY);
+    document.dispatchEvent(new CustomEvent('catPetted', { detail: { name: this._name, energy: PET_ENERGY } }));
+    return { ok: true, energy: PET_ENERGY };
+  },
+
+  // ─── Movimento ────────────────────────────────────────────────────────────
+
+  /** Anda até `target`; true quando chegou. */
+  _walk(target, speed, dtMs) {
+    const dx = target.x - this._x;
+    const dy = target.y - this._y;
+    const dist = Math.hypot(dx, dy);
+    const step = speed * (dtMs / 1000);
+    if (dist <= Math.max(ARRIVE_DIST, step)) {
+      this._x = target.x;
+      this._y = target.y;
+      this._moving = false;
+      return true;
+    }
+    this._x += (dx / dist) * step;
+    this._y += (dy / dist) * step;
+    this._facing = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+    this._moving = true;
+    return false;
+  },
+
+  _pickWanderTarget(rng = Math.random) {
+    const home = this.homePoint();
+    return {
+      x: home.x + (rng() * 2 - 1) * WANDER_RADIUS_X,
+      y: home.y + rng() * WANDER_RADIUS_Y,
+    };
+  },
+
+  _tickHome(now, dtMs) {
+    if (!this._target) {
+      this._moving = false;
+      if (now < this._idleUntil) return;
+      this._target = this._pickWanderTarget();
+    }
+    if (this._walk(this._target, WANDER_SPEED, dtMs)) {
+      this._target = null;
+      this._idleUntil = now + IDLE_MIN_MS + Math.random() * (IDLE_MAX_MS - IDLE_MIN_MS);
+    }
+  },
+
+  _tickFollow(dtMs) {
+    const feet = _playerFeet();
+    if (!feet) return;
+    const dist = Math.hypot(feet.x - this._x, feet.y - this._y);
+    if (dist > FOLLOW_TELEPORT) {
+      this._x = feet.x + FOLLOW_GAP;
+      this._y = feet.y;
+      this._moving = false;
+      return;
+    }
+    if (dist <= FOLLOW_GAP) {
+      this._moving = false;
+      return;
+    }
+    // Para a FOLLOW_GAP do jogador, no lado de onde vem.
+    const k = (dist - FOLLOW_GAP) / dist;
+    this._walk({ x: this._x + (feet.x - this._x) * k, y: this._y + (feet.y - this._y) * k }, FOLLOW_SPEED, dtMs);
+  },
+
+  update(now = _now()) {
+    const dtMs = this._lastTick == null ? 0 : Math.min(MAX_STEP_MS, Math.max(0, now - this._lastTick));
+    this._lastTick = now;
+    if (!this._adopted || _currentMapId() !== 'farm') return;
+
+    if (_isNight()) {
+      if (!this._asleep) {
+        // Volta pra porta e entra; no escuro, do jeito que estiver.
+        if (this._walk(this.homePoint(), FOLLOW_SPEED, dtMs)) {
+          this._asleep = true;
+          this._target = null;
+        }
+      }
+    } else if (this._asleep) {
+      const home = this.homePoint();
+      this._asleep = false;
+      this._x = home.x;
+      this._y = home.y;
+      this._idleUntil = now + IDLE_MIN_MS;
+    } else if (this._mode === CatMode.FOLLOW) {
+      this._tickFollow(dtMs);
+    } else {
+      this._tickHome(now, dtMs);
+    }
+
+    this._syncHitbox();
+  },
+
+  // ─── Hitbox / desenho ─────────────────────────────────────────────────────
+
+  _hitboxRect() {
+    return { x: this._x - HITBOX_WIDTH / 2, y: this._y - HITBOX_HEIGHT };
+  },
+
+  /**
+   * Hitbox só existe com o gato acordado na fazenda. Transição de mapa e
+   * load limpam o collisionSystem — aqui ela volta no próximo frame.
+   */
+  _syncHitbox() {
+    const want = this._adopted && !this._asleep && _currentMapId() === 'farm';
+    const has = collisionSystem.hitboxes?.has?.(HITBOX_ID);
+    if (!want) {
+      if (has) collisionSystem.removeHitbox(HITBOX_ID);
+      return;
+    }
+    const { x, y } = this._hitboxRect();
+    if (has) {
+      collisionSystem.updateHitboxPosition(HITBOX_ID, x, y);
+      return;
+    }
+    collisionSystem.addHitbox(HITBOX_ID, 'QUEST_ANIMAL', x, y, HITBOX_WIDTH, HITBOX_HEIGHT, {
+      id: HITBOX_ID,
+      type: 'QUEST_ANIMAL',
+      originalType: 'quest_animal',
+      entity: 'cat',
+      name: this._name,
+      x,
+      y,
+      width: HITBOX_WIDTH,
+      height: HITBOX_HEIGHT,
+    });
+  },
+
+  isCatHitbox(objectId) {
+    return objectId === HITBOX_ID;
+  },
+
+  _draw(ctx) {
+    const img = _loadSprite();
+    if (!ctx || !img?.complete || !img.naturalWidth) return;
+    if (typeof camera?.worldToScreen !== 'function') return;
+
+    const zoom = camera.zoom || 1;
+    const screen = camera.worldToScreen(this._x - DRAW_SIZE / 2, this._y - DRAW_SIZE);
+    const size = Math.floor(DRAW_SIZE * zoom);
+    const fw = Math.floor(img.naturalWidth / SHEET_COLS);
+    const fh = Math.floor(img.naturalHeight / SHEET_ROWS);
+
+    const now = _now();
+    const row = this._moving ? DIR_ROWS[this._facing] : SIT_ROW;
+    const col = Math.floor(now / (this._moving ? FRAME_MS : SIT_FRAME_MS)) % SHEET_COLS;
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(img, col * fw, row * fh, fw, fh, Math.floor(screen.x), Math.floor(screen.y), size, size);
+    ctx.restore();
+  },
+
+  /** Objeto do Y-sort (theWorld.getSortedWorldObjects). */
+  getWorldObjects(mapId) {
+    if (mapId !== 'farm' || !this._adopted || this._asleep) return [];
+    return [{
+      type: 'QUEST_ANIMAL',
+      id: HITBOX_ID,
+      x: this._x - DRAW_SIZE / 2,
+      y: this._y - DRAW_SIZE,
+      width: DRAW_SIZE,
+      height: DRAW_SIZE,
+      draw: (ctx) => this._draw(ctx),
+    }];
+  },
+
+  // ─── Diálogo ──────────────────────────────────────────────────────────────
+
+  onInteract() {
+    if (!this._adopted || this._asleep) return;
+    const dlg = getSystem('dialogue');
+    if (!dlg) {
+      logger.warn('[catSystem] DialogueSystem not available');
+      return;
+    }
+    const name = this._name;
+    const reply = { side: 'right', text: '', thought: true, end: true };
+
+    const options = [
+      {
+        text: _t('choicePet', { name }),
+        onSelect: () => {
+          const res = this.pet();
+          reply.text = res.ok
+            ? _t('petted', { name, energy: res.energy })
+            : _t('alreadyPetted', { name });
+        },
+      },
+      this._mode === CatMode.FOLLOW
+        ? { text: _t('choiceStay'), onSelect: () => { this.command(CatMode.HOME); reply.text = _t('staying', { name }); } }
+        : { text: _t('choiceFollow'), onSelect: () => { this.command(CatMode.FOLLOW); reply.text = _t('following', { name }); } },
+      { text: _t('choiceLeave'), end: true },
+    ];
+
+    // `reply` vem logo depois da escolha; o onSelect preenche o texto.
+    dlg.start({
+      left: { name: _playerName(), portrait: _playerPortrait() },
+      right: { name, portrait: CAT_PORTRAIT },
+      lines: [
+        { side: 'right', text: _t('greet', { name }), thought: true },
+        { side: 'left', text: '', type: 'choice', options },
+        reply,
+      ],
+    });
+  },
+
+  // ─── Save ─────────────────────────────────────────────────────────────────
+
+  serializeState() {
+    if (!this._adopted) return { adopted: false };
+    return {
+      adopted: true,
+      name: this._name,
+      mode: this._mode,
+      x: Math.round(this._x),
+      y: Math.round(this._y),
+      asleep: this._asleep,
+      lastPetKey: this._lastPetKey,
+    };
+  },
+
+  restoreState(data = {}) {
+    this._adopted = !!data?.adopted;
+    this._name = data?.name || CAT_NAME;
+    this._mode = data?.mode === CatMode.FOLLOW ? CatMode.FOLLOW : CatMode.HOME;
+    const home = this._adopted ? this.homePoint() : { x: 0, y: 0 };
+    this._x = typeof data?.x === 'number' ? data.x : home.x;
+    this._y = typeof data?.y === 'number' ? data.y : home.y;
+    this._asleep = !!data?.asleep;
+    this._lastPetKey = data?.lastPetKey ?? null;
+    this._target = null;
+    this._idleUntil = 0;
+    this._moving = false;
+    if (this._adopted) _loadSprite();
+    this._syncHitbox();
+  },
+};
+
+registerSystem('cat', catSystem);
+
+export { catSystem };
+export default catSystem;
@@ -22,8 +22,19 @@
  *   peso pelos modificadores que dispararam (ex.: inverno favorece
  *   `respiratory`, fome favorece `digestive`).
  *
- * Estado guardado em `animal.disease = { id, daysSince, diagnosed }`,
- * persistido junto com a entidade pelo serialize/deserialize do animal.
+ * Contágio (por doença, ver `CONTAGION`): um animal doente expõe os vizinhos
+ * dentro do raio de contato e, com chance menor, todo o cercado onde está.
+ * O exposto incuba por alguns dias (`animal.exposure`) antes dos sintomas —
+ * nesse meio tempo ainda não transmite. Cercados marcados como quarentena
+ * (enclosureSystem) bloqueiam o contágio pra dentro e pra fora deles.
+ * Vacina ativa (vaccinationSystem) reduz as duas chances — espontânea e
+ * contágio — só da doença contra a qual o animal foi vacinado.
+ * Cada `dayChanged` gera um boletim (`outbreakReport`) com os expostos e os
+ * que adoeceram; os últimos dias ficam em `getReports()` (por slot).
+ *
+ * Estado guardado em `animal.disease = { id, daysSince, diagnosed }` e
+ * `animal.exposure = { id, daysLeft, sourceId, day }`, persistidos junto
+ * com a entidade pelo serialize/deserialize do animal.
  *
  * Uso:
  *   import { diseaseSystem } from './animal/diseaseSystem.js';
@@ -32,12 +43,15 @@
  *   diseaseSystem.isUndiagnosedSick(animal); // true → mostrar "?" na UI
  *   diseaseSystem.markDiagnosed(animal);    // (usado pelo fluxo de diagnóstico depois)
  *   diseaseSystem.clear(animal);
+ *   diseaseSystem.getReports();             // boletins de surto, mais recente primeiro
  */
 
 import { registerSystem, getSystem } from '../gameState.js';
 import { logger } from '../logger.js';
 import { animals } from '../theWorld.js';
 import { items } from '../item.js';
+import { diseaseRiskMult } from './genetics.js';
+import { vaccineRiskMult } from './vaccinationSystem.js';
 
 export const DiseaseId = Object.freeze({
   PARASITOSIS: 'parasitosis',
@@ -58,15 +72,21 @@ const HUNGER_THRESHOLD = 30;
 const MORAL_THRESHOLD  = 30;
 const MAX_DAILY_RISK   = 0.07;
 
-// ─── Contágio (cercado-only) ────────────────────────────────────────────────
-// Animal saudável num cercado COM animais doentes tem risco extra somado.
-// Apenas anima dentro de cercado fechado contagia/é contagiado — animais
-// soltos seguem só com risco base (incentiva player a usar cercados, mas
-// também permite estratégia de "soltar o doente" pra evitar surto).
-const CONTAGION_RISK_PER_SICK     = 0.04;  // +4% por vizinho doente
-const CONTAGION_RISK_CAP          = 0.20;  // limite do bônus de contágio
-const CONTAGION_MAX_TOTAL_RISK    = 0.25;  // risco final cap (com contágio)
-const CONTAGION_SAME_DISEASE_PROB = 0.70;  // 70% pega A MESMA doença do vizinho
+// ─── Contágio ───────────────────────────────────────────────────────────────
+// Por doença:
+//   incubationDays — dias entre a exposição e os sintomas
+//   radius         — contato direto (px, centro a centro), atravessa cerca
+//   contactRisk    — chance/dia por fonte doente dentro do raio
+//   penRisk        — chance/dia por fonte doente no MESMO cercado, fora do raio
+// Respiratória é a que mais pega (ar); digestiva quase só por contato.
+export const CONTAGION = Object.freeze({
+  parasitosis: { incubationDays: 3, radius: 48, contactRisk: 0.06, penRisk: 0.03 },
+  respiratory: { incubationDays: 2, radius: 96, contactRisk: 0.10, penRisk: 0.05 },
+  digestive:   { incubationDays: 1, radius: 40, contactRisk: 0.05, penRisk: 0.02 },
+  fever:       { incubationDays: 2, radius: 64, contactRisk: 0.08, penRisk: 0.03 },
+});
+const MAX_EXPOSURE_RISK = 0.35;  // cap diário somando todas as fontes
+const MAX_REPORTS       = 7;     // boletins guardados (um por dia)
 
 // ─── Pesos para sorteio condicional da doença ───────────────────────────────
 // A cada condição ativa, soma-se o bônus correspondente sobre os pesos
@@ -112,6 +132,7 @@ function _currentMonotonicMinutes() {
 class DiseaseSystem {
   constructor() {
     this._abortController = null;
+    this._reports = [];
     this._init();
   }
 
@@ -119,9 +140,8 @@ class DiseaseSystem {
     if (typeof document === 'undefined') return;
     if (this._abortController) this._abortController.abort();
     this._abortController = new AbortController();
-    document.addEventListener('dayChanged', () => {
-      this.tickAll();
-      this.rollDailyForAll();
+    document.addEventListener('dayChanged', (e) => {
+      this.runDaily(e.detail?.day);
     }, { signal: this._abortController.signal });
     // Note: diagnósticos NÃO auto-fecham. Quando o relógio cruza
     // `endMinutes` o estado entra em "ready", e o player precisa
@@ -331,16 +351,34 @@ class DiseaseSystem {
     return { ok: true, fee, diseaseId };
   }
 
-  /** Avança 1 dia para um animal (apenas incrementa contador por enquanto). */
+  /**
+   * Avança 1 dia para um animal: conta os dias de doença e a incubação.
+   * @returns {boolean} true se a incubação terminou e os sintomas surgiram hoje.
+   */
   tickDay(animal) {
     const d = this.get(animal);
-    if (!d) return;
-    d.daysSince = (d.daysSince ?? 0) + 1;
+    if (d) {
+      d.daysSince = (d.daysSince ?? 0) + 1;
+      // Adoeceu por outra causa durante a incubação — a exposição perde o sentido.
+      if (animal.exposure) animal.exposure = null;
+      return false;
+    }
+    const exp = animal?.exposure;
+    if (!exp) return false;
+    exp.daysLeft = (exp.daysLeft ?? 0) - 1;
+    if (exp.daysLeft > 0) return false;
+    animal.exposure = null;
+    return !!this.set(animal, exp.id);
   }
 
+  /** @returns {object[]} animais cuja incubação terminou hoje. */
   tickAll() {
-    if (!Array.isArray(animals)) return;
-    for (const a of animals) this.tickDay(a);
+    if (!Array.isArray(animals)) return [];
+    const manifested = [];
+    for (const a of animals) {
+      if (this.tickDay(a)) manifested.push(a);
+    }
+    return manifested;
   }
 
   /**
@@ -350,8 +388,10 @@ class DiseaseSystem {
   _computeDailyRisk(animal) {
     const stats = animal?.stats || {};
     const weather = getSystem('weather');
-    const inWinter   = weather?.seasonKey === 'winter';
-    const isBlizzard = weather?.weatherType === 'blizzard';
+    // Abrigado no celeiro/galinheiro (shelterSystem): frio e nevasca não contam.
+    const exposed    = !animal?.sheltered;
+    const inWinter   = exposed && weather?.seasonKey === 'winter';
+    const isBlizzard = exposed && weather?.weatherType === 'blizzard';
     const lowHunger  = (stats.hunger ?? 100) < HUNGER_THRESHOLD;
     const lowMoral   = (stats.moral  ?? 100) < MORAL_THRESHOLD;
 
@@ -385,88 +425,172 @@ class DiseaseSystem {
   }
 
   /**
-   * Mapa enclosureId → Set<diseaseId> com a lista de doenças ativas em
-   * cada cercado. Usado pelo roll diário pra calcular contágio.
-   * Animais fora de cercado fechado são ignorados (não contagiam).
+   * Fontes de contágio: animais doentes no mundo (internados já saíram do
+   * array), com o cercado onde estão. Foto tirada ANTES do roll — quem é
+   * exposto hoje só transmite depois da incubação, então não vira avalanche.
    */
-  _buildInfectionMap() {
-    const result = new Map();
-    const enclosureSys = getSystem('enclosure');
-    if (!enclosureSys || typeof enclosureSys.getEnclosureAtPoint !== 'function') {
-      return result;
+  _collectSources(enclosureSys) {
+    const sources = [];
+    for (const a of animals) {
+      if (!a?.disease || a.hospitalized || !CONTAGION[a.disease.id]) continue;
+      sources.push({ animal: a, enc: _enclosureOf(enclosureSys, a), ...(_center(a)) });
     }
+    return sources;
+  }
+
+  /**
+   * Rotas de contágio de cada fonte até `animal`, com a chance de cada uma
+   * (já reduzida se o animal é vacinado contra a doença da fonte).
+   * Quarentena: fonte e alvo em cercados diferentes, um deles quarentena →
+   * bloqueado (conta em `blocked` só se haveria rota sem a quarentena).
+   * @returns {{ routes: {source, route: 'contact'|'pen', chance}[], blocked: number }}
+   */
+  _exposureRoutes(animal, sources, enclosureSys) {
+    const enc = _enclosureOf(enclosureSys, animal);
+    const { x, y } = _center(animal);
+    const routes = [];
+    let blocked = 0;
+    for (const src of sources) {
+      if (src.animal === animal) continue;
+      const cfg = CONTAGION[src.animal.disease.id];
+      const samePen = !!enc && src.enc?.id === enc.id;
+      const inRadius = Math.hypot(src.x - x, src.y - y) <= cfg.radius;
+      let route = null;
+      if (inRadius) route = { route: 'contact', chance: cfg.contactRisk };
+      else if (samePen) route = { route: 'pen', chance: cfg.penRisk };
+      if (!route) continue;
+      if (!samePen && (enc?.quarantine || src.enc?.quarantine)) { blocked++; continue; }
+      route.chance *= vaccineRiskMult(animal, src.animal.disease.id);
+      routes.push({ source: src.animal, ...route });
+    }
+    return { routes, blocked };
+  }
+
+  /**
+   * Rodada diária de contágio: cada animal saudável (e não incubando) soma
+   * as rotas até os doentes — P = 1 − Π(1 − pᵢ), cap 35%, × gene de
+   * resistência. Se pega, a fonte é sorteada pelo peso da rota e o animal
+   * entra em incubação com a doença dela.
+   * @returns {{ exposed: object[], blocked: number }}
+   */
+  spreadContagion() {
+    const out = { exposed: [], blocked: 0 };
+    if (!Array.isArray(animals)) return out;
+    const enclosureSys = getSystem('enclosure');
+    const sources = this._collectSources(enclosureSys);
+    if (sources.length === 0) return out;
+
+    const day = getSystem('weather')?.day ?? 0;
     for (const a of animals) {
-      if (!a?.disease) continue;
-      // Use o centro do sprite, não a top-left, pra cair certinho dentro
-      // do cercado (animal grande no canto ainda conta).
-      const cx = a.x + (a.width || 0) / 2;
-      const cy = a.y + (a.height || 0) / 2;
-      const enc = enclosureSys.getEnclosureAtPoint(cx, cy);
-      if (!enc) continue;
-      let set = result.get(enc.id);
-      if (!set) { set = new Set(); result.set(enc.id, set); }
-      set.add(a.disease.id);
+      if (!a || this.has(a) || a.exposure || a.hospitalized) continue;
+      const { routes, blocked } = this._exposureRoutes(a, sources, enclosureSys);
+      out.blocked += blocked;
+      if (routes.length === 0) continue;
+
+      const escape = routes.reduce((p, r) => p * (1 - r.chance), 1);
+      const risk = Math.min(1 - escape, MAX_EXPOSURE_RISK) * diseaseRiskMult(a.genome);
+      if (Math.random() >= risk) continue;
+
+      const total = routes.reduce((sum, r) => sum + r.chance, 0);
+      let r = Math.random() * total;
+      const hit = routes.find(rt => (r -= rt.chance) <= 0) || routes[routes.length - 1];
+      const id = hit.source.disease.id;
+      a.exposure = { id, daysLeft: CONTAGION[id].incubationDays, sourceId: hit.source.id, day };
+      out.exposed.push({ animal: a, source: hit.source, route: hit.route });
     }
-    return result;
+    return out;
   }
 
   /**
-   * Roda a chance diária de adoecer em todos os animais saudáveis.
-   * Pula animais já doentes ou hospitalizados.
-   *
-   * Contágio: animais saudáveis dentro de cercado COM animais doentes
-   * ganham bônus de risco (+4% por vizinho doente, cap +20%). Quando
-   * adoecem, 70% das vezes pegam A MESMA doença de um vizinho (epidemia),
-   * 30% das vezes pega via pesos normais (outras causas atuando).
+   * Roda a chance diária de adoecer "do nada" (clima, fome, carinho) em
+   * todos os animais saudáveis. Pula doentes, incubando e hospitalizados —
+   * o contágio entre animais fica no `spreadContagion`.
    *
    * @returns {number} quantidade de animais que adoeceram nesse tick.
    */
   rollDailyForAll() {
-    if (!Array.isArray(animals)) return 0;
-
-    // Snapshot do mapa de infecção ANTES do roll. Sem isso, um animal que
-    // adoecesse cedo no loop afetaria os tardios — viraria avalanche num
-    // único dia. Tirar foto no início garante "1 dia, 1 round de contágio".
-    const infectionMap = this._buildInfectionMap();
-    const enclosureSys = getSystem('enclosure');
+    return this._rollSpontaneous().length;
+  }
 
-    let infected = 0;
+  _rollSpontaneous() {
+    const fell = [];
+    if (!Array.isArray(animals)) return fell;
     for (const a of animals) {
-      if (this.has(a)) continue;
-      if (a?.hospitalized) continue;
-
-      const { risk, weights } = this._computeDailyRisk(a);
-
-      // Calcula bônus de contágio se o animal está num cercado infectado.
-      let contagionBump = 0;
-      let neighborDiseases = null;
-      if (enclosureSys && infectionMap.size > 0) {
-        const cx = a.x + (a.width || 0) / 2;
-        const cy = a.y + (a.height || 0) / 2;
-        const enc = enclosureSys.getEnclosureAtPoint?.(cx, cy);
-        const sicks = enc && infectionMap.get(enc.id);
-        if (sicks && sicks.size > 0) {
-          contagionBump = Math.min(sicks.size * CONTAGION_RISK_PER_SICK, CONTAGION_RISK_CAP);
-          neighborDiseases = Array.from(sicks);
-        }
-      }
-
-      const finalRisk = Math.min(risk + contagionBump, CONTAGION_MAX_TOTAL_RISK);
-
-      if (Math.random() < finalRisk) {
-        // Epidemia: 70% pega a mesma doença que o vizinho. 30% roll normal.
-        // Se não tem vizinho doente, sempre roll normal.
-        let pick;
-        if (neighborDiseases && Math.random() < CONTAGION_SAME_DISEASE_PROB) {
-          pick = neighborDiseases[Math.floor(Math.random() * neighborDiseases.length)];
-        } else {
-          pick = this._pickDisease(weights);
-        }
-        this.set(a, pick);
-        infected++;
+      if (!a || this.has(a) || a.exposure || a.hospitalized) continue;
+      const { risk, weights } = this._vaccinatedRisk(a, this._computeDailyRisk(a));
+      // Gene de resistência escala o risco final (0.7×–1.3×).
+      if (Math.random() < risk * diseaseRiskMult(a.genome)) {
+        this.set(a, this._pickDisease(weights));
+        fell.push(a);
       }
     }
-    return infected;
+    return fell;
+  }
+
+  /**
+   * Aplica as vacinas do animal ao sorteio espontâneo: o peso de cada doença
+   * é escalado pelo multiplicador da vacina e o risco total acompanha a
+   * fração que sobrou — vacina contra uma doença só tira a parte dela.
+   */
+  _vaccinatedRisk(animal, { risk, weights }) {
+    const total = Object.values(weights).reduce((s, w) => s + w, 0);
+    if (total <= 0) return { risk, weights };
+    const scaled = {};
+    for (const id in weights) scaled[id] = weights[id] * vaccineRiskMult(animal, id);
+    const left = Object.values(scaled).reduce((s, w) => s + w, 0);
+    return { risk: risk * (left / total), weights: scaled };
+  }
+
+  /**
+   * Virada do dia: incubação → sintomas, contágio, sorteio espontâneo e o
+   * boletim do dia. O boletim só é emitido (`outbreakReport`) se algo
+   * aconteceu — dia tranquilo não gera aviso.
+   */
+  runDaily(day = getSystem('weather')?.day ?? 0) {
+    const manifested = this.tickAll();
+    const { exposed, blocked } = this.spreadContagion();
+    const spontaneous = this._rollSpontaneous();
+
+    const report = {
+      day,
+      exposed: exposed.map(({ animal, source, route }) => ({
+        ..._reportAnimal(animal),
+        route,
+        sourceId: source.id,
+        sourceName: source.customName || null,
+        sourceAsset: source.assetName,
+        // Doença é oculta até o diagnóstico — o boletim não entrega o nome.
+        diseaseId: source.disease.diagnosed ? source.disease.id : null,
+      })),
+      fellIll: [
+        ...manifested.map(a => ({ ..._reportAnimal(a), cause: 'contagion' })),
+        ...spontaneous.map(a => ({ ..._reportAnimal(a), cause: 'spontaneous' })),
+      ],
+      blocked,
+    };
+    if (report.exposed.length === 0 && report.fellIll.length === 0) return report;
+
+    this._reports.unshift(report);
+    if (this._reports.length > MAX_REPORTS) this._reports.length = MAX_REPORTS;
+    document.dispatchEvent(new CustomEvent('outbreakReport', { detail: { report } }));
+    return report;
+  }
+
+  /** Boletins dos últimos dias com ocorrência, mais recente primeiro. */
+  getReports() {
+    return this._reports.map(r => ({ ...r, exposed: [...r.exposed], fellIll: [...r.fellIll] }));
+  }
+
+  // ─── Persistência (boletins por slot, via export do theWorld) ─────────────
+  serializeState() {
+    return { reports: this.getReports() };
+  }
+
+  restoreState(data) {
+    const reports = Array.isArray(data?.reports) ? data.reports : [];
+    this._reports = reports
+      .filter(r => r && Array.isArray(r.exposed) && Array.isArray(r.fellIll))
+      .slice(0, MAX_REPORTS);
   }
 
   /** Debug: aplica doenças variadas em todos os animais, ou limpa todos. */
@@ -484,6 +608,21 @@ class DiseaseSystem {
   }
 }
 
+function _center(a) {
+  return { x: a.x + (a.width || 0) / 2, y: a.y + (a.height || 0) / 2 };
+}
+
+// Centro do sprite, não o top-left — animal grande no canto ainda conta.
+function _enclosureOf(enclosureSys, a) {
+  if (typeof enclosureSys?.getEnclosureAtPoint !== 'function') return null;
+  const { x, y } = _center(a);
+  return enclosureSys.getEnclosureAtPoint(x, y);
+}
+
+function _reportAnimal(a) {
+  return { animalId: a.id, name: a.customName || null, assetName: a.assetName };
+}
+
 export const diseaseSystem = new DiseaseSystem();
 registerSystem('animalDisease', diseaseSystem);
 
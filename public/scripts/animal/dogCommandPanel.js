@@ -0,0 +1,258 @@
+/**
+ * @file dogCommandPanel.js - Painel de comandos do cão
+ *
+ * Aberto pelo botão "Comandos" do UiPanel quando o alvo é o cão. Três modos
+ * diretos (seguir / ficar / vigiar) e o pastoreio: o jogador marca os
+ * animais soltos, escolhe o cercado e o cão leva o grupo até lá
+ * (`dogSystem.herd`).
+ *
+ * Mesma moldura do painel do rebanho; classes `dcp-*` em
+ * `dog-command-panel.css`.
+ *
+ * API:
+ *   openDogCommandPanel(dog)
+ *   closeDogCommandPanel()
+ */
+
+import { getSystem } from '../gameState.js';
+import { t } from '../i18n/i18n.js';
+import { DogMode } from './animalAI.js';
+
+const OVERLAY_ID = 'dog-command-panel';
+const MODES = [
+  { mode: DogMode.FOLLOW, icon: '🐾' },
+  { mode: DogMode.STAY, icon: '✋' },
+  { mode: DogMode.GUARD, icon: '🛡️' },
+];
+
+let _abortController = null;
+
+function _speciesName(assetName) {
+  const k = `animals.${String(assetName || '').toLowerCase()}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _animalName(animal) {
+  return animal.customName || _speciesName(animal.assetName);
+}
+
+/** "Cercado 2" — numeração pela ordem atual de detecção. */
+function _penLabel(enc) {
+  const list = getSystem('enclosure')?.getEnclosures?.() || [];
+  const idx = list.findIndex(e => e.id === enc?.id);
+  return t('enclosure.livestock.penLabel', { n: idx >= 0 ? idx + 1 : '?' });
+}
+
+function _reasonMessage(reason) {
+  const k = `animal.dog.errors.${reason}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : t('animal.dog.errors.generic', { reason: String(reason) });
+}
+
+export function openDogCommandPanel(dog) {
+  if (!dog) return;
+
+  const old = document.getElementById(OVERLAY_ID);
+  if (old) old.remove();
+
+  _abortController?.abort();
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+
+  const card = document.createElement('div');
+  card.className = 'dcp-card';
+
+  const header = document.createElement('div');
+  header.className = 'dcp-header';
+  const title = document.createElement('h2');
+  title.className = 'dcp-title';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'dcp-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('animal.dog.close'));
+  closeBtn.addEventListener('click', () => closeDogCommandPanel(), { signal });
+  header.append(title, closeBtn);
+
+  const status = document.createElement('div');
+  status.className = 'dcp-status';
+
+  const modes = document.createElement('div');
+  modes.className = 'dcp-modes';
+  const modeBtns = MODES.map(({ mode, icon }) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'dcp-mode-btn';
+    btn.dataset.mode = mode;
+    btn.textContent = `${icon} ${t(`animal.dog.modes.${mode}`)}`;
+    btn.title = t(`animal.dog.modeTips.${mode}`);
+    btn.addEventListener('click', () => {
+      const res = getSystem('dog')?.command?.(mode) || { ok: false, reason: 'no_dog_system' };
+      if (res.ok) setToast(t(`animal.dog.toast.${mode}`, { name: _animalName(dog) }), 'success');
+      else setToast(_reasonMessage(res.reason), 'error');
+      render();
+    }, { signal });
+    modes.appendChild(btn);
+    return btn;
+  });
+
+  // Pastoreio: cercado de destino + animais soltos marcados.
+  const herdBox = document.createElement('div');
+  herdBox.className = 'dcp-herd';
+  const herdTitle = document.createElement('h3');
+  herdTitle.className = 'dcp-section-title';
+  herdTitle.textContent = t('animal.dog.herdTitle');
+  const herdRow = document.createElement('div');
+  herdRow.className = 'dcp-herd-row';
+  const penSelect = document.createElement('select');
+  penSelect.className = 'dcp-select';
+  penSelect.setAttribute('aria-label', t('animal.dog.penLabel'));
+  const herdBtn = document.createElement('button');
+  herdBtn.type = 'button';
+  herdBtn.className = 'dcp-btn';
+  herdBtn.textContent = t('animal.dog.herdBtn');
+  herdRow.append(penSelect, herdBtn);
+  const list = document.createElement('div');
+  list.className = 'dcp-list';
+  herdBox.append(herdTitle, herdRow, list);
+
+  const toast = document.createElement('div');
+  toast.className = 'dcp-toast';
+
+  function setToast(msg, state = '') {
+    toast.textContent = msg || '';
+    if (state) toast.dataset.state = state;
+    else delete toast.dataset.state;
+  }
+
+  const selected = new Set();
+
+  herdBtn.addEventListener('click', () => {
+    const res = getSystem('dog')?.herd?.([...selected], penSelect.value)
+      || { ok: false, reason: 'no_dog_system', joined: [], refused: [] };
+    if (res.ok) {
+      const pen = getSystem('enclosure')?.getEnclosures?.()?.find(e => e.id === penSelect.value);
+      let msg = t('animal.dog.toast.herd', { name: _animalName(dog), count: res.joined.length, pen: _penLabel(pen) });
+      if (res.refused.length) msg += ` ${t('animal.dog.toast.refused', { count: res.refused.length })}`;
+      setToast(msg, 'success');
+      selected.clear();
+    } else {
+      setToast(_reasonMessage(res.reason), 'error');
+    }
+    render();
+  }, { signal });
+
+  function render() {
+    const dogSys = getSystem('dog');
+    const current = dogSys?.getDog?.();
+    title.textContent = t('animal.dog.title', { name: _animalName(dog) });
+    if (current !== dog) {
+      status.textContent = '';
+      modes.hidden = true;
+      herdBox.hidden = true;
+      setToast(_reasonMessage('no_dog'), 'error');
+      return;
+    }
+
+    const sleeping = dog.mood === 'sleeping';
+    status.textContent = sleeping
+      ? t('animal.dog.sleeping')
+      : t('animal.dog.status', { mode: t(`animal.dog.modes.${dog.dogMode}`) });
+    for (const btn of modeBtns) {
+      btn.dataset.active = btn.dataset.mode === dog.dogMode ? '1' : '0';
+    }
+
+    const pens = getSystem('enclosure')?.getEnclosures?.() || [];
+    const prevPen = penSelect.value;
+    penSelect.replaceChildren();
+    for (const enc of pens) {
+      const opt = document.createElement('option');
+      opt.value = enc.id;
+      opt.textContent = _penLabel(enc);
+      penSelect.appendChild(opt);
+    }
+    if (pens.some(e => e.id === prevPen)) penSelect.value = prevPen;
+    penSelect.disabled = pens.length === 0;
+
+    list.replaceChildren();
+    const candidates = dogSys.herdCandidates();
+    for (const id of [...selected]) {
+      if (!candidates.some(a => a.id === id)) selected.delete(id);
+    }
+    if (candidates.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'dcp-empty';
+      empty.textContent = t('animal.dog.noLoose');
+      list.appendChild(empty);
+    }
+    for (const animal of candidates) {
+      const row = document.createElement('label');
+      row.className = 'dcp-item';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = selected.has(animal.id);
+      check.addEventListener('change', () => {
+        if (check.checked) selected.add(animal.id);
+        else selected.delete(animal.id);
+        herdBtn.disabled = sleeping || pens.length === 0 || selected.size === 0;
+      }, { signal });
+      const name = document.createElement('span');
+      name.className = 'dcp-name';
+      name.textContent = _animalName(animal);
+      const meta = document.createElement('span');
+      meta.className = 'dcp-meta';
+      meta.textContent = animal.following && animal._followTarget === dog
+        ? t('animal.dog.inHerd')
+        : _speciesName(animal.assetName);
+      row.append(check, name, meta);
+      list.appendChild(row);
+    }
+
+    herdBtn.disabled = sleeping || pens.length === 0 || selected.size === 0;
+    herdBtn.title = pens.length === 0 ? t('animal.dog.errors.no_enclosure') : '';
+  }
+
+  card.append(header, status, modes, herdBox, toast);
+  overlay.appendChild(card);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeDogCommandPanel();
+  }, { signal });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      closeDogCommandPanel();
+    }
+  }, { capture: true, signal });
+
+  document.addEventListener('enclosuresChanged', render, { signal });
+  document.addEventListener('dogHerdFinished', render, { signal });
+  document.addEventListener('languageChanged', render, { signal });
+
+  document.body.appendChild(overlay);
+  requestAnimationFrame(() => {
+    overlay.classList.add('dcp-visible');
+  });
+
+  render();
+}
+
+export function closeDogCommandPanel() {
+  _abortController?.abort();
+  _abortController = null;
+  const overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) {
+    overlay.classList.remove('dcp-visible');
+    setTimeout(() => overlay.remove(), 320);
+  }
+}
+
+export default { openDogCommandPanel, closeDogCommandPanel };
@@ -0,0 +1,276 @@
+/**
+ * @file dogSystem.js - Cão da fazenda
+ *
+ * Um cão por fazenda, comprado do Rico (item 312, type 'companion'). É um
+ * AnimalEntity comum — nome, carinho, ração, fome/sede/moral e save pelo
+ * animalAI — com um modo de comando (`DogMode`) escolhido no painel
+ * `dogCommandPanel.js`:
+ *
+ *   - follow: segue o jogador (mesmo follow do "Guiar").
+ *   - stay:   fica onde está.
+ *   - guard:  ronda em volta do posto e não dorme à noite.
+ *   - herd:   leva um grupo até um cercado. Cada animal escolhido é guiado
+ *             pelo `guide()` de sempre, mas com o cão como líder; o cão
+ *             segue até a porteira (lado de baixo da cerca) e, chegando lá,
+ *             passa pra dentro quem veio junto (moveAnimalToEnclosure). Quem
+ *             ficou pra trás segue até alcançar ou o prazo acabar.
+ *
+ * Acordado, o cão late pras raposas à espreita no raio DOG_BARK_RADIUS
+ * (`predators.scareNear`); de guarda, o amanhecer também não deixa raposa
+ * atacar fora de cena (`isGuarding`).
+ *
+ * Sem estado próprio no save: modo, posto e pastoreio vão junto com o cão
+ * no serialize do animalAI, por slot.
+ *
+ * API pública:
+ *   dog.getDog()                       → o cão, ou null
+ *   dog.adopt()                        → { ok, animal? , reason? }
+ *   dog.command(mode)                  → { ok, reason? } (follow/stay/guard)
+ *   dog.herd(animalIds, enclosureId)   → { ok, joined, refused, reason? }
+ *   dog.herdCandidates()               → animais soltos que dá pra levar
+ *   dog.isGuarding()                   → de guarda e acordado?
+ *   dog.update()
+ */
+
+import { registerSystem, getSystem, getObject } from '../gameState.js';
+import { logger } from '../logger.js';
+import { t } from '../i18n/i18n.js';
+import { assets } from '../assetManager.js';
+import { animals } from '../theWorld.js';
+import { DogMode, AnimalMood } from './animalAI.js';
+
+export const DOG_ASSET = 'Dog';
+// Raio do latido (px, centro a centro) — maior que o barulho do jogador.
+export const DOG_BARK_RADIUS = 220;
+// Cão a essa distância da porteira conta como chegou (o follow para a 60).
+const HERD_ARRIVE_DIST = 72;
+// Quem estiver até aqui do cão na chegada entra no cercado.
+const HERD_GATHER_DIST = 140;
+// Porteira: abaixo da cerca de baixo, longe o bastante pra não encostar nela.
+const HERD_GATE_GAP = 16;
+// Prazo do pastoreio; depois disso solta quem não chegou.
+const HERD_TIMEOUT_MS = 90000;
+const BARK_FX_MS = 1200;
+
+function _now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function _center(a) {
+  return { x: a.x + (a.width || 32) / 2, y: a.y + (a.height || 32) / 2 };
+}
+
+function _distSq(a, b) {
+  return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+}
+
+const dogSystem = {
+  _herdDeadline: null,
+
+  getDog() {
+    return animals.find(a => a && a.assetName === DOG_ASSET) || null;
+  },
+
+  /** Rico entrega o filhote do lado do jogador, já seguindo. */
+  adopt() {
+    if (this.getDog()) return { ok: false, reason: 'already_have' };
+    const assetData = assets?.animals?.[DOG_ASSET];
+    if (!assetData) return { ok: false, reason: 'no_asset' };
+    const world = (typeof window !== 'undefined') ? window.theWorld : null;
+    if (!world || typeof world.addAnimal !== 'function') return { ok: false, reason: 'no_world' };
+
+    const player = getObject('currentPlayer');
+    const x = (player?.x ?? 0) + (player?.width ?? 32) + 8;
+    const y = player?.y ?? 0;
+    const dog = world.addAnimal(DOG_ASSET, assetData, x, y, { dogMode: DogMode.FOLLOW });
+    if (!dog) return { ok: false, reason: 'spawn_failed' };
+    this._follow(dog);
+
+    document.dispatchEvent(new CustomEvent('dogAdopted', { detail: { animal: dog } }));
+    return { ok: true, animal: dog };
+  },
+
+  /** Seguir / ficar / vigiar. Cancela o pastoreio em andamento. */
+  command(mode) {
+    const dog = this.getDog();
+    if (!dog) return { ok: false, reason: 'no_dog' };
+    if (dog.herd) this._finishHerd(dog, 0);
+
+    switch (mode) {
+      case DogMode.FOLLOW:
+        this._follow(dog);
+        break;
+      case DogMode.STAY:
+      case DogMode.GUARD:
+        dog.stopFollowing();
+        dog.dogMode = mode;
+        dog.guardPost = mode === DogMode.GUARD ? { x: dog.x, y: dog.y } : null;
+        break;
+      default:
+        return { ok: false, reason: 'unknown_mode' };
+    }
+    dog.recalcMood?.();
+    return { ok: true };
+  },
+
+  _follow(dog) {
+    dog.dogMode = DogMode.FOLLOW;
+    dog.guardPost = null;
+    dog.following = true;
+    dog._followTarget = null;
+    dog._followPath = null;
+    dog.state = 'follow';
+  },
+
+  /** Animais soltos (fora de cercado) que o cão consegue juntar. */
+  herdCandidates() {
+    const enclosure = getSystem('enclosure');
+    return animals.filter(a => a
+      && a.assetName !== DOG_ASSET
+      && !a.sheltered
+      && !a.hospitalized
+      && !enclosure?.getEnclosureOfAnimal?.(a));
+  },
+
+  /**
+   * Leva os animais escolhidos até o cercado. Cada um passa pelo `guide()`
+   * — dormindo, desconfiado, irritado ou ferido grave pode recusar, igual
+   * ao jogador guiando.
+   * @returns {{ ok: boolean, joined: string[], refused: {id: string, reason: string}[], reason?: string }}
+   */
+  herd(animalIds, enclosureId) {
+    const dog = this.getDog();
+    if (!dog) return { ok: false, reason: 'no_dog', joined: [], refused: [] };
+    if (dog.mood === AnimalMood.SLEEPING) return { ok: false, reason: 'sleeping', joined: [], refused: [] };
+    const enc = getSystem('enclosure')?.getEnclosures?.()?.find(e => e.id === enclosureId);
+    if (!enc) return { ok: false, reason: 'no_enclosure', joined: [], refused: [] };
+
+    const candidates = this.herdCandidates();
+    const joined = [];
+    const refused = [];
+    for (const id of animalIds || []) {
+      const animal = candidates.find(a => a.id === id);
+      if (!animal) {
+        refused.push({ id, reason: 'not_found' });
+        continue;
+      }
+      // Quem já vinha atrás do jogador só troca de líder.
+      const res = animal.following ? { success: true, following: true } : animal.guide();
+      if (!res.success || !res.following) {
+        refused.push({ id, reason: res.message || 'refused' });
+        continue;
+      }
+      animal._followTarget = dog;
+      animal._followPath = null;
+      joined.push(id);
+    }
+    if (joined.length === 0) return { ok: false, reason: 'none_joined', joined, refused };
+
+    const gate = { x: enc.centerX - dog.width / 2, y: enc.bounds.maxY + HERD_GATE_GAP };
+    dog.dogMode = DogMode.HERD;
+    dog.guardPost = null;
+    dog.herd = { enclosureId: enc.id, animalIds: joined, gate };
+    dog.following = true;
+    dog._followTarget = gate;
+    dog._followPath = null;
+    dog.state = 'follow';
+    this._herdDeadline = _now() + HERD_TIMEOUT_MS;
+    return { ok: true, joined, refused };
+  },
+
+  isGuarding() {
+    const dog = this.getDog();
+    return !!dog && dog.dogMode === DogMode.GUARD && dog.mood !== AnimalMood.SLEEPING;
+  },
+
+  update(now = _now()) {
+    const dog = this.getDog();
+    if (!dog) {
+      // O cão saiu do mundo no meio do pastoreio: o grupo não fica seguindo
+      // um fantasma.
+      for (const a of animals) {
+        if (a?._followTarget?.assetName !== DOG_ASSET) continue;
+        a.stopFollowing();
+      }
+      return;
+    }
+
+    if (dog.mood !== AnimalMood.SLEEPING) {
+      const c = _center(dog);
+      const scared = getSystem('predators')?.scareNear?.(c.x, c.y, DOG_BARK_RADIUS) || 0;
+      if (scared > 0) {
+        dog._collectFx = { text: t('animal.dog.bark'), success: true, startedAt: now, duration: BARK_FX_MS };
+        document.dispatchEvent(new CustomEvent('dogBarked', { detail: { animal: dog, scared } }));
+      }
+    }
+
+    if (dog.herd) this._tickHerd(dog, now);
+  },
+
+  _tickHerd(dog, now) {
+    const herd = dog.herd;
+    // Religa o grupo (após um load) e larga quem saiu: o jogador tirou do
+    // guiar, morreu, foi vendido.
+    herd.animalIds = herd.animalIds.filter(id => {
+      const a = animals.find(x => x && x.id === id);
+      if (!a || !a.following) return false;
+      a._followTarget = dog;
+      return true;
+    });
+    dog._followTarget = herd.gate;
+    if (this._herdDeadline == null) this._herdDeadline = now + HERD_TIMEOUT_MS;
+
+    let delivered = 0;
+    if (_distSq(dog, herd.gate) <= HERD_ARRIVE_DIST * HERD_ARRIVE_DIST) {
+      const encSys = getSystem('enclosure');
+      const dc = _center(dog);
+      herd.animalIds = herd.animalIds.filter(id => {
+        const a = animals.find(x => x && x.id === id);
+        if (_distSq(_center(a), dc) > HERD_GATHER_DIST * HERD_GATHER_DIST) return true;
+        const res = encSys?.moveAnimalToEnclosure?.(a.id, herd.enclosureId);
+        if (res?.ok) {
+          delivered++;
+        } else {
+          // Sem vaga de espécie no cercado: solta ali mesmo.
+          logger.debug?.(`[dogSystem] ${a.assetName} não entrou: ${res?.reason}`);
+          a.stopFollowing();
+        }
+        return false;
+      });
+    }
+
+    if (herd.animalIds.length === 0 || now > this._herdDeadline) {
+      this._finishHerd(dog, delivered);
+    } else if (delivered > 0) {
+      herd.delivered = (herd.delivered || 0) + delivered;
+    }
+  },
+
+  /** Encerra o pastoreio: solta quem ainda segue o cão e volta pro jogador. */
+  _finishHerd(dog, delivered) {
+    const herd = dog.herd;
+    let released = 0;
+    for (const id of herd.animalIds) {
+      const a = animals.find(x => x && x.id === id);
+      if (!a || a._followTarget !== dog) continue;
+      a.stopFollowing();
+      released++;
+    }
+    dog.herd = null;
+    this._herdDeadline = null;
+    this._follow(dog);
+    document.dispatchEvent(new CustomEvent('dogHerdFinished', {
+      detail: {
+        animal: dog,
+        enclosureId: herd.enclosureId,
+        delivered: (herd.delivered || 0) + delivered,
+        released,
+      },
+    }));
+  },
+};
+
+registerSystem('dog', dogSystem);
+
+export { dogSystem };
+export default dogSystem;
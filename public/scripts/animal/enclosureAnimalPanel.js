@@ -11,6 +11,9 @@
  *   - Quantidade ilimitada por espécie
  *   - Compra debita do currency e spawna animal numa célula do cercado
  *
+ * O botão "Rebanho" do status troca pro painel de gestão dos animais que já
+ * estão no cercado (`enclosureLivestockPanel.js` — vender, mover, quarentena).
+ *
  * Estilo: classes CSS em `enclosure-animal-panel.css` (não inline styles).
  * Mesma linguagem visual dos outros modais (vet, memorial, character-select):
  * gradiente marrom + borda dourada + Georgia serif + animação slideIn.
@@ -118,7 +121,14 @@ export function openEnclosureAnimalPanel(enclosure) {
   speciesItem.className = 'eap-status-item';
   const balanceItem = document.createElement('span');
   balanceItem.className = 'eap-status-item';
-  status.append(speciesItem, balanceItem);
+  const herdBtn = document.createElement('button');
+  herdBtn.type = 'button';
+  herdBtn.className = 'eap-herd-btn';
+  herdBtn.addEventListener('click', () => {
+    closeEnclosureAnimalPanel();
+    import('./enclosureLivestockPanel.js').then(m => m.openEnclosureLivestockPanel(enclosure));
+  }, { signal });
+  status.append(speciesItem, balanceItem, herdBtn);
 
   // Lista de animais (scrollable)
   const list = document.createElement('div');
@@ -160,6 +170,9 @@ export function openEnclosureAnimalPanel(enclosure) {
     );
     balanceItem.appendChild(balanceLabel);
 
+    const herdCount = Object.values(counts.byAsset).reduce((sum, n) => sum + n, 0);
+    herdBtn.textContent = t('enclosure.panel.herdBtn', { count: herdCount });
+
     const catalog = _getAnimalCatalog();
     if (catalog.length === 0) {
       const empty = document.createElement('div');
@@ -0,0 +1,322 @@
+/**
+ * @file enclosureLivestockPanel.js - Painel do rebanho de um cercado
+ *
+ * Lista os animais vivos dentro do cercado e deixa o jogador:
+ *   - vender de volta pro Rico (preço por idade/saúde — livestockSystem)
+ *   - mover pra outro cercado detectado (enclosureSystem.moveAnimalToEnclosure)
+ *   - mandar um animal doente (ou exposto) pro cercado de quarentena
+ *   - marcar/desmarcar o próprio cercado como quarentena
+ *
+ * Aberto pelo botão "Rebanho" do painel de compra (`enclosureAnimalPanel.js`),
+ * que por sua vez volta pra cá pelo "+ Comprar". Mesma moldura visual do
+ * painel de compra; classes `elp-*` em `enclosure-livestock-panel.css`.
+ *
+ * API:
+ *   openEnclosureLivestockPanel(enclosure)
+ *   closeEnclosureLivestockPanel()
+ */
+
+import { getSystem } from '../gameState.js';
+import { setItemIcon } from '../itemUtils.js';
+import { t } from '../i18n/i18n.js';
+import { getCatalogAnimal, quoteResale } from './livestockSystem.js';
+
+const OVERLAY_ID = 'enclosure-livestock-panel';
+
+let _abortController = null;
+
+function _fmtPrice(v) {
+  const tpl = t('enclosure.panel.priceFormat');
+  return (typeof tpl === 'string' ? tpl : '$ {value}').replace('{value}', String(v));
+}
+
+function _speciesName(assetName) {
+  const k = `animals.${String(assetName || '').toLowerCase()}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _animalName(animal) {
+  return animal.customName || _speciesName(animal.assetName);
+}
+
+function _stageName(stage) {
+  const k = `animal.aging.stage.${stage}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : stage;
+}
+
+/** "Cercado 2" — numeração pela ordem atual de detecção. */
+function _penLabel(enc) {
+  const list = getSystem('enclosure')?.getEnclosures?.() || [];
+  const idx = list.findIndex(e => e.id === enc?.id);
+  const label = t('enclosure.livestock.penLabel', { n: idx >= 0 ? idx + 1 : '?' });
+  return enc?.quarantine ? `${label} 🩺` : label;
+}
+
+function _reasonMessage(reason) {
+  const k = `enclosure.livestock.errors.${reason}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : t('enclosure.livestock.errors.generic', { reason: String(reason) });
+}
+
+export function openEnclosureLivestockPanel(enclosure) {
+  if (!enclosure?.id) return;
+
+  const old = document.getElementById(OVERLAY_ID);
+  if (old) old.remove();
+
+  _abortController?.abort();
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+
+  const card = document.createElement('div');
+  card.className = 'elp-card';
+
+  // Header
+  const header = document.createElement('div');
+  header.className = 'elp-header';
+  const title = document.createElement('h2');
+  title.className = 'elp-title';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'elp-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('enclosure.livestock.close'));
+  closeBtn.addEventListener('click', () => closeEnclosureLivestockPanel(), { signal });
+  header.append(title, closeBtn);
+
+  // Status row: contagem + quarentena + voltar pra compra
+  const status = document.createElement('div');
+  status.className = 'elp-status';
+  const countEl = document.createElement('span');
+  countEl.className = 'elp-status-item';
+  const quarantineBtn = document.createElement('button');
+  quarantineBtn.type = 'button';
+  quarantineBtn.className = 'elp-quarantine-toggle';
+  quarantineBtn.title = t('enclosure.livestock.quarantineTitle');
+  const buyBtn = document.createElement('button');
+  buyBtn.type = 'button';
+  buyBtn.className = 'elp-buy-btn';
+  buyBtn.textContent = t('enclosure.livestock.buyBtn');
+  status.append(countEl, quarantineBtn, buyBtn);
+
+  const list = document.createElement('div');
+  list.className = 'elp-list';
+
+  const toast = document.createElement('div');
+  toast.className = 'elp-toast';
+
+  function setToast(msg, state = '') {
+    toast.textContent = msg || '';
+    if (state) toast.dataset.state = state;
+    else delete toast.dataset.state;
+  }
+
+  /** Cercado atualizado (ids estáveis; o objeto muda a cada detect). */
+  function currentEnclosure() {
+    const list = getSystem('enclosure')?.getEnclosures?.() || [];
+    return list.find(e => e.id === enclosure.id) || null;
+  }
+
+  quarantineBtn.addEventListener('click', () => {
+    const encSys = getSystem('enclosure');
+    const enc = currentEnclosure();
+    if (!encSys || !enc) return;
+    const on = !encSys.isQuarantine(enc.id);
+    encSys.setQuarantine(enc.id, on);
+    setToast(t(on ? 'enclosure.livestock.toast.quarantineSet' : 'enclosure.livestock.toast.quarantineCleared',
+      { pen: _penLabel(currentEnclosure()) }), 'success');
+    render();
+  }, { signal });
+
+  buyBtn.addEventListener('click', () => {
+    const enc = currentEnclosure();
+    closeEnclosureLivestockPanel();
+    if (!enc) return;
+    import('./enclosureAnimalPanel.js').then(m => m.openEnclosureAnimalPanel(enc));
+  }, { signal });
+
+  function render() {
+    list.replaceChildren();
+    const encSys = getSystem('enclosure');
+    const enc = currentEnclosure();
+    title.textContent = t('enclosure.livestock.title', { pen: _penLabel(enc || enclosure) });
+
+    if (!enc) {
+      countEl.textContent = '';
+      quarantineBtn.hidden = true;
+      setToast(t('enclosure.livestock.errors.no_enclosure'), 'error');
+      return;
+    }
+
+    const herd = encSys.getAnimalsInEnclosure(enc.id);
+    countEl.textContent = t('enclosure.livestock.count', { count: herd.length });
+    quarantineBtn.hidden = false;
+    quarantineBtn.dataset.on = enc.quarantine ? '1' : '0';
+    quarantineBtn.textContent = t(enc.quarantine ? 'enclosure.livestock.quarantineOn' : 'enclosure.livestock.quarantineOff');
+
+    if (herd.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'elp-empty';
+      empty.textContent = t('enclosure.livestock.empty');
+      list.appendChild(empty);
+      return;
+    }
+
+    const others = encSys.getEnclosures().filter(e => e.id !== enc.id);
+    const quarantinePen = enc.quarantine ? null : others.find(e => e.quarantine) || null;
+    for (const animal of herd) {
+      list.appendChild(buildRow(animal, others, quarantinePen));
+    }
+  }
+
+  function buildRow(animal, others, quarantinePen) {
+    const name = _animalName(animal);
+    const quote = quoteResale(animal);
+
+    const row = document.createElement('div');
+    row.className = 'elp-item';
+    if (animal.disease) row.dataset.sick = '1';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'elp-thumb';
+    setItemIcon(thumb, getCatalogAnimal(animal.assetName)?.icon || '🐾', name);
+
+    const info = document.createElement('div');
+    info.className = 'elp-info';
+    const nameEl = document.createElement('strong');
+    nameEl.className = 'elp-name';
+    nameEl.textContent = name;
+    const metaEl = document.createElement('span');
+    metaEl.className = 'elp-meta';
+    const health = animal.disease ? 'sick' : animal.exposure ? 'exposed' : animal.injury ? 'injured' : 'healthy';
+    metaEl.textContent = t('enclosure.livestock.meta', {
+      species: _speciesName(animal.assetName),
+      stage: _stageName(quote.stage),
+      health: t(`enclosure.livestock.health.${health}`),
+    });
+    info.append(nameEl, metaEl);
+
+    const actions = document.createElement('div');
+    actions.className = 'elp-actions';
+
+    // Vender: dois cliques (o primeiro "arma" o botão) — venda não tem volta.
+    const sellBtn = document.createElement('button');
+    sellBtn.type = 'button';
+    sellBtn.className = 'elp-btn elp-sell-btn';
+    sellBtn.textContent = t('enclosure.livestock.sellBtn', { price: _fmtPrice(quote.price) });
+    sellBtn.title = t('enclosure.livestock.sellTitle');
+    sellBtn.disabled = !quote.ok;
+    sellBtn.addEventListener('click', () => {
+      if (!sellBtn.dataset.armed) {
+        sellBtn.dataset.armed = '1';
+        sellBtn.textContent = t('enclosure.livestock.sellConfirm');
+        return;
+      }
+      const res = getSystem('livestock')?.sellToRico?.(animal.id) || { ok: false, reason: 'no_livestock_system' };
+      if (res.ok) setToast(t('enclosure.livestock.toast.sold', { name, price: _fmtPrice(res.price) }), 'success');
+      else setToast(_reasonMessage(res.reason), 'error');
+      render();
+    }, { signal });
+
+    // Mover pra outro cercado
+    const moveBox = document.createElement('div');
+    moveBox.className = 'elp-move';
+    const select = document.createElement('select');
+    select.className = 'elp-move-select';
+    select.setAttribute('aria-label', t('enclosure.livestock.moveLabel'));
+    for (const other of others) {
+      const opt = document.createElement('option');
+      opt.value = other.id;
+      opt.textContent = _penLabel(other);
+      select.appendChild(opt);
+    }
+    const moveBtn = document.createElement('button');
+    moveBtn.type = 'button';
+    moveBtn.className = 'elp-btn';
+    moveBtn.textContent = t('enclosure.livestock.moveBtn');
+    moveBtn.disabled = others.length === 0;
+    if (others.length === 0) moveBtn.title = t('enclosure.livestock.noOtherPens');
+    moveBtn.addEventListener('click', () => {
+      moveTo(animal, name, select.value, 'moved');
+    }, { signal });
+    moveBox.append(select, moveBtn);
+    if (others.length === 0) select.disabled = true;
+
+    actions.append(sellBtn, moveBox);
+
+    // Expostos (boletim de surto) também podem ser isolados antes dos sintomas.
+    if (animal.disease || animal.exposure) {
+      const qBtn = document.createElement('button');
+      qBtn.type = 'button';
+      qBtn.className = 'elp-btn elp-quarantine-btn';
+      qBtn.textContent = t('enclosure.livestock.quarantineBtn');
+      qBtn.disabled = !quarantinePen;
+      if (!quarantinePen) qBtn.title = t('enclosure.livestock.errors.no_quarantine');
+      qBtn.addEventListener('click', () => {
+        if (quarantinePen) moveTo(animal, name, quarantinePen.id, 'quarantined');
+      }, { signal });
+      actions.appendChild(qBtn);
+    }
+
+    row.append(thumb, info, actions);
+    return row;
+  }
+
+  function moveTo(animal, name, targetId, toastKey) {
+    const encSys = getSystem('enclosure');
+    const res = encSys?.moveAnimalToEnclosure?.(animal.id, targetId) || { ok: false, reason: 'no_enclosure' };
+    if (res.ok) {
+      const target = encSys.getEnclosures().find(e => e.id === res.to);
+      setToast(t(`enclosure.livestock.toast.${toastKey}`, { name, pen: _penLabel(target) }), 'success');
+    } else {
+      setToast(_reasonMessage(res.reason), 'error');
+    }
+    render();
+  }
+
+  card.append(header, status, list, toast);
+  overlay.appendChild(card);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeEnclosureLivestockPanel();
+  }, { signal });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      closeEnclosureLivestockPanel();
+    }
+  }, { capture: true, signal });
+
+  // Cercas mexidas, nascimentos e troca de idioma mudam a lista.
+  document.addEventListener('enclosuresChanged', render, { signal });
+  document.addEventListener('animalBorn', render, { signal });
+  document.addEventListener('languageChanged', render, { signal });
+
+  document.body.appendChild(overlay);
+  requestAnimationFrame(() => {
+    overlay.classList.add('elp-visible');
+  });
+
+  render();
+}
+
+export function closeEnclosureLivestockPanel() {
+  _abortController?.abort();
+  _abortController = null;
+  const overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) {
+    overlay.classList.remove('elp-visible');
+    setTimeout(() => overlay.remove(), 320);
+  }
+}
+
+export default { openEnclosureLivestockPanel, closeEnclosureLivestockPanel };
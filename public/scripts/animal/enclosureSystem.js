@@ -14,6 +14,9 @@
  *   enclosureSystem.detect()                  → recalcula e retorna array
  *   enclosureSystem.getEnclosures()           → último resultado (sem recompute)
  *   enclosureSystem.getEnclosureAtPoint(x,y)  → cercado que contém (x,y) ou null
+ *   enclosureSystem.getAnimalsInEnclosure(id) → animais vivos dentro do cercado
+ *   enclosureSystem.moveAnimalToEnclosure(animalId, id) → { ok, reason? }
+ *   enclosureSystem.setQuarantine(id, on) / isQuarantine(id)
  *
  * Topic 2 vai chamar `detect()` quando uma cerca for colocada/destruída.
  * Topic 6 vai estender os objetos `enclosure` com `species: { ... }`.
@@ -85,6 +88,7 @@ class EnclosureSystem {
     this._wallCells = new Set();          // Set<string "cx,cy">
     this._endpoints = [];                 // Array<{ x, y, fenceId, connected }>
     this._speciesById = new Map();        // enclosureId → { Cow:2, Bull:1, ... }
+    this._quarantineIds = new Set();      // cercados marcados como quarentena
     this._abortController = null;
     this._pendingDetect = false;
     this._init();
@@ -268,6 +272,31 @@ class EnclosureSystem {
     return { ...(this._speciesById.get(enclosureId) || {}) };
   }
 
+  /** Animal (centro do sprite) está dentro das células do cercado? */
+  _containsAnimal(enc, a) {
+    const cx = a.x + (a.width || 0) / 2;
+    const cy = a.y + (a.height || 0) / 2;
+    return enc._cellKeys.has(`${Math.floor(cx / CELL)},${Math.floor(cy / CELL)}`);
+  }
+
+  _liveAnimals() {
+    const world = (typeof window !== 'undefined') ? window.theWorld : null;
+    return (world && Array.isArray(world.animals)) ? world.animals : [];
+  }
+
+  /** Animais vivos dentro do cercado, na ordem do mundo. */
+  getAnimalsInEnclosure(enclosureId) {
+    const enc = this._enclosures.find(e => e.id === enclosureId);
+    if (!enc) return [];
+    return this._liveAnimals().filter(a => a && this._containsAnimal(enc, a));
+  }
+
+  /** Cercado onde o animal está agora, ou null (solto na fazenda). */
+  getEnclosureOfAnimal(animal) {
+    if (!animal) return null;
+    return this._enclosures.find(enc => this._containsAnimal(enc, animal)) || null;
+  }
+
   /**
    * Contagem VIVA de animais dentro do cercado (#243): por asset e por família.
    * Substitui o registro de compras (`_speciesById`) na contagem/limite do
@@ -277,18 +306,7 @@ class EnclosureSystem {
    */
   getLiveAnimalCounts(enclosureId) {
     const out = { byAsset: {}, byFamily: {}, familyCount: 0 };
-    const enc = this._enclosures.find(e => e.id === enclosureId);
-    if (!enc) return out;
-    const world = (typeof window !== 'undefined') ? window.theWorld : null;
-    const list = (world && Array.isArray(world.animals)) ? world.animals : null;
-    if (!list) return out;
-
-    for (const a of list) {
-      if (!a) continue;
-      const cx = a.x + (a.width || 0) / 2;
-      const cy = a.y + (a.height || 0) / 2;
-      const key = `${Math.floor(cx / CELL)},${Math.floor(cy / CELL)}`;
-      if (!enc._cellKeys.has(key)) continue;
+    for (const a of this.getAnimalsInEnclosure(enclosureId)) {
       out.byAsset[a.assetName] = (out.byAsset[a.assetName] || 0) + 1;
       const fam = getAnimalFamily(a.assetName);
       out.byFamily[fam] = (out.byFamily[fam] || 0) + 1;
@@ -297,6 +315,43 @@ class EnclosureSystem {
     return out;
   }
 
+  // ─── Quarentena ────────────────────────────────────────────────────────
+  // Flag por cercado (id estável por bounds). O painel do rebanho move
+  // animais doentes pra cá; o diseaseSystem pode consultar `isQuarantine`.
+
+  setQuarantine(enclosureId, on = true) {
+    if (!enclosureId) return false;
+    const had = this._quarantineIds.has(enclosureId);
+    if (on) this._quarantineIds.add(enclosureId);
+    else this._quarantineIds.delete(enclosureId);
+    const enc = this._enclosures.find(e => e.id === enclosureId);
+    if (enc) enc.quarantine = !!on;
+    if (had !== !!on && typeof document !== 'undefined') {
+      document.dispatchEvent(new CustomEvent('enclosureQuarantineChanged', {
+        detail: { enclosureId, quarantine: !!on },
+      }));
+    }
+    return true;
+  }
+
+  isQuarantine(enclosureId) {
+    return this._quarantineIds.has(enclosureId);
+  }
+
+  /** Cercados de quarentena detectados agora (flags de cercados desfeitos ficam guardadas). */
+  getQuarantineEnclosures() {
+    return this._enclosures.filter(e => this._quarantineIds.has(e.id));
+  }
+
+  serializeQuarantine() {
+    return [...this._quarantineIds];
+  }
+
+  restoreQuarantine(list) {
+    this._quarantineIds = new Set(Array.isArray(list) ? list.filter(id => typeof id === 'string') : []);
+    for (const enc of this._enclosures) enc.quarantine = this._quarantineIds.has(enc.id);
+  }
+
   /**
    * Serializa o mapa de espécies por cercado pra o save. Os cercados em
    * si NÃO são persistidos (são recalculados a partir das cercas do save),
@@ -501,6 +556,44 @@ class EnclosureSystem {
     return { ok: true, animal, price };
   }
 
+  /**
+   * Muda um animal vivo de cercado (painel do rebanho). Não cobra nada, mas
+   * respeita o limite de espécies do destino — mesma regra da compra.
+   * @param {string} animalId
+   * @param {string} targetEnclosureId
+   * @returns {{ ok: true, animal, from: string|null, to: string } | { ok: false, reason: string }}
+   */
+  moveAnimalToEnclosure(animalId, targetEnclosureId) {
+    const animal = this._liveAnimals().find(a => a && a.id === animalId);
+    if (!animal) return { ok: false, reason: 'not_found' };
+    const enc = this._enclosures.find(e => e.id === targetEnclosureId);
+    if (!enc) return { ok: false, reason: 'no_enclosure' };
+    const from = this.getEnclosureOfAnimal(animal);
+    if (from?.id === enc.id) return { ok: false, reason: 'same_enclosure' };
+
+    const counts = this.getLiveAnimalCounts(enc.id);
+    const family = getAnimalFamily(animal.assetName);
+    if (!(counts.byFamily[family] > 0) && counts.familyCount >= MAX_SPECIES_PER_ENCLOSURE) {
+      return { ok: false, reason: 'species_limit' };
+    }
+    if (enc._cellKeys.size === 0) return { ok: false, reason: 'no_cells' };
+
+    // A própria entidade tem frameWidth/renderScale — serve de assetData
+    // mesmo se o asset foi trocado (aging) depois da compra.
+    const spawn = this._findSafeSpawnPosition(enc, animal.assetName, animal);
+    if (typeof animal.relocate === 'function') animal.relocate(spawn.x, spawn.y);
+    else { animal.x = spawn.x; animal.y = spawn.y; }
+
+    const collision = getSystem('collision');
+    const hb = animal.getHitbox?.();
+    if (hb) collision?.updateHitboxPosition?.(animal.id, hb.x, hb.y, hb.width, hb.height);
+
+    document.dispatchEvent(new CustomEvent('enclosureAnimalMoved', {
+      detail: { animal, from: from?.id ?? null, to: enc.id },
+    }));
+    return { ok: true, animal, from: from?.id ?? null, to: enc.id };
+  }
+
   /**
    * Spawna um recém-nascido (young) dentro do cercado numa posição segura.
    * Usado pelo breedingSystem (#243): diferente de addAnimalToEnclosure, NÃO
@@ -508,9 +601,10 @@ class EnclosureSystem {
    * player já tem). O filhote nasce em 'young' e cresce pelo agingSystem.
    * @param {string} enclosureId
    * @param {string} assetName - asset de filhote (Calf/Chick/Lamb/Piglet)
+   * @param {object} [opts] - opts extras do AnimalEntity (ex.: `genome` herdado)
    * @returns {object|null} o animal criado, ou null
    */
-  birthAnimal(enclosureId, assetName) {
+  birthAnimal(enclosureId, assetName, opts = {}) {
     const enc = this._enclosures.find(e => e.id === enclosureId);
     if (!enc || enc._cellKeys.size === 0) return null;
     const assetData = assets?.animals?.[assetName];
@@ -521,6 +615,7 @@ class EnclosureSystem {
     if (!world || typeof world.addAnimal !== 'function') return null;
 
     return world.addAnimal(assetName, assetData, spawn.x, spawn.y, {
+      ...opts,
       daysOld: 0,
       lifeStage: 'young',
     }) || null;
@@ -883,6 +978,7 @@ class EnclosureSystem {
       // adicionados. Spread cria cópia rasa pra evitar mutar o map por
       // referência acidental.
       species: { ...(this._speciesById.get(id) || {}) },
+      quarantine: this._quarantineIds.has(id),
     };
   }
 }
@@ -0,0 +1,333 @@
+/**
+ * @file familyTreePanel.js - Árvore genealógica de um animal
+ *
+ * Aberto pelo botão 🌳 do painel de info do animal (UiPanel) e pelo memorial
+ * da tumba. Mostra ancestrais acima e descendentes abaixo do animal central,
+ * uma linha por geração, com os mortos (✝) e os que saíram da fazenda
+ * esmaecidos. Clicar num card recentra a árvore nele — é assim que se chega
+ * nos irmãos (sobe pro pai, desce pros filhos dele).
+ *
+ * Navegação: arrastar move (pan), roda do mouse ou botões −/+ dão zoom em
+ * volta do cursor/centro, ⟲ recentra no animal central.
+ *
+ * Dados: `pedigreeSystem.getFamilyTree` + `layoutFamilyTree` (posições em
+ * células); aqui só vira DOM (cards) + SVG (linhas pai → filho).
+ *
+ * API:
+ *   openFamilyTree(animalId)  — monta/recentra o modal
+ *   closeFamilyTree()         — fecha (esc, overlay, ×)
+ */
+
+import { getSystem } from '../gameState.js';
+import { t } from '../i18n/i18n.js';
+import { layoutFamilyTree } from './pedigreeSystem.js';
+
+const OVERLAY_ID = 'family-tree-panel';
+const CELL_W = 150;   // px entre colunas
+const CELL_H = 120;   // px entre gerações
+const NODE_W = 128;
+const NODE_H = 78;
+const MIN_ZOOM = 0.35;
+const MAX_ZOOM = 2;
+const ZOOM_STEP = 1.2;
+const DRAG_THRESHOLD = 4; // px até um clique virar arrasto
+
+const SPECIES_ICONS = {
+  Cow: '🐄', Bull: '🐂', Calf: '🐮',
+  Chicken: '🐔', Rooster: '🐓', Chick: '🐤',
+  Sheep: '🐑', Lamb: '🐑',
+  Pig: '🐖', Piglet: '🐷',
+  Turkey: '🦃',
+};
+
+// Rótulo da linha por distância do animal central.
+const ROW_KEYS = {
+  '-4': 'greatGreatGrandparents',
+  '-3': 'greatGrandparents',
+  '-2': 'grandparents',
+  '-1': 'parents',
+  '1': 'children',
+  '2': 'grandchildren',
+  '3': 'greatGrandchildren',
+  '4': 'greatGreatGrandchildren',
+};
+
+let _abortController = null;
+
+function _speciesName(species) {
+  const key = `animals.${(species || '').toLowerCase()}`;
+  const translated = t(key);
+  return (translated && translated !== key) ? translated : species;
+}
+
+function _nodeCard(node, isRoot) {
+  const card = document.createElement('button');
+  card.type = 'button';
+  card.className = 'ftr-node';
+  card.dataset.id = node.id;
+  card.dataset.status = node.status;
+  if (isRoot) card.dataset.root = '1';
+
+  const head = document.createElement('div');
+  head.className = 'ftr-node-head';
+  const icon = document.createElement('span');
+  icon.className = 'ftr-node-icon';
+  icon.textContent = SPECIES_ICONS[node.species] || '🐾';
+  const name = document.createElement('span');
+  name.className = 'ftr-node-name';
+  name.textContent = node.name || _speciesName(node.species);
+  const gender = document.createElement('span');
+  gender.className = 'ftr-node-gender';
+  gender.dataset.gender = node.gender || '';
+  gender.textContent = node.gender === 'male' ? '♂' : node.gender === 'female' ? '♀' : '';
+  head.append(icon, name, gender);
+
+  const meta = document.createElement('div');
+  meta.className = 'ftr-node-meta';
+  meta.textContent = node.birthDay != null
+    ? t('animal.pedigree.born', { day: node.birthDay })
+    : t('animal.pedigree.founder');
+
+  const status = document.createElement('div');
+  status.className = 'ftr-node-status';
+  if (node.status === 'dead') {
+    status.textContent = node.deathDay != null
+      ? t('animal.pedigree.died', { day: node.deathDay })
+      : t('animal.pedigree.dead');
+  } else if (node.status === 'gone') {
+    status.textContent = t('animal.pedigree.gone');
+  } else {
+    status.textContent = t('animal.genetics.generation', { n: node.generation || 0 });
+  }
+
+  card.append(head, meta, status);
+  return card;
+}
+
+/**
+ * Abre o modal centrado em `animalId`. Chamar de novo (ou clicar num card)
+ * só troca a árvore — o modal e o zoom continuam.
+ */
+export function openFamilyTree(animalId) {
+  const pedigree = getSystem('pedigree');
+  if (!animalId || !pedigree?.getFamilyTree) return;
+
+  let overlay = document.getElementById(OVERLAY_ID);
+  if (overlay?._render) {
+    overlay._render(animalId);
+    return;
+  }
+
+  _abortController?.abort();
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+
+  const card = document.createElement('div');
+  card.className = 'ftr-card';
+
+  const header = document.createElement('div');
+  header.className = 'ftr-header';
+  const title = document.createElement('h2');
+  title.className = 'ftr-title';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'ftr-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('animal.pedigree.close'));
+  closeBtn.addEventListener('click', () => closeFamilyTree(), { signal });
+  header.append(title, closeBtn);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'ftr-toolbar';
+  const hint = document.createElement('span');
+  hint.className = 'ftr-hint';
+  hint.textContent = t('animal.pedigree.hint');
+  const tools = document.createElement('span');
+  tools.className = 'ftr-tools';
+  const mkTool = (label, tip, fn) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'ftr-tool';
+    b.textContent = label;
+    b.title = tip;
+    b.addEventListener('click', fn, { signal });
+    tools.appendChild(b);
+  };
+  toolbar.append(hint, tools);
+
+  const viewport = document.createElement('div');
+  viewport.className = 'ftr-viewport';
+  const stage = document.createElement('div');
+  stage.className = 'ftr-stage';
+  viewport.appendChild(stage);
+
+  card.append(header, toolbar, viewport);
+  overlay.appendChild(card);
+
+  // ── Zoom / pan ─────────────────────────────────────────────────────────
+  // O stage é posicionado com a célula (0,0) — o animal central — na origem.
+  const view = { x: 0, y: 0, zoom: 1 };
+  const apply = () => {
+    stage.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`;
+  };
+  const center = () => {
+    const r = viewport.getBoundingClientRect?.() || { width: 0, height: 0 };
+    view.zoom = 1;
+    view.x = r.width / 2;
+    view.y = r.height / 2;
+    apply();
+  };
+  // Zoom mantendo o ponto (px, py) do viewport parado na tela.
+  const zoomAt = (factor, px, py) => {
+    const z = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.zoom * factor));
+    const k = z / view.zoom;
+    view.x = px - (px - view.x) * k;
+    view.y = py - (py - view.y) * k;
+    view.zoom = z;
+    apply();
+  };
+  const zoomCenter = (factor) => {
+    const r = viewport.getBoundingClientRect?.() || { width: 0, height: 0 };
+    zoomAt(factor, r.width / 2, r.height / 2);
+  };
+  mkTool('−', t('animal.pedigree.zoomOut'), () => zoomCenter(1 / ZOOM_STEP));
+  mkTool('+', t('animal.pedigree.zoomIn'), () => zoomCenter(ZOOM_STEP));
+  mkTool('⟲', t('animal.pedigree.recenter'), center);
+
+  viewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const r = viewport.getBoundingClientRect();
+    zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - r.left, e.clientY - r.top);
+  }, { passive: false, signal });
+
+  let drag = null;
+  viewport.addEventListener('pointerdown', (e) => {
+    drag = { sx: e.clientX, sy: e.clientY, vx: view.x, vy: view.y, moved: false };
+  }, { signal });
+  window.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const dx = e.clientX - drag.sx;
+    const dy = e.clientY - drag.sy;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    drag.moved = true;
+    viewport.classList.add('ftr-dragging');
+    view.x = drag.vx + dx;
+    view.y = drag.vy + dy;
+    apply();
+  }, { signal });
+  window.addEventListener('pointerup', () => {
+    viewport.classList.remove('ftr-dragging');
+    // Adia o reset: o click do card dispara depois do pointerup.
+    const wasDrag = drag?.moved;
+    drag = null;
+    if (wasDrag) {
+      viewport.dataset.justDragged = '1';
+      setTimeout(() => { delete viewport.dataset.justDragged; }, 0);
+    }
+  }, { signal });
+
+  // Clique num card recentra a árvore nele (se não foi fim de arrasto).
+  stage.addEventListener('click', (e) => {
+    if (viewport.dataset.justDragged) return;
+    const node = e.target.closest?.('.ftr-node');
+    if (node?.dataset.id && node.dataset.root !== '1') render(node.dataset.id);
+  }, { signal });
+
+  // ── Render ─────────────────────────────────────────────────────────────
+  function render(id) {
+    const tree = pedigree.getFamilyTree(id);
+    stage.replaceChildren();
+    if (!tree) {
+      title.textContent = t('animal.pedigree.title');
+      const empty = document.createElement('div');
+      empty.className = 'ftr-empty';
+      empty.textContent = t('animal.pedigree.empty');
+      stage.appendChild(empty);
+      center();
+      return;
+    }
+    const root = tree.nodes.find(n => n.id === tree.rootId);
+    title.textContent = `🌳 ${t('animal.pedigree.title')} · ${root.name || _speciesName(root.species)}`;
+
+    const pos = layoutFamilyTree(tree);
+    const px = (p) => ({ x: p.x * CELL_W, y: p.y * CELL_H });
+
+    // Linhas: do pé do pai ao topo do filho, em cotovelo.
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'ftr-links');
+    for (const { parentId, childId } of tree.links) {
+      const a = px(pos.get(parentId));
+      const b = px(pos.get(childId));
+      const midY = (a.y + NODE_H / 2 + b.y - NODE_H / 2) / 2;
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('d', `M${a.x} ${a.y + NODE_H / 2} V${midY} H${b.x} V${b.y - NODE_H / 2}`);
+      svg.appendChild(path);
+    }
+    stage.appendChild(svg);
+
+    const depths = new Set();
+    for (const node of tree.nodes) {
+      const p = px(pos.get(node.id));
+      const el = _nodeCard(node, node.id === tree.rootId);
+      el.style.left = `${p.x - NODE_W / 2}px`;
+      el.style.top = `${p.y - NODE_H / 2}px`;
+      stage.appendChild(el);
+      depths.add(node.depth);
+    }
+
+    // Rótulo de cada geração, à esquerda da linha mais larga.
+    const minX = Math.min(...[...pos.values()].map(p => p.x));
+    for (const d of depths) {
+      const key = ROW_KEYS[d];
+      if (!key) continue;
+      const label = document.createElement('div');
+      label.className = 'ftr-row-label';
+      label.textContent = t(`animal.pedigree.rows.${key}`);
+      label.style.left = `${minX * CELL_W - NODE_W / 2 - 16}px`;
+      label.style.top = `${d * CELL_H}px`;
+      stage.appendChild(label);
+    }
+    center();
+  }
+  overlay._render = render;
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeFamilyTree();
+  }, { signal });
+
+  // ESC fecha só a árvore (capture pra não fechar o memorial junto).
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      closeFamilyTree();
+    }
+  }, { capture: true, signal });
+
+  document.body.appendChild(overlay);
+  requestAnimationFrame(() => {
+    overlay.classList.add('ftr-visible');
+    center();
+  });
+
+  render(animalId);
+}
+
+export function closeFamilyTree() {
+  _abortController?.abort();
+  _abortController = null;
+  const overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) {
+    overlay._render = null;
+    overlay.classList.remove('ftr-visible');
+    setTimeout(() => overlay.remove(), 320);
+  }
+}
+
+export default { openFamilyTree, closeFamilyTree };
@@ -0,0 +1,135 @@
+/**
+ * @file genetics.js - Genoma hereditário dos animais
+ *
+ * Cada animal carrega um genoma pequeno:
+ *   - production  (0–100) — ritmo de produção (leite/ovo/lã)
+ *   - temperament (0–100) — calma: quanto mais alto, mais devagar a moral cai
+ *   - resistance  (0–100) — resistência a doenças (risco diário menor)
+ *   - longevity   (0–100) — tempo de vida (85–110 dias)
+ *   - coat                — variante de pelagem (filtro de cor no sprite)
+ *   - generation          — 0 = comprado/fundador, filhote = maior dos pais + 1
+ *
+ * Fundadores (loja, saves antigos) nascem com genes medianos (30–70), então
+ * só cruzamento seletivo leva um rebanho aos extremos. O filhote sorteia cada
+ * gene entre os valores dos pais e, às vezes, sofre mutação (±MUTATION_SPAN);
+ * a pelagem vem de um dos dois (raramente, uma variante nova).
+ *
+ * Módulo puro: quem aplica os efeitos são os sistemas donos de cada regra
+ * (productionSystem, diseaseSystem, AnimalEntity) via os helpers abaixo.
+ */
+
+export const GENE_KEYS = ['production', 'temperament', 'resistance', 'longevity'];
+
+// Filtro de canvas por pelagem. `standard` = sprite original.
+export const COAT_FILTERS = {
+  standard: null,
+  light:    'brightness(1.18) saturate(0.85)',
+  dark:     'brightness(0.75) contrast(1.1)',
+  russet:   'sepia(0.45) saturate(1.5) hue-rotate(-12deg)',
+  smoky:    'grayscale(0.6) brightness(0.95)',
+};
+export const COAT_VARIANTS = Object.keys(COAT_FILTERS);
+
+// ─── Tunáveis ───────────────────────────────────────────────────────────────
+const FOUNDER_MIN = 30;
+const FOUNDER_SPAN = 40;
+const FOUNDER_STANDARD_COAT_CHANCE = 0.7;
+const MUTATION_CHANCE = 0.15;      // por gene, por filhote
+const MUTATION_SPAN = 20;          // ± pontos numa mutação
+const COAT_MUTATION_CHANCE = 0.05;
+const LIFESPAN_MIN_DAYS = 85;
+const LIFESPAN_DAYS_PER_POINT = 0.25; // longevity 100 → 110 dias
+
+function _clampGene(v) {
+  return Math.max(0, Math.min(100, Math.round(v)));
+}
+
+/** Genoma de um animal sem pais conhecidos (loja, spawn, save antigo). */
+export function randomGenome(rng = Math.random) {
+  const genome = {};
+  for (const key of GENE_KEYS) genome[key] = _clampGene(FOUNDER_MIN + rng() * FOUNDER_SPAN);
+  const others = COAT_VARIANTS.filter(c => c !== 'standard');
+  genome.coat = rng() < FOUNDER_STANDARD_COAT_CHANCE
+    ? 'standard'
+    : others[Math.floor(rng() * others.length)];
+  genome.generation = 0;
+  return genome;
+}
+
+/**
+ * Valida um genoma vindo de save/opts. Genes ausentes viram 50, pelagem
+ * desconhecida vira `standard`. Retorna null se `data` não é um objeto.
+ */
+export function normalizeGenome(data) {
+  if (!data || typeof data !== 'object') return null;
+  const genome = {};
+  for (const key of GENE_KEYS) {
+    genome[key] = Number.isFinite(data[key]) ? _clampGene(data[key]) : 50;
+  }
+  genome.coat = COAT_VARIANTS.includes(data.coat) ? data.coat : 'standard';
+  genome.generation = Number.isFinite(data.generation) ? Math.max(0, Math.floor(data.generation)) : 0;
+  return genome;
+}
+
+/**
+ * Genoma do filhote. Pai/mãe ausente (vendido, morto) conta como fundador.
+ * @param {object|null} mother
+ * @param {object|null} father
+ * @param {() => number} [rng=Math.random]
+ */
+export function inheritGenome(mother, father, rng = Math.random) {
+  const m = normalizeGenome(mother) || randomGenome(rng);
+  const f = normalizeGenome(father) || randomGenome(rng);
+  const child = {};
+  for (const key of GENE_KEYS) {
+    const lo = Math.min(m[key], f[key]);
+    const hi = Math.max(m[key], f[key]);
+    let value = lo + rng() * (hi - lo);
+    if (rng() < MUTATION_CHANCE) value += (rng() * 2 - 1) * MUTATION_SPAN;
+    child[key] = _clampGene(value);
+  }
+  child.coat = rng() < COAT_MUTATION_CHANCE
+    ? COAT_VARIANTS[Math.floor(rng() * COAT_VARIANTS.length)]
+    : (rng() < 0.5 ? m.coat : f.coat);
+  child.generation = Math.max(m.generation, f.generation) + 1;
+  return child;
+}
+
+// ─── Efeitos ────────────────────────────────────────────────────────────────
+
+/** Dias somados ao cooldown de produção: -1 (≥70), +1 (<30), 0 no meio. */
+export function productionCooldownDelta(genome) {
+  const g = genome?.production ?? 50;
+  if (g >= 70) return -1;
+  if (g < 30) return 1;
+  return 0;
+}
+
+/** Multiplicador da queda de moral: 1.2 (arisco) → 0.8 (calmo). */
+export function moralDecayMult(genome) {
+  return 1.2 - (genome?.temperament ?? 50) * 0.004;
+}
+
+/** Multiplicador do risco diário de doença: 1.3 → 0.7. */
+export function diseaseRiskMult(genome) {
+  return 1.3 - (genome?.resistance ?? 50) * 0.006;
+}
+
+/** Tempo de vida (dias) a partir do gene de longevidade. */
+export function lifespanFromGenome(genome) {
+  return LIFESPAN_MIN_DAYS + Math.round((genome?.longevity ?? 50) * LIFESPAN_DAYS_PER_POINT);
+}
+
+/** Inverso de `lifespanFromGenome` — alinha o gene de saves antigos. */
+export function longevityForLifespan(days) {
+  return _clampGene((days - LIFESPAN_MIN_DAYS) / LIFESPAN_DAYS_PER_POINT);
+}
+
+/** Nota A–E pra exibir um gene no painel. */
+export function geneGrade(value) {
+  if (value >= 80) return 'A';
+  if (value >= 60) return 'B';
+  if (value >= 40) return 'C';
+  if (value >= 20) return 'D';
+  return 'E';
+}
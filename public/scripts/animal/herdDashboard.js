@@ -0,0 +1,515 @@
+/**
+ * @file herdDashboard.js - Painel geral do rebanho (tela cheia)
+ *
+ * Com dezenas de animais, abrir o UiPanel um por um não dá. Aqui vai tudo
+ * numa tabela: os animais da fazenda (`animals` do theWorld — na cidade, o
+ * snapshot do mapManager) mais os internados na veterinária (hospitalSystem).
+ *
+ * Colunas: nome, espécie, idade, fome/sede/moral, ferimento, doença
+ * (nome se diagnosticada, "?" se não), prenhez, produto pendente e cercado.
+ * Toda coluna ordena (clique no cabeçalho; de novo inverte). Filtros: busca
+ * por nome/espécie, espécie, cercado e situação ("precisa de atenção",
+ * doente, ferido, prenhe, com produto).
+ *
+ * "Localizar" fecha o painel e leva a câmera (camera.focusOn) e o minimapa
+ * (minimap.focusOn) até o animal por alguns segundos. Só na fazenda, e não
+ * pra internados.
+ *
+ * Aberto pela tecla do keybind `herdDashboard` (L). Classes `hdb-*` em
+ * `herd-dashboard.css`, mesma moldura dos painéis de cercado.
+ *
+ * API:
+ *   herdDashboard.open() / .close() / .toggle() / .isOpen()
+ *   collectHerdRows(), sortHerdRows(), filterHerdRows() — puros, testáveis
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { t } from '../i18n/i18n.js';
+import { withQualityBadge } from '../itemQuality.js';
+import { searchTokens, matchesSearch } from '../searchMatch.js';
+import { camera } from '../thePlayer/cameraSystem.js';
+
+const OVERLAY_ID = 'herd-dashboard';
+// Abaixo disso fome/sede/moral contam como "precisa de atenção" (mesmo
+// limiar da barra vermelha do UiPanel).
+export const NEEDY_STAT = 30;
+// Tempo que câmera/minimapa ficam no animal antes de voltar pro jogador.
+const LOCATE_MS = 3000;
+// Stats caem em tempo real: com o painel aberto, redesenha de vez em quando.
+const REFRESH_MS = 2000;
+
+export const HERD_COLUMNS = [
+  'name', 'species', 'stage', 'hunger', 'thirst', 'moral',
+  'injury', 'disease', 'pregnant', 'product', 'pen',
+];
+
+export const HERD_STATUS_FILTERS = ['all', 'attention', 'sick', 'injured', 'pregnant', 'product'];
+
+const STAGE_RANK = { young: 0, adult: 1, mature: 2, elderly: 3 };
+const INJURY_RANK = { scratch: 1, wound: 2, severe: 3 };
+
+function _tr(key, fallback) {
+  const tr = t(key);
+  return (tr && tr !== key) ? tr : fallback;
+}
+
+function _speciesName(assetName) {
+  return _tr(`animals.${String(assetName || '').toLowerCase()}`, assetName || '?');
+}
+
+function _currentMapId() {
+  return getSystem('mapManager')?.getCurrentMapId?.() || 'farm';
+}
+
+/** Animais da fazenda — na cidade eles só existem no snapshot do mapManager. */
+function _farmAnimals() {
+  const saved = getSystem('mapManager')?.getSavedFarmState?.();
+  const list = _currentMapId() === 'city' ? saved?.animals : window.theWorld?.animals;
+  return Array.isArray(list) ? list : [];
+}
+
+function _stat(v) {
+  return Number.isFinite(v) ? Math.round(v) : null;
+}
+
+/**
+ * Linha da tabela a partir de um animal vivo (AnimalEntity) ou do snapshot
+ * serializado (cidade / internação): os campos privados viram públicos lá.
+ * @param {object} animal
+ * @param {{ penId?: string|null, penIndex?: number, quarantine?: boolean }} [pen]
+ */
+export function rowFromAnimal(animal, pen = {}) {
+  const stats = animal.stats || {};
+  const disease = animal.disease
+    ? { id: animal.disease.id, diagnosed: animal.disease.diagnosed === true }
+    : null;
+  const productId = animal._pendingProduct ?? animal.pendingProduct ?? null;
+  return {
+    id: animal.id,
+    name: animal.customName || _speciesName(animal.assetName),
+    assetName: animal.assetName,
+    species: _speciesName(animal.assetName),
+    stage: animal._lifeStage ?? animal.lifeStage ?? 'adult',
+    hunger: _stat(stats.hunger),
+    thirst: _stat(stats.thirst),
+    moral: _stat(stats.moral),
+    injury: animal.injury ? { severity: animal.injury.severity, region: animal.injury.region } : null,
+    disease,
+    pregnant: !!(animal._pregnant ?? animal.pregnant),
+    product: productId
+      ? {
+        id: productId,
+        quality: animal._pendingQuality ?? animal.pendingQuality ?? null,
+        quantity: animal._pendingQuantity ?? animal.pendingQuantity ?? 1,
+      }
+      : null,
+    penId: pen.penId ?? null,
+    penIndex: pen.penIndex ?? -1,
+    quarantine: !!pen.quarantine,
+    hospitalDays: null,
+    x: Number.isFinite(animal.x) ? animal.x : null,
+    y: Number.isFinite(animal.y) ? animal.y : null,
+  };
+}
+
+/** Linha de um internado: o snapshot do hospital, sem posição no mapa. */
+export function rowFromHospitalEntry(entry) {
+  const snap = entry.animalSnapshot || {};
+  const row = rowFromAnimal({
+    ...snap,
+    id: snap.id ?? entry.id,
+    assetName: snap.assetName || entry.assetName,
+    customName: snap.customName || entry.customName,
+  }, { penId: 'hospital' });
+  row.hospitalDays = Math.max(0, entry.daysRemaining ?? 0);
+  row.x = null;
+  row.y = null;
+  return row;
+}
+
+/** Todas as linhas: animais da fazenda (com cercado) + internados. */
+export function collectHerdRows() {
+  const encSys = getSystem('enclosure');
+  const pens = encSys?.getEnclosures?.() || [];
+  const rows = [];
+  for (const animal of _farmAnimals()) {
+    if (!animal || !animal.stats) continue;
+    const enc = encSys?.getEnclosureOfAnimal?.(animal) || null;
+    const penIndex = enc ? pens.findIndex(e => e.id === enc.id) : -1;
+    rows.push(rowFromAnimal(animal, { penId: enc?.id ?? null, penIndex, quarantine: !!enc?.quarantine }));
+  }
+  for (const entry of getSystem('hospital')?.getEntries?.() || []) {
+    rows.push(rowFromHospitalEntry(entry));
+  }
+  return rows;
+}
+
+/** Valor de ordenação de uma coluna: número ou texto. */
+function _sortValue(row, key) {
+  switch (key) {
+    case 'stage': return STAGE_RANK[row.stage] ?? 1;
+    case 'injury': return row.injury ? (INJURY_RANK[row.injury.severity] ?? 1) : 0;
+    // Sem doença < diagnosticada < "?" (a que ainda precisa de veterinário).
+    case 'disease': return row.disease ? (row.disease.diagnosed ? 1 : 2) : 0;
+    case 'pregnant': return row.pregnant ? 1 : 0;
+    case 'product': return row.product ? 1 : 0;
+    // Soltos antes dos cercados, internados por último.
+    case 'pen': return row.penId === 'hospital' ? 1e6 : row.penId ? row.penIndex + 1 : 0;
+    case 'hunger':
+    case 'thirst':
+    case 'moral': return row[key] ?? -1;
+    default: return String(row[key] ?? '');
+  }
+}
+
+/**
+ * Cópia ordenada por `key`; empate desempata pelo nome.
+ * @param {object[]} rows
+ * @param {string} key - uma das HERD_COLUMNS
+ * @param {'asc'|'desc'} [dir='asc']
+ */
+export function sortHerdRows(rows, key, dir = 'asc') {
+  const sign = dir === 'desc' ? -1 : 1;
+  const cmp = (a, b) => (typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' }));
+  return rows.slice().sort((a, b) =>
+    sign * cmp(_sortValue(a, key), _sortValue(b, key)) || cmp(a.name, b.name));
+}
+
+function _needsAttention(row) {
+  return !!(row.disease || row.injury
+    || [row.hunger, row.thirst, row.moral].some(v => v !== null && v < NEEDY_STAT));
+}
+
+/**
+ * @param {object[]} rows
+ * @param {{ search?: string, species?: string, pen?: string, status?: string }} [filters]
+ *   pen: 'all' | 'loose' | 'hospital' | id do cercado
+ */
+export function filterHerdRows(rows, { search = '', species = 'all', pen = 'all', status = 'all' } = {}) {
+  const tokens = searchTokens(search);
+  return rows.filter((row) => {
+    if (!matchesSearch(`${row.name} ${row.species}`, tokens)) return false;
+    if (species !== 'all' && row.assetName !== species) return false;
+    if (pen === 'loose' && row.penId !== null) return false;
+    if (pen !== 'all' && pen !== 'loose' && row.penId !== pen) return false;
+    switch (status) {
+      case 'attention': return _needsAttention(row);
+      case 'sick': return !!row.disease;
+      case 'injured': return !!row.injury;
+      case 'pregnant': return row.pregnant;
+      case 'product': return !!row.product;
+      default: return true;
+    }
+  });
+}
+
+/** Leva câmera e minimapa até a linha. false se o animal não está no mapa. */
+export function locateHerdRow(row) {
+  if (!row || row.x === null || row.y === null || _currentMapId() !== 'farm') return false;
+  camera.focusOn(row.x, row.y, LOCATE_MS);
+  getSystem('minimap')?.focusOn?.(row.x, row.y, LOCATE_MS);
+  return true;
+}
+
+// ─── Textos das células ─────────────────────────────────────────────────
+
+function _penText(row) {
+  if (row.penId === 'hospital') return t('animal.herd.hospital', { days: row.hospitalDays });
+  if (!row.penId) return t('animal.herd.loose');
+  const label = t('enclosure.livestock.penLabel', { n: row.penIndex >= 0 ? row.penIndex + 1 : '?' });
+  return row.quarantine ? `${label} 🩺` : label;
+}
+
+function _injuryText(row) {
+  if (!row.injury) return '—';
+  return t('animal.injury.format', {
+    severity: _tr(`animal.injury.severity.${row.injury.severity}`, row.injury.severity),
+    region: _tr(`animal.injury.region.${row.injury.region}`, ''),
+  }).trim();
+}
+
+function _diseaseText(row) {
+  if (!row.disease) return '—';
+  if (!row.disease.diagnosed) return t('animal.disease.unknown');
+  return _tr(`animal.disease.names.${row.disease.id}`, row.disease.id);
+}
+
+function _productText(row) {
+  if (!row.product) return '—';
+  const name = withQualityBadge(_tr(`itemNames.${row.product.id}`, String(row.product.id)), row.product.quality);
+  return row.product.quantity > 1 ? `${name} × ${row.product.quantity}` : name;
+}
+
+function _cellText(row, key) {
+  switch (key) {
+    case 'stage': return _tr(`animal.aging.stage.${row.stage}`, row.stage);
+    case 'hunger':
+    case 'thirst':
+    case 'moral': return row[key] === null ? '—' : String(row[key]);
+    case 'injury': return _injuryText(row);
+    case 'disease': return _diseaseText(row);
+    case 'pregnant': return row.pregnant ? t('animal.herd.yes') : '—';
+    case 'product': return _productText(row);
+    case 'pen': return _penText(row);
+    default: return row[key] ?? '';
+  }
+}
+
+// ─── Painel ─────────────────────────────────────────────────────────────
+
+export const herdDashboard = {
+  _abortController: null,
+  _timer: null,
+  // Ordenação e filtros sobrevivem entre aberturas (mesma sessão).
+  sortKey: 'name',
+  sortDir: 'asc',
+  filters: { search: '', species: 'all', pen: 'all', status: 'all' },
+
+  isOpen() {
+    return !!document.getElementById(OVERLAY_ID);
+  },
+
+  toggle() {
+    this.isOpen() ? this.close() : this.open();
+  },
+
+  setSort(key) {
+    if (!HERD_COLUMNS.includes(key)) return;
+    if (this.sortKey === key) this.sortDir = this.sortDir === 'asc' ? 'desc' : 'asc';
+    else {
+      this.sortKey = key;
+      this.sortDir = 'asc';
+    }
+  },
+
+  open() {
+    document.getElementById(OVERLAY_ID)?.remove();
+    this._abortController?.abort();
+    this._abortController = new AbortController();
+    const { signal } = this._abortController;
+
+    const overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const card = document.createElement('div');
+    card.className = 'hdb-card';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'hdb-header';
+    const title = document.createElement('h2');
+    title.className = 'hdb-title';
+    const countEl = document.createElement('span');
+    countEl.className = 'hdb-count';
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'hdb-close';
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.close(), { signal });
+    header.append(title, countEl, closeBtn);
+
+    // Filtros
+    const filterBar = document.createElement('div');
+    filterBar.className = 'hdb-filters';
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'hdb-search';
+    search.value = this.filters.search;
+    const speciesSel = document.createElement('select');
+    const penSel = document.createElement('select');
+    const statusSel = document.createElement('select');
+    for (const sel of [speciesSel, penSel, statusSel]) sel.className = 'hdb-select';
+    filterBar.append(search, speciesSel, penSel, statusSel);
+
+    search.addEventListener('input', () => {
+      this.filters.search = search.value;
+      render();
+    }, { signal });
+    speciesSel.addEventListener('change', () => { this.filters.species = speciesSel.value; render(); }, { signal });
+    penSel.addEventListener('change', () => { this.filters.pen = penSel.value; render(); }, { signal });
+    statusSel.addEventListener('change', () => { this.filters.status = statusSel.value; render(); }, { signal });
+
+    // Tabela
+    const tableWrap = document.createElement('div');
+    tableWrap.className = 'hdb-table-wrap';
+    const table = document.createElement('table');
+    table.className = 'hdb-table';
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+    table.append(thead, tbody);
+    const empty = document.createElement('div');
+    empty.className = 'hdb-empty';
+    tableWrap.append(table, empty);
+
+    const toast = document.createElement('div');
+    toast.className = 'hdb-toast';
+
+    const fillSelect = (sel, options, current) => {
+      sel.replaceChildren();
+      for (const [value, label] of options) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        sel.appendChild(opt);
+      }
+      // Opção sumiu (cercado desfeito, espécie vendida): volta pra "todos".
+      sel.value = options.some(([v]) => v === current) ? current : 'all';
+      return sel.value;
+    };
+
+    const renderFilters = (rows) => {
+      search.placeholder = t('animal.herd.filters.search');
+      search.setAttribute('aria-label', t('animal.herd.filters.search'));
+      speciesSel.setAttribute('aria-label', t('animal.herd.filters.species'));
+      penSel.setAttribute('aria-label', t('animal.herd.filters.pen'));
+      statusSel.setAttribute('aria-label', t('animal.herd.filters.status'));
+
+      const species = new Map();
+      for (const row of rows) species.set(row.assetName, row.species);
+      this.filters.species = fillSelect(speciesSel, [
+        ['all', t('animal.herd.filters.allSpecies')],
+        ...[...species].sort((a, b) => a[1].localeCompare(b[1])),
+      ], this.filters.species);
+
+      const pens = (getSystem('enclosure')?.getEnclosures?.() || [])
+        .map((enc, i) => [enc.id, _penText({ penId: enc.id, penIndex: i, quarantine: !!enc.quarantine })]);
+      this.filters.pen = fillSelect(penSel, [
+        ['all', t('animal.herd.filters.allPens')],
+        ['loose', t('animal.herd.loose')],
+        ...pens,
+        ['hospital', t('animal.herd.filters.hospital')],
+      ], this.filters.pen);
+
+      this.filters.status = fillSelect(statusSel,
+        HERD_STATUS_FILTERS.map(s => [s, t(`animal.herd.status.${s}`)]), this.filters.status);
+    };
+
+    const renderHead = () => {
+      const tr = document.createElement('tr');
+      for (const key of HERD_COLUMNS) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.dataset.col = key;
+        const sorted = this.sortKey === key;
+        th.setAttribute('aria-sort', sorted ? (this.sortDir === 'asc' ? 'ascending' : 'descending') : 'none');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'hdb-sort';
+        btn.textContent = t(`animal.herd.columns.${key}`) + (sorted ? (this.sortDir === 'asc' ? ' ▲' : ' ▼') : '');
+        btn.addEventListener('click', () => {
+          this.setSort(key);
+          render();
+        }, { signal });
+        th.appendChild(btn);
+        tr.appendChild(th);
+      }
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.className = 'hdb-locate-col';
+      tr.appendChild(th);
+      thead.replaceChildren(tr);
+    };
+
+    const onFarm = () => _currentMapId() === 'farm';
+
+    const buildRow = (row) => {
+      const tr = document.createElement('tr');
+      if (row.penId === 'hospital') tr.dataset.hospital = '1';
+      if (_needsAttention(row)) tr.dataset.attention = '1';
+      for (const key of HERD_COLUMNS) {
+        const td = document.createElement('td');
+        td.dataset.col = key;
+        td.textContent = _cellText(row, key);
+        if ((key === 'hunger' || key === 'thirst' || key === 'moral') && row[key] !== null && row[key] < NEEDY_STAT) {
+          td.dataset.low = '1';
+        }
+        tr.appendChild(td);
+      }
+      const td = document.createElement('td');
+      td.className = 'hdb-locate-col';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'hdb-locate';
+      btn.textContent = '📍';
+      btn.setAttribute('aria-label', t('animal.herd.locate', { name: row.name }));
+      const canLocate = onFarm() && row.x !== null;
+      btn.disabled = !canLocate;
+      btn.title = canLocate ? t('animal.herd.locate', { name: row.name })
+        : t(row.penId === 'hospital' ? 'animal.herd.locateHospital' : 'animal.herd.locateAway');
+      btn.addEventListener('click', () => {
+        this.close();
+        locateHerdRow(row);
+      }, { signal });
+      td.appendChild(btn);
+      tr.appendChild(td);
+      return tr;
+    };
+
+    const render = () => {
+      title.textContent = t('animal.herd.title');
+      closeBtn.setAttribute('aria-label', t('animal.herd.close'));
+      const all = collectHerdRows();
+      renderFilters(all);
+      renderHead();
+      const rows = sortHerdRows(filterHerdRows(all, this.filters), this.sortKey, this.sortDir);
+      countEl.textContent = t('animal.herd.count', { shown: rows.length, total: all.length });
+      tbody.replaceChildren(...rows.map(buildRow));
+      empty.hidden = rows.length > 0;
+      empty.textContent = all.length === 0 ? t('animal.herd.empty') : t('animal.herd.noMatch');
+      toast.textContent = onFarm() ? '' : t('animal.herd.locateAway');
+    };
+    card.append(header, filterBar, tableWrap, toast);
+    overlay.appendChild(card);
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    }, { signal });
+
+    // Digitar na busca não pode andar com o jogador nem abrir outros painéis.
+    for (const type of ['keydown', 'keyup', 'keypress']) {
+      overlay.addEventListener(type, (e) => {
+        const tag = e.target?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA') e.stopPropagation();
+      }, { signal });
+    }
+
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        this.close();
+      }
+    }, { capture: true, signal });
+
+    for (const type of ['animalBorn', 'animalAdmitted', 'animalRetrieved', 'enclosuresChanged', 'dayChanged', 'languageChanged']) {
+      document.addEventListener(type, render, { signal });
+    }
+    // Sem redesenhar com um select aberto (fecharia a lista na cara do jogador).
+    this._timer = setInterval(() => {
+      if (document.activeElement?.tagName !== 'SELECT') render();
+    }, REFRESH_MS);
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => {
+      overlay.classList.add('hdb-visible');
+    });
+
+    render();
+  },
+
+  close() {
+    this._abortController?.abort();
+    this._abortController = null;
+    clearInterval(this._timer);
+    this._timer = null;
+    document.getElementById(OVERLAY_ID)?.remove();
+  },
+};
+
+registerSystem('herdDashboard', herdDashboard);
+
+export default herdDashboard;
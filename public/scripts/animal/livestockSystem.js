@@ -0,0 +1,90 @@
+/**
+ * @file livestockSystem.js - Revenda de animais vivos pro Rico
+ *
+ * O Rico compra de volta os animais que vende (catálogo `type: 'animal'` do
+ * items.js). Diferente do abatedouro, aceita qualquer idade — filhote vale o
+ * preço de filhote — e paga menos por animal idoso, doente ou ferido.
+ *
+ * Preço = preço de revenda do catálogo (`getSellPrice`, metade do preço de
+ * compra, igual aos outros itens) × estágio × saúde:
+ *   - estágio: young/adult 1.0, mature 0.9, elderly 0.5
+ *   - saúde: `healthMultiplier` do abatedouro; ferido × 0.7
+ *
+ * Mover de cercado e quarentena ficam no enclosureSystem; o painel do
+ * rebanho (`enclosureLivestockPanel.js`) junta as duas coisas.
+ *
+ * API pública:
+ *   livestock.quoteResale(animal)  → { ok, reason?, price, stage, health }
+ *   livestock.sellToRico(animalId) → { ok, price?, reason? }
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { logger } from '../logger.js';
+import { items } from '../item.js';
+import { getSellPrice } from '../itemUtils.js';
+import { animals, objectDestroyed } from '../theWorld.js';
+import { healthMultiplier } from './slaughterSystem.js';
+
+const RESALE_STAGE_MULT = {
+  young:   1.0,
+  adult:   1.0,
+  mature:  0.9,
+  elderly: 0.5,
+};
+
+const INJURY_MULT = 0.7;
+
+/** Entrada do catálogo do Rico pra esse asset (Cow → item 304), ou null. */
+export function getCatalogAnimal(assetName) {
+  return items.find(it => it.type === 'animal' && it.assetName === assetName) || null;
+}
+
+/**
+ * Quanto o Rico paga pelo animal agora. Puro — não consulta sistemas.
+ * @returns {{ ok: boolean, reason?: string, price: number, stage: string, health?: number }}
+ */
+export function quoteResale(animal) {
+  const stage = animal?._lifeStage ?? animal?.lifeStage ?? 'adult';
+  const item = getCatalogAnimal(animal?.assetName);
+  if (!item) return { ok: false, reason: 'species', price: 0, stage };
+
+  let health = healthMultiplier(animal);
+  if (animal.injury) health *= INJURY_MULT;
+  const price = Math.max(1, Math.round(getSellPrice(item.id) * (RESALE_STAGE_MULT[stage] ?? 1) * health));
+  return { ok: true, price, stage, health };
+}
+
+class LivestockSystem {
+  quoteResale(animal) {
+    return quoteResale(animal);
+  }
+
+  /** Vende o animal vivo com esse id pro Rico. Cotação recalculada na hora. */
+  sellToRico(animalId) {
+    const animal = animals.find(a => a && a.id === animalId);
+    if (!animal) return { ok: false, reason: 'not_found' };
+    const quote = quoteResale(animal);
+    if (!quote.ok) return { ok: false, reason: quote.reason };
+    const currency = getSystem('currency');
+    if (!currency?.earn) return { ok: false, reason: 'no_currency_system' };
+
+    try {
+      objectDestroyed(animal.id);
+    } catch (e) {
+      logger.warn?.('[livestockSystem] falha ao remover animal do mundo', e);
+      return { ok: false, reason: 'remove_failed' };
+    }
+    currency.earn(quote.price, 'rico:animal_sale');
+
+    document.dispatchEvent(new CustomEvent('animalSoldToMerchant', {
+      detail: { animal, merchantId: 'rico', price: quote.price },
+    }));
+    logger.debug?.(`[livestockSystem] ${animal.assetName} vendido ao Rico por ${quote.price}`);
+    return { ok: true, price: quote.price };
+  }
+}
+
+export const livestockSystem = new LivestockSystem();
+registerSystem('livestock', livestockSystem);
+
+export default livestockSystem;
@@ -0,0 +1,125 @@
+/**
+ * @file outbreakReportPanel.js - Boletim diário de surto
+ *
+ * Card no canto da tela (não bloqueia o jogo) que aparece na virada do dia
+ * quando o diseaseSystem emite `outbreakReport`: quem foi exposto, a quem
+ * (contato direto ou mesmo cercado), quem adoeceu e quantas exposições a
+ * quarentena barrou. A doença só aparece pelo nome se a fonte já foi
+ * diagnosticada — o boletim não adianta o trabalho da vet.
+ *
+ * Classes `obr-*` em `outbreak-report.css`.
+ *
+ * API:
+ *   showOutbreakReport(report)
+ *   closeOutbreakReport()
+ */
+
+import { t } from '../i18n/i18n.js';
+
+const PANEL_ID = 'outbreak-report';
+
+let _abortController = null;
+
+function _speciesName(assetName) {
+  const k = `animals.${String(assetName || '').toLowerCase()}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _label(name, assetName) {
+  return name || _speciesName(assetName);
+}
+
+function _section(titleText, rows) {
+  const box = document.createElement('div');
+  box.className = 'obr-section';
+  const title = document.createElement('h4');
+  title.className = 'obr-section-title';
+  title.textContent = titleText;
+  const list = document.createElement('ul');
+  list.className = 'obr-list';
+  for (const text of rows) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  }
+  box.append(title, list);
+  return box;
+}
+
+export function showOutbreakReport(report) {
+  if (!report) return;
+  closeOutbreakReport({ immediate: true });
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const panel = document.createElement('aside');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'status');
+
+  const header = document.createElement('div');
+  header.className = 'obr-header';
+  const title = document.createElement('h3');
+  title.className = 'obr-title';
+  title.textContent = t('animal.outbreak.title', { day: report.day });
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'obr-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('animal.outbreak.close'));
+  closeBtn.addEventListener('click', () => closeOutbreakReport(), { signal });
+  header.append(title, closeBtn);
+  panel.appendChild(header);
+
+  if (report.exposed?.length) {
+    const rows = report.exposed.map(e => {
+      const disease = e.diseaseId
+        ? t(`animal.disease.names.${e.diseaseId}`)
+        : t('animal.outbreak.unknownDisease');
+      return t(`animal.outbreak.route.${e.route}`, {
+        name: _label(e.name, e.assetName),
+        source: _label(e.sourceName, e.sourceAsset),
+        disease,
+      });
+    });
+    panel.appendChild(_section(t('animal.outbreak.exposed', { count: rows.length }), rows));
+  }
+
+  if (report.fellIll?.length) {
+    const rows = report.fellIll.map(f => t(`animal.outbreak.cause.${f.cause}`, {
+      name: _label(f.name, f.assetName),
+    }));
+    panel.appendChild(_section(t('animal.outbreak.fellIll', { count: rows.length }), rows));
+  }
+
+  if (report.blocked > 0) {
+    const note = document.createElement('p');
+    note.className = 'obr-blocked';
+    note.textContent = t('animal.outbreak.blocked', { count: report.blocked });
+    panel.appendChild(note);
+  }
+
+  const hint = document.createElement('p');
+  hint.className = 'obr-hint';
+  hint.textContent = t('animal.outbreak.hint');
+  panel.appendChild(hint);
+
+  document.body.appendChild(panel);
+  requestAnimationFrame(() => panel.classList.add('obr-visible'));
+}
+
+export function closeOutbreakReport({ immediate = false } = {}) {
+  _abortController?.abort();
+  _abortController = null;
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel) return;
+  if (immediate) { panel.remove(); return; }
+  panel.classList.remove('obr-visible');
+  setTimeout(() => panel.remove(), 300);
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('outbreakReport', (e) => showOutbreakReport(e.detail?.report));
+}
+
+export default { showOutbreakReport, closeOutbreakReport };
@@ -0,0 +1,286 @@
+/**
+ * @file pedigreeSystem.js - Registro genealógico dos animais
+ *
+ * Guarda, por id de animal, quem são os pais, em que dia nasceu e quando
+ * morreu. A entidade some do mundo ao morrer (vira tumba) ou ao ser vendida,
+ * mas o registro fica — é isso que deixa a árvore mostrar bisavós que já
+ * partiram e filhotes que foram embora.
+ *
+ * Fontes (por evento, sem acoplar nos donos das regras):
+ *   - `animalBorn` (breedingSystem) → registra o filhote com mãe/pai e o dia,
+ *     e tira um retrato dos pais (fundadores comprados só entram aqui).
+ *   - `animalTombSpawned` (tombSystem) → marca o dia da morte e a tumba.
+ *
+ * Registro: `{ id, species, name, gender, motherId, fatherId, birthDay,
+ *              deathDay, tombId, generation }`. Dados de um animal vivo
+ * (nome, estágio) sempre vêm da entidade — o registro é o fallback.
+ *
+ * Persistido por slot via o export do theWorld (`pedigree`), como `breeding`.
+ *
+ * API pública:
+ *   pedigreeSystem.recordBirth(baby, mother, father, day)
+ *   pedigreeSystem.recordDeath(tomb)
+ *   pedigreeSystem.getRecord(id)              → nó (vivo mesclado ao registro) ou null
+ *   pedigreeSystem.getChildren(id)            → nós dos filhos, por nascimento
+ *   pedigreeSystem.getFamilyTree(id, opts)    → { rootId, nodes, links }
+ *   pedigreeSystem.serializeState() / restoreState(data)
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { animals } from '../theWorld.js';
+
+// Quantas gerações a árvore alcança pra cima e pra baixo do animal central.
+export const MAX_TREE_DEPTH = 4;
+
+class PedigreeSystem {
+  constructor() {
+    this._records = {};
+    this._abortController = null;
+    this._init();
+  }
+
+  _init() {
+    if (typeof document === 'undefined') return;
+    if (this._abortController) this._abortController.abort();
+    this._abortController = new AbortController();
+    const { signal } = this._abortController;
+    document.addEventListener('animalBorn', (e) => {
+      const d = e.detail || {};
+      this.recordBirth(d.animal, d.mother, d.father);
+    }, { signal });
+    document.addEventListener('animalTombSpawned', (e) => {
+      this.recordDeath(e.detail?.tomb);
+    }, { signal });
+  }
+
+  destroy() {
+    if (this._abortController) { this._abortController.abort(); this._abortController = null; }
+  }
+
+  _getCurrentDay() {
+    const clock = getSystem('dayNight') || getSystem('weather');
+    return clock?.dayCount ?? clock?.day ?? 0;
+  }
+
+  /** Cria (ou atualiza) o registro a partir de uma entidade viva. */
+  _snapshot(animal) {
+    if (!animal?.id) return null;
+    const rec = this._records[animal.id] || (this._records[animal.id] = {
+      id: animal.id,
+      motherId: null,
+      fatherId: null,
+      birthDay: null,
+      deathDay: null,
+      tombId: null,
+    });
+    rec.species = animal.assetName || rec.species || '?';
+    rec.name = animal.customName || null;
+    rec.gender = animal.gender || rec.gender || null;
+    rec.generation = animal.genome?.generation ?? rec.generation ?? 0;
+    return rec;
+  }
+
+  /** Filhote nasceu — pai/mãe ausentes (vendidos antes do parto) ficam null. */
+  recordBirth(baby, mother = null, father = null, day = this._getCurrentDay()) {
+    const rec = this._snapshot(baby);
+    if (!rec) return null;
+    if (mother?.id) this._snapshot(mother);
+    if (father?.id) this._snapshot(father);
+    rec.motherId = mother?.id || null;
+    rec.fatherId = father?.id || null;
+    rec.birthDay = day;
+    return rec;
+  }
+
+  /** Morte (tumba criada). Tumbas de saves antigos não têm `animalId`. */
+  recordDeath(tomb) {
+    if (!tomb?.animalId) return null;
+    const rec = this._records[tomb.animalId] || (this._records[tomb.animalId] = {
+      id: tomb.animalId,
+      motherId: null,
+      fatherId: null,
+      birthDay: null,
+      gender: null,
+      generation: 0,
+    });
+    rec.species = tomb.species || rec.species || '?';
+    rec.name = tomb.animalName || rec.name || null;
+    rec.deathDay = tomb.deathDay ?? this._getCurrentDay();
+    rec.tombId = tomb.id || null;
+    return rec;
+  }
+
+  _liveById() {
+    const byId = new Map();
+    if (Array.isArray(animals)) {
+      for (const a of animals) if (a?.id) byId.set(a.id, a);
+    }
+    return byId;
+  }
+
+  /**
+   * Nó de exibição: registro + dados atuais da entidade, se ela ainda está
+   * no mundo. `status`: 'alive' | 'dead' | 'gone' (vendido/longe da fazenda).
+   */
+  _node(id, live) {
+    const rec = this._records[id];
+    const animal = live.get(id);
+    if (!rec && !animal) return null;
+    const status = animal ? 'alive' : (rec.deathDay != null ? 'dead' : 'gone');
+    return {
+      id,
+      species: animal?.assetName || rec?.species || '?',
+      name: (animal ? animal.customName : rec?.name) || null,
+      gender: animal?.gender || rec?.gender || null,
+      generation: animal?.genome?.generation ?? rec?.generation ?? 0,
+      motherId: rec?.motherId ?? null,
+      fatherId: rec?.fatherId ?? null,
+      birthDay: rec?.birthDay ?? null,
+      deathDay: rec?.deathDay ?? null,
+      tombId: rec?.tombId ?? null,
+      status,
+    };
+  }
+
+  getRecord(id) {
+    if (!id) return null;
+    return this._node(id, this._liveById());
+  }
+
+  _childrenIndex() {
+    const index = new Map();
+    for (const rec of Object.values(this._records)) {
+      for (const parentId of [rec.motherId, rec.fatherId]) {
+        if (!parentId) continue;
+        let list = index.get(parentId);
+        if (!list) { list = []; index.set(parentId, list); }
+        list.push(rec);
+      }
+    }
+    for (const list of index.values()) list.sort(_byBirth);
+    return index;
+  }
+
+  getChildren(id) {
+    const live = this._liveById();
+    return (this._childrenIndex().get(id) || []).map(rec => this._node(rec.id, live));
+  }
+
+  /**
+   * Árvore ao redor de `id`: ancestrais (depth < 0), o próprio (0) e
+   * descendentes (depth > 0), até `depth` gerações pra cada lado. Cada
+   * animal aparece uma vez só (cruzamento entre parentes repete ids) — fica
+   * na geração mais próxima do centro.
+   * @returns {{ rootId: string, nodes: object[], links: {parentId, childId}[] } | null}
+   */
+  getFamilyTree(id, { depth = MAX_TREE_DEPTH } = {}) {
+    const live = this._liveById();
+    const root = this._node(id, live);
+    if (!root) return null;
+    root.depth = 0;
+    const nodes = new Map([[id, root]]);
+
+    let frontier = [root];
+    for (let d = -1; d >= -depth && frontier.length; d--) {
+      const next = [];
+      for (const child of frontier) {
+        for (const parentId of [child.motherId, child.fatherId]) {
+          if (!parentId || nodes.has(parentId)) continue;
+          const parent = this._node(parentId, live);
+          if (!parent) continue;
+          parent.depth = d;
+          nodes.set(parentId, parent);
+          next.push(parent);
+        }
+      }
+      frontier = next;
+    }
+
+    const childrenOf = this._childrenIndex();
+    frontier = [root];
+    for (let d = 1; d <= depth && frontier.length; d++) {
+      const next = [];
+      for (const parent of frontier) {
+        for (const rec of childrenOf.get(parent.id) || []) {
+          if (nodes.has(rec.id)) continue;
+          const child = this._node(rec.id, live);
+          child.depth = d;
+          nodes.set(rec.id, child);
+          next.push(child);
+        }
+      }
+      frontier = next;
+    }
+
+    const links = [];
+    for (const node of nodes.values()) {
+      for (const parentId of [node.motherId, node.fatherId]) {
+        if (parentId && nodes.has(parentId)) links.push({ parentId, childId: node.id });
+      }
+    }
+    return { rootId: id, nodes: [...nodes.values()], links };
+  }
+
+  // ─── Persistência (por slot, via export do theWorld) ──────────────────────
+  serializeState() {
+    try { return JSON.parse(JSON.stringify(this._records)); }
+    catch { return {}; }
+  }
+
+  restoreState(data) {
+    this._records = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  }
+}
+
+// Mais velhos primeiro; sem data de nascimento (fundadores) vão pro começo.
+function _byBirth(a, b) {
+  return (a.birthDay ?? -1) - (b.birthDay ?? -1);
+}
+
+/**
+ * Posições da árvore em "células": x = coluna (centrada no 0), y = geração.
+ * Ancestrais são ordenados pelos filhos (mãe à esquerda, pai à direita) e
+ * descendentes pelos pais, então as linhas cruzam o mínimo possível.
+ * @param {{ nodes: object[] }} tree - retorno de `getFamilyTree`
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+export function layoutFamilyTree(tree) {
+  const positions = new Map();
+  if (!tree?.nodes?.length) return positions;
+  const rows = new Map();
+  for (const n of tree.nodes) {
+    if (!rows.has(n.depth)) rows.set(n.depth, []);
+    rows.get(n.depth).push(n);
+  }
+  const byId = new Map(tree.nodes.map(n => [n.id, n]));
+
+  const place = (row, depth) => {
+    row.forEach((n, i) => positions.set(n.id, { x: i - (row.length - 1) / 2, y: depth }));
+  };
+  const ordered = new Map([[0, rows.get(0) || []]]);
+  place(ordered.get(0), 0);
+
+  for (const dir of [-1, 1]) {
+    for (let d = dir; rows.has(d); d += dir) {
+      const pending = new Set(rows.get(d).map(n => n.id));
+      const row = [];
+      for (const n of ordered.get(d - dir)) {
+        const related = dir < 0
+          ? [n.motherId, n.fatherId]
+          : rows.get(d).filter(c => c.motherId === n.id || c.fatherId === n.id).map(c => c.id);
+        for (const rid of related) {
+          if (rid && pending.delete(rid)) row.push(byId.get(rid));
+        }
+      }
+      for (const rid of pending) row.push(byId.get(rid));
+      ordered.set(d, row);
+      place(row, d);
+    }
+  }
+  return positions;
+}
+
+export const pedigreeSystem = new PedigreeSystem();
+registerSystem('pedigree', pedigreeSystem);
+
+export default pedigreeSystem;
@@ -0,0 +1,122 @@
+/**
+ * @file predatorReportPanel.js - Relatório da manhã das raposas
+ *
+ * Card no rodapé, centralizado (boletim de surto fica à esquerda, lembrete
+ * de vacina à direita), que aparece quando o predatorSystem emite
+ * `predatorReport`: aves levadas, aves feridas (com severidade e região) e
+ * quantas vezes as raposas foram espantadas.
+ *
+ * Classes `prd-*` em `predator-report.css`.
+ *
+ * API:
+ *   showPredatorReport(report)
+ *   closePredatorReport()
+ */
+
+import { t } from '../i18n/i18n.js';
+
+const PANEL_ID = 'predator-report';
+
+let _abortController = null;
+
+function _animalLabel(name, assetName) {
+  if (name) return name;
+  const k = `animals.${String(assetName || '').toLowerCase()}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _section(titleText, rows) {
+  const box = document.createElement('div');
+  box.className = 'prd-section';
+  const title = document.createElement('h4');
+  title.className = 'prd-section-title';
+  title.textContent = titleText;
+  const list = document.createElement('ul');
+  list.className = 'prd-list';
+  for (const text of rows) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  }
+  box.append(title, list);
+  return box;
+}
+
+function _line(className, text) {
+  const p = document.createElement('p');
+  p.className = className;
+  p.textContent = text;
+  return p;
+}
+
+export function showPredatorReport(report) {
+  if (!report) return;
+  closePredatorReport({ immediate: true });
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const panel = document.createElement('aside');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'status');
+
+  const header = document.createElement('div');
+  header.className = 'prd-header';
+  const title = document.createElement('h3');
+  title.className = 'prd-title';
+  title.textContent = t('animal.predator.title', { day: report.day });
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'prd-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('animal.predator.close'));
+  closeBtn.addEventListener('click', () => closePredatorReport(), { signal });
+  header.append(title, closeBtn);
+  panel.appendChild(header);
+
+  panel.appendChild(_line('prd-summary', t('animal.predator.summary', { count: report.foxes })));
+
+  if (report.carried?.length) {
+    const rows = report.carried.map(c => _animalLabel(c.name, c.assetName));
+    panel.appendChild(_section(t('animal.predator.carried', { count: rows.length }), rows));
+  }
+
+  if (report.injured?.length) {
+    const rows = report.injured.map(i => t('animal.predator.injuredRow', {
+      name: _animalLabel(i.name, i.assetName),
+      injury: t('animal.injury.format', {
+        severity: t(`animal.injury.severity.${i.severity}`),
+        region: t(`animal.injury.region.${i.region}`),
+      }),
+    }));
+    panel.appendChild(_section(t('animal.predator.injured', { count: rows.length }), rows));
+  }
+
+  if (!report.carried?.length && !report.injured?.length) {
+    panel.appendChild(_line('prd-summary', t('animal.predator.noLosses')));
+  }
+  if (report.scared > 0) {
+    panel.appendChild(_line('prd-summary', t('animal.predator.scared', { count: report.scared })));
+  }
+
+  panel.appendChild(_line('prd-hint', t('animal.predator.hint')));
+
+  document.body.appendChild(panel);
+  requestAnimationFrame(() => panel.classList.add('prd-visible'));
+}
+
+export function closePredatorReport({ immediate = false } = {}) {
+  _abortController?.abort();
+  _abortController = null;
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel) return;
+  if (immediate) { panel.remove(); return; }
+  panel.classList.remove('prd-visible');
+  setTimeout(() => panel.remove(), 300);
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('predatorReport', (e) => showPredatorReport(e.detail?.report));
+}
+
+export default { showPredatorReport, closePredatorReport };
@@ -0,0 +1,419 @@
+/**
+ * @file predatorSystem.js - Raposas noturnas
+ *
+ * Algumas noites uma ou duas raposas saem do mato na borda do mundo (a mais
+ * perto da presa) e vão atrás das aves soltas: galinha, pintinho e peru que
+ * NÃO estejam num cercado fechado do enclosureSystem nem recolhidos no
+ * galinheiro (shelterSystem). Ao alcançar, a raposa fere a ave pelo
+ * injurySystem (mesmo modelo severidade/região) ou a leva embora, e foge.
+ *
+ * Barulho espanta: o jogador chegando perto (PLAYER_NOISE_RADIUS) faz a
+ * raposa fugir sem atacar; `scareNear(x, y, radius)` é a mesma porta pra
+ * outras fontes de barulho (cão de guarda).
+ *
+ * Noite dormida: o sono pula direto pras 6h. Raposas que ainda estavam à
+ * espreita no amanhecer — ou que nem chegaram a aparecer — atacam "fora de
+ * cena" no mesmo sorteio, então dormir não vira escudo. Com o cão de guarda
+ * acordado (dogSystem) elas contam como espantadas.
+ *
+ * Relatório da manhã (`predatorReport`, no primeiro `timeChanged` depois
+ * das 6h): aves levadas, feridas e quantas vezes as raposas foram
+ * espantadas. Só sai se alguma raposa veio.
+ *
+ * Estado da noite persistido por slot (export `predators` do theWorld); as
+ * raposas em si não — carregar no meio da noite só perde a animação.
+ *
+ * API pública:
+ *   predators.eligiblePrey()              → aves vulneráveis agora
+ *   predators.scareNear(x, y, radius)     → nº de raposas espantadas
+ *   predators.update() / drawFoxes(ctx, camera)
+ */
+
+import { registerSystem, getSystem, getObject } from '../gameState.js';
+import { logger } from '../logger.js';
+import { animals, objectDestroyed } from '../theWorld.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../worldConstants.js';
+import { injurySystem } from './injurySystem.js';
+
+export const PREY_SPECIES = ['Chicken', 'Chick', 'Turkey'];
+
+// Janela da noite (minutos do dia). As raposas chegam entre 21h e 3h.
+const NIGHT_START = 21 * 60;
+const DAWN = 6 * 60;
+const SPAWN_WINDOW_MIN = 6 * 60;
+
+const RAID_CHANCE = 0.35;
+const MAX_FOXES = 2;
+
+// px/s — perseguindo ~ um trote; fugindo bem mais rápido que o jogador.
+const FOX_SPEED = 90;
+const FOX_FLEE_SPEED = 200;
+const FOX_FLEE_MS = 6000;
+const BITE_DIST = 14;
+// Raio do "barulho" do jogador (px, centro a centro).
+export const PLAYER_NOISE_RADIUS = 160;
+// Margem da borda onde a raposa surge.
+const EDGE_MARGIN = 24;
+
+// Chance de levar a ave em vez de só ferir — pintinho é leve, peru pesa.
+const CARRY_CHANCE = { Chick: 0.6, Chicken: 0.4, Turkey: 0.2 };
+const SEVERITY_WEIGHTS = { scratch: 3, wound: 4, severe: 1 };
+const SEVERITY_RANK = { scratch: 0, wound: 1, severe: 2 };
+// Mordida pega mais costas/pernas (ave fugindo) que cabeça.
+const REGION_WEIGHTS = { back: 2, leg: 2, tail: 1, chest: 1, head: 1 };
+
+function _now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function _isNight(time) {
+  return time >= NIGHT_START || time < DAWN;
+}
+
+function _sinceNightStart(time) {
+  return (time - NIGHT_START + 24 * 60) % (24 * 60);
+}
+
+function _pickWeighted(weights, rng) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((s, [, w]) => s + w, 0);
+  let r = rng() * total;
+  for (const [k, w] of entries) {
+    r -= w;
+    if (r <= 0) return k;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function _center(a) {
+  return { x: a.x + (a.width || 32) / 2, y: a.y + (a.height || 32) / 2 };
+}
+
+function _report(a) {
+  return { animalId: a.id, name: a.customName || null, assetName: a.assetName };
+}
+
+function _emptyNight() {
+  return { count: 0, spawnOffset: 0, spawned: false, carried: [], injured: [], scared: 0 };
+}
+
+let _foxSeq = 0;
+
+const predatorSystem = {
+  _night: null,        // noite em andamento (sorteada), ver _emptyNight()
+  _sawMidnight: false, // virou o dia desde o último amanhecer?
+  _foxes: [],          // { id, x, y (centro), state: 'stalk'|'flee', targetId, vx, vy, fleeAt, carrying }
+  _lastUpdate: null,
+
+  /** Aves que uma raposa consegue pegar agora. */
+  eligiblePrey() {
+    const enclosure = getSystem('enclosure');
+    return animals.filter(a => a
+      && PREY_SPECIES.includes(a.assetName)
+      && !a.sheltered
+      && !a.hospitalized
+      && !enclosure?.getEnclosureOfAnimal?.(a));
+  },
+
+  getFoxes() {
+    return this._foxes;
+  },
+
+  /** Sorteia a noite: vem raposa? quantas, e a que horas. */
+  rollNight(rng = Math.random) {
+    const night = _emptyNight();
+    if (this.eligiblePrey().length === 0 || rng() >= RAID_CHANCE) return night;
+    night.count = 1 + Math.floor(rng() * MAX_FOXES);
+    night.spawnOffset = Math.floor(rng() * SPAWN_WINDOW_MIN);
+    return night;
+  },
+
+  /** Relógio do jogo (minutos do dia): sorteia, solta as raposas, fecha a noite. */
+  onTime(time, rng = Math.random) {
+    if (_isNight(time)) {
+      if (!this._night) this._night = this.rollNight(rng);
+      const n = this._night;
+      if (n.count > 0 && !n.spawned && _sinceNightStart(time) >= n.spawnOffset) {
+        n.spawned = true;
+        this.spawnFoxes(n.count, rng);
+      }
+      return;
+    }
+    // Dormiu antes das 21h e acordou às 6h: a noite inteira passou sem
+    // nenhum timeChanged noturno — sorteia agora e resolve fora de cena.
+    if (!this._night && this._sawMidnight) this._night = this.rollNight(rng);
+    this._sawMidnight = false;
+    if (this._night) this.dawn(rng);
+  },
+
+  /** Solta `count` raposas na borda do mundo mais perto de uma presa. */
+  spawnFoxes(count, rng = Math.random) {
+    const prey = this.eligiblePrey();
+    for (let i = 0; i < count && prey.length > 0; i++) {
+      const target = prey[Math.floor(rng() * prey.length)];
+      const c = _center(target);
+      const edges = [
+        { d: c.x, x: EDGE_MARGIN, y: c.y },
+        { d: WORLD_WIDTH - c.x, x: WORLD_WIDTH - EDGE_MARGIN, y: c.y },
+        { d: c.y, x: c.x, y: EDGE_MARGIN },
+        { d: WORLD_HEIGHT - c.y, x: c.x, y: WORLD_HEIGHT - EDGE_MARGIN },
+      ];
+      const edge = edges.reduce((best, e) => (e.d < best.d ? e : best));
+      this._foxes.push({
+        id: `fox_${++_foxSeq}`,
+        x: edge.x,
+        y: edge.y,
+        state: 'stalk',
+        targetId: target.id,
+        vx: 0,
+        vy: 0,
+        fleeAt: 0,
+        carrying: null,
+      });
+    }
+    logger.debug?.(`[predators] ${this._foxes.length} raposa(s) na borda da fazenda`);
+  },
+
+  /**
+   * Mordida: leva a ave (some do mundo) ou fere pelo injurySystem. Ferida
+   * nova nunca "cura" uma pior que a ave já tinha.
+   * @returns {'carried'|'injured'}
+   */
+  attack(fox, prey, rng = Math.random) {
+    const n = this._night || (this._night = _emptyNight());
+    let outcome;
+    if (rng() < (CARRY_CHANCE[prey.assetName] ?? 0.3)) {
+      objectDestroyed(prey.id);
+      n.carried.push(_report(prey));
+      document.dispatchEvent(new CustomEvent('animalTakenByPredator', { detail: { animal: prey } }));
+      outcome = 'carried';
+    } else {
+      const current = injurySystem.get(prey);
+      let severity = _pickWeighted(SEVERITY_WEIGHTS, rng);
+      if (current && SEVERITY_RANK[current.severity] > SEVERITY_RANK[severity]) severity = current.severity;
+      const region = _pickWeighted(REGION_WEIGHTS, rng);
+      injurySystem.inflict(prey, severity, region, 'fox');
+      n.injured.push({ ..._report(prey), severity, region });
+      outcome = 'injured';
+    }
+    if (fox) {
+      const c = _center(prey);
+      this._flee(fox, c.x, c.y);
+      if (outcome === 'carried') fox.carrying = prey.assetName;
+    }
+    return outcome;
+  },
+
+  /** Espanta as raposas à espreita num raio (barulho). */
+  scareNear(x, y, radius) {
+    let scared = 0;
+    for (const fox of this._foxes) {
+      if (fox.state !== 'stalk') continue;
+      const dx = fox.x - x;
+      const dy = fox.y - y;
+      if (dx * dx + dy * dy > radius * radius) continue;
+      this._flee(fox, x, y);
+      scared++;
+    }
+    if (scared > 0 && this._night) this._night.scared += scared;
+    return scared;
+  },
+
+  _flee(fox, fromX, fromY) {
+    const dx = fox.x - fromX;
+    const dy = fox.y - fromY;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    fox.state = 'flee';
+    fox.vx = dx / dist;
+    fox.vy = dy / dist;
+    fox.fleeAt = _now();
+  },
+
+  /** Tick por frame: persegue, morde, foge do barulho, some. */
+  update(now = _now()) {
+    if (this._foxes.length === 0) {
+      this._lastUpdate = null;
+      return;
+    }
+    const dt = this._lastUpdate == null ? 0 : Math.min(0.1, (now - this._lastUpdate) / 1000);
+    this._lastUpdate = now;
+
+    const player = getObject('currentPlayer');
+    if (player) {
+      const p = _center(player);
+      this.scareNear(p.x, p.y, PLAYER_NOISE_RADIUS);
+    }
+
+    for (const fox of this._foxes) {
+      if (fox.state === 'flee') {
+        fox.x += fox.vx * FOX_FLEE_SPEED * dt;
+        fox.y += fox.vy * FOX_FLEE_SPEED * dt;
+        if (now - fox.fleeAt > FOX_FLEE_MS) fox.gone = true;
+        continue;
+      }
+
+      const prey = this._targetOf(fox);
+      if (!prey) {
+        // Nada solto pra caçar (recolheram as aves): vai embora.
+        this._flee(fox, fox.x, fox.y + 1);
+        continue;
+      }
+      const c = _center(prey);
+      const dx = c.x - fox.x;
+      const dy = c.y - fox.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist <= BITE_DIST) {
+        this.attack(fox, prey);
+        continue;
+      }
+      const step = Math.min(dist, FOX_SPEED * dt);
+      fox.x += (dx / dist) * step;
+      fox.y += (dy / dist) * step;
+      fox.vx = dx / dist;
+      fox.vy = dy / dist;
+    }
+    this._foxes = this._foxes.filter(f => !f.gone);
+  },
+
+  /** Presa atual da raposa; se ficou fora de alcance, troca pela mais perto. */
+  _targetOf(fox) {
+    const prey = this.eligiblePrey();
+    const current = prey.find(a => a.id === fox.targetId);
+    if (current) return current;
+    let best = null;
+    let bestDistSq = Infinity;
+    for (const a of prey) {
+      const c = _center(a);
+      const dsq = (c.x - fox.x) ** 2 + (c.y - fox.y) ** 2;
+      if (dsq < bestDistSq) {
+        best = a;
+        bestDistSq = dsq;
+      }
+    }
+    fox.targetId = best?.id ?? null;
+    return best;
+  },
+
+  /**
+   * Amanhecer: quem ainda estava à espreita (ou nem apareceu, noite
+   * dormida) ataca fora de cena; emite o relatório e zera a noite.
+   */
+  dawn(rng = Math.random) {
+    const n = this._night;
+    if (!n) return null;
+    const pending = this._foxes.filter(f => f.state === 'stalk').length
+      + (n.spawned ? 0 : n.count);
+    if (getSystem('dog')?.isGuarding?.()) {
+      n.scared += pending;
+    } else {
+      for (let i = 0; i < pending; i++) {
+        const prey = this.eligiblePrey();
+        if (prey.length === 0) break;
+        this.attack(null, prey[Math.floor(rng() * prey.length)], rng);
+      }
+    }
+    this._foxes = [];
+    this._night = null;
+
+    if (n.count === 0) return null;
+    const report = {
+      day: getSystem('weather')?.day ?? 0,
+      foxes: n.count,
+      carried: n.carried,
+      injured: n.injured,
+      scared: n.scared,
+    };
+    document.dispatchEvent(new CustomEvent('predatorReport', { detail: { report } }));
+    return report;
+  },
+
+  /** Raposas na tela: corpo laranja, rabo de ponta branca, presa na boca. */
+  drawFoxes(ctx, camera, now = _now()) {
+    if (!ctx || !camera || this._foxes.length === 0) return;
+    const z = camera.zoom || 1;
+    for (const fox of this._foxes) {
+      const sp = camera.worldToScreen(fox.x, fox.y);
+      const dir = fox.vx < 0 ? -1 : 1;
+      const trot = Math.sin(now / (fox.state === 'flee' ? 50 : 90)) * 1.5 * z;
+      ctx.save();
+      ctx.translate(sp.x, sp.y);
+      ctx.scale(dir, 1);
+      ctx.fillStyle = '#c8581e';
+      ctx.beginPath();
+      ctx.ellipse(0, 0, 9 * z, 4.5 * z, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(-12 * z, -2 * z + trot * 0.5, 6 * z, 3 * z, -0.3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#f4efe6';
+      ctx.beginPath();
+      ctx.arc(-17 * z, -3.5 * z + trot * 0.5, 2 * z, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#c8581e';
+      ctx.beginPath();
+      ctx.moveTo(7 * z, -4 * z);
+      ctx.lineTo(15 * z, -1 * z);
+      ctx.lineTo(7 * z, 3 * z);
+      ctx.closePath();
+      ctx.fill();
+      ctx.beginPath();
+      ctx.moveTo(8 * z, -3 * z);
+      ctx.lineTo(10 * z, -9 * z);
+      ctx.lineTo(12 * z, -2.5 * z);
+      ctx.fill();
+      ctx.strokeStyle = '#3b2616';
+      ctx.lineWidth = Math.max(1, 1.5 * z);
+      ctx.beginPath();
+      ctx.moveTo(-5 * z, 3 * z);
+      ctx.lineTo(-5 * z + trot, 8 * z);
+      ctx.moveTo(5 * z, 3 * z);
+      ctx.lineTo(5 * z - trot, 8 * z);
+      ctx.stroke();
+      if (fox.carrying) {
+        ctx.fillStyle = '#f7f2e8';
+        ctx.beginPath();
+        ctx.ellipse(16 * z, 2 * z, 3.5 * z, 2.5 * z, 0, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+  },
+
+  // ─── Persistência (por slot, via export do theWorld) ──────────────────────
+  serializeState() {
+    return {
+      night: this._night ? {
+        ...this._night,
+        carried: this._night.carried.map(e => ({ ...e })),
+        injured: this._night.injured.map(e => ({ ...e })),
+      } : null,
+      sawMidnight: this._sawMidnight,
+    };
+  },
+
+  restoreState(data) {
+    const night = data?.night;
+    this._night = night ? {
+      ..._emptyNight(),
+      ...night,
+      carried: Array.isArray(night.carried) ? night.carried.map(e => ({ ...e })) : [],
+      injured: Array.isArray(night.injured) ? night.injured.map(e => ({ ...e })) : [],
+    } : null;
+    this._sawMidnight = !!data?.sawMidnight;
+    this._foxes = [];
+    this._lastUpdate = null;
+  },
+};
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('dayChanged', () => { predatorSystem._sawMidnight = true; });
+  document.addEventListener('timeChanged', (e) => {
+    const time = e.detail?.time;
+    if (typeof time === 'number') predatorSystem.onTime(time);
+  });
+}
+
+registerSystem('predators', predatorSystem);
+
+export { predatorSystem };
+export default predatorSystem;
@@ -23,10 +23,21 @@
  *   - hospitalizado → não produz (já está fora do mundo)
  *   - SLEEPING mood → produz normalmente (dorme à noite, ovo nasce de dia)
  *
+ * Qualidade (itemQuality.js): quando o produto fica pronto, sorteia
+ * normal/prata/ouro a partir de um score 0..1 do cuidado:
+ *   - moral média (`_avgMoral`, EMA diário do agingSystem) — pesa mais
+ *   - dieta desde a última coleta: fração das refeições com Ração de
+ *     Qualidade (tempero do cocho / ração universal) vs Feno e ração comum
+ *   - estágio de vida: maduro é o pico, idoso cai
+ *   - gene de produção
+ * Score alto às vezes rende produto grande (2 unidades). A qualidade vai
+ * como metadado da stack pro inventário e o mercador paga mais por ela.
+ *
  * API pública:
  *   productionSystem.getRule(assetName)   → regra da espécie ou null
  *   productionSystem.canProduce(animal)   → boolean (sem efeitos)
  *   productionSystem.tickAll()            → marca todos elegíveis (chamado em dayChanged)
+ *   productionSystem.qualityScore(animal) → score 0..1 do cuidado (sem efeitos)
  *   productionSystem.collect(animal)      → consome `_pendingProduct`, retorna item id pra inventário
  */
 
@@ -35,6 +46,8 @@ import { logger } from '../logger.js';
 import { animals } from '../theWorld.js';
 import { t } from '../i18n/i18n.js';
 import { getItem } from '../itemUtils.js';
+import { productionCooldownDelta } from './genetics.js';
+import { rollTier, withQualityBadge } from '../itemQuality.js';
 
 // Tabela de produção. assetName (espécie) → regra. Animais fora da tabela
 // não produzem nada (filhotes, machos, etc.).
@@ -66,6 +79,18 @@ const PRODUCT_RULES = {
   },
 };
 
+// Pesos do score de qualidade (somam 1).
+const QUALITY_WEIGHTS = { moral: 0.4, diet: 0.25, stage: 0.15, genes: 0.2 };
+// Nota do estágio de vida: maduro é o pico de produção.
+const STAGE_QUALITY = { young: 0, adult: 0.6, mature: 1, elderly: 0.3 };
+// Produto grande: só acima desse score; chance cresce até 20% no score 1.
+const DOUBLE_MIN_SCORE = 0.6;
+const DOUBLE_CHANCE_PER_POINT = 0.5;
+
+function _clamp01(v) {
+  return Math.max(0, Math.min(1, Number(v) || 0));
+}
+
 function _currentDay() {
   const sys = getSystem('dayNight') || getSystem('weather');
   return sys?.dayCount ?? sys?.day ?? 0;
@@ -127,10 +152,13 @@ class ProductionSystem {
     const thirstMin = rule.thirstMin ?? 0;
     if (thirst < thirstMin) return false;
 
-    // Cooldown — estendido se thirst está entre min e comfort.
+    // Cooldown — estendido se thirst está entre min e comfort. O gene de
+    // produção tira ou soma 1 dia (nunca abaixo de 1).
     const thirstComfort = rule.thirstComfort ?? 0;
     const lowThirst = thirst < thirstComfort;
-    const effectiveCooldown = rule.cooldownDays + (lowThirst ? (rule.thirstPenaltyDays ?? 0) : 0);
+    const effectiveCooldown = Math.max(1,
+      rule.cooldownDays + (lowThirst ? (rule.thirstPenaltyDays ?? 0) : 0)
+      + productionCooldownDelta(animal.genome));
 
     const today = _currentDay();
     const last  = animal._lastProducedDay ?? -1;
@@ -139,12 +167,39 @@ class ProductionSystem {
     return true;
   }
 
+  /**
+   * Score 0..1 do cuidado, base da qualidade do produto. Sem refeição
+   * registrada a dieta conta como comum.
+   * @returns {{ score: number, moral: number, diet: number, stage: number, genes: number }}
+   */
+  qualityScore(animal) {
+    const moral = _clamp01((animal?._avgMoral ?? animal?.stats?.moral ?? 0) / 100);
+    const meals = (animal?._diet?.basic || 0) + (animal?._diet?.premium || 0);
+    const diet = meals > 0 ? _clamp01(animal._diet.premium / meals) : 0;
+    const stage = STAGE_QUALITY[animal?._lifeStage] ?? STAGE_QUALITY.adult;
+    const genes = _clamp01((animal?.genome?.production ?? 50) / 100);
+    const score = QUALITY_WEIGHTS.moral * moral + QUALITY_WEIGHTS.diet * diet
+      + QUALITY_WEIGHTS.stage * stage + QUALITY_WEIGHTS.genes * genes;
+    return { score, moral, diet, stage, genes };
+  }
+
+  /**
+   * Sorteia qualidade e quantidade do produto que acabou de ficar pronto.
+   * @returns {{ quality: 'normal'|'silver'|'gold', quantity: 1|2 }}
+   */
+  rollProduct(animal, rng = Math.random) {
+    const { score } = this.qualityScore(animal);
+    const quality = rollTier(score, rng);
+    const doubleChance = Math.max(0, score - DOUBLE_MIN_SCORE) * DOUBLE_CHANCE_PER_POINT;
+    return { quality, quantity: rng() < doubleChance ? 2 : 1 };
+  }
+
   /**
    * Marca todos os animais elegíveis como prontos pra coleta. Chamado em
    * `dayChanged`. Não duplica: animal que já tem `_pendingProduct` setado
    * (não foi coletado ainda) permanece com o mesmo, sem reagendar.
    */
-  tickAll() {
+  tickAll(rng = Math.random) {
     if (!Array.isArray(animals)) return 0;
     let marked = 0;
     for (const a of animals) {
@@ -152,8 +207,11 @@ class ProductionSystem {
       if (a._pendingProduct) continue;  // já tem item esperando coleta
       if (!this.canProduce(a)) continue;
       const rule = this.getRule(a.assetName);
-      a._pendingProduct = rule.product;
-      a._pendingTool    = rule.toolId;
+      const { quality, quantity } = this.rollProduct(a, rng);
+      a._pendingProduct  = rule.product;
+      a._pendingTool     = rule.toolId;
+      a._pendingQuality  = quality === 'normal' ? null : quality;
+      a._pendingQuantity = quantity;
       marked++;
     }
     if (marked > 0) {
@@ -176,7 +234,7 @@ class ProductionSystem {
    * @param {Object} animal
    * @param {Object} [options]
    * @param {Object|null} [options.equippedItem] item equipado pelo player
-   * @returns {{ ok: true, itemId } | { ok: false, reason: string }}
+   * @returns {{ ok: true, itemId, quantity, quality } | { ok: false, reason: string }}
    */
   collect(animal, options = {}) {
     if (!animal) return { ok: false, reason: 'no_animal' };
@@ -209,29 +267,35 @@ class ProductionSystem {
     }
 
     const itemId = animal._pendingProduct;
+    const quality = animal._pendingQuality ?? null;
+    const quantity = animal._pendingQuantity || 1;
     // #NNN: full inventory routes the product to the warehouse (acquireItem
     // shows the notice); only fails when the warehouse is also full.
-    const added = inv.acquireItem(itemId, 1);
+    const added = inv.acquireItem(itemId, quantity, quality);
     if (!added) {
       this._setFx(animal, t('animal.production.inventoryFull'), false);
       return { ok: false, reason: 'inventory_full' };
     }
 
-    animal._pendingProduct = null;
-    animal._pendingTool    = null;
+    animal._pendingProduct  = null;
+    animal._pendingTool     = null;
+    animal._pendingQuality  = null;
+    animal._pendingQuantity = 1;
     animal._lastProducedDay = _currentDay();
+    // Dieta conta de uma coleta à outra.
+    animal._diet = { basic: 0, premium: 0 };
 
-    // FX de sucesso: "+1 [nome do item]" verde.
+    // FX de sucesso: "+1 [nome do item]" verde (com o selo da qualidade).
     const productName = getItem(itemId)?.name || '?';
     const translated = t(`itemNames.${itemId}`);
     const displayName = (translated && translated !== `itemNames.${itemId}`) ? translated : productName;
-    this._setFx(animal, `+1 ${displayName}`, true);
+    this._setFx(animal, `+${quantity} ${withQualityBadge(displayName, quality)}`, true);
 
     document.dispatchEvent(new CustomEvent('animalProductCollected', {
-      detail: { animal, itemId },
+      detail: { animal, itemId, quantity, quality },
     }));
 
-    return { ok: true, itemId };
+    return { ok: true, itemId, quantity, quality };
   }
 
   /** Helper interno: seta FX flutuante no animal. Não persistido. */
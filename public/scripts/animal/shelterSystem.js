@@ -0,0 +1,127 @@
+/**
+ * @file shelterSystem.js - Celeiros e galinheiros
+ *
+ * Construções colocadas pelo buildSystem (itens com `shelterCapacity`,
+ * originalType 'barn' / 'coop'). De noite (SHELTER_FROM_HOUR até o
+ * amanhecer) e durante tempestade/nevasca os animais vão pra dentro: o
+ * animalAI entra em SEEKING_SHELTER, anda até a porta (meio da parede de
+ * baixo) pelo mesmo flow field dos cochos e, ao chegar, vira SHELTERED —
+ * some do mundo, não leva a penalidade de moral do clima e o diseaseSystem
+ * ignora os bônus de inverno/nevasca no sorteio diário.
+ *
+ * Vaga por espécie (`shelterCapacity` do item). Sem registro próprio: a
+ * ocupação é contada pelos `animal.shelterId` (persistidos com o animal),
+ * então save/load e celeiro removido não deixam vaga presa. Igual aos
+ * espantalhos, o abrigo em si é só um world object.
+ *
+ * API pública:
+ *   shelter.getShelters()                → world objects de celeiro/galinheiro
+ *   shelter.capacityFor(shelter, asset)  → vagas da espécie (0 = não cabe)
+ *   shelter.shouldShelter()              → hora/clima de recolher?
+ *   shelter.claim(animal)                → { shelter, door } | null
+ *   shelter.doorFor(shelter, animal)     → ponto (top-left do sprite) na porta
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { getItem } from '../itemUtils.js';
+import { animals } from '../theWorld.js';
+
+// Recolhe às 20h (antes do sono das 22h, dá tempo de andar) até as 6h.
+export const SHELTER_FROM_HOUR = 20;
+export const SHELTER_UNTIL_HOUR = 6;
+const SHELTER_WEATHER = ['storm', 'blizzard'];
+// Folga entre o corpo do animal e a parede, na porta.
+const DOOR_GAP = 2;
+
+function _shelters() {
+  const list = window.theWorld?.placedBuildings;
+  if (!Array.isArray(list)) return [];
+  return list.filter(b => b && getItem(b.itemId)?.shelterCapacity);
+}
+
+const shelterSystem = {
+  getShelters() {
+    return _shelters();
+  },
+
+  getShelter(shelterId) {
+    if (!shelterId) return null;
+    return _shelters().find(b => b.id === shelterId) || null;
+  },
+
+  capacityFor(shelter, assetName) {
+    return Math.max(0, Math.floor(getItem(shelter?.itemId)?.shelterCapacity?.[assetName] || 0));
+  },
+
+  /** Animais da espécie já abrigados (ou a caminho) neste abrigo. */
+  occupancy(shelter, assetName) {
+    return animals.filter(a => a && a.shelterId === shelter.id && a.assetName === assetName).length;
+  },
+
+  /** True à noite ou com tempestade/nevasca. Sem weather (testes), nunca. */
+  shouldShelter() {
+    const weather = getSystem('weather');
+    if (!weather) return false;
+    if (SHELTER_WEATHER.includes(weather.weatherType)) return true;
+    const hour = Math.floor((weather.currentTime || 0) / 60);
+    return hour >= SHELTER_FROM_HOUR || hour < SHELTER_UNTIL_HOUR;
+  },
+
+  isSheltered(animal) {
+    return !!animal?.sheltered;
+  },
+
+  /**
+   * Onde o animal para pra entrar: corpo (collision box) logo abaixo da
+   * parede de baixo, centrado na porta. Coordenadas de sprite top-left,
+   * igual o drinkPos dos cochos.
+   */
+  doorFor(shelter, animal) {
+    const cb = animal?.collisionBox
+      || { offsetX: 0, offsetY: 0, width: animal?.width || 32, height: animal?.height || 32 };
+    return {
+      x: Math.round(shelter.x + shelter.width / 2 - (cb.offsetX || 0) - cb.width / 2),
+      y: Math.round(shelter.y + shelter.height + DOOR_GAP - (cb.offsetY || 0)),
+    };
+  },
+
+  /** Posição (sprite top-left) do animal lá dentro — só pra contágio/painéis. */
+  insidePos(shelter, animal) {
+    const w = animal?.width || 32;
+    const h = animal?.height || 32;
+    return {
+      x: shelter.x + Math.max(0, shelter.width - w) * Math.random(),
+      y: shelter.y + Math.max(0, shelter.height - h) * Math.random(),
+    };
+  },
+
+  /**
+   * Reserva vaga no abrigo mais perto com lugar pra espécie. Marca
+   * `animal.shelterId` (é isso que conta como ocupação).
+   */
+  claim(animal) {
+    if (!animal) return null;
+    const cx = animal.x + (animal.width || 32) / 2;
+    const cy = animal.y + (animal.height || 32) / 2;
+    let best = null;
+    let bestDistSq = Infinity;
+    for (const s of _shelters()) {
+      if (this.occupancy(s, animal.assetName) >= this.capacityFor(s, animal.assetName)) continue;
+      const dx = s.x + s.width / 2 - cx;
+      const dy = s.y + s.height - cy;
+      const dsq = dx * dx + dy * dy;
+      if (dsq < bestDistSq) {
+        best = s;
+        bestDistSq = dsq;
+      }
+    }
+    if (!best) return null;
+    animal.shelterId = best.id;
+    return { shelter: best, door: this.doorFor(best, animal) };
+  },
+};
+
+registerSystem('shelter', shelterSystem);
+
+export { shelterSystem };
+export default shelterSystem;
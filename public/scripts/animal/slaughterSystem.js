@@ -0,0 +1,179 @@
+/**
+ * @file slaughterSystem.js - Venda de animais no abatedouro
+ *
+ * Regras de negócio do abatedouro (o painel fica em `slaughterhouseSystem.js`).
+ * O jogador vende animais adultos/maduros/idosos; o abatedouro paga pela
+ * carne e pelo couro (penas, nas aves). O animal sai do mundo na hora.
+ *
+ * Preço = valor base dos produtos da espécie × estágio de vida × saúde:
+ *   - estágio (agingSystem): adult 1.0, mature 1.1 (pico), elderly 0.6
+ *   - saúde: condição média (fome/sede/moral) entre 0.7 e 1.0; doença × 0.5
+ *
+ * Bloqueios:
+ *   - filhote (`young`) — ainda não tem idade de abate
+ *   - ferido — o abatedouro não recebe animal machucado; tratar antes
+ *   - internado — está na veterinária (fora do mundo), aparece só como aviso
+ *
+ * Histórico de vendas por slot via o export do theWorld (`slaughter`).
+ *
+ * API pública:
+ *   slaughter.quote(animal)        → { ok, reason?, products, total }
+ *   slaughter.getCandidates()      → [{ animal|entry, quote, hospitalized }]
+ *   slaughter.sell(animalId)       → { ok, sale?, reason? }
+ *   slaughter.getHistory()         → vendas, mais recente primeiro
+ *   slaughter.serializeState() / restoreState(data)
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { logger } from '../logger.js';
+import { animals, objectDestroyed } from '../theWorld.js';
+
+// Valor (moedas) de cada produto de um adulto saudável, por espécie.
+// Sempre abaixo do preço de compra no Rico — abate não vira máquina de lucro.
+const CARCASS_VALUES = {
+  Cow:     { meat: 260, leather: 70 },
+  Bull:    { meat: 420, leather: 100 },
+  Pig:     { meat: 230, leather: 30 },
+  Sheep:   { meat: 170, leather: 60 },
+  Chicken: { meat: 90,  feathers: 15 },
+  Rooster: { meat: 100, feathers: 15 },
+  Turkey:  { meat: 160, feathers: 30 },
+};
+
+const STAGE_MULT = {
+  adult:   1.0,
+  mature:  1.1,
+  elderly: 0.6,
+};
+
+const MIN_CONDITION_MULT = 0.7;
+const DISEASE_MULT = 0.5;
+const MAX_HISTORY = 50;
+
+function _genId() {
+  return `sale_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Multiplicador de saúde (0.35–1.0): condição média de fome/sede/moral
+ * entre 0.7 e 1.0, × 0.5 se doente. Também usado na revenda pro Rico.
+ */
+export function healthMultiplier(animal) {
+  const s = animal?.stats || {};
+  const condition = ((s.hunger ?? 100) + (s.thirst ?? 100) + (s.moral ?? 100)) / 300;
+  let health = MIN_CONDITION_MULT + (1 - MIN_CONDITION_MULT) * Math.max(0, Math.min(1, condition));
+  if (animal?.disease) health *= DISEASE_MULT;
+  return health;
+}
+
+/**
+ * Preço de venda de um animal (ou snapshot serializado). Puro — não
+ * consulta sistemas, então serve tanto pra entidade viva quanto pro
+ * snapshot do hospital.
+ * @returns {{ ok: boolean, reason?: string, products: {id: string, value: number}[], total: number, stage: string }}
+ */
+export function quoteAnimal(animal) {
+  const stage = animal?._lifeStage ?? animal?.lifeStage ?? 'adult';
+  const base = CARCASS_VALUES[animal?.assetName];
+  const fail = (reason) => ({ ok: false, reason, products: [], total: 0, stage });
+  if (!base) return fail('species');
+  if (!STAGE_MULT[stage]) return fail('young');
+  if (animal.injury) return fail('injured');
+
+  const health = healthMultiplier(animal);
+  const mult = STAGE_MULT[stage] * health;
+  const products = Object.entries(base).map(([id, value]) => ({ id, value: Math.round(value * mult) }));
+  return { ok: true, products, total: products.reduce((sum, p) => sum + p.value, 0), stage, health };
+}
+
+class SlaughterSystem {
+  constructor() {
+    this._history = [];
+  }
+
+  _getCurrentDay() {
+    const clock = getSystem('dayNight') || getSystem('weather');
+    return clock?.dayCount ?? clock?.day ?? 0;
+  }
+
+  quote(animal) {
+    return quoteAnimal(animal);
+  }
+
+  /**
+   * Animais da fazenda com a cotação de cada um. Internados entram no fim,
+   * sempre bloqueados — o jogador vê por que aquele animal não está à venda.
+   */
+  getCandidates() {
+    const list = [];
+    for (const a of animals) {
+      if (!a) continue;
+      list.push({ animal: a, quote: quoteAnimal(a), hospitalized: false });
+    }
+    for (const entry of getSystem('hospital')?.getEntries?.() || []) {
+      list.push({
+        entry,
+        quote: { ok: false, reason: 'hospitalized', products: [], total: 0 },
+        hospitalized: true,
+      });
+    }
+    return list;
+  }
+
+  /** Vende o animal vivo com esse id. Cotação recalculada na hora. */
+  sell(animalId) {
+    const animal = animals.find(a => a && a.id === animalId);
+    if (!animal) return { ok: false, reason: 'not_found' };
+    const quote = quoteAnimal(animal);
+    if (!quote.ok) return { ok: false, reason: quote.reason };
+    const currency = getSystem('currency');
+    if (!currency?.earn) return { ok: false, reason: 'no_currency_system' };
+
+    try {
+      objectDestroyed(animal.id);
+    } catch (e) {
+      logger.warn?.('[slaughterSystem] falha ao remover animal do mundo', e);
+      return { ok: false, reason: 'remove_failed' };
+    }
+    currency.earn(quote.total, 'slaughterhouse:sale');
+
+    const sale = {
+      id: _genId(),
+      day: this._getCurrentDay(),
+      animalId: animal.id,
+      assetName: animal.assetName,
+      customName: animal.customName || null,
+      stage: quote.stage,
+      diseased: !!animal.disease,
+      products: quote.products,
+      total: quote.total,
+    };
+    this._history.unshift(sale);
+    if (this._history.length > MAX_HISTORY) this._history.length = MAX_HISTORY;
+
+    document.dispatchEvent(new CustomEvent('animalSlaughtered', { detail: { sale, animal } }));
+    logger.debug?.(`[slaughterSystem] ${animal.assetName} vendido por ${quote.total}`);
+    return { ok: true, sale };
+  }
+
+  getHistory() {
+    return this._history.map(s => ({ ...s, products: s.products.map(p => ({ ...p })) }));
+  }
+
+  // ─── Persistência (por slot, via export do theWorld) ──────────────────────
+  serializeState() {
+    return { history: this.getHistory() };
+  }
+
+  restoreState(data) {
+    const history = Array.isArray(data?.history) ? data.history : [];
+    this._history = history
+      .filter(s => s && Array.isArray(s.products))
+      .slice(0, MAX_HISTORY);
+  }
+}
+
+export const slaughterSystem = new SlaughterSystem();
+registerSystem('slaughter', slaughterSystem);
+
+export default slaughterSystem;
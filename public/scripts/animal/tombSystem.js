@@ -6,7 +6,8 @@
  * mapa até o player clicar pra abrir o memorial — aí some.
  *
  * Estado:
- *   - `tombs[]` array com `{ id, x, y, animalName, species, daysLived, lastWords, deathDay }`
+ *   - `tombs[]` array com `{ id, animalId, x, y, animalName, species, daysLived, lastWords, deathDay }`
+ *     (`animalId` liga a tumba ao registro do pedigreeSystem; tumbas antigas não têm)
  *
  * API pública:
  *   tombSystem.spawnTomb(animal)              → cria tumba do animal
@@ -27,6 +28,7 @@ import { assets } from '../assetManager.js';
 import { markWorldChanged } from '../theWorld.js';
 import { t } from '../i18n/i18n.js';
 import { camera } from '../thePlayer/cameraSystem.js';
+import { openFamilyTree } from './familyTreePanel.js';
 
 // Últimas palavras por espécie. Sons stylized do animal — player conecta
 // com o que aquele animal "falava". Mantém o tom carinhoso/respeitoso
@@ -67,6 +69,7 @@ class TombSystem {
     const species = animal.assetName || '?';
     const tomb = {
       id: _genId(),
+      animalId: animal.id || null,
       x: animal.x,
       y: animal.y,
       width: TOMB_WIDTH,
@@ -244,6 +247,10 @@ class TombSystem {
     const livedTpl = t('animal.tomb.lived') || 'Viveu {days} dia(s)';
     const livedTxt = livedTpl.replace('{days}', String(tomb.daysLived));
     const farewell = t('animal.tomb.farewell') || 'Despedir-se';
+    // Árvore genealógica só pra tumbas ligadas a um animal (saves antigos não).
+    const familyBtn = tomb.animalId
+      ? `<button class="tmm-family">${escapeHtml(t('animal.pedigree.open'))}</button>`
+      : '';
 
     modal.innerHTML = `
       <div class="tmm-overlay"></div>
@@ -259,6 +266,7 @@ class TombSystem {
           <div class="tmm-last-words"><em>"${escapeHtml(tomb.lastWords)}"</em></div>
         </div>
         <div class="tmm-footer">
+          ${familyBtn}
           <button class="tmm-farewell" data-tomb-id="${escapeHtml(tomb.id)}">${escapeHtml(farewell)}</button>
         </div>
       </div>
@@ -273,6 +281,11 @@ class TombSystem {
       setTimeout(() => modal.style.display = 'none', 300);
     });
 
+    // Árvore genealógica — abre por cima do memorial, que continua aberto.
+    modal.querySelector('.tmm-family')?.addEventListener('click', () => {
+      openFamilyTree(tomb.animalId);
+    });
+
     // Farewell button - remove tumba
     modal.querySelector('.tmm-farewell')?.addEventListener('click', () => {
       const tombId = modal.querySelector('.tmm-farewell').dataset.tombId;
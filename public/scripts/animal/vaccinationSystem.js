@@ -0,0 +1,165 @@
+/**
+ * @file vaccinationSystem.js - Vacinas dos animais
+ *
+ * A Alice vende uma vacina por doença (itens `type: 'vaccine'` no items.js);
+ * o jogador aplica pelo UiPanel do animal, igual remédio. Cada dose protege
+ * contra `targetDisease` por `protectionDays` dias:
+ *   - risco diário espontâneo e de contágio daquela doença × VACCINE_RISK_MULT
+ *     (o diseaseSystem consulta `vaccineRiskMult`)
+ *   - não cura quem já está doente nem interrompe incubação
+ *
+ * Estado em `animal.vaccines = { [diseaseId]: daysLeft }`, contado pra baixo
+ * a cada `dayChanged` (igual `exposure.daysLeft` e o `_daysOld` do
+ * agingSystem) — `weather.day` é o dia do mês e volta pra 1, então não serve
+ * de validade. Persistido junto com a entidade pelo serialize/deserialize do
+ * animal. Reaplicar renova a dose inteira.
+ *
+ * Lembrete (`vaccineReminder`, no `dayChanged`): vacinas que venceram hoje e
+ * doenças cuja cobertura do rebanho caiu abaixo de HERD_IMMUNITY_THRESHOLD
+ * com a virada do dia.
+ *
+ * API pública:
+ *   vaccination.vaccinate(animal, itemId)  → { success, message, diseaseId?, daysLeft? }
+ *   vaccination.getVaccines(animal)        → [{ diseaseId, daysLeft }]
+ *   vaccination.getHerdCoverage()          → { [diseaseId]: { vaccinated, total, ratio } }
+ */
+
+import { registerSystem, getSystem } from '../gameState.js';
+import { logger } from '../logger.js';
+import { animals } from '../theWorld.js';
+import { items } from '../item.js';
+
+export const VACCINE_RISK_MULT = 0.15;
+export const HERD_IMMUNITY_THRESHOLD = 0.7;
+
+/** Item de vacina pelo id, ou null. */
+export function getVaccineItem(itemId) {
+  return items.find(it => it.id === itemId && it.type === 'vaccine') || null;
+}
+
+/** True se o animal ainda tem dias de proteção contra a doença. */
+export function isVaccinated(animal, diseaseId) {
+  const daysLeft = animal?.vaccines?.[diseaseId];
+  return typeof daysLeft === 'number' && daysLeft > 0;
+}
+
+/** Multiplicador do risco diário da doença pra esse animal (1 sem vacina). */
+export function vaccineRiskMult(animal, diseaseId) {
+  return isVaccinated(animal, diseaseId) ? VACCINE_RISK_MULT : 1;
+}
+
+/**
+ * Cobertura por doença: fração dos animais no mundo (internados ficam de
+ * fora do array) vacinados agora.
+ */
+export function herdCoverage() {
+  const diseases = [...new Set(items.filter(it => it.type === 'vaccine').map(it => it.targetDisease))];
+  const herd = animals.filter(Boolean);
+  const out = {};
+  for (const id of diseases) {
+    const vaccinated = herd.filter(a => isVaccinated(a, id)).length;
+    out[id] = { vaccinated, total: herd.length, ratio: herd.length ? vaccinated / herd.length : 0 };
+  }
+  return out;
+}
+
+function _reportAnimal(a) {
+  return { animalId: a.id, name: a.customName || null, assetName: a.assetName };
+}
+
+class VaccinationSystem {
+  constructor() {
+    this._abortController = null;
+    this._init();
+  }
+
+  _init() {
+    if (typeof document === 'undefined') return;
+    if (this._abortController) this._abortController.abort();
+    this._abortController = new AbortController();
+    document.addEventListener('dayChanged', (e) => {
+      this.runDaily(e.detail?.day);
+    }, { signal: this._abortController.signal });
+  }
+
+  destroy() {
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+  }
+
+  /**
+   * Aplica a vacina `itemId` no animal. Não mexe no inventário — quem chama
+   * (main.js) decrementa antes, igual `applyMedicine`.
+   */
+  vaccinate(animal, itemId) {
+    const item = getVaccineItem(itemId);
+    if (!animal || !item) return { success: false, message: 'not_vaccine' };
+    if ((animal.mood || animal._mood) === 'sleeping') {
+      return { success: false, message: 'sleeping' };
+    }
+    if (animal.disease?.id === item.targetDisease) {
+      return { success: false, message: 'vaccine_sick' };
+    }
+
+    const daysLeft = item.protectionDays || 0;
+    animal.vaccines = { ...(animal.vaccines || {}), [item.targetDisease]: daysLeft };
+    document.dispatchEvent(new CustomEvent('animalVaccinated', {
+      detail: { animal, diseaseId: item.targetDisease, daysLeft },
+    }));
+    logger.debug?.(`[vaccination] ${animal.assetName} vacinado (${item.targetDisease}) por ${daysLeft} dias`);
+    return { success: true, message: 'vaccinated', diseaseId: item.targetDisease, daysLeft };
+  }
+
+  /** Vacinas ativas do animal, validade mais próxima primeiro. */
+  getVaccines(animal) {
+    const out = [];
+    for (const [diseaseId, daysLeft] of Object.entries(animal?.vaccines || {})) {
+      if (!isVaccinated(animal, diseaseId)) continue;
+      out.push({ diseaseId, daysLeft });
+    }
+    return out.sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  getHerdCoverage() {
+    return herdCoverage();
+  }
+
+  /**
+   * Virada do dia: desconta um dia de cada vacina, remove as vencidas e
+   * emite o lembrete se alguma venceu ou se o rebanho perdeu a imunidade de
+   * alguma doença. `day` só vai no lembrete (título do painel).
+   * @returns {{ day: number, expired: object[], lapsed: object[] }}
+   */
+  runDaily(day = getSystem('weather')?.day ?? 0) {
+    const before = herdCoverage();
+
+    const expired = [];
+    for (const a of animals) {
+      if (!a?.vaccines) continue;
+      for (const [diseaseId, daysLeft] of Object.entries(a.vaccines)) {
+        a.vaccines[diseaseId] = daysLeft - 1;
+        if (a.vaccines[diseaseId] > 0) continue;
+        delete a.vaccines[diseaseId];
+        expired.push({ ..._reportAnimal(a), diseaseId });
+      }
+    }
+
+    const after = herdCoverage();
+
+    const lapsed = Object.entries(after)
+      .filter(([id, cov]) => before[id].ratio >= HERD_IMMUNITY_THRESHOLD && cov.ratio < HERD_IMMUNITY_THRESHOLD)
+      .map(([diseaseId, cov]) => ({ diseaseId, ...cov }));
+
+    const reminder = { day, expired, lapsed };
+    if (expired.length === 0 && lapsed.length === 0) return reminder;
+    document.dispatchEvent(new CustomEvent('vaccineReminder', { detail: { reminder } }));
+    return reminder;
+  }
+}
+
+export const vaccinationSystem = new VaccinationSystem();
+registerSystem('vaccination', vaccinationSystem);
+
+export default vaccinationSystem;
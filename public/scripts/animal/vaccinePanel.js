@@ -0,0 +1,179 @@
+/**
+ * @file vaccinePanel.js - View "Vacinas" do painel da Alice
+ *
+ * Loja de vacinas da veterinária, montada no stage do vetSystem pelo botão
+ * `vaccine`. Diferente dos remédios, não depende de diagnóstico: vacina é
+ * prevenção, então o catálogo inteiro fica à venda desde o começo.
+ *
+ * Cada linha mostra a doença, dias de proteção, a cobertura atual do
+ * rebanho (vacinados/total — abaixo do limiar de imunidade fica em alerta)
+ * e o botão "Comprar". A compra segue o padrão do medicinePanel: entra no
+ * inventário primeiro, só cobra se entrou. A aplicação é feita no animal,
+ * pelo UiPanel (Alimentar → Vacinas).
+ *
+ * Não cria overlay próprio — montado via `mountVaccineView(container)`.
+ */
+
+import { t } from '../i18n/i18n.js';
+import { getSystem } from '../gameState.js';
+import { items } from '../item.js';
+import { setItemIcon } from '../itemUtils.js';
+import { HERD_IMMUNITY_THRESHOLD } from './vaccinationSystem.js';
+
+/**
+ * Monta a loja de vacinas dentro do container fornecido.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {() => void} [options.onBack]
+ * @returns {AbortController | null}
+ */
+export function mountVaccineView(container, options = {}) {
+  if (!container) return null;
+
+  const abort = new AbortController();
+  const { signal } = abort;
+
+  const render = () => {
+    const prevList = container.querySelector('.vet-list');
+    const prevScrollTop = prevList ? prevList.scrollTop : 0;
+
+    container.replaceChildren();
+
+    const view = document.createElement('div');
+    view.className = 'vet-subview';
+
+    const header = document.createElement('div');
+    header.className = 'vet-subview-header';
+
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'vet-back-btn';
+    backBtn.setAttribute('aria-label', t('vet.vaccine.back'));
+    backBtn.textContent = '←';
+    backBtn.addEventListener('click', () => {
+      abort.abort();
+      options.onBack?.();
+    }, { signal });
+
+    const title = document.createElement('h2');
+    title.className = 'vet-subview-title';
+    title.textContent = t('vet.vaccine.title');
+
+    header.append(backBtn, title);
+    view.appendChild(header);
+
+    const intro = document.createElement('p');
+    intro.className = 'vet-vaccine-intro';
+    intro.textContent = t('vet.vaccine.intro', { percent: Math.round(HERD_IMMUNITY_THRESHOLD * 100) });
+    view.appendChild(intro);
+
+    const coverage = getSystem('vaccination')?.getHerdCoverage?.() || {};
+    const list = document.createElement('div');
+    list.className = 'vet-list';
+    for (const vac of items.filter(it => it.type === 'vaccine')) {
+      list.appendChild(buildVaccineCard(vac, coverage[vac.targetDisease], view));
+    }
+
+    view.appendChild(list);
+    container.appendChild(view);
+
+    if (prevScrollTop > 0) {
+      list.scrollTop = prevScrollTop;
+    }
+  };
+
+  // Vacinou um animal (ou venceu alguma dose) com a loja aberta: cobertura muda.
+  document.addEventListener('animalVaccinated', render, { signal });
+  document.addEventListener('vaccineReminder', render, { signal });
+
+  render();
+  return abort;
+}
+
+/** Linha de uma vacina: ícone, nome, doença + proteção, cobertura e Comprar. */
+function buildVaccineCard(vac, cov, viewRoot) {
+  const card = document.createElement('div');
+  card.className = 'vet-animal-entry';
+  card.dataset.vaccineId = String(vac.id);
+
+  const iconEl = document.createElement('div');
+  iconEl.className = 'vet-animal-thumb vet-medicine-icon';
+  setItemIcon(iconEl, vac.icon || '💉', vac.name);
+
+  const info = document.createElement('div');
+  info.className = 'vet-animal-info';
+
+  const name = document.createElement('div');
+  name.className = 'vet-animal-name';
+  name.textContent = vac.name;
+
+  const desc = document.createElement('div');
+  desc.className = 'vet-animal-status';
+  desc.textContent = t('vet.vaccine.protects', {
+    disease: t(`animal.disease.names.${vac.targetDisease}`),
+    days: vac.protectionDays,
+  });
+
+  const meta = document.createElement('div');
+  meta.className = 'vet-animal-fee vet-vaccine-coverage';
+  const vaccinated = cov?.vaccinated ?? 0;
+  const total = cov?.total ?? 0;
+  meta.textContent = t('vet.vaccine.coverage', { vaccinated, total });
+  meta.dataset.immune = total > 0 && (cov?.ratio ?? 0) >= HERD_IMMUNITY_THRESHOLD ? '1' : '0';
+
+  info.append(name, desc, meta);
+
+  const buyBtn = document.createElement('button');
+  buyBtn.type = 'button';
+  buyBtn.className = 'vet-action-btn small';
+  buyBtn.textContent = t('vet.vaccine.buyBtn', { value: vac.price });
+  buyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleBuy(vac, viewRoot);
+  });
+
+  card.append(iconEl, info, buyBtn);
+  return card;
+}
+
+/** Tenta comprar 1 dose. Só cobra se o item entrou no inventário. */
+function handleBuy(vac, viewRoot) {
+  const currency = getSystem('currency');
+  const inventory = getSystem('inventory');
+  if (!currency?.spend || !inventory) {
+    showInlineToast(viewRoot, t('vet.vaccine.unavailable'), true);
+    return;
+  }
+
+  const price = Number(vac.price) || 0;
+  if (currency.getMoney() < price) {
+    showInlineToast(viewRoot, t('vet.vaccine.noMoney', { value: price }), true);
+    return;
+  }
+
+  if (!inventory.addItem(vac.id, 1)) {
+    showInlineToast(viewRoot, t('vet.vaccine.inventoryFull'), true);
+    return;
+  }
+  if (!currency.spend(price, 'vet:vaccine')) {
+    inventory.removeItem?.(vac.id, 1);
+    showInlineToast(viewRoot, t('vet.vaccine.unavailable'), true);
+    return;
+  }
+
+  showInlineToast(viewRoot, t('vet.vaccine.boughtToast', { name: vac.name, value: price }));
+}
+
+function showInlineToast(parent, text, isError = false) {
+  const existing = parent.querySelector('.vet-inline-toast');
+  if (existing) existing.remove();
+  const toast = document.createElement('div');
+  toast.className = 'vet-inline-toast';
+  if (isError) toast.dataset.error = '1';
+  toast.textContent = text;
+  parent.appendChild(toast);
+  setTimeout(() => toast.remove(), 2400);
+}
+
+export default mountVaccineView;
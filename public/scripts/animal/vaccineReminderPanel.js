@@ -0,0 +1,110 @@
+/**
+ * @file vaccineReminderPanel.js - Lembrete de vacinação
+ *
+ * Card no canto da tela que aparece quando o vaccinationSystem emite
+ * `vaccineReminder`: vacinas que venceram hoje e doenças em que o rebanho
+ * perdeu a imunidade (cobertura abaixo do limiar). Mesmo formato do boletim
+ * de surto, do outro lado da tela pra não sobrepor quando saem juntos.
+ *
+ * Classes `vrm-*` em `vaccine-reminder.css`.
+ *
+ * API:
+ *   showVaccineReminder(reminder)
+ *   closeVaccineReminder()
+ */
+
+import { t } from '../i18n/i18n.js';
+
+const PANEL_ID = 'vaccine-reminder';
+
+let _abortController = null;
+
+function _animalLabel(name, assetName) {
+  if (name) return name;
+  const k = `animals.${String(assetName || '').toLowerCase()}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _section(titleText, rows) {
+  const box = document.createElement('div');
+  box.className = 'vrm-section';
+  const title = document.createElement('h4');
+  title.className = 'vrm-section-title';
+  title.textContent = titleText;
+  const list = document.createElement('ul');
+  list.className = 'vrm-list';
+  for (const text of rows) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  }
+  box.append(title, list);
+  return box;
+}
+
+export function showVaccineReminder(reminder) {
+  if (!reminder) return;
+  closeVaccineReminder({ immediate: true });
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const panel = document.createElement('aside');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'status');
+
+  const header = document.createElement('div');
+  header.className = 'vrm-header';
+  const title = document.createElement('h3');
+  title.className = 'vrm-title';
+  title.textContent = t('animal.vaccine.reminder.title', { day: reminder.day });
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'vrm-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('animal.vaccine.reminder.close'));
+  closeBtn.addEventListener('click', () => closeVaccineReminder(), { signal });
+  header.append(title, closeBtn);
+  panel.appendChild(header);
+
+  if (reminder.lapsed?.length) {
+    const rows = reminder.lapsed.map(l => t('animal.vaccine.reminder.lapsedRow', {
+      disease: t(`animal.disease.names.${l.diseaseId}`),
+      vaccinated: l.vaccinated,
+      total: l.total,
+    }));
+    panel.appendChild(_section(t('animal.vaccine.reminder.lapsed'), rows));
+  }
+
+  if (reminder.expired?.length) {
+    const rows = reminder.expired.map(e => t('animal.vaccine.reminder.expiredRow', {
+      name: _animalLabel(e.name, e.assetName),
+      disease: t(`animal.disease.names.${e.diseaseId}`),
+    }));
+    panel.appendChild(_section(t('animal.vaccine.reminder.expired', { count: rows.length }), rows));
+  }
+
+  const hint = document.createElement('p');
+  hint.className = 'vrm-hint';
+  hint.textContent = t('animal.vaccine.reminder.hint');
+  panel.appendChild(hint);
+
+  document.body.appendChild(panel);
+  requestAnimationFrame(() => panel.classList.add('vrm-visible'));
+}
+
+export function closeVaccineReminder({ immediate = false } = {}) {
+  _abortController?.abort();
+  _abortController = null;
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel) return;
+  if (immediate) { panel.remove(); return; }
+  panel.classList.remove('vrm-visible');
+  setTimeout(() => panel.remove(), 300);
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('vaccineReminder', (e) => showVaccineReminder(e.detail?.reminder));
+}
+
+export default { showVaccineReminder, closeVaccineReminder };
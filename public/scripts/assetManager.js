@@ -492,6 +492,20 @@ export const assets = {
             rows: 6,
             framesPerRow: [6, 6, 6, 4, 4, 4],
             directionRows: { down: 0, up: 1, right: 3, left: 2 }
+        },
+        // Cão da fazenda (dogSystem). Sheet 4×9 de ~61 px: as 4 primeiras
+        // linhas são a caminhada (baixo/direita/cima/esquerda); as outras
+        // são poses sentado/deitado, ainda sem uso.
+        Dog: {
+            src: "assets/animals/Dog1.png",
+            displayName: "Dog",
+            frameWidth: 61,
+            frameHeight: 61,
+            renderScale: 0.8,
+            cols: 4,
+            rows: 9,
+            framesPerRow: [4, 4, 4, 4],
+            directionRows: { down: 0, right: 1, up: 2, left: 3 }
         }
     },
 
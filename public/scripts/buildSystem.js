@@ -280,6 +280,9 @@ export const BuildSystem = {
         } else if (type === 'foodtrough') {
             this.currentVariant = itemData.variants?.[0] || 'foodTroughcattleX';
             this.previewImg = assets.furniture?.foodTroughs?.[this.currentVariant]?.img;
+        } else if (type === 'sprinkler' || type === 'scarecrow' || type === 'barn' || type === 'coop' || type === 'silo') {
+            this.currentVariant = type;
+            this.previewImg = null;
         } else if (itemData.variants && itemData.variants.length > 0) {
             this.currentVariant = itemData.variants[0];
             this.previewImg = assets.furniture?.fences?.[this.currentVariant]?.img;
@@ -432,6 +435,11 @@ export const BuildSystem = {
         if (this.selectedItem.id === 103) return 'watertrough';
         // Issue #171: food troughs (cattle 104 / pork 105 / bird 106).
         if (this.selectedItem.originalType === 'foodtrough') return 'foodtrough';
+        if (this.selectedItem.originalType === 'sprinkler') return 'sprinkler';
+        if (this.selectedItem.originalType === 'scarecrow') return 'scarecrow';
+        if (this.selectedItem.originalType === 'silo') return 'silo';
+        // Celeiro/galinheiro (shelterSystem): desenho procedural, sem sprite.
+        if (this.selectedItem.shelterCapacity) return this.selectedItem.originalType;
         if (this.selectedItem.variants && this.selectedItem.variants.length > 0) return 'fence';
         return 'construction';
     },
@@ -479,6 +487,15 @@ export const BuildSystem = {
         let snapX = this.mouseTile.x - dim.width / 2;
         let snapY = this.mouseTile.y - dim.height / 2;
 
+        // Irrigador/espantalho agem por tile: ficam centrados no tile sob o
+        // cursor, pra área de cobertura do preview bater com os tiles arados.
+        const tileType = this.getConstructionType();
+        if (tileType === 'sprinkler' || tileType === 'scarecrow') {
+            const gs = this.gridSize;
+            snapX = Math.floor(this.mouseTile.x / gs) * gs + (gs - dim.width) / 2;
+            snapY = Math.floor(this.mouseTile.y / gs) * gs + (gs - dim.height) / 2;
+        }
+
         // Snap magnético (SÓ cercas): se um endpoint do preview estiver perto
         // de um endpoint de cerca já colocada, desloca a peça pra os endpoints
         // coincidirem — trechos conectam limpo, sem grid rígido. Outros
@@ -846,6 +863,18 @@ export const BuildSystem = {
             return;
         }
 
+        // Irrigador não pode ir em cima de plantação (o tile já está ocupado).
+        if (constructionType === 'sprinkler' &&
+            getSystem('crop')?.hasCropAt?.(pos.x + dim.width / 2, pos.y + dim.height / 2)) {
+            this.showDebugMessage(t('build.sprinklerOnCrop'), 1500);
+            return;
+        }
+        if (constructionType === 'scarecrow' &&
+            getSystem('crop')?.hasCropAt?.(pos.x + dim.width / 2, pos.y + dim.height / 2)) {
+            this.showDebugMessage(t('build.scarecrowOnCrop'), 1500);
+            return;
+        }
+
         if (window.theWorld && typeof window.theWorld.addWorldObject === 'function') {
             try {
                 let constructionTypeForCollision = constructionType;
@@ -943,6 +972,12 @@ export const BuildSystem = {
         const zW = Math.round(dim.width * zoom);
         const zH = Math.round(dim.height * zoom);
 
+        if (this.getConstructionType() === 'sprinkler') {
+            this.drawSprinklerCoverage(ctx, worldPos, dim);
+        } else if (this.getConstructionType() === 'scarecrow') {
+            this.drawScarecrowCoverage(ctx, worldPos, dim);
+        }
+
         ctx.save();
         ctx.globalAlpha = 0.7;
         
@@ -980,6 +1015,48 @@ export const BuildSystem = {
         }
     },
 
+    /**
+     * Pinta os tiles que o irrigador do preview vai regar (raio do item).
+     * Mesma grade de tiles usada pelo hoeTool/cropSystem.
+     */
+    drawSprinklerCoverage(ctx, worldPos, dim) {
+        const radius = this.selectedItem?.sprinklerRadius || 0;
+        const tiles = getSystem('sprinkler')?.coverageTiles?.(
+            worldPos.x + dim.width / 2, worldPos.y + dim.height / 2, radius
+        ) || [];
+        this._drawCoverageTiles(ctx, tiles, '80, 170, 255');
+    },
+
+    /**
+     * Pinta os tiles que o espantalho do preview protege dos corvos (raio
+     * circular do item, mesma conta do crowSystem).
+     */
+    drawScarecrowCoverage(ctx, worldPos, dim) {
+        const radius = this.selectedItem?.scarecrowRadius || 0;
+        const tiles = getSystem('crows')?.coverageTiles?.(
+            worldPos.x + dim.width / 2, worldPos.y + dim.height / 2, radius
+        ) || [];
+        this._drawCoverageTiles(ctx, tiles, '240, 190, 60');
+    },
+
+    /** Tile squares of a coverage preview, in the given "r, g, b" color. */
+    _drawCoverageTiles(ctx, tiles, rgb) {
+        const size = Math.round(this.gridSize * CAMERA_ZOOM);
+
+        ctx.save();
+        ctx.fillStyle = `rgba(${rgb}, 0.25)`;
+        ctx.strokeStyle = `rgba(${rgb}, 0.8)`;
+        ctx.lineWidth = 1;
+        for (const tile of tiles) {
+            const sp = camera.worldToScreen(tile.x, tile.y);
+            const x = Math.round(sp.x);
+            const y = Math.round(sp.y);
+            ctx.fillRect(x, y, size, size);
+            ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+        }
+        ctx.restore();
+    },
+
     renderAdvancedGrid(ctx) {
         // Modo livre: grid removido. Player posiciona livremente onde
         // o cursor estiver. Função mantida pra não quebrar quem chama
@@ -7,6 +7,7 @@ import { registerSystem, getObject } from './gameState.js';
 import { t } from './i18n/i18n.js';
 import { setItemIcon } from './itemUtils.js';
 import { searchTokens, matchesSearch } from './searchMatch.js';
+import { normalizeQuality, qualityTier, withQualityBadge } from './itemQuality.js';
 
 /**
  * Sistema de gerenciamento de baús no mundo do jogo
@@ -392,7 +393,7 @@ export const chestSystem = {
 
         for (const { item, category } of rows) {
             const max = item.quantity || 0;
-            const key = `chest:${category}:${item.id}`;
+            const key = `chest:${category}:${item.id}:${qualityTier(item.quality)}`;
             const slot = document.createElement('div');
             slot.className = 'cht-slot';
             slot.dataset.itemId = item.id;
@@ -403,14 +404,14 @@ export const chestSystem = {
             setItemIcon(iconDiv, item.icon || '📦', item.name);
             const nameDiv = document.createElement('div');
             nameDiv.className = 'cht-item-name';
-            nameDiv.textContent = item.name;
+            nameDiv.textContent = withQualityBadge(item.name, item.quality);
             const qtyDiv = document.createElement('div');
             qtyDiv.className = 'cht-item-quantity';
             qtyDiv.textContent = `${max}x`;
             slot.append(iconDiv, nameDiv, qtyDiv);
 
             const controls = this._makeQtyControls(key, max, 'take', item.name, (amount) => {
-                this.takeItemFromChest(chestId, item.id, category, amount);
+                this.takeItemFromChest(chestId, item.id, category, amount, item.quality);
             });
             slot.appendChild(controls);
             container.appendChild(slot);
@@ -459,7 +460,7 @@ export const chestSystem = {
 
         for (const { item, category } of rows) {
             const max = item.quantity || 0;
-            const key = `inv:${item.id}`;
+            const key = `inv:${item.id}:${qualityTier(item.quality)}`;
             const itemEl = document.createElement('div');
             itemEl.className = 'cht-inventory-item';
             itemEl.dataset.itemId = item.id;
@@ -470,14 +471,14 @@ export const chestSystem = {
             setItemIcon(iconDiv, item.icon || '🎒', item.name);
             const nameDiv = document.createElement('div');
             nameDiv.className = 'cht-item-name';
-            nameDiv.textContent = item.name;
+            nameDiv.textContent = withQualityBadge(item.name, item.quality);
             const qtyDiv = document.createElement('div');
             qtyDiv.className = 'cht-item-quantity';
             qtyDiv.textContent = `${max}x`;
             itemEl.append(iconDiv, nameDiv, qtyDiv);
 
             const controls = this._makeQtyControls(key, max, 'store', item.name, (amount) => {
-                this.storeItemInChest(chestId, item.id, category, amount);
+                this.storeItemInChest(chestId, item.id, category, amount, item.quality);
             });
             itemEl.appendChild(controls);
             container.appendChild(itemEl);
@@ -599,9 +600,11 @@ export const chestSystem = {
      * @param {string} chestId - ID do baú
      * @param {number} itemId - ID do item a ser armazenado
      * @param {string} fromCategory - Categoria de origem do item no inventário
+     * @param {number} [amount=1] - Quantidade a mover
+     * @param {string|null} [quality=null] - Tier de qualidade da stack movida
      * @returns {void}
      */
-    storeItemInChest(chestId, itemId, fromCategory, amount = 1) {
+    storeItemInChest(chestId, itemId, fromCategory, amount = 1, quality = null) {
         const chest = this.chests[chestId];
         if (!chest || !inventorySystem) return;
 
@@ -613,13 +616,15 @@ export const chestSystem = {
         if (!catData) return;
         const limit = catData.limit || this.slotsPerCategory;
 
-        // Quer mover o mínimo entre o pedido e o que o player realmente tem.
-        const invHas = inventorySystem.getItemQuantity(itemId);
+        // Quer mover o mínimo entre o pedido e o que o player realmente tem
+        // (naquele tier de qualidade — tiers não se misturam no baú).
+        const tier = normalizeQuality(quality);
+        const invHas = inventorySystem.getQualityQuantity(itemId, tier);
         const want = Math.max(1, Math.min(Math.floor(amount) || 1, invHas));
 
         let moved = 0;
         while (moved < want) {
-            const existing = catData.items.find(i => i.id === itemId);
+            const existing = catData.items.find(i => i.id === itemId && (i.quality ?? null) === tier);
             // Item novo sem slot livre → categoria cheia (para o loop).
             if (!existing && catData.items.length >= limit) {
                 if (moved === 0) {
@@ -628,15 +633,15 @@ export const chestSystem = {
                 }
                 break;
             }
-            if (!inventorySystem.removeItem(itemId, 1)) break;
+            if (!inventorySystem.takeItem(itemId, 1, { quality: tier })) break;
             if (existing) existing.quantity++;
-            else catData.items.push({ ...itemData, quantity: 1 });
+            else catData.items.push({ ...itemData, quantity: 1, ...(tier ? { quality: tier } : {}) });
             moved++;
         }
         if (moved === 0) return;
 
         this.showMessage(`✅ ${t('chest.storedQty', { qty: moved, name: itemData.name })}`, 'success');
-        this.qtySelection.delete(`inv:${itemId}`);
+        this.qtySelection.delete(`inv:${itemId}:${qualityTier(tier)}`);
         this.renderChestItems(chestId);
         this.renderPlayerInventory(chestId);
         this.renderChestCategories(chestId);
@@ -649,16 +654,19 @@ export const chestSystem = {
      * @param {string} chestId - ID do baú
      * @param {number} itemId - ID do item a ser retirado
      * @param {string} fromCategory - Categoria do item no baú
+     * @param {number} [amount=1] - Quantidade a retirar
+     * @param {string|null} [quality=null] - Tier de qualidade da entrada
      * @returns {void}
      */
-    takeItemFromChest(chestId, itemId, fromCategory, amount = 1) {
+    takeItemFromChest(chestId, itemId, fromCategory, amount = 1, quality = null) {
         const chest = this.chests[chestId];
         if (!chest) return;
 
         const categoryData = chest.storage[fromCategory];
         if (!categoryData) return;
 
-        const itemIndex = categoryData.items.findIndex(i => i.id === itemId);
+        const tier = normalizeQuality(quality);
+        const itemIndex = categoryData.items.findIndex(i => i.id === itemId && (i.quality ?? null) === tier);
         if (itemIndex === -1) return;
 
         const item = categoryData.items[itemIndex];
@@ -667,7 +675,7 @@ export const chestSystem = {
         let moved = 0;
         // Transfere unidade a unidade; para se o inventário do player encher.
         while (moved < want && item.quantity > 0) {
-            if (!inventorySystem?.addItem(itemId, 1)) break;
+            if (!inventorySystem?.addItemWithQuality(itemId, 1, tier)) break;
             item.quantity--;
             moved++;
         }
@@ -675,7 +683,7 @@ export const chestSystem = {
         if (item.quantity <= 0) categoryData.items.splice(itemIndex, 1);
 
         this.showMessage(`✅ ${t('chest.tookQty', { qty: moved, name: item.name })}`, 'success');
-        this.qtySelection.delete(`chest:${fromCategory}:${itemId}`);
+        this.qtySelection.delete(`chest:${fromCategory}:${itemId}:${qualityTier(tier)}`);
         this.renderChestItems(chestId);
         this.renderPlayerInventory(chestId);
         this.renderChestCategories(chestId);
@@ -698,7 +706,7 @@ export const chestSystem = {
             const items = [...chest.storage[category].items];
             items.forEach(item => {
                 while (item.quantity > 0) {
-                    if (inventorySystem?.addItem(item.id, 1)) {
+                    if (inventorySystem?.addItemWithQuality(item.id, 1, item.quality)) {
                         item.quantity--;
                         takenCount++;
                     } else {
@@ -744,14 +752,16 @@ export const chestSystem = {
                         break;
                     }
 
-                    if (inventorySystem.removeItem(item.id, 1)) {
-                        const existingItem = chest.storage[targetCategory].items.find(i => i.id === item.id);
+                    const tier = item.quality ?? null;
+                    if (inventorySystem.takeItem(item.id, 1, { quality: tier })) {
+                        const existingItem = chest.storage[targetCategory].items.find(i => i.id === item.id && (i.quality ?? null) === tier);
                         if (existingItem) {
                             existingItem.quantity++;
                         } else {
                             chest.storage[targetCategory].items.push({
                                 ...inventorySystem.findItemData(item.id),
-                                quantity: 1
+                                quantity: 1,
+                                ...(tier ? { quality: tier } : {})
                             });
                         }
                         item.quantity--;
@@ -162,6 +162,22 @@ export class CollisionSystem {
         this.playerInteractionHitbox = null;    // Alcance do jogador (amarelo)
         this._physGrid = new SpatialGrid();     // Grid espacial para hitboxes físicas
         this._interGrid = new SpatialGrid();    // Grid espacial para hitboxes de interação
+        // Muda sempre que uma hitbox física "fixa" (não-móvel) entra, sai ou
+        // é movida. Quem cacheia algo derivado do layout (caminhos dos
+        // animais) compara com este número pra saber se ficou obsoleto.
+        this.layoutVersion = 0;
+    }
+
+    /**
+     * Tipos de hitbox que se movem todo frame. Não contam como mudança de
+     * layout (senão `layoutVersion` mudaria a cada passo de um animal).
+     * @static
+     * @type {string[]}
+     */
+    static MOBILE_TYPES = ['ANIMAL', 'NPC', 'PLAYER', 'QUEST_ANIMAL'];
+
+    _touchLayout(type) {
+        if (!CollisionSystem.MOBILE_TYPES.includes(type)) this.layoutVersion++;
     }
 
     /**
@@ -209,6 +225,13 @@ export class CollisionSystem {
             offsetX: 0.0, offsetY: -0.5,
             originalType: "tree"
         },
+        // Fruit tree: the object is the one-tile trunk; the canopy drawn
+        // above it is clickable too.
+        FRUIT_TREE: {
+            widthRatio: 2.0, heightRatio: 3.0,
+            offsetX: -0.5, offsetY: -2.0,
+            originalType: "fruit_tree"
+        },
         ROCK: {
             widthRatio: 1.0, heightRatio: 1.1,
             offsetX: 0.0, offsetY: 0.0,
@@ -306,7 +329,7 @@ export class CollisionSystem {
         this.registerPhysicalHitbox(objectData);
 
         const interactiveTypes = [
-            "TREE", "ROCK", "THICKET", "CHEST",
+            "TREE", "FRUIT_TREE", "ROCK", "THICKET", "CHEST",
             "HOUSE_WALLS", "CONSTRUCTION", "WELL",
             "FENCE", "FENCEX", "FENCEY", "ANIMAL",
             "WATERTROUGHX", "WATERTROUGHY",
@@ -340,6 +363,7 @@ export class CollisionSystem {
         if (old) this._physGrid.remove(hitbox.id, old);
         this.hitboxes.set(hitbox.id, hitbox);
         this._physGrid.insert(hitbox.id, hitbox);
+        this._touchLayout(hitbox.type);
     }
 
     registerPhysicalHitbox(object) {
@@ -465,7 +489,10 @@ export class CollisionSystem {
 
     removeHitbox(id) {
         const phys = this.hitboxes.get(id);
-        if (phys) this._physGrid.remove(id, phys);
+        if (phys) {
+            this._physGrid.remove(id, phys);
+            this._touchLayout(phys.type);
+        }
         this.hitboxes.delete(id);
 
         const inter = this.interactionHitboxes.get(id);
@@ -492,6 +519,7 @@ export class CollisionSystem {
 
         // Re-inserir no grid na posição nova
         this._physGrid.insert(id, hb);
+        this._touchLayout(hb.type);
 
         const ihb = this.interactionHitboxes.get(id);
         if (ihb) {
@@ -910,6 +938,7 @@ export class CollisionSystem {
         this.playerInteractionHitbox = null;
         this._physGrid.clear();
         this._interGrid.clear();
+        this.layoutVersion++;
     }
 }
 
@@ -4,6 +4,7 @@ import { getItem, setItemIcon } from "./itemUtils.js";
 import { items } from "./item.js";
 import { t } from './i18n/i18n.js';
 import { registerSystem, getSystem } from "./gameState.js";
+import { canHaveQuality, craftedQuality, normalizeQuality } from "./itemQuality.js";
 
 /**
  * Retorna o nome traduzido de uma receita, com fallback para o nome original
@@ -133,32 +134,41 @@ export class CraftingSystem {
 
   /**
    * Remove os itens necessários do inventário e armazenamento
+   * Ingredientes com qualidade (produtos colhidos) saem do melhor tier pro
+   * pior, pra que a qualidade chegue ao item craftado.
    * @param {Object} recipe
-   * @returns {void}
+   * @returns {Array<{quality:string|null, quantity:number}>} Tiers consumidos
+   *   dos ingredientes com qualidade
    */
   removeRequiredItems(recipe) {
     const inventory = this.useInventory ? getSystem('inventory') : null;
     const storage = this.useStorage ? getSystem('storage') : null;
+    const consumed = [];
 
     for (const req of recipe.requiredItems) {
       let amountToRemove = req.qty;
+      const tracksQuality = canHaveQuality(getItem(req.itemId));
 
       if (inventory) {
         const invQty = inventory.getItemQuantity?.(req.itemId) || 0;
         const invRemove = Math.min(invQty, amountToRemove);
 
         if (invRemove > 0) {
-          const success = inventory.removeItem(req.itemId, invRemove);
-          if (!success) throw new Error(`Falha ao remover item ${req.itemId} do inventário`);
+          const taken = inventory.takeItem(req.itemId, invRemove, { bestFirst: true });
+          if (!taken) throw new Error(`Falha ao remover item ${req.itemId} do inventário`);
+          if (tracksQuality) consumed.push(...taken);
           amountToRemove -= invRemove;
         }
       }
 
       if (amountToRemove > 0 && storage) {
-        const success = storage.removeItem(req.itemId, amountToRemove);
-        if (!success) throw new Error(`Falha ao remover item ${req.itemId} do armazenamento`);
+        const taken = storage.takeItem(req.itemId, amountToRemove, { bestFirst: true });
+        if (!taken) throw new Error(`Falha ao remover item ${req.itemId} do armazenamento`);
+        if (tracksQuality) consumed.push(...taken);
       }
     }
+
+    return consumed;
   }
 
   /**
@@ -192,10 +202,16 @@ export class CraftingSystem {
     await new Promise((resolve) => this._setManagedTimeout(resolve, 800));
 
     try {
-      this.removeRequiredItems(recipe);
+      const consumed = this.removeRequiredItems(recipe);
+
+      // Qualidade dos ingredientes colhidos passa pro resultado (o pior tier
+      // consumido), quando o resultado também é um produto.
+      const quality = canHaveQuality(getItem(recipe.result.itemId))
+        ? normalizeQuality(craftedQuality(consumed))
+        : null;
 
       if (getSystem('inventory')) {
-        getSystem('inventory').addItem(recipe.result.itemId, recipe.result.qty);
+        getSystem('inventory').addItemWithQuality(recipe.result.itemId, recipe.result.qty, quality);
       }
     } catch (error) {
       this.showMessage(`❌ ${t('crafting.craftError')}`, "error");
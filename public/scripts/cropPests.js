@@ -0,0 +1,100 @@
+/**
+ * @file cropPests.js - Crop pests and plant diseases.
+ * @description The crop-side counterpart of animal/diseaseSystem.js, but
+ * visible: an infected plant shows symptoms on the field (cropSystem
+ * `drawCrops`) and in its tooltip. State lives on the crop record as
+ * `rec.pest = { id, days }`; this module only holds the data and the daily
+ * roll math so cropSystem stays readable.
+ *
+ * Daily roll (on `dayChanged`, cropSystem.rollDailyPests) per healthy plant:
+ *   risk = base + season bonus + weather bonus + spreadChance × infected
+ *          neighbours (4-adjacent tiles), capped at MAX_DAILY_RISK.
+ * Neighbours are counted from the field as it was at the start of the roll,
+ * so an outbreak spreads one ring per day instead of sweeping the whole field
+ * at once.
+ *
+ * An infected plant loses yield (up to `yieldLoss` once the infection has
+ * run FULL_SEVERITY_DAYS days) until a matching spray cures it. Sprays are
+ * items with `cropTreatment: [pestIds]`.
+ * @module CropPests
+ */
+
+/**
+ * Pest definitions. Bonuses are daily-risk fractions added on top of the
+ * base risk; seasons/weather keys match weather.seasonKey / weatherType.
+ *   - aphids (pulgões): warm, dry weather; suck the sap
+ *   - blight (requeima): wet weather, late season; rots leaves and fruit
+ */
+export const CROP_PESTS = Object.freeze({
+    aphids: {
+        yieldLoss: 0.35,
+        spreadChance: 0.12,
+        seasons: { spring: 0.02, summer: 0.03 },
+        weather: { clear: 0.01 },
+        spotColor: '#b9e35a',
+    },
+    blight: {
+        yieldLoss: 0.5,
+        spreadChance: 0.18,
+        seasons: { summer: 0.01, autumn: 0.02 },
+        weather: { rain: 0.03, storm: 0.04, fog: 0.02 },
+        spotColor: '#5a3a1c',
+    },
+});
+
+export const PEST_IDS = Object.keys(CROP_PESTS);
+
+const BASE_DAILY_RISK = 0.005;
+const MAX_DAILY_RISK = 0.4;
+// Days for an infection to reach its full yield loss.
+export const FULL_SEVERITY_DAYS = 3;
+
+/**
+ * Daily chance (0..1) that a healthy plant catches a given pest.
+ * @param {string} pestId
+ * @param {{season?: string|null, weather?: string|null, infectedNeighbours?: number}} ctx
+ * @returns {number}
+ */
+export function pestRisk(pestId, { season = null, weather = null, infectedNeighbours = 0 } = {}) {
+    const pest = CROP_PESTS[pestId];
+    if (!pest) return 0;
+    const risk = BASE_DAILY_RISK
+        + (pest.seasons[season] || 0)
+        + (pest.weather[weather] || 0)
+        + pest.spreadChance * Math.max(0, infectedNeighbours);
+    return Math.min(MAX_DAILY_RISK, risk);
+}
+
+/**
+ * Rolls which pest (if any) a healthy plant catches today. Pests are tried
+ * in PEST_IDS order, each with its own risk.
+ * @param {(pestId: string) => number} neighboursOf - infected 4-neighbours per pest
+ * @param {{season?: string|null, weather?: string|null}} ctx
+ * @param {() => number} [rng=Math.random]
+ * @returns {string|null} pest id or null
+ */
+export function rollPest(neighboursOf, { season = null, weather = null } = {}, rng = Math.random) {
+    for (const id of PEST_IDS) {
+        const risk = pestRisk(id, { season, weather, infectedNeighbours: neighboursOf(id) });
+        if (rng() < risk) return id;
+    }
+    return null;
+}
+
+/**
+ * Harvest multiplier of an infected plant (1 = healthy). The loss ramps up
+ * over FULL_SEVERITY_DAYS of infection.
+ * @param {{id: string, days?: number}|null|undefined} pest
+ * @returns {number}
+ */
+export function pestYieldFactor(pest) {
+    const def = CROP_PESTS[pest?.id];
+    if (!def) return 1;
+    const severity = Math.min(1, (1 + (pest.days || 0)) / (FULL_SEVERITY_DAYS + 1));
+    return 1 - def.yieldLoss * severity;
+}
+
+/** True if the item is a spray that cures the pest. */
+export function curesPest(itemData, pestId) {
+    return Array.isArray(itemData?.cropTreatment) && itemData.cropTreatment.includes(pestId);
+}
@@ -0,0 +1,189 @@
+/**
+ * @file cropSchema.js - Schema validator for crop definitions (data/crops.json).
+ * @description Crops are data: designers add or tune them in
+ * `scripts/data/crops.json` and cropSystem loads the file at boot. This module
+ * checks every entry before it reaches the game, so a typo shows up as a clear
+ * message ("crops[4] (seedId 18): frames[2].w must be a positive number")
+ * instead of an invisible plant or a NaN timer.
+ *
+ * File shape: `{ "version": 1, "crops": [ { seedId, ... }, ... ] }`.
+ *
+ * Fields per crop (required unless marked optional):
+ *   - seedId        seed item id (item.js, type "seed"); unique
+ *   - name          display name (pt-BR, like item.js)
+ *   - harvestItem   item id given on harvest (item.js)
+ *   - harvestYield  a number (fixed; 1 = single unit → gets the luck bonus)
+ *                   or [min, max] (random range)
+ *   - bonusItem     optional { itemId, yield } extra drop (e.g. sunflower seeds)
+ *   - growthDays    in-game days plant → mature
+ *   - regrowDays    in-game days harvest → mature again
+ *   - waterDays     days a full watering lasts; required unless noWater
+ *   - noWater       optional true → never needs watering
+ *   - seasons       optional list of spring/summer/autumn/winter (omit = all year)
+ *   - sheet         sprite sheet path; frames [{ x, w }] cut from it, frameH tall
+ *   - lift          optional px the sprite is raised from the tile bottom
+ *   - matureStage   frame index that is harvestable
+ *   - harvestedFrame frame index shown after harvest (twig)
+ *   - harvestXp / plantXp / soilCost  optional overrides (numbers ≥ 0)
+ *   - giantChance   optional daily chance (0..1] that a 3×3 block of the
+ *                   mature crop merges into a giant crop
+ *   - placeholderArt optional true → the sheet is borrowed from another crop
+ *                   until this one gets its own art; merchants keep the seed
+ *                   off the shelf while it is set
+ * Keys starting with "_" are ignored (use them for notes, e.g. "_comment").
+ * @module CropSchema
+ */
+
+import { items } from './item.js';
+
+export const CROP_SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+const CROP_FIELDS = new Set([
+    'seedId', 'name', 'harvestItem', 'harvestYield', 'bonusItem',
+    'growthDays', 'regrowDays', 'waterDays', 'noWater', 'seasons',
+    'sheet', 'frames', 'frameH', 'lift', 'matureStage', 'harvestedFrame',
+    'harvestXp', 'plantXp', 'soilCost', 'giantChance', 'placeholderArt',
+]);
+
+const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isIndex = (v) => Number.isInteger(v) && v >= 0;
+
+/** Error text for a yield spec (number or [min, max]), or null if valid. */
+function _yieldError(spec) {
+    if (Array.isArray(spec)) {
+        const [a, b] = spec;
+        if (spec.length !== 2 || !Number.isInteger(a) || !Number.isInteger(b) || a < 1 || b < a) {
+            return 'must be [min, max] with whole numbers 1 ≤ min ≤ max';
+        }
+        return null;
+    }
+    return Number.isInteger(spec) && spec >= 1 ? null : 'must be a whole number ≥ 1 or [min, max]';
+}
+
+/**
+ * Validates one crop entry. Pushes human-readable messages into `errors`.
+ * @param {Object} crop
+ * @param {(field: string, msg: string) => void} fail
+ * @param {Map<number, Object>} itemsById
+ */
+function _validateCrop(crop, fail, itemsById) {
+    for (const key of Object.keys(crop)) {
+        if (!CROP_FIELDS.has(key) && !key.startsWith('_')) fail(key, 'is not a known crop field');
+    }
+
+    const seed = itemsById.get(crop.seedId);
+    if (!Number.isInteger(crop.seedId)) fail('seedId', 'must be a whole number');
+    else if (!seed) fail('seedId', `${crop.seedId} is not an item in item.js`);
+    else if (seed.type !== 'seed') fail('seedId', `${crop.seedId} (${seed.name}) is not a seed item`);
+
+    if (typeof crop.name !== 'string' || crop.name.trim() === '') fail('name', 'must be a non-empty string');
+
+    if (!Number.isInteger(crop.harvestItem)) fail('harvestItem', 'must be a whole number');
+    else if (!itemsById.has(crop.harvestItem)) fail('harvestItem', `${crop.harvestItem} is not an item in item.js`);
+
+    const yieldErr = _yieldError(crop.harvestYield);
+    if (yieldErr) fail('harvestYield', yieldErr);
+
+    if (crop.bonusItem !== undefined) {
+        const b = crop.bonusItem;
+        if (!b || typeof b !== 'object') {
+            fail('bonusItem', 'must be { itemId, yield }');
+        } else {
+            if (!itemsById.has(b.itemId)) fail('bonusItem.itemId', `${b.itemId} is not an item in item.js`);
+            const bonusErr = _yieldError(b.yield);
+            if (bonusErr) fail('bonusItem.yield', bonusErr);
+        }
+    }
+
+    if (!isPositive(crop.growthDays)) fail('growthDays', 'must be a positive number');
+    if (!isPositive(crop.regrowDays)) fail('regrowDays', 'must be a positive number');
+    if (crop.noWater !== undefined && typeof crop.noWater !== 'boolean') fail('noWater', 'must be true or false');
+    if (crop.noWater !== true && !isPositive(crop.waterDays)) {
+        fail('waterDays', 'must be a positive number (or set "noWater": true)');
+    }
+
+    if (crop.seasons !== undefined) {
+        if (!Array.isArray(crop.seasons) || crop.seasons.length === 0) {
+            fail('seasons', 'must be a non-empty list (omit it for all year)');
+        } else {
+            crop.seasons.forEach((s, i) => {
+                if (!CROP_SEASONS.includes(s)) fail(`seasons[${i}]`, `"${s}" is not one of ${CROP_SEASONS.join(', ')}`);
+            });
+            if (new Set(crop.seasons).size !== crop.seasons.length) fail('seasons', 'has duplicates');
+        }
+    }
+
+    if (typeof crop.sheet !== 'string' || crop.sheet.trim() === '') fail('sheet', 'must be a sprite sheet path');
+    if (!isPositive(crop.frameH)) fail('frameH', 'must be a positive number');
+    if (crop.lift !== undefined && !(typeof crop.lift === 'number' && Number.isFinite(crop.lift))) {
+        fail('lift', 'must be a number');
+    }
+
+    const frames = crop.frames;
+    if (!Array.isArray(frames) || frames.length < 2) {
+        fail('frames', 'must list at least 2 frames ({ x, w })');
+    } else {
+        frames.forEach((f, i) => {
+            if (!isNonNegative(f?.x)) fail(`frames[${i}].x`, 'must be a number ≥ 0');
+            if (!isPositive(f?.w)) fail(`frames[${i}].w`, 'must be a positive number');
+        });
+        const last = frames.length - 1;
+        if (!isIndex(crop.matureStage) || crop.matureStage < 1 || crop.matureStage > last) {
+            fail('matureStage', `must be a frame index from 1 to ${last}`);
+        }
+        if (!isIndex(crop.harvestedFrame) || crop.harvestedFrame > last) {
+            fail('harvestedFrame', `must be a frame index from 0 to ${last}`);
+        }
+    }
+
+    for (const key of ['harvestXp', 'plantXp', 'soilCost']) {
+        if (crop[key] !== undefined && !isNonNegative(crop[key])) fail(key, 'must be a number ≥ 0');
+    }
+    if (crop.giantChance !== undefined && !(isPositive(crop.giantChance) && crop.giantChance <= 1)) {
+        fail('giantChance', 'must be a number in (0, 1]');
+    }
+    if (crop.placeholderArt !== undefined && typeof crop.placeholderArt !== 'boolean') {
+        fail('placeholderArt', 'must be true or false');
+    }
+}
+
+/**
+ * Validates a parsed crops.json. Invalid entries are dropped (with their
+ * errors); the valid ones come back keyed by seedId, ready to use as the
+ * crop table.
+ * @param {any} data - parsed JSON
+ * @param {{items?: Array<Object>}} [opts] - item database (defaults to item.js)
+ * @returns {{ crops: Object<number, Object>, errors: string[] }}
+ */
+export function validateCropDefinitions(data, { items: itemList = items } = {}) {
+    const errors = [];
+    const crops = {};
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.crops)) {
+        errors.push('crops.json: expected an object with a "crops" list');
+        return { crops, errors };
+    }
+
+    const itemsById = new Map(itemList.map(it => [it.id, it]));
+    const seen = new Set();
+
+    data.crops.forEach((crop, i) => {
+        const label = `crops[${i}]` + (crop && crop.seedId !== undefined ? ` (seedId ${crop.seedId})` : '');
+        if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        const before = errors.length;
+        _validateCrop(crop, (field, msg) => errors.push(`${label}: ${field} ${msg}`), itemsById);
+        if (seen.has(crop.seedId)) errors.push(`${label}: seedId ${crop.seedId} is defined more than once`);
+        if (errors.length > before) return;
+
+        seen.add(crop.seedId);
+        const { seedId, ...def } = crop;
+        for (const key of Object.keys(def)) if (key.startsWith('_')) delete def[key];
+        crops[seedId] = def;
+    });
+
+    return { crops, errors };
+}
@@ -3,16 +3,43 @@
  * @description Plant a seed on tilled soil → it grows through stages → harvest
  * with the scythe for the crop item. Hay (Feno) is the first crop/test.
  *
- * Integrates with: hoeTool (tilled tiles), seedWheel (active seed),
+ * Soil fertility (hoeTool nutrients) scales growth speed and yield: rich
+ * soil grows faster and gives more, depleted soil the opposite; every harvest
+ * draws nutrients out of its tile.
+ *
+ * Harvest quality (itemQuality.js): each harvest rolls normal/silver/gold
+ * from the watering streak (stages grown this cycle without drying out),
+ * the tile's fertility and the player's level.
+ *
+ * Pests and diseases (cropPests.js): a daily roll can infect a plant (season,
+ * weather and infected neighbours raise the odds). Infected plants show
+ * symptoms, lose yield and spread to adjacent tiles until sprayed with a
+ * matching treatment (picked in the seed wheel, like fertilizer).
+ *
+ * Giant crops: a 3×3 block of the same mature crop (one with `giantChance`)
+ * may merge at the day change into one oversized plant. The top-left tile is
+ * the anchor (`rec.giant`), the other eight point at it (`rec.giantOf`). It
+ * no longer needs water, can't be scythed, and the axe fells it for a big
+ * harvest.
+ *
+ * Integrates with: hoeTool (tilled tiles + nutrients), seedWheel (active seed),
  * inventorySystem (consume seed / add crop). Updated + drawn by the game loop.
+ * Crop definitions are data (scripts/data/crops.json, validated by
+ * cropSchema.js) — main.js loads them at boot via loadDefinitions().
  * In-memory for now — save/load of crops is a later step.
  * @module CropSystem
  */
 
 import { getSystem, registerSystem } from './gameState.js';
 import { getItem } from './itemUtils.js';
+import { t } from './i18n/i18n.js';
 import { inventorySystem } from './thePlayer/inventorySystem.js';
 import { TILE_SIZE } from './worldConstants.js';
+import { SOIL_NUTRIENT_BASE, SOIL_NUTRIENT_MAX } from './hoeTool.js';
+import { rollQuality } from './itemQuality.js';
+import { CROP_PESTS, rollPest, pestYieldFactor, curesPest } from './cropPests.js';
+import { validateCropDefinitions } from './cropSchema.js';
+import { logger } from './logger.js';
 
 // Default lift: raises the plant from the tile's bottom edge so it sits
 // centered-ish on the block (world px; ×zoom on screen). Per-crop `lift` in
@@ -33,6 +60,12 @@ const WATER_DECAY_MIN = DAY_MIN; // grace ~1 in-game day at 0 water before withe
 // Single-unit crops get a "luck" bonus: 51% chance the harvest yields 2 (#165).
 const LUCK_DOUBLE_CHANCE = 0.51;
 
+// Giant crops: block side (tiles), and the yield/XP multipliers over what the
+// nine plants would give on their own.
+const GIANT_SIZE = 3;
+const GIANT_YIELD_FACTOR = 2;
+const GIANT_XP_FACTOR = 5;
+
 // Issue #216: XP rewards for farming. Harvest XP scales with the crop's growth
 // cycle (longer cycle = rarer/more valuable → more XP); planting grants a small
 // fraction. Both are overridable per crop via cfg.harvestXp / cfg.plantXp.
@@ -48,10 +81,15 @@ function _gameNow() {
     return (typeof performance !== 'undefined' ? performance.now() : Date.now()) / 1000 * 2;
 }
 
+/** Current weather type (weather.weatherType), or null before weather is ready. */
+function _weatherType() {
+    const w = getSystem('weather') || (typeof window !== 'undefined' ? window.WeatherSystem : null);
+    return w?.weatherType ?? null;
+}
+
 /** True when the weather waters crops (rain or storm). */
 function _isRaining() {
-    const w = getSystem('weather') || (typeof window !== 'undefined' ? window.WeatherSystem : null);
-    const t = w?.weatherType;
+    const t = _weatherType();
     return t === 'rain' || t === 'storm';
 }
 
@@ -89,6 +127,83 @@ function _rollYield(spec) {
     return spec ?? 1;
 }
 
+/** Current season key (weather.seasonKey), or null before weather is ready. */
+function _currentSeason() {
+    const w = getSystem('weather') || (typeof window !== 'undefined' ? window.WeatherSystem : null);
+    return w?.seasonKey ?? null;
+}
+
+/** True if the crop may grow in the season (no `seasons` list = all year). */
+function _inSeason(cfg, season) {
+    if (!cfg?.seasons || !season) return true;
+    return cfg.seasons.includes(season);
+}
+
+/** Localized, comma-separated season names of a crop ("Spring, Summer"). */
+function _seasonNames(cfg) {
+    const keys = cfg?.seasons ?? ['spring', 'summer', 'autumn', 'winter'];
+    return keys.map(k => t(`seasons.${k}`)).join(', ');
+}
+
+/** Nutrient level (0..100) of the tile a crop sits on (base if unknown). */
+function _soilNutrients(x, y) {
+    const n = getSystem('hoeTool')?.getNutrients?.(x, y);
+    return typeof n === 'number' ? n : SOIL_NUTRIENT_BASE;
+}
+
+/**
+ * Stage-duration multiplier from soil nutrients: base soil = 1, rich soil
+ * (100) grows 25% faster (0.75), exhausted soil (0) 40% slower (1.4).
+ */
+function _fertilityGrowthFactor(n) {
+    if (n >= SOIL_NUTRIENT_BASE) {
+        return 1 - 0.25 * (n - SOIL_NUTRIENT_BASE) / (SOIL_NUTRIENT_MAX - SOIL_NUTRIENT_BASE);
+    }
+    return 1 + 0.4 * (SOIL_NUTRIENT_BASE - n) / SOIL_NUTRIENT_BASE;
+}
+
+/** Yield multiplier from soil nutrients: 0 → ×0.5, base → ×1, 100 → ×1.5. */
+function _fertilityYieldFactor(n) {
+    if (n >= SOIL_NUTRIENT_BASE) {
+        return 1 + 0.5 * (n - SOIL_NUTRIENT_BASE) / (SOIL_NUTRIENT_MAX - SOIL_NUTRIENT_BASE);
+    }
+    return 0.5 + 0.5 * n / SOIL_NUTRIENT_BASE;
+}
+
+/** Scales a rolled quantity, rounding the fraction stochastically (min 1). */
+function _scaleYield(qty, factor) {
+    if (factor === 1) return qty;
+    const raw = qty * factor;
+    const whole = Math.floor(raw);
+    return Math.max(1, whole + (Math.random() < raw - whole ? 1 : 0));
+}
+
+/**
+ * Nutrients a harvest draws from its tile: longer cycles drain more
+ * (6..20). Overridable per crop via cfg.soilCost.
+ */
+function _soilCost(cfg) {
+    return cfg.soilCost ?? Math.min(20, 6 + Math.round((cfg.growthDays || 1) / 2));
+}
+
+// Player level at which skill stops improving harvest quality.
+const QUALITY_SKILL_MAX_LEVEL = 20;
+
+/**
+ * Rolls the harvest tier of a crop record: care = share of this cycle's
+ * stages grown without the plant drying out (no-water crops always count as
+ * cared for), fertility = tile nutrients, skill = player level progress.
+ */
+function _rollHarvestQuality(rec, cfg, nutrients) {
+    const care = cfg.noWater ? 1 : (rec.streak || 0) / Math.max(1, rec.cycleStages || cfg.matureStage);
+    const level = getSystem('xp')?.getLevel?.() ?? 1;
+    return rollQuality({
+        care,
+        fertility: nutrients / SOIL_NUTRIENT_MAX,
+        skill: (level - 1) / (QUALITY_SKILL_MAX_LEVEL - 1),
+    });
+}
+
 /** Issue #216: XP for harvesting a crop (scaled by cycle, per-crop overridable). */
 function _harvestXp(cfg) {
     return cfg.harvestXp ?? Math.max(1, Math.round((cfg.growthDays || 1) * XP_PER_GROWTH_DAY));
@@ -98,212 +213,49 @@ function _plantXp(cfg) {
     return cfg.plantXp ?? Math.max(1, Math.round((cfg.growthDays || 1) * PLANT_XP_FACTOR));
 }
 
-// seedId → crop config. Frame rects measured from the sprite's alpha.
-// Timing (#165 design): growthDays = plant→mature, regrowDays = harvest→mature
-// again (faster). harvestYield: a number (fixed; 1 = single-unit → gets the
-// luck bonus) or [min,max] (random range). Optional: noWater (grows without
-// watering), bonusItem (extra drop, e.g. sunflower returns seeds).
-const CROPS = {
-    107: { // Grão de Feno → harvest gives raw hay (109); compact it (crafting) → Feno (29)
-        name: 'Feno',
-        harvestItem: 109,     // raw harvested hay (resource); NOT animal feed yet
-        waterDays: 1.5,       // hardy grass — holds water a while
-        sheet: 'assets/plantation/hay.webp',
-        // [0] just planted, [1] growing, [2] grown (harvestable), [3] twig (post-harvest)
-        frames: [
-            { x: 0,  w: 11 },
-            { x: 30, w: 14 },
-            { x: 59, w: 22 },
-            { x: 96, w: 11 },
-        ],
-        frameH: 28,
-        matureStage: 2,       // frame index that is harvestable
-        harvestedFrame: 3,    // frame shown after harvest
-        harvestYield: [1, 2],
-        growthDays: 4,
-        regrowDays: 2,
-    },
-    // Issue #165 batch 1. Frame rects measured from each sheet's alpha; all use
-    // the Feno convention: [0] planted, [1] growing, [2] grown (harvestable),
-    // [3] post-harvest twig.
-    110: { // Pepino
-        name: 'Pepino',
-        harvestItem: 111,
-        waterDays: 1,
-        sheet: 'assets/plantation/cucumber.webp',
-        frames: [{ x: 0, w: 17 }, { x: 29, w: 23 }, { x: 58, w: 30 }, { x: 91, w: 29 }],
-        frameH: 29,
-        lift: -1.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: [2, 3],
-        growthDays: 6,
-        regrowDays: 3,
-    },
-    112: { // Abacaxi
-        name: 'Abacaxi',
-        harvestItem: 113,
-        waterDays: 1.5,       // tropical, holds water
-        sheet: 'assets/plantation/pineapple.webp',
-        frames: [{ x: 0, w: 11 }, { x: 26, w: 22 }, { x: 53, w: 30 }, { x: 85, w: 32 }],
-        frameH: 24,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1, // single fruit per cycle (high value); luck bonus applies
-        growthDays: 15,
-        regrowDays: 6,
-    },
-    114: { // Matinho (grows left→right; last frame is post-harvest)
-        name: 'Matinho',
-        harvestItem: 115,
-        sheet: 'assets/plantation/weed.webp',
-        frames: [{ x: 0, w: 13 }, { x: 32, w: 13 }, { x: 61, w: 20 }, { x: 96, w: 14 }],
-        frameH: 37,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1,
-        growthDays: 2,
-        regrowDays: 1,
-        noWater: true, // spreads on its own — never needs watering
-    },
-    116: { // Girassol
-        name: 'Girassol',
-        harvestItem: 117,
-        waterDays: 1.5,       // deep roots, drought-tolerant
-        sheet: 'assets/plantation/sunflower.webp',
-        frames: [{ x: 0, w: 11 }, { x: 25, w: 21 }, { x: 55, w: 25 }, { x: 96, w: 9 }],
-        frameH: 34,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: [1, 1], // 1 flower (no luck), plus seeds via bonusItem
-        bonusItem: { itemId: 116, yield: [2, 3] }, // returns its own seeds to replant
-        growthDays: 8,
-        regrowDays: 4,
-    },
-    // Issue #165 batch 2. Frame rects measured from each sheet's alpha.
-    118: { // Abóbora
-        name: 'Abóbora',
-        harvestItem: 119,
-        waterDays: 0.75,      // big thirsty fruit
-        sheet: 'assets/plantation/pumpkin.webp',
-        frames: [{ x: 0, w: 13 }, { x: 27, w: 22 }, { x: 57, w: 29 }, { x: 89, w: 29 }],
-        frameH: 27,
-        lift: -1.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1,
-        growthDays: 12,
-        regrowDays: 5,
-    },
-    120: { // Brócolis
-        name: 'Brócolis',
-        harvestItem: 121,
-        waterDays: 1,
-        sheet: 'assets/plantation/broccoli.webp',
-        frames: [{ x: 0, w: 9 }, { x: 28, w: 16 }, { x: 59, w: 17 }, { x: 91, w: 17 }],
-        frameH: 16,
-        lift: 5.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1, // main floral head
-        growthDays: 8,
-        regrowDays: 4,
-    },
-    122: { // Beterraba
-        name: 'Beterraba',
-        harvestItem: 123,
-        waterDays: 2,         // hardy root
-        sheet: 'assets/plantation/beet.webp',
-        frames: [{ x: 0, w: 6 }, { x: 16, w: 8 }, { x: 28, w: 12 }, { x: 46, w: 9 }],
-        frameH: 18,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1,
-        growthDays: 5,
-        regrowDays: 3,
-    },
-    124: { // Cenoura
-        name: 'Cenoura',
-        harvestItem: 125,
-        waterDays: 2,         // hardy root
-        sheet: 'assets/plantation/carrot.webp',
-        frames: [{ x: 0, w: 7 }, { x: 13, w: 12 }, { x: 28, w: 14 }, { x: 46, w: 11 }],
-        frameH: 26,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1,
-        growthDays: 7,
-        regrowDays: 4,
-    },
-    // Issue #165 batch 3. Frame rects measured from each sheet's alpha.
-    126: { // Uva
-        name: 'Uva',
-        harvestItem: 127,
-        waterDays: 0.5,       // thirsty premium vine
-        sheet: 'assets/plantation/grape.webp',
-        frames: [{ x: 0, w: 13 }, { x: 32, w: 13 }, { x: 59, w: 24 }, { x: 91, w: 24 }],
-        frameH: 37,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: [3, 4], // a full bunch
-        growthDays: 20,
-        regrowDays: 3, // big upfront cost, but rebrota fast
-    },
-    128: { // Pimentinha
-        name: 'Pimentinha',
-        harvestItem: 129,
-        waterDays: 1,
-        sheet: 'assets/plantation/chili.webp',
-        frames: [{ x: 0, w: 12 }, { x: 29, w: 19 }, { x: 57, w: 23 }, { x: 90, w: 22 }],
-        frameH: 30,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: [3, 5], // bush sprouts many peppers
-        growthDays: 9,
-        regrowDays: 3,
-    },
-    130: { // Pimentão
-        name: 'Pimentão',
-        harvestItem: 131,
-        waterDays: 0.75,
-        sheet: 'assets/plantation/bellPepper.webp',
-        frames: [{ x: 0, w: 13 }, { x: 30, w: 20 }, { x: 57, w: 27 }, { x: 91, w: 25 }],
-        frameH: 34,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 2, // fixed; fewer than pimentinha but worth more each
-        growthDays: 10,
-        regrowDays: 4,
-    },
-    132: { // Couve-Flor
-        name: 'Couve-Flor',
-        harvestItem: 133,
-        waterDays: 1,
-        sheet: 'assets/plantation/cauliflower.webp',
-        frames: [{ x: 0, w: 13 }, { x: 30, w: 19 }, { x: 61, w: 22 }, { x: 93, w: 22 }],
-        frameH: 17,
-        lift: 4.5,
-        matureStage: 2,
-        harvestedFrame: 3,
-        harvestYield: 1, // main head
-        growthDays: 8,
-        regrowDays: 4,
-    },
-};
+// seedId → crop config, loaded at boot from scripts/data/crops.json and
+// checked by cropSchema.js (field reference there). Timing (#165 design):
+// growthDays = plant→mature, regrowDays = harvest→mature again (faster).
+// Filled in place so the module-level reference stays valid.
+const CROPS = {};
+const CROPS_URL = 'scripts/data/crops.json';
 
 const cropSystem = {
     // tileKey "tx,ty" → { seedId, stage, nextStageAt, harvested }
     _crops: new Map(),
     _imgs: new Map(), // sheet src → Image
 
+    /**
+     * Replaces the crop table with validated definitions (parsed crops.json).
+     * Invalid entries are skipped and reported; valid ones load anyway, so a
+     * single typo doesn't take every crop down with it.
+     * @param {Object} data - parsed crops.json
+     * @returns {string[]} validation errors (empty = all good)
+     */
+    setDefinitions(data) {
+        const { crops, errors } = validateCropDefinitions(data);
+        for (const id of Object.keys(CROPS)) delete CROPS[id];
+        Object.assign(CROPS, crops);
+        for (const err of errors) logger.error(`[cropSystem] ${err}`);
+        return errors;
+    },
+
+    /**
+     * Boot: fetches and loads crops.json. Must finish before crops are
+     * restored from a save (restore skips seedIds it doesn't know).
+     * @returns {Promise<string[]>} validation/load errors
+     */
+    async loadDefinitions(url = CROPS_URL) {
+        try {
+            const resp = await fetch(url);
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            return this.setDefinitions(await resp.json());
+        } catch (e) {
+            logger.error(`[cropSystem] failed to load ${url}: ${e.message}`);
+            return [e.message];
+        }
+    },
+
     _key(tx, ty) { return `${tx},${ty}`; },
     _snap(worldX, worldY) {
         return {
@@ -315,7 +267,9 @@ const cropSystem = {
     /**
      * Plants the active seed on the tilled tile under the world point.
      * Requires: an active seed (seedWheel), the tile tilled (hoeTool), not
-     * already planted, and a seed in the inventory (consumes 1).
+     * already planted, the seed in season, and a seed in the inventory
+     * (consumes 1). Out-of-season seeds are refused with a HUD message (the
+     * planting cursor shows the same hint as a tooltip).
      * @returns {boolean} true if it planted.
      */
     plantAt(worldX, worldY) {
@@ -328,12 +282,21 @@ const cropSystem = {
         if (!getSystem('hoeTool')?.isTilled?.(x, y)) return false;
         const key = this._key(x, y);
         if (this._crops.has(key)) return false;
+        if (getSystem('fruitTree')?.getTreeAt?.(x, y)) return false; // árvore no tile
+
+        if (!_inSeason(cfg, _currentSeason())) {
+            getSystem('hud')?.showMessage?.(t('crops.outOfSeason', {
+                name: cfg.name,
+                seasons: _seasonNames(cfg),
+            }));
+            return false;
+        }
 
         const have = inventorySystem.getItemQuantity?.(seed.id) ?? 0;
         if (have <= 0) return false;
 
         const now = _gameNow();
-        const stageMin = _growthStageMin(cfg);
+        const stageMin = _growthStageMin(cfg) * _fertilityGrowthFactor(_soilNutrients(x, y));
         const rec = {
             seedId: seed.id,
             stage: 0,
@@ -344,6 +307,8 @@ const cropSystem = {
             decayAt: null,
             regrowAt: null,
             stageMin, // current per-stage duration (growth, then regrow cadence), in-game min
+            streak: 0, // stages grown this cycle without drying out (harvest quality)
+            cycleStages: cfg.matureStage, // stages this cycle has to grow
         };
         this._crops.set(key, rec);
         inventorySystem.removeItem?.(seed.id, 1);
@@ -356,6 +321,210 @@ const cropSystem = {
         return true;
     },
 
+    /** Crop definition (crops.json entry) of a seed, or null. */
+    getDefinition(seedId) {
+        return CROPS[seedId] || null;
+    },
+
+    /** True if the seed can be planted in the current season. */
+    isInSeason(seedId) {
+        return _inSeason(CROPS[seedId], _currentSeason());
+    },
+
+    /**
+     * In-game minutes until the crop is harvestable (0 = mature now). Counts
+     * the twig phase + the regrow stages for harvested plants. Pure read.
+     */
+    minutesToMature(rec, now = _gameNow()) {
+        const cfg = CROPS[rec?.seedId];
+        if (!cfg) return 0;
+        if (rec.harvested) {
+            const twig = rec.regrowAt != null ? Math.max(0, rec.regrowAt - now) : 0;
+            return twig + Math.max(0, cfg.matureStage - 1) * rec.stageMin;
+        }
+        if (rec.stage >= cfg.matureStage) return 0;
+        const left = cfg.matureStage - rec.stage - 1;
+        return Math.max(0, rec.nextStageAt - now) + left * rec.stageMin;
+    },
+
+    /**
+     * Harvest range [min, max] a crop would give if picked now, for a record
+     * in `serialize()` form (tile x/y, pest, giant): the crop's yield scaled
+     * by tile fertility and pests — the same factors harvestAt rolls with.
+     * Single-unit crops count their luck bonus (1–2). A giant counts its
+     * nine plants ×GIANT_YIELD_FACTOR.
+     */
+    yieldRange(rec) {
+        const cfg = CROPS[rec?.seedId];
+        if (!cfg) return [0, 0];
+        const spec = cfg.harvestYield;
+        const [lo, hi] = Array.isArray(spec) ? spec : (spec === 1 ? [1, 2] : [spec ?? 1, spec ?? 1]);
+        const factor = _fertilityYieldFactor(_soilNutrients(rec.x, rec.y)) * pestYieldFactor(rec.pest);
+        const mult = rec.giant ? GIANT_SIZE * GIANT_SIZE * GIANT_YIELD_FACTOR : 1;
+        return [
+            Math.max(1, Math.floor(lo * factor)) * mult,
+            Math.max(1, Math.ceil(hi * factor)) * mult,
+        ];
+    },
+
+    /**
+     * Season rollover (dayChanged): crops whose season is over wither and are
+     * removed, like a plant left dry too long. Crops without a `seasons` list
+     * are never affected.
+     * @returns {number} how many crops withered.
+     */
+    witherOutOfSeason() {
+        const season = _currentSeason();
+        let withered = 0;
+        for (const [key, c] of this._crops) {
+            if (_inSeason(CROPS[c.seedId], season)) continue;
+            if (c.giant || c.giantOf) continue; // giants wait for the axe
+            this._crops.delete(key);
+            withered++;
+        }
+        if (withered > 0) {
+            getSystem('hud')?.showMessage?.(t('crops.witheredBySeason', { count: withered }));
+            if (typeof document !== 'undefined') {
+                document.dispatchEvent(new CustomEvent('cropsWithered', {
+                    detail: { count: withered, season }
+                }));
+            }
+        }
+        return withered;
+    },
+
+    /**
+     * Daily pest roll (dayChanged): existing infections age a day; every
+     * healthy, growing plant rolls for a new one (cropPests.js). Neighbour
+     * counts use the field as it was before this roll.
+     * @param {() => number} [rng=Math.random]
+     * @returns {number} how many plants got infected today.
+     */
+    rollDailyPests(rng = Math.random) {
+        if (this._crops.size === 0) return 0;
+        const season = _currentSeason();
+        const weather = _weatherType();
+        const infected = new Map();
+        for (const [key, c] of this._crops) if (c.pest) infected.set(key, c.pest.id);
+
+        let newCases = 0;
+        for (const [key, c] of this._crops) {
+            if (c.pest) {
+                c.pest.days = (c.pest.days || 0) + 1;
+                continue;
+            }
+            if (c.harvested) continue; // bare twig — nothing to eat yet
+            if (c.giant || c.giantOf) continue;
+            const comma = key.indexOf(',');
+            const x = +key.slice(0, comma);
+            const y = +key.slice(comma + 1);
+            const id = rollPest((pestId) => {
+                let n = 0;
+                for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    if (infected.get(this._key(x + dx * TILE_SIZE, y + dy * TILE_SIZE)) === pestId) n++;
+                }
+                return n;
+            }, { season, weather }, rng);
+            if (!id) continue;
+            c.pest = { id, days: 0 };
+            newCases++;
+        }
+
+        if (newCases > 0) {
+            getSystem('hud')?.showMessage?.(t('crops.pestOutbreak', { count: newCases }));
+            if (typeof document !== 'undefined') {
+                document.dispatchEvent(new CustomEvent('cropPestOutbreak', {
+                    detail: { count: newCases, season, weather }
+                }));
+            }
+        }
+        return newCases;
+    },
+
+    /**
+     * Giant roll (dayChanged): every 3×3 block of the same mature, unpicked
+     * crop with a `giantChance` rolls once; on a hit the nine plants merge
+     * into one giant. Blocks are scanned row by row from their top-left
+     * tile, and a plant joins at most one giant.
+     * @param {() => number} [rng=Math.random]
+     * @returns {number} how many giants formed.
+     */
+    mergeGiantCrops(rng = Math.random) {
+        if (this._crops.size < GIANT_SIZE * GIANT_SIZE) return 0;
+        const ready = (c, seedId) => c && c.seedId === seedId && !c.harvested
+            && !c.giant && !c.giantOf && c.stage >= CROPS[seedId].matureStage;
+        const anchors = [...this._crops.keys()]
+            .map(key => key.split(',').map(Number))
+            .sort((a, b) => (a[1] - b[1]) || (a[0] - b[0]));
+
+        let formed = 0;
+        let name = '';
+        for (const [x, y] of anchors) {
+            const anchorKey = this._key(x, y);
+            const anchor = this._crops.get(anchorKey);
+            const cfg = CROPS[anchor?.seedId];
+            if (!cfg?.giantChance || !ready(anchor, anchor.seedId)) continue;
+
+            const keys = [];
+            for (let dy = 0; dy < GIANT_SIZE; dy++) {
+                for (let dx = 0; dx < GIANT_SIZE; dx++) {
+                    keys.push(this._key(x + dx * TILE_SIZE, y + dy * TILE_SIZE));
+                }
+            }
+            if (!keys.every(k => ready(this._crops.get(k), anchor.seedId))) continue;
+            if (rng() >= cfg.giantChance) continue;
+
+            for (const k of keys) {
+                const c = this._crops.get(k);
+                c.pest = null; // o gigante nasce sadio
+                if (k === anchorKey) c.giant = true;
+                else c.giantOf = anchorKey;
+            }
+            formed++;
+            name = cfg.name;
+            if (typeof document !== 'undefined') {
+                document.dispatchEvent(new CustomEvent('giantCropFormed', {
+                    detail: { seedId: anchor.seedId, x, y }
+                }));
+            }
+        }
+        if (formed > 0) getSystem('hud')?.showMessage?.(t('crops.giantFormed', { name }));
+        return formed;
+    },
+
+    /** Pest on the crop under the world point ({ id, days }) or null. */
+    getPestAt(worldX, worldY) {
+        const { x, y } = this._snap(worldX, worldY);
+        return this._crops.get(this._key(x, y))?.pest ?? null;
+    },
+
+    /** True if the item is a crop spray (cures some pest). */
+    isTreatment(itemId) {
+        return Array.isArray(getItem(itemId)?.cropTreatment);
+    },
+
+    /**
+     * Sprays the crop under the world point with a treatment item: cures its
+     * pest if the spray covers it (consumes 1). Wrong spray → HUD hint, nothing
+     * consumed.
+     * @returns {boolean} true if it cured the plant.
+     */
+    treatAt(worldX, worldY, itemId) {
+        const { x, y } = this._snap(worldX, worldY);
+        const c = this._crops.get(this._key(x, y));
+        if (!c?.pest) return false;
+        if ((inventorySystem.getItemQuantity?.(itemId) ?? 0) <= 0) return false;
+        const pestName = t(`crops.pests.${c.pest.id}`);
+        if (!curesPest(getItem(itemId), c.pest.id)) {
+            getSystem('hud')?.showMessage?.(t('crops.wrongTreatment', { pest: pestName }));
+            return false;
+        }
+        inventorySystem.removeItem?.(itemId, 1);
+        c.pest = null;
+        getSystem('hud')?.showMessage?.(t('crops.pestTreated', { pest: pestName }));
+        return true;
+    },
+
     /** Refills a crop's water to full and cancels any pending wither. */
     _water(rec, now) {
         rec.water = 100;
@@ -385,6 +554,35 @@ const cropSystem = {
         return true;
     },
 
+    /**
+     * Tiles (top-left world coords) of the plants crows can eat: growing or
+     * mature, not yet picked, not part of a giant.
+     * @returns {Array<{x:number, y:number}>}
+     */
+    getRaidableTiles() {
+        const tiles = [];
+        for (const [key, c] of this._crops) {
+            if (c.harvested || c.giant || c.giantOf) continue;
+            const [x, y] = key.split(',').map(Number);
+            tiles.push({ x, y });
+        }
+        return tiles;
+    },
+
+    /**
+     * Destroys the plant under the world point (crows). Giants are too big
+     * to be eaten and are left alone.
+     * @returns {boolean} true if a plant was removed.
+     */
+    destroyCropAt(worldX, worldY) {
+        const { x, y } = this._snap(worldX, worldY);
+        const key = this._key(x, y);
+        const c = this._crops.get(key);
+        if (!c || c.giant || c.giantOf) return false;
+        this._crops.delete(key);
+        return true;
+    },
+
     /** Watering-can % cost for the crop at a tile (0 if none / noWater crop). */
     getWaterCostAt(worldX, worldY) {
         const { x, y } = this._snap(worldX, worldY);
@@ -416,6 +614,11 @@ const cropSystem = {
                 waterDropRemaining: rel(c.waterDropAt),
                 decayRemaining: rel(c.decayAt),
                 regrowRemaining: rel(c.regrowAt),
+                streak: c.streak || 0,
+                cycleStages: c.cycleStages ?? CROPS[c.seedId].matureStage,
+                pest: c.pest ? { id: c.pest.id, days: c.pest.days || 0 } : null,
+                giant: !!c.giant,
+                giantOf: c.giantOf ?? null,
             });
         }
         return out;
@@ -441,6 +644,11 @@ const cropSystem = {
                 waterDropAt: abs(c.waterDropRemaining, _waterStepMin(cfg)),
                 decayAt: c.decayRemaining != null ? now + c.decayRemaining : null,
                 regrowAt: c.regrowRemaining != null ? now + c.regrowRemaining : null,
+                streak: typeof c.streak === 'number' ? c.streak : 0,
+                cycleStages: typeof c.cycleStages === 'number' ? c.cycleStages : cfg.matureStage,
+                pest: CROP_PESTS[c.pest?.id] ? { id: c.pest.id, days: c.pest.days || 0 } : null,
+                giant: !!c.giant,
+                giantOf: typeof c.giantOf === 'string' ? c.giantOf : null,
             });
         }
     },
@@ -449,10 +657,71 @@ const cropSystem = {
     isMatureAt(worldX, worldY) {
         const { x, y } = this._snap(worldX, worldY);
         const c = this._crops.get(this._key(x, y));
-        if (!c || c.harvested) return false;
+        if (!c || c.harvested || c.giant || c.giantOf) return false;
         return c.stage >= CROPS[c.seedId].matureStage;
     },
 
+    /** Anchor key ("x,y") of the giant crop covering the tile, or null. */
+    _giantAnchorKey(worldX, worldY) {
+        const { x, y } = this._snap(worldX, worldY);
+        const key = this._key(x, y);
+        const c = this._crops.get(key);
+        if (c?.giant) return key;
+        return c?.giantOf ?? null;
+    },
+
+    /** True if a giant crop covers the tile under the world point. */
+    isGiantAt(worldX, worldY) {
+        return this._giantAnchorKey(worldX, worldY) !== null;
+    },
+
+    /**
+     * Fells the giant crop covering the tile (axe): twice what the nine
+     * plants would yield (each tile's soil still counts), one quality roll,
+     * nutrients drawn from all nine tiles. The plants are gone afterwards —
+     * the soil stays tilled.
+     * @returns {boolean} true if it harvested.
+     */
+    harvestGiantAt(worldX, worldY) {
+        const anchorKey = this._giantAnchorKey(worldX, worldY);
+        const anchor = anchorKey && this._crops.get(anchorKey);
+        if (!anchor) return false;
+        const cfg = CROPS[anchor.seedId];
+        const [ax, ay] = anchorKey.split(',').map(Number);
+
+        let qty = 0;
+        let nutrientSum = 0;
+        const tiles = [];
+        for (let dy = 0; dy < GIANT_SIZE; dy++) {
+            for (let dx = 0; dx < GIANT_SIZE; dx++) {
+                const x = ax + dx * TILE_SIZE;
+                const y = ay + dy * TILE_SIZE;
+                const n = _soilNutrients(x, y);
+                nutrientSum += n;
+                qty += _scaleYield(_rollYield(cfg.harvestYield), _fertilityYieldFactor(n));
+                tiles.push({ x, y });
+            }
+        }
+        qty *= GIANT_YIELD_FACTOR;
+        const quality = _rollHarvestQuality(anchor, cfg, nutrientSum / tiles.length);
+        inventorySystem.acquireItem?.(cfg.harvestItem, qty, quality);
+        if (cfg.bonusItem) inventorySystem.acquireItem?.(cfg.bonusItem.itemId, _rollYield(cfg.bonusItem.yield) * GIANT_SIZE);
+
+        const hoe = getSystem('hoeTool');
+        for (const { x, y } of tiles) {
+            this._crops.delete(this._key(x, y));
+            hoe?.depleteNutrients?.(x, y, _soilCost(cfg));
+        }
+        getSystem('xp')?.grantXP?.(_harvestXp(cfg) * GIANT_XP_FACTOR, `crop_giant_${anchor.seedId}`);
+        getSystem('hud')?.showMessage?.(t('crops.giantHarvested', { qty, name: cfg.name }));
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('giantCropHarvested', {
+                detail: { seedId: anchor.seedId, harvestItem: cfg.harvestItem, quantity: qty, quality }
+            }));
+        }
+        return true;
+    },
+
     /**
      * Harvests a mature crop under the world point → adds the crop item and
      * leaves the post-harvest frame (twig).
@@ -463,22 +732,34 @@ const cropSystem = {
         const key = this._key(x, y);
         const c = this._crops.get(key);
         if (!c || c.harvested) return false;
+        if (c.giant || c.giantOf) {
+            getSystem('hud')?.showMessage?.(t('crops.giantNeedsAxe'));
+            return false;
+        }
         const cfg = CROPS[c.seedId];
         if (c.stage < cfg.matureStage) return false;
         // #NNN: full inventory routes the harvest to the warehouse, never lost.
-        inventorySystem.acquireItem?.(cfg.harvestItem, _rollYield(cfg.harvestYield));
+        // Soil fertility scales the main yield, then the harvest depletes it.
+        // The whole main yield shares one quality roll. Pests eat into it.
+        const nutrients = _soilNutrients(x, y);
+        const quality = _rollHarvestQuality(c, cfg, nutrients);
+        const qty = _scaleYield(_rollYield(cfg.harvestYield),
+            _fertilityYieldFactor(nutrients) * pestYieldFactor(c.pest));
+        inventorySystem.acquireItem?.(cfg.harvestItem, qty, quality);
         // Extra drop (e.g. sunflower returns seeds for replanting).
         if (cfg.bonusItem) inventorySystem.acquireItem?.(cfg.bonusItem.itemId, _rollYield(cfg.bonusItem.yield));
+        getSystem('hoeTool')?.depleteNutrients?.(x, y, _soilCost(cfg));
         // Leaves the twig (harvestedFrame) and regrows on the (faster) regrow
         // cadence: twig phase = one regrow step, then back through the stages.
+        // The regrow pace follows the soil as it is after this harvest.
         c.harvested = true;
-        c.stageMin = _regrowStageMin(cfg);
+        c.stageMin = _regrowStageMin(cfg) * _fertilityGrowthFactor(_soilNutrients(x, y));
         c.regrowAt = _gameNow() + c.stageMin;
         getSystem('xp')?.grantXP?.(_harvestXp(cfg), `crop_harvest_${c.seedId}`); // #216
         // #218: notify achievements (harvest goals). seedId/harvestItem for per-crop goals.
         if (typeof document !== 'undefined') {
             document.dispatchEvent(new CustomEvent('cropHarvested', {
-                detail: { seedId: c.seedId, harvestItem: cfg.harvestItem }
+                detail: { seedId: c.seedId, harvestItem: cfg.harvestItem, quality }
             }));
         }
         return true;
@@ -498,6 +779,9 @@ const cropSystem = {
         for (const [key, c] of this._crops) {
             const cfg = CROPS[c.seedId];
 
+            // Giants are done growing and don't dry out.
+            if (c.giant || c.giantOf) continue;
+
             // Harvested → twig phase, then regrow (young → mature again).
             if (c.harvested) {
                 if (c.regrowAt != null && now >= c.regrowAt) {
@@ -505,6 +789,8 @@ const cropSystem = {
                     c.stage = 1; // regrow from "young"
                     c.nextStageAt = now + c.stageMin; // regrow cadence (set at harvest)
                     c.regrowAt = null;
+                    c.streak = 0; // new cycle: quality streak starts over
+                    c.cycleStages = cfg.matureStage - c.stage;
                     this._water(c, now); // fresh regrowth starts watered
                 }
                 continue;
@@ -514,6 +800,7 @@ const cropSystem = {
             if (cfg.noWater) {
                 while (c.stage < cfg.matureStage && now >= c.nextStageAt) {
                     c.stage++;
+                    c.streak = (c.streak || 0) + 1;
                     c.nextStageAt += c.stageMin;
                 }
                 continue;
@@ -526,13 +813,17 @@ const cropSystem = {
             while (c.water > 0 && now >= c.waterDropAt) {
                 c.water = Math.max(0, c.water - 50);
                 c.waterDropAt += _waterStepMin(cfg);
-                if (c.water === 0) c.decayAt = now + WATER_DECAY_MIN;
+                if (c.water === 0) {
+                    c.decayAt = now + WATER_DECAY_MIN;
+                    c.streak = 0; // ran dry → the quality streak breaks
+                }
             }
 
             if (c.water > 0) {
                 // Grow only while watered.
                 while (c.stage < cfg.matureStage && now >= c.nextStageAt) {
                     c.stage++;
+                    c.streak = (c.streak || 0) + 1;
                     c.nextStageAt += c.stageMin;
                 }
             } else {
@@ -564,7 +855,10 @@ const cropSystem = {
             const comma = key.indexOf(',');
             const tx = +key.slice(0, comma);
             const ty = +key.slice(comma + 1);
-            if (camera.isInViewport && !camera.isInViewport(tx, ty, TILE_SIZE, TILE_SIZE)) continue;
+            if (c.giantOf) continue; // drawn by its anchor
+            // A giant spans the whole block: one sprite, GIANT_SIZE× bigger.
+            const span = c.giant ? GIANT_SIZE : 1;
+            if (camera.isInViewport && !camera.isInViewport(tx, ty, TILE_SIZE * span, TILE_SIZE * span)) continue;
 
             const cfg = CROPS[c.seedId];
             const img = this._img(cfg.sheet);
@@ -573,27 +867,56 @@ const cropSystem = {
             const frame = cfg.frames[c.harvested ? cfg.harvestedFrame : c.stage];
             if (!frame) continue;
 
-            const destW = frame.w * z;
-            const destH = cfg.frameH * z;
+            const destW = frame.w * z * span;
+            const destH = cfg.frameH * z * span;
             // Anchor bottom-center on the tile, lifted a bit so it reads as
             // centered on the block (not hanging off the bottom edge).
             const lift = (typeof cfg.lift === 'number' ? cfg.lift : PLANT_LIFT_WORLD);
-            const sp = camera.worldToScreen(tx + TILE_SIZE / 2, ty + TILE_SIZE);
+            const sp = camera.worldToScreen(tx + TILE_SIZE * span / 2, ty + TILE_SIZE * span);
             const dx = Math.round(sp.x - destW / 2);
             const dy = Math.round(sp.y - destH - lift * z);
             ctx.drawImage(img, frame.x, 0, frame.w, cfg.frameH, dx, dy, destW, destH);
+            if (c.pest) this._drawPestSymptoms(ctx, c.pest, tx, ty, dx, dy, destW, destH, z);
         }
         ctx.restore();
     },
 
+    /**
+     * Symptoms of an infected plant: spots in the pest's color scattered over
+     * the sprite (more of them as the infection ages). Spot positions come
+     * from the tile coords, so they stay put frame to frame.
+     */
+    _drawPestSymptoms(ctx, pest, tx, ty, dx, dy, destW, destH, z) {
+        const def = CROP_PESTS[pest.id];
+        if (!def) return;
+        const spots = 3 + Math.min(4, pest.days || 0);
+        const r = Math.max(1, Math.round(z));
+        let seed = (tx * 73856093) ^ (ty * 19349663);
+        const next = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return seed / 0x7fffffff;
+        };
+        ctx.fillStyle = def.spotColor;
+        for (let i = 0; i < spots; i++) {
+            const sx = dx + destW * (0.2 + 0.6 * next());
+            const sy = dy + destH * (0.25 + 0.6 * next());
+            ctx.fillRect(Math.round(sx), Math.round(sy), r * 2, r * 2);
+        }
+    },
+
     /**
      * Planting cursor: a tile-aligned square shown while a seed is selected
-     * (mirrors the hoe cursor). Green = plantable here (tilled + empty),
-     * red = not. Drawn by the game loop, like the hoe cursor.
+     * (mirrors the hoe cursor). Green = plantable here (tilled + empty + in
+     * season), red = not. An out-of-season seed over a free plot also gets a
+     * tooltip naming the seasons it can be planted in. A selected fertilizer
+     * shows green over any tilled tile that can still take nutrients, a spray
+     * over a plant with a pest it cures. Drawn by the game loop, like the hoe
+     * cursor.
      */
     drawPlantCursor(ctx, camera) {
         if (!ctx || !camera) return;
-        if (!getSystem('seedWheel')?.getActiveSeed?.()) return;
+        const seed = getSystem('seedWheel')?.getActiveSeed?.();
+        if (!seed) return;
         // Watering can equipped → clicking waters, not plants; show its cursor instead.
         const eq = getSystem('player')?.getEquippedItem?.();
         if (eq && getItem(eq.id ?? eq)?.toolType === 'watering_can') return;
@@ -601,7 +924,20 @@ const cropSystem = {
         const tile = hoe?.cursorTile?.();
         if (!tile) return;
 
-        const plantable = !!hoe.isTilled?.(tile.x, tile.y) && !this._crops.has(this._key(tile.x, tile.y));
+        const tilled = !!hoe.isTilled?.(tile.x, tile.y);
+        // A fertilizer goes on any tilled tile (planted or not) until it's full;
+        // a spray goes on a plant with a pest it cures.
+        let free;
+        if (this.isTreatment(seed.id)) {
+            free = curesPest(getItem(seed.id), this._crops.get(this._key(tile.x, tile.y))?.pest?.id);
+        } else if (hoe.isFertilizer?.(seed.id)) {
+            free = tilled && hoe.getNutrients?.(tile.x, tile.y) < SOIL_NUTRIENT_MAX;
+        } else {
+            free = tilled && !this._crops.has(this._key(tile.x, tile.y));
+        }
+        const cfg = CROPS[seed.id];
+        const inSeason = _inSeason(cfg, _currentSeason());
+        const plantable = free && inSeason;
         const sp = camera.worldToScreen(tile.x, tile.y);
         const size = TILE_SIZE * camera.zoom;
         const x = Math.round(sp.x);
@@ -619,32 +955,38 @@ const cropSystem = {
         ctx.fillRect(x, y, size, size);
         ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
         ctx.restore();
+
+        if (free && cfg && !inSeason) {
+            this._drawTooltipBox(ctx, Math.round(x + size / 2), y, [
+                { text: cfg.name, bold: true },
+                { text: t('crops.outOfSeasonShort'), color: '#e0563f' },
+                { text: t('crops.plantIn', { seasons: _seasonNames(cfg) }) },
+            ]);
+        }
     },
 
     /**
-     * Hover tooltip over a crop: its name + a vitality (water) bar with 3
-     * levels — 100 (watered, green), 50 (still has water, amber), 0 (needs
-     * water, red). Drawn by the game loop. Fixed screen-px size.
+     * Shared tooltip box (fixed screen-px), bottom edge 16px above `topY`,
+     * centered on `cx`. Lines are auto-sized; an optional water bar sits at
+     * the bottom. Returns nothing — pure drawing.
+     * @param {{text: string, bold?: boolean, color?: string}[]} lines
+     * @param {number|null} [water] - 0..100 vitality bar, or null for none.
      */
-    drawCropTooltip(ctx, camera) {
-        if (!ctx || !camera) return;
-        const tile = getSystem('hoeTool')?.cursorTile?.();
-        if (!tile) return;
-        const c = this._crops.get(this._key(tile.x, tile.y));
-        if (!c) return;
-
-        const cfg = CROPS[c.seedId];
-        const name = cfg.name || getItem(cfg.harvestItem)?.name || 'Plantação';
-
-        const sp = camera.worldToScreen(tile.x + TILE_SIZE / 2, tile.y);
-        const cx = Math.round(sp.x);
-        const boxW = 78;
-        const boxH = 34;
+    _drawTooltipBox(ctx, cx, topY, lines, water = null) {
         const pad = 6;
+        const lineH = 12;
+        const barH = 6;
+        ctx.save();
+        let textW = 0;
+        for (const line of lines) {
+            ctx.font = line.bold ? 'bold 11px sans-serif' : '10px sans-serif';
+            textW = Math.max(textW, ctx.measureText?.(line.text)?.width ?? 0);
+        }
+        const boxW = Math.max(78, Math.ceil(textW) + pad * 2);
+        const boxH = pad * 2 + lines.length * lineH + (water != null ? barH + 2 : 0) - 2;
         const bx = Math.round(cx - boxW / 2);
-        const by = Math.round(sp.y) - 16 - boxH;
+        const by = Math.round(topY) - 16 - boxH;
 
-        ctx.save();
         // Box.
         ctx.fillStyle = 'rgba(20, 15, 8, 0.92)';
         ctx.fillRect(bx, by, boxW, boxH);
@@ -652,35 +994,89 @@ const cropSystem = {
         ctx.lineWidth = 1;
         ctx.strokeRect(bx + 0.5, by + 0.5, boxW - 1, boxH - 1);
 
-        // Name.
-        ctx.fillStyle = '#f3dcc0';
-        ctx.font = 'bold 11px sans-serif';
+        // Text lines (first one is the name).
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText(name, cx, by + pad - 3);
+        lines.forEach((line, i) => {
+            ctx.font = line.bold ? 'bold 11px sans-serif' : '10px sans-serif';
+            ctx.fillStyle = line.color || (line.bold ? '#f3dcc0' : '#d8c3a0');
+            ctx.fillText(line.text, cx, by + pad - 3 + i * lineH);
+        });
 
-        // Vitality bar.
-        const barW = boxW - pad * 2;
-        const barH = 6;
-        const barX = bx + pad;
-        const barY = by + boxH - pad - barH;
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
-        ctx.fillRect(barX, barY, barW, barH);
-        const color = c.water >= 100 ? '#5fd97a' : (c.water >= 50 ? '#e6c04a' : '#e0563f');
-        ctx.fillStyle = color;
-        ctx.fillRect(barX, barY, Math.round(barW * (c.water / 100)), barH);
-        // Tick at the 50 mark.
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.beginPath();
-        ctx.moveTo(barX + barW / 2, barY);
-        ctx.lineTo(barX + barW / 2, barY + barH);
-        ctx.stroke();
-        ctx.strokeStyle = 'rgba(201, 164, 99, 0.9)';
-        ctx.strokeRect(barX + 0.5, barY + 0.5, barW - 1, barH - 1);
+        if (water != null) {
+            // Vitality bar.
+            const barW = boxW - pad * 2;
+            const barX = bx + pad;
+            const barY = by + boxH - pad - barH;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(barX, barY, barW, barH);
+            const color = water >= 100 ? '#5fd97a' : (water >= 50 ? '#e6c04a' : '#e0563f');
+            ctx.fillStyle = color;
+            ctx.fillRect(barX, barY, Math.round(barW * (water / 100)), barH);
+            // Tick at the 50 mark.
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(barX + barW / 2, barY);
+            ctx.lineTo(barX + barW / 2, barY + barH);
+            ctx.stroke();
+            ctx.strokeStyle = 'rgba(201, 164, 99, 0.9)';
+            ctx.strokeRect(barX + 0.5, barY + 0.5, barW - 1, barH - 1);
+        }
         ctx.restore();
     },
+
+    /**
+     * Hover tooltip over a crop: its name, the seasons it grows in, days left
+     * until harvest, and a vitality (water) bar with 3 levels — 100 (watered,
+     * green), 50 (still has water, amber), 0 (needs water, red). Drawn by the
+     * game loop. Fixed screen-px size.
+     */
+    drawCropTooltip(ctx, camera) {
+        if (!ctx || !camera) return;
+        const tile = getSystem('hoeTool')?.cursorTile?.();
+        if (!tile) return;
+        const c = this._crops.get(this._key(tile.x, tile.y));
+        if (!c) return;
+
+        const cfg = CROPS[c.seedId];
+        const name = cfg.name || getItem(cfg.harvestItem)?.name || 'Plantação';
+        if (c.giant || c.giantOf) {
+            const sp = camera.worldToScreen(tile.x + TILE_SIZE / 2, tile.y);
+            this._drawTooltipBox(ctx, Math.round(sp.x), sp.y, [
+                { text: t('crops.giantName', { name }), bold: true },
+                { text: t('crops.giantNeedsAxe'), color: '#e6c04a' },
+            ]);
+            return;
+        }
+        const minLeft = this.minutesToMature(c);
+        const daysLine = minLeft <= 0
+            ? { text: t('crops.readyToHarvest'), color: '#5fd97a' }
+            : { text: t('crops.daysLeft', { days: Math.max(1, Math.ceil(minLeft / DAY_MIN)) }) };
+
+        const lines = [
+            { text: name, bold: true },
+            { text: _seasonNames(cfg) },
+            daysLine,
+        ];
+        if (c.pest) {
+            lines.push({ text: t('crops.pestSymptom', { pest: t(`crops.pests.${c.pest.id}`) }), color: '#e0563f' });
+        }
+        const sp = camera.worldToScreen(tile.x + TILE_SIZE / 2, tile.y);
+        this._drawTooltipBox(ctx, Math.round(sp.x), sp.y, lines, c.water);
+    },
 };
 
+if (typeof document !== 'undefined') {
+    // Season rollover: out-of-season crops wither at the midnight/sleep day
+    // change; then the surviving plants roll for pests, and full 3×3 blocks
+    // of mature plants for a giant.
+    document.addEventListener('dayChanged', () => {
+        cropSystem.witherOutOfSeason();
+        cropSystem.rollDailyPests();
+        cropSystem.mergeGiantCrops();
+    });
+}
+
 registerSystem('crop', cropSystem);
 
 export default cropSystem;
@@ -0,0 +1,251 @@
+/**
+ * @file crowSystem.js - Corvos e espantalhos (crows and scarecrows)
+ * @description Some mornings a flock of crows lands on the fields at dawn
+ * and eats a few random plants (cropSystem `destroyCropAt`), with a short
+ * landing/pecking/take-off animation over each tile and a HUD message.
+ *
+ * Scarecrows are placed through buildSystem like any other construction
+ * (originalType 'scarecrow'). Every plant within `scarecrowRadius` tiles of
+ * one (a circle, measured tile center to tile center) is protected. Like
+ * the sprinklers, no state of its own is saved: placed scarecrows are world
+ * objects and the radius is read back from the item by `itemId`.
+ *
+ * Timing: `dayChanged` marks a visit as pending; the first `timeChanged` at
+ * or after dawn resolves it (natural 06:00, or the wake-up after sleeping).
+ * A visit that isn't resolved by noon is dropped.
+ * @module CrowSystem
+ */
+
+import { registerSystem, getSystem } from "./gameState.js";
+import { getItem } from "./itemUtils.js";
+import { t } from "./i18n/i18n.js";
+import { TILE_SIZE } from "./worldConstants.js";
+
+// Chance (per day) that crows come at all, and how many plants they eat.
+const RAID_CHANCE = 0.3;
+const RAID_MIN_PLANTS = 1;
+const RAID_MAX_PLANTS = 3;
+
+const DAWN_MINUTES = 6 * 60;
+const RAID_WINDOW_END = 12 * 60;
+
+// Animação de um bando (ms reais): pousa, bica, vai embora.
+const FLOCK_MS = 5000;
+const CROWS_PER_FLOCK = 3;
+
+function _now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+function _ease(p) {
+    return p * p * (3 - 2 * p);
+}
+
+const crowSystem = {
+    _pending: false,
+    _flocks: [], // { x, y, start } — tile top-left + animation start (ms)
+
+    /** Protection radius (tiles) of a scarecrow item; 0 if it isn't one. */
+    radiusOf(itemId) {
+        return Math.max(0, Math.floor(getItem(itemId)?.scarecrowRadius || 0));
+    },
+
+    /** Placed scarecrows (world objects with originalType 'scarecrow'). */
+    getScarecrows() {
+        const list = window.theWorld?.placedBuildings;
+        if (!Array.isArray(list)) return [];
+        return list.filter(b => b && b.originalType === "scarecrow");
+    },
+
+    /**
+     * Tiles (top-left world coords) protected by a scarecrow standing at the
+     * world point: every tile whose center is within `radius` tiles of the
+     * scarecrow tile's center.
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} radius - in tiles
+     * @returns {Array<{x:number, y:number}>}
+     */
+    coverageTiles(worldX, worldY, radius) {
+        const cx = Math.floor(worldX / TILE_SIZE) * TILE_SIZE;
+        const cy = Math.floor(worldY / TILE_SIZE) * TILE_SIZE;
+        const tiles = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                tiles.push({ x: cx + dx * TILE_SIZE, y: cy + dy * TILE_SIZE });
+            }
+        }
+        return tiles;
+    },
+
+    /**
+     * Coverage circles of the placed scarecrows, in world px (minimap).
+     * @returns {Array<{x:number, y:number, radius:number}>}
+     */
+    getCoverage() {
+        const circles = [];
+        for (const s of this.getScarecrows()) {
+            const radius = this.radiusOf(s.itemId);
+            if (radius <= 0) continue;
+            const tx = Math.floor((s.x + (s.width || TILE_SIZE) / 2) / TILE_SIZE);
+            const ty = Math.floor((s.y + (s.height || TILE_SIZE) / 2) / TILE_SIZE);
+            circles.push({
+                x: (tx + 0.5) * TILE_SIZE,
+                y: (ty + 0.5) * TILE_SIZE,
+                radius: (radius + 0.5) * TILE_SIZE,
+            });
+        }
+        return circles;
+    },
+
+    /** True if the tile under the world point is watched by a scarecrow. */
+    isProtected(worldX, worldY) {
+        const tx = Math.floor(worldX / TILE_SIZE);
+        const ty = Math.floor(worldY / TILE_SIZE);
+        return this.getScarecrows().some(s => {
+            const radius = this.radiusOf(s.itemId);
+            if (radius <= 0) return false;
+            const dx = Math.floor((s.x + (s.width || TILE_SIZE) / 2) / TILE_SIZE) - tx;
+            const dy = Math.floor((s.y + (s.height || TILE_SIZE) / 2) / TILE_SIZE) - ty;
+            return dx * dx + dy * dy <= radius * radius;
+        });
+    },
+
+    /**
+     * The crows land: they eat 1–3 random unprotected plants. If every plant
+     * is under a scarecrow they leave empty-beaked (and the player is told).
+     * @param {() => number} [rng=Math.random]
+     * @returns {Array<{x:number, y:number}>} tiles that lost their plant.
+     */
+    raid(rng = Math.random) {
+        const crop = getSystem("crop");
+        const plants = crop?.getRaidableTiles?.() || [];
+        if (plants.length === 0) return [];
+
+        const open = plants.filter(p => !this.isProtected(p.x, p.y));
+        const hud = getSystem("hud");
+        if (open.length === 0) {
+            hud?.showMessage?.(t("crows.scaredAway"));
+            return [];
+        }
+
+        const want = RAID_MIN_PLANTS + Math.floor(rng() * (RAID_MAX_PLANTS - RAID_MIN_PLANTS + 1));
+        const eaten = [];
+        while (eaten.length < want && open.length > 0) {
+            const [tile] = open.splice(Math.floor(rng() * open.length), 1);
+            if (crop.destroyCropAt?.(tile.x, tile.y)) eaten.push(tile);
+        }
+        if (eaten.length === 0) return [];
+
+        const start = _now();
+        for (const tile of eaten) this._flocks.push({ x: tile.x, y: tile.y, start });
+        hud?.showMessage?.(t("crows.raided", { count: eaten.length }));
+        if (typeof document !== "undefined") {
+            document.dispatchEvent(new CustomEvent("cropsRaided", {
+                detail: { count: eaten.length, tiles: eaten }
+            }));
+        }
+        return eaten;
+    },
+
+    /**
+     * Resolves the pending visit, if any: rolls RAID_CHANCE and raids.
+     * @param {() => number} [rng=Math.random]
+     * @returns {Array<{x:number, y:number}>} tiles that lost their plant.
+     */
+    dawnVisit(rng = Math.random) {
+        if (!this._pending) return [];
+        this._pending = false;
+        if (rng() >= RAID_CHANCE) return [];
+        return this.raid(rng);
+    },
+
+    /**
+     * Draws the flocks still animating: each crow glides down onto the
+     * tile, pecks for a while and flies off to the upper right.
+     */
+    drawCrows(ctx, camera, now = _now()) {
+        if (!ctx || !camera || this._flocks.length === 0) return;
+        this._flocks = this._flocks.filter(f => now - f.start < FLOCK_MS);
+        const z = camera.zoom || 1;
+
+        for (const flock of this._flocks) {
+            const p = (now - flock.start) / FLOCK_MS;
+            for (let i = 0; i < CROWS_PER_FLOCK; i++) {
+                // Cada corvo tem um lugar fixo no tile e chega um pouco defasado.
+                const spotX = flock.x + TILE_SIZE * (0.25 + 0.25 * i);
+                const spotY = flock.y + TILE_SIZE * (i % 2 ? 0.55 : 0.8);
+                const lag = i * 0.04;
+                let ox = 0;
+                let oy = 0;
+                let flying = false;
+                if (p < 0.25 + lag) {
+                    const k = 1 - _ease(Math.max(0, (p - lag) / 0.25));
+                    ox = -90 * k;
+                    oy = -120 * k;
+                    flying = k > 0;
+                } else if (p > 0.75 - lag) {
+                    const k = _ease(Math.min(1, (p - 0.75 + lag) / 0.25));
+                    ox = 110 * k;
+                    oy = -140 * k;
+                    flying = true;
+                }
+                const sp = camera.worldToScreen(spotX + ox, spotY + oy);
+                const peck = !flying && Math.sin(now / 90 + i * 2) > 0.6;
+                this._drawCrow(ctx, sp.x, sp.y, z, flying, peck, now / 60 + i);
+            }
+        }
+    },
+
+    _drawCrow(ctx, x, y, z, flying, peck, phase) {
+        const headX = x + 5 * z;
+        const headY = y - (peck ? 1 : 4) * z;
+        ctx.save();
+        ctx.fillStyle = "#1b1b22";
+        ctx.strokeStyle = "#1b1b22";
+        ctx.beginPath();
+        ctx.ellipse(x, y - 3 * z, 5 * z, 3 * z, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(headX, headY, 2.2 * z, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#c9a227";
+        ctx.beginPath();
+        ctx.moveTo(headX + 2 * z, headY - 0.6 * z);
+        ctx.lineTo(headX + 4.5 * z, headY + (peck ? 1.5 : 0.3) * z);
+        ctx.lineTo(headX + 2 * z, headY + 0.8 * z);
+        ctx.fill();
+        // Asas: batendo no voo, recolhidas no chão.
+        ctx.lineWidth = Math.max(1, 1.5 * z);
+        ctx.beginPath();
+        if (flying) {
+            const flap = Math.sin(phase) * 5 * z;
+            ctx.moveTo(x - 4 * z, y - 6 * z - flap);
+            ctx.lineTo(x, y - 3 * z);
+            ctx.lineTo(x + 3 * z, y - 6 * z - flap);
+        } else {
+            ctx.moveTo(x - 6 * z, y - 2 * z);
+            ctx.lineTo(x - 1 * z, y - 4 * z);
+        }
+        ctx.stroke();
+        ctx.restore();
+    },
+};
+
+if (typeof document !== "undefined") {
+    document.addEventListener("dayChanged", () => { crowSystem._pending = true; });
+    document.addEventListener("timeChanged", (e) => {
+        const time = e.detail?.time;
+        if (!crowSystem._pending || typeof time !== "number") return;
+        if (time >= RAID_WINDOW_END) {
+            crowSystem._pending = false;
+            return;
+        }
+        if (time >= DAWN_MINUTES) crowSystem.dawnVisit();
+    });
+}
+
+registerSystem("crows", crowSystem);
+
+export default crowSystem;
@@ -0,0 +1,502 @@
+/**
+ * @file fairSystem.js - Feira agropecuária do condado
+ * @description Uma vez por estação — dia 15 do mês do meio (jan, abr, jul,
+ * out) — a feira monta barracas temporárias na cidade (mapa `city`), perto
+ * da chegada da picape. Falando com o juiz, o jogador inscreve um animal da
+ * fazenda e um item de colheita; cada categoria é julgada contra três
+ * competidores gerados:
+ *   - pecuária: moral, estágio de vida e genética (média dos genes)
+ *   - colheita: tier de qualidade (itemQuality) e, de leve, o valor do item
+ * Os três primeiros levam moedas e XP (xpSystem); o campeão de cada categoria
+ * leva uma decoração exclusiva. O resultado sai num diálogo (dialogueSystem).
+ *
+ * Uma inscrição por feira. O resultado da última fica no save via export do
+ * theWorld (`fair`).
+ * @module FairSystem
+ */
+
+import { registerSystem, getSystem } from './gameState.js';
+import { getItem } from './itemUtils.js';
+import { t } from './i18n/i18n.js';
+import { logger } from './logger.js';
+import { qualityRank, qualityTier, withQualityBadge } from './itemQuality.js';
+import { GENE_KEYS } from './animal/genetics.js';
+
+// ─── Calendário ─────────────────────────────────────────────────────────────
+
+const FAIR_DAY = 15;
+// Mês do meio de cada estação (weather.updateSeason).
+const FAIR_MONTHS = { 1: 'winter', 4: 'spring', 7: 'summer', 10: 'autumn' };
+
+// ─── Barracas (mundo da cidade) ─────────────────────────────────────────────
+
+const JUDGE_NPC_ID = 'fair_judge';
+// Gramado à direita do ponto de chegada da picape (portal_to_farm).
+const STANDS = { x: 140, y: 2250, width: 270, height: 120 };
+
+// ─── Julgamento ─────────────────────────────────────────────────────────────
+
+const ANIMAL_WEIGHTS = { moral: 0.4, stage: 0.25, genes: 0.35 };
+// Na pista de julgamento o adulto formado é que brilha.
+const STAGE_SCORE = { young: 0.3, adult: 0.8, mature: 1, elderly: 0.5 };
+// Colheita: a qualidade decide; o valor do item só desempata.
+const CROP_TIER_SCORE = { normal: 0.5, silver: 0.75, gold: 1 };
+const CROP_TIER_WEIGHT = 85;
+const CROP_VALUE_WEIGHT = 15;
+const CROP_VALUE_CAP = 60; // preço a partir do qual o bônus de valor é cheio
+
+const COMPETITORS_PER_CATEGORY = 3;
+const COMPETITOR_MIN = 40;
+const COMPETITOR_SPAN = 50;
+const COMPETITOR_NAMES = ['Dona Cida', 'Seu Tonho', 'Zé do Brejo', 'Marta Lemos', 'Velho Joaquim', 'Irmãs Pires', 'Dito Prado'];
+
+// Até quantos candidatos o juiz oferece em cada escolha.
+const MAX_CHOICES = 4;
+
+// Prêmio por colocação; quem fica fora do pódio leva só o XP de participação.
+const PRIZES = {
+    1: { coins: 400, xp: 100 },
+    2: { coins: 200, xp: 50 },
+    3: { coins: 100, xp: 25 },
+};
+const PARTICIPATION_XP = 10;
+// Decoração exclusiva do campeão de cada categoria (item.js).
+const CHAMPION_DECORATION = { livestock: 149, produce: 150 };
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function _clamp01(v) {
+    return Math.max(0, Math.min(1, Number(v) || 0));
+}
+
+function _calendar() {
+    const w = getSystem('weather');
+    return { day: w?.day ?? 0, month: w?.month ?? 0, year: w?.year ?? 1 };
+}
+
+function _currentMapId() {
+    return getSystem('mapManager')?.getCurrentMapId?.() || 'farm';
+}
+
+/** Animais da fazenda — em city eles vivem no snapshot do mapManager. */
+function _farmAnimals() {
+    const saved = getSystem('mapManager')?.getSavedFarmState?.();
+    const list = _currentMapId() === 'city' ? saved?.animals : window.theWorld?.animals;
+    return Array.isArray(list) ? list : [];
+}
+
+function _speciesName(assetName) {
+    const k = `animals.${String(assetName || '').toLowerCase()}`;
+    const tr = t(k);
+    return (tr && tr !== k) ? tr : (assetName || '?');
+}
+
+function _animalName(animal) {
+    return animal.customName || _speciesName(animal.assetName);
+}
+
+function _itemName(id) {
+    const k = `itemNames.${id}`;
+    const tr = t(k);
+    return (tr && tr !== k) ? tr : (getItem(id)?.name || '?');
+}
+
+function getActiveCharacterId() {
+    const playerSys = getSystem('player');
+    return playerSys?.activeCharacter?.id || 'stella';
+}
+
+function getPlayerName() {
+    const id = getActiveCharacterId();
+    return { stella: 'Stella', ben: 'Ben', graham: 'Graham' }[id] || 'Stella';
+}
+
+function getPlayerDialogPortrait() {
+    const id = getActiveCharacterId();
+    return `assets/character/${id}/dialog_${id.charAt(0).toUpperCase() + id.slice(1)}_00.png`;
+}
+
+// ─── Desenho das barracas ───────────────────────────────────────────────────
+
+const TENT_COLORS = ['#c0392b', '#2471a3', '#d4ac0d'];
+
+function _drawTent(ctx, x, y, w, h, color, zoom) {
+    const roofH = h * 0.45;
+    // Balcão
+    ctx.fillStyle = '#8b5a2b';
+    ctx.fillRect(x, y + roofH, w, h - roofH);
+    ctx.fillStyle = '#6e4420';
+    ctx.fillRect(x, y + roofH, w, 4 * zoom);
+    // Toldo listrado
+    const stripes = 5;
+    for (let i = 0; i < stripes; i++) {
+        ctx.fillStyle = i % 2 === 0 ? color : '#f4f1e8';
+        ctx.beginPath();
+        ctx.moveTo(x + w / 2, y);
+        ctx.lineTo(x + (w * i) / stripes, y + roofH);
+        ctx.lineTo(x + (w * (i + 1)) / stripes, y + roofH);
+        ctx.closePath();
+        ctx.fill();
+    }
+    // Flâmula no topo
+    ctx.fillStyle = color;
+    ctx.fillRect(x + w / 2 - zoom, y - 12 * zoom, 2 * zoom, 12 * zoom);
+    ctx.beginPath();
+    ctx.moveTo(x + w / 2 + zoom, y - 12 * zoom);
+    ctx.lineTo(x + w / 2 + 9 * zoom, y - 9 * zoom);
+    ctx.lineTo(x + w / 2 + zoom, y - 6 * zoom);
+    ctx.fill();
+}
+
+function _drawStands(ctx, cam, zoom) {
+    if (!cam) return;
+    const s = cam.worldToScreen(STANDS.x, STANDS.y);
+    const W = STANDS.width * zoom;
+    const tentW = 70 * zoom;
+    const tentH = 70 * zoom;
+    const gap = (W - tentW * 3) / 2;
+
+    ctx.save();
+    // Bandeirinhas entre as barracas
+    ctx.strokeStyle = '#5d4037';
+    ctx.lineWidth = Math.max(1, zoom);
+    ctx.beginPath();
+    ctx.moveTo(s.x, s.y + 8 * zoom);
+    ctx.quadraticCurveTo(s.x + W / 2, s.y + 24 * zoom, s.x + W, s.y + 8 * zoom);
+    ctx.stroke();
+    for (let i = 1; i < 12; i++) {
+        const fx = s.x + (W * i) / 12;
+        const u = i / 12;
+        const fy = s.y + 8 * zoom + 2 * u * (1 - u) * 16 * zoom; // ponto na curva
+        ctx.fillStyle = TENT_COLORS[i % TENT_COLORS.length];
+        ctx.beginPath();
+        ctx.moveTo(fx - 4 * zoom, fy);
+        ctx.lineTo(fx + 4 * zoom, fy);
+        ctx.lineTo(fx, fy + 8 * zoom);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    for (let i = 0; i < 3; i++) {
+        _drawTent(ctx, s.x + i * (tentW + gap), s.y + 30 * zoom, tentW, tentH, TENT_COLORS[i], zoom);
+    }
+
+    // Fardos de feno na frente
+    ctx.fillStyle = '#e0c068';
+    ctx.strokeStyle = '#a68a3a';
+    for (const bx of [0.12, 0.78]) {
+        ctx.fillRect(s.x + W * bx, s.y + 104 * zoom, 22 * zoom, 12 * zoom);
+        ctx.strokeRect(s.x + W * bx, s.y + 104 * zoom, 22 * zoom, 12 * zoom);
+    }
+
+    // Juiz com a roseta azul, na frente da barraca do meio
+    const jx = s.x + W / 2;
+    const jy = s.y + 92 * zoom;
+    ctx.fillStyle = '#2e4a3a';
+    ctx.fillRect(jx - 6 * zoom, jy, 12 * zoom, 18 * zoom);
+    ctx.fillStyle = '#f1c7a1';
+    ctx.beginPath();
+    ctx.arc(jx, jy - 5 * zoom, 5 * zoom, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#4e342e';
+    ctx.fillRect(jx - 8 * zoom, jy - 11 * zoom, 16 * zoom, 3 * zoom);
+    ctx.fillRect(jx - 5 * zoom, jy - 15 * zoom, 10 * zoom, 4 * zoom);
+    ctx.fillStyle = '#1f5fbf';
+    ctx.beginPath();
+    ctx.arc(jx + 3 * zoom, jy + 5 * zoom, 2.5 * zoom, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+// ─── Sistema ────────────────────────────────────────────────────────────────
+
+const fairSystem = {
+    /** Resultado da última feira em que o jogador competiu. */
+    _lastEntry: null,
+    _standsUp: false,
+
+    /** True no dia da feira da estação. */
+    isFairDay() {
+        const { day, month } = _calendar();
+        return day === FAIR_DAY && FAIR_MONTHS[month] !== undefined;
+    },
+
+    /** Estação da feira de hoje (chave de `seasons.*`) ou null. */
+    getFairSeason() {
+        return this.isFairDay() ? FAIR_MONTHS[_calendar().month] : null;
+    },
+
+    /** Chave da feira do mês ('1-4' = ano 1, abril): uma inscrição por feira. */
+    fairKey() {
+        const { month, year } = _calendar();
+        return `${year}-${month}`;
+    },
+
+    hasEntered() {
+        return this._lastEntry?.key === this.fairKey();
+    },
+
+    /** Resultado da última feira em que o jogador competiu, ou null. */
+    getLastEntry() {
+        return this._lastEntry;
+    },
+
+    /**
+     * Nota 0–100 de um animal na pista.
+     * @returns {{ score: number, moral: number, stage: number, genes: number }}
+     */
+    animalScore(animal) {
+        const moral = _clamp01((animal?.stats?.moral ?? 0) / 100);
+        const stage = STAGE_SCORE[animal?._lifeStage] ?? STAGE_SCORE.adult;
+        const genome = animal?.genome || {};
+        const genes = _clamp01(GENE_KEYS.reduce((sum, k) => sum + (genome[k] ?? 50), 0) / GENE_KEYS.length / 100);
+        const score = Math.round(100 * (ANIMAL_WEIGHTS.moral * moral
+            + ANIMAL_WEIGHTS.stage * stage + ANIMAL_WEIGHTS.genes * genes));
+        return { score, moral, stage, genes };
+    },
+
+    /** Nota 0–100 de um item de colheita, pelo tier e (pouco) pelo valor. */
+    cropScore(itemId, quality) {
+        const tier = CROP_TIER_SCORE[qualityTier(quality)];
+        const value = _clamp01((getItem(itemId)?.price || 0) / CROP_VALUE_CAP);
+        return Math.round(CROP_TIER_WEIGHT * tier + CROP_VALUE_WEIGHT * value);
+    },
+
+    /** Animais que podem ir pra pista (o cão da fazenda não compete). */
+    animalCandidates() {
+        return _farmAnimals()
+            .filter(a => a && a.stats && a.assetName !== 'Dog')
+            .map(a => ({ animal: a, score: this.animalScore(a).score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_CHOICES);
+    },
+
+    /** Stacks de colheita do inventário, uma por item+tier, melhores primeiro. */
+    cropCandidates() {
+        const inv = getSystem('inventory')?.getInventory?.() || {};
+        const seen = new Map();
+        for (const cat of Object.values(inv)) {
+            for (const slot of cat?.items || []) {
+                if (!((slot.quantity || 0) > 0) || getItem(slot.id)?.type !== 'crop') continue;
+                const quality = qualityTier(slot.quality);
+                const key = `${slot.id}:${quality}`;
+                if (!seen.has(key)) seen.set(key, { itemId: slot.id, quality, score: this.cropScore(slot.id, quality) });
+            }
+        }
+        return [...seen.values()]
+            .sort((a, b) => b.score - a.score || qualityRank(b.quality) - qualityRank(a.quality))
+            .slice(0, MAX_CHOICES);
+    },
+
+    /** Três competidores com nomes distintos e notas 40–90. */
+    generateCompetitors(rng = Math.random) {
+        const names = [...COMPETITOR_NAMES];
+        const list = [];
+        for (let i = 0; i < COMPETITORS_PER_CATEGORY && names.length > 0; i++) {
+            const [name] = names.splice(Math.floor(rng() * names.length), 1);
+            list.push({ name, score: Math.round(COMPETITOR_MIN + rng() * COMPETITOR_SPAN) });
+        }
+        return list;
+    },
+
+    /**
+     * Julga uma categoria: a entrada do jogador contra os competidores. Em
+     * empate o jogador fica atrás (o juiz é da cidade).
+     * @returns {{ place: number, ranking: Array<{name: string, score: number, player?: boolean}> }}
+     */
+    _judge(entry, rng) {
+        const ranking = [...this.generateCompetitors(rng), { ...entry, player: true }]
+            .sort((a, b) => b.score - a.score || (a.player ? 1 : 0) - (b.player ? 1 : 0));
+        return { place: ranking.findIndex(e => e.player) + 1, ranking };
+    },
+
+    /** Moedas, XP e (pro campeão) a decoração exclusiva da categoria. */
+    _award(category, place) {
+        const prize = PRIZES[place] || { coins: 0, xp: PARTICIPATION_XP };
+        const decoration = place === 1 ? CHAMPION_DECORATION[category] : null;
+        if (prize.coins > 0) getSystem('currency')?.earn?.(prize.coins, `fair:${category}`);
+        getSystem('xp')?.grantXP?.(prize.xp, `fair:${category}`);
+        if (decoration) getSystem('inventory')?.acquireItem?.(decoration, 1);
+        return { coins: prize.coins, xp: prize.xp, decoration };
+    },
+
+    /**
+     * Inscreve e julga na hora. O item de colheita é entregue ao juiz (sai 1
+     * unidade daquele tier); o animal só desfila e volta pra fazenda.
+     * @param {{ animalId?: string|null, crop?: {itemId: number, quality?: string}|null }} entry
+     * @param {() => number} [rng=Math.random]
+     * @returns {{ ok: boolean, reason?: string, result?: Object }}
+     */
+    enter({ animalId = null, crop = null } = {}, rng = Math.random) {
+        if (!this.isFairDay()) return { ok: false, reason: 'not_fair_day' };
+        if (_currentMapId() !== 'city') return { ok: false, reason: 'not_in_city' };
+        if (this.hasEntered()) return { ok: false, reason: 'already_entered' };
+        if (!animalId && !crop) return { ok: false, reason: 'no_entry' };
+
+        const animal = animalId ? _farmAnimals().find(a => a?.id === animalId && a.assetName !== 'Dog') : null;
+        if (animalId && !animal) return { ok: false, reason: 'no_animal' };
+
+        if (crop) {
+            const taken = getSystem('inventory')?.takeItem?.(crop.itemId, 1, { quality: qualityTier(crop.quality) });
+            if (!taken) return { ok: false, reason: 'no_crop' };
+        }
+
+        const result = { key: this.fairKey(), season: this.getFairSeason(), livestock: null, produce: null };
+        if (animal) {
+            const judged = this._judge({ name: _animalName(animal), score: this.animalScore(animal).score }, rng);
+            result.livestock = { animalId: animal.id, ...judged, prize: this._award('livestock', judged.place) };
+        }
+        if (crop) {
+            const quality = qualityTier(crop.quality);
+            const name = withQualityBadge(_itemName(crop.itemId), quality);
+            const judged = this._judge({ name, score: this.cropScore(crop.itemId, quality) }, rng);
+            result.produce = { itemId: crop.itemId, quality, ...judged, prize: this._award('produce', judged.place) };
+        }
+
+        this._lastEntry = result;
+        getSystem('save')?.markDirty?.();
+        document.dispatchEvent(new CustomEvent('fairJudged', { detail: { result } }));
+        logger.info(`[fair] feira ${result.key}: pecuária ${result.livestock?.place ?? '-'}º, colheita ${result.produce?.place ?? '-'}º`);
+        return { ok: true, result };
+    },
+
+    // ─── Barracas + juiz (NPC com customDraw) ───────────────────────────────
+
+    /**
+     * Monta/desmonta as barracas. Só existem em city e no dia da feira —
+     * o NPC registra hitbox de colisão, então nunca pode ficar na fazenda.
+     * @param {string} [mapId] - mapa de destino (numa transição o
+     *   mapManager ainda não trocou o mapa atual)
+     */
+    syncStands(mapId = _currentMapId()) {
+        const npcSys = getSystem('npc');
+        if (!npcSys?.addNpc) return;
+        const want = mapId === 'city' && this.isFairDay();
+        if (want === this._standsUp) return;
+        if (want) {
+            npcSys.addNpc({
+                id: JUDGE_NPC_ID,
+                name: t('fair.judgeName'),
+                ...STANDS,
+                sprite: '',
+                map: 'city',
+                interactRadius: 40,
+                customDraw: _drawStands,
+                onInteract: () => this.openJudgeDialogue(),
+            });
+        } else {
+            npcSys.removeNpc(JUDGE_NPC_ID);
+        }
+        this._standsUp = want;
+    },
+
+    // ─── Diálogo com o juiz ─────────────────────────────────────────────────
+
+    _dialogueBase(lines, onEnd) {
+        return {
+            left: { name: getPlayerName(), portrait: getPlayerDialogPortrait() },
+            right: { name: t('fair.judgeName') },
+            lines,
+            onEnd,
+        };
+    },
+
+    /** Escolha do animal → escolha da colheita → julgamento → resultado. */
+    openJudgeDialogue() {
+        const dlg = getSystem('dialogue');
+        if (!dlg) {
+            logger.warn('[fair] DialogueSystem not available');
+            return;
+        }
+        const season = t(`seasons.${this.getFairSeason() || 'spring'}`);
+
+        if (this.hasEntered()) {
+            dlg.start(this._dialogueBase(this._resultLines(this._lastEntry, true)));
+            return;
+        }
+
+        const pick = { animalId: null, crop: null, cancelled: false };
+        const animalOptions = this.animalCandidates().map(({ animal }) => ({
+            text: `${_animalName(animal)} (${t(`animal.aging.stage.${animal._lifeStage || 'adult'}`)})`,
+            end: true,
+            onSelect: () => { pick.animalId = animal.id; },
+        }));
+        animalOptions.push({ text: t('fair.dialogue.noAnimal'), end: true });
+        animalOptions.push({ text: t('fair.dialogue.later'), end: true, onSelect: () => { pick.cancelled = true; } });
+
+        const askCrop = () => {
+            if (pick.cancelled) return;
+            const cropOptions = this.cropCandidates().map(c => ({
+                text: withQualityBadge(_itemName(c.itemId), c.quality),
+                end: true,
+                onSelect: () => { pick.crop = { itemId: c.itemId, quality: c.quality }; },
+            }));
+            cropOptions.push({ text: t('fair.dialogue.noCrop'), end: true });
+            dlg.start(this._dialogueBase([
+                { side: 'right', text: t('fair.dialogue.askCrop'), type: 'choice', options: cropOptions },
+            ], judge));
+        };
+
+        const judge = () => {
+            const res = this.enter(pick);
+            const lines = res.ok
+                ? this._resultLines(res.result, false)
+                : [{ side: 'right', text: t(`fair.errors.${res.reason}`), end: true }];
+            dlg.start(this._dialogueBase(lines));
+        };
+
+        dlg.start(this._dialogueBase([
+            { side: 'right', text: t('fair.dialogue.welcome', { season }) },
+            { side: 'right', text: t('fair.dialogue.askAnimal'), type: 'choice', options: animalOptions },
+        ], askCrop));
+    },
+
+    /** Falas do juiz anunciando colocação e prêmio de cada categoria. */
+    _resultLines(result, recap) {
+        const lines = [];
+        if (recap) lines.push({ side: 'right', text: t('fair.dialogue.alreadyJudged') });
+        for (const category of ['livestock', 'produce']) {
+            const r = result?.[category];
+            if (!r) continue;
+            const winner = r.ranking[0];
+            const mine = r.ranking.find(e => e.player);
+            lines.push({
+                side: 'right',
+                text: t(`fair.dialogue.${category}Result`, { name: mine.name, score: mine.score, place: r.place, winner: winner.name, winnerScore: winner.score }),
+            });
+            const prize = r.prize;
+            const parts = [];
+            if (prize.coins > 0) parts.push(t('fair.dialogue.prizeCoins', { coins: prize.coins }));
+            parts.push(t('fair.dialogue.prizeXp', { xp: prize.xp }));
+            if (prize.decoration) parts.push(`[[${_itemName(prize.decoration)}]]`);
+            lines.push({ side: 'left', text: t('fair.dialogue.prizes', { list: parts.join(' · ') }), thought: true, narration: true });
+        }
+        lines.push({ side: 'right', text: t('fair.dialogue.goodbye'), end: true });
+        return lines;
+    },
+
+    // ─── Persistência (por slot, via export do theWorld) ────────────────────
+
+    serializeState() {
+        return { lastEntry: this._lastEntry };
+    },
+
+    restoreState(data) {
+        const e = data?.lastEntry;
+        this._lastEntry = e && typeof e.key === 'string' ? e : null;
+    },
+};
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('dayChanged', () => {
+        fairSystem.syncStands();
+        if (fairSystem.isFairDay()) {
+            getSystem('hud')?.showMessage?.(t('fair.today', { season: t(`seasons.${fairSystem.getFairSeason()}`) }));
+        }
+    });
+    document.addEventListener('mapChanged', (e) => fairSystem.syncStands(e.detail?.mapId));
+}
+
+registerSystem('fair', fairSystem);
+
+export default fairSystem;
@@ -0,0 +1,319 @@
+/**
+ * @file farmPlanner.js - Planejador da fazenda (farm planner overlay)
+ * @description The crop tooltip shows one plant at a time; this overlay
+ * reads the whole field at once. Toggled with the `farmPlanner` keybind (P),
+ * it colour-codes every crop tile in one of three modes — days until
+ * harvest, water level, withering risk — and opens a sidebar with the
+ * harvests coming up in the next days and their expected yield.
+ *
+ * Data: `cropSystem.serialize()` (timers already as remaining in-game
+ * minutes) plus the in-game clock (time of day, month/day → season end).
+ * Estimates assume the plant stays watered: a dry plant's growth is paused,
+ * so it is flagged as at risk instead.
+ *
+ * Risk levels per plant:
+ *   - high:   dry now (withers after the grace period), or its season ends
+ *             before it can be harvested
+ *   - medium: half water that runs out within a day, a pest, or a season
+ *             ending within SEASON_WARN_DAYS
+ *   - low:    none of the above
+ * @module FarmPlanner
+ */
+
+import { registerSystem, getSystem } from "./gameState.js";
+import { getItem } from "./itemUtils.js";
+import { t } from "./i18n/i18n.js";
+import { TILE_SIZE } from "./worldConstants.js";
+
+const DAY_MIN = 24 * 60;
+const DAYS_PER_MONTH = 30;
+// Sidebar horizon: harvests listed for today + the next days.
+const HORIZON_DAYS = 7;
+const SEASON_WARN_DAYS = 3;
+// Real ms between plan rebuilds while the overlay is open.
+const REFRESH_MS = 1000;
+
+export const PLANNER_MODES = ["harvest", "water", "risk"];
+
+// Month → season, same split as weather.updateSeason.
+const SEASON_OF_MONTH = [null,
+    "winter", "winter", "spring", "spring", "spring", "summer",
+    "summer", "summer", "autumn", "autumn", "autumn", "winter"];
+
+const COLORS = {
+    harvest: { ready: "#3fbf5a", soon: "#b5d94a", week: "#e6c04a", later: "#8a9bb0", giant: "#f08c2e" },
+    water: { full: "#3f8fe0", half: "#e6c04a", dry: "#e0563f", none: "#9aa4ad" },
+    risk: { low: "#3fbf5a", medium: "#e6c04a", high: "#e0563f" },
+};
+
+/**
+ * Days until the next season starts (1 = tomorrow) and which one it is.
+ * @param {number} month - 1..12
+ * @param {number} day - 1..30
+ * @returns {{ nextSeason: string, seasonDaysLeft: number }}
+ */
+export function seasonCountdown(month, day) {
+    const season = SEASON_OF_MONTH[month];
+    let m = month;
+    let days = DAYS_PER_MONTH - day + 1;
+    for (;;) {
+        m = (m % 12) + 1;
+        if (SEASON_OF_MONTH[m] !== season) return { nextSeason: SEASON_OF_MONTH[m], seasonDaysLeft: days };
+        days += DAYS_PER_MONTH;
+    }
+}
+
+/** In-game minutes until a serialized crop is harvestable (0 = now). */
+function _minutesLeft(c, cfg) {
+    if (c.giant) return 0;
+    if (c.harvested) return (c.regrowRemaining ?? 0) + Math.max(0, cfg.matureStage - 1) * c.stageMin;
+    if (c.stage >= cfg.matureStage) return 0;
+    return (c.stageRemaining ?? c.stageMin) + (cfg.matureStage - c.stage - 1) * c.stageMin;
+}
+
+/**
+ * Builds the plan from `cropSystem.serialize()` output.
+ * @param {Array<Object>} list - serialized crops
+ * @param {Object} opts
+ * @param {{getDefinition: Function, yieldRange: Function}} opts.crops - crop system
+ * @param {number} [opts.timeOfDay=0] - minutes since midnight
+ * @param {string|null} [opts.nextSeason=null]
+ * @param {number|null} [opts.seasonDaysLeft=null]
+ * @returns {{ tiles: Array<Object>, days: Array<Object>, totals: Object }}
+ */
+export function buildFarmPlan(list, { crops, timeOfDay = 0, nextSeason = null, seasonDaysLeft = null } = {}) {
+    const tiles = [];
+    const byDay = new Map(); // dayOffset → Map(seedId → entry)
+    const totals = { plants: 0, ready: 0, thirsty: 0, atRisk: 0 };
+
+    for (const c of Array.isArray(list) ? list : []) {
+        if (c?.giantOf) continue; // the anchor stands for the whole giant
+        const cfg = crops?.getDefinition?.(c?.seedId);
+        if (!cfg) continue;
+
+        const minutesLeft = _minutesLeft(c, cfg);
+        const dayOffset = minutesLeft <= 0 ? 0 : Math.floor((timeOfDay + minutesLeft) / DAY_MIN);
+        const needsWater = !cfg.noWater && !c.giant;
+        const water = needsWater ? (c.water ?? 100) : null;
+
+        const reasons = [];
+        let risk = "low";
+        const raise = (level, reason) => {
+            reasons.push(reason);
+            if (level === "high" || risk === "low") risk = level;
+        };
+        if (needsWater && water <= 0) raise("high", "dry");
+        const leavesSeason = !c.giant && nextSeason && Array.isArray(cfg.seasons)
+            && !cfg.seasons.includes(nextSeason) && typeof seasonDaysLeft === "number";
+        if (leavesSeason && dayOffset >= seasonDaysLeft) raise("high", "season");
+        else if (leavesSeason && seasonDaysLeft <= SEASON_WARN_DAYS) raise("medium", "season");
+        if (needsWater && water > 0 && water <= 50 && (c.waterDropRemaining ?? Infinity) < DAY_MIN) {
+            raise("medium", "thirsty");
+        }
+        if (c.pest) raise("medium", "pest");
+
+        const [yieldMin, yieldMax] = crops.yieldRange?.(c) || [0, 0];
+        tiles.push({
+            x: c.x, y: c.y, seedId: c.seedId, giant: !!c.giant,
+            minutesLeft, dayOffset, water, risk, reasons,
+        });
+
+        totals.plants++;
+        if (minutesLeft <= 0) totals.ready++;
+        if (needsWater && water <= 50) totals.thirsty++;
+        if (risk !== "low") totals.atRisk++;
+
+        // A plant its season kills before harvest day isn't on the schedule;
+        // a dry one is (watering it today keeps the estimate).
+        if (dayOffset >= HORIZON_DAYS || (leavesSeason && dayOffset >= seasonDaysLeft)) continue;
+        if (!byDay.has(dayOffset)) byDay.set(dayOffset, new Map());
+        const day = byDay.get(dayOffset);
+        const entry = day.get(c.seedId) || {
+            seedId: c.seedId, name: cfg.name, harvestItem: cfg.harvestItem, plants: 0, yieldMin: 0, yieldMax: 0,
+        };
+        entry.plants += c.giant ? 9 : 1;
+        entry.yieldMin += yieldMin;
+        entry.yieldMax += yieldMax;
+        day.set(c.seedId, entry);
+    }
+
+    const days = [...byDay.keys()].sort((a, b) => a - b).map(dayOffset => ({
+        dayOffset,
+        crops: [...byDay.get(dayOffset).values()].sort((a, b) => b.yieldMax - a.yieldMax),
+    }));
+    return { tiles, days, totals };
+}
+
+/** Overlay colour of a planned tile in a mode. */
+export function plannerColor(tile, mode) {
+    if (mode === "water") {
+        if (tile.water == null) return COLORS.water.none;
+        return tile.water <= 0 ? COLORS.water.dry : tile.water <= 50 ? COLORS.water.half : COLORS.water.full;
+    }
+    if (mode === "risk") return COLORS.risk[tile.risk];
+    if (tile.giant) return COLORS.harvest.giant;
+    if (tile.minutesLeft <= 0) return COLORS.harvest.ready;
+    if (tile.dayOffset <= 1) return COLORS.harvest.soon;
+    if (tile.dayOffset < HORIZON_DAYS) return COLORS.harvest.week;
+    return COLORS.harvest.later;
+}
+
+function _weather() {
+    return getSystem("weather") || (typeof window !== "undefined" ? window.WeatherSystem : null);
+}
+
+function _dayLabel(offset) {
+    if (offset === 0) return t("farmPlanner.today");
+    if (offset === 1) return t("farmPlanner.tomorrow");
+    return t("farmPlanner.inDays", { days: offset });
+}
+
+const farmPlanner = {
+    active: false,
+    mode: "harvest",
+    _plan: null,
+    _builtAt: -Infinity,
+    _panel: null,
+
+    /** Rebuilds the plan from the crop system and the clock. */
+    refresh() {
+        const crops = getSystem("crop");
+        const w = _weather();
+        const clock = (w && w.month && w.day) ? seasonCountdown(w.month, w.day) : {};
+        this._plan = buildFarmPlan(crops?.serialize?.() || [], {
+            crops,
+            timeOfDay: w?.currentTime ?? 0,
+            nextSeason: clock.nextSeason ?? null,
+            seasonDaysLeft: clock.seasonDaysLeft ?? null,
+        });
+        this._builtAt = typeof performance !== "undefined" ? performance.now() : Date.now();
+        this._renderPanel();
+        return this._plan;
+    },
+
+    toggle() {
+        this.active ? this.close() : this.open();
+    },
+
+    open() {
+        this.active = true;
+        this._ensurePanel();
+        this.refresh();
+        this._panel?.classList.add("open");
+    },
+
+    close() {
+        this.active = false;
+        this._panel?.classList.remove("open");
+    },
+
+    setMode(mode) {
+        if (!PLANNER_MODES.includes(mode)) return;
+        this.mode = mode;
+        this._renderPanel();
+    },
+
+    /** Colour-coded square over every crop tile (game loop, planner open). */
+    drawOverlay(ctx, camera) {
+        if (!this.active || !ctx || !camera) return;
+        const now = typeof performance !== "undefined" ? performance.now() : Date.now();
+        if (now - this._builtAt > REFRESH_MS) this.refresh();
+        const tiles = this._plan?.tiles;
+        if (!tiles?.length) return;
+
+        const z = camera.zoom || 1;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.font = `bold ${Math.max(9, Math.round(8 * z))}px Arial`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        for (const tile of tiles) {
+            const span = tile.giant ? 3 : 1;
+            const size = TILE_SIZE * span * z;
+            const sp = camera.worldToScreen(tile.x, tile.y);
+            const color = plannerColor(tile, this.mode);
+            ctx.globalAlpha = 0.4;
+            ctx.fillStyle = color;
+            ctx.fillRect(sp.x, sp.y, size, size);
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = color;
+            ctx.strokeRect(sp.x + 0.5, sp.y + 0.5, size - 1, size - 1);
+            // Dias até a colheita escritos no tile (modo colheita).
+            if (this.mode === "harvest" && tile.minutesLeft > 0) {
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = "#fff";
+                ctx.fillText(String(tile.dayOffset), sp.x + size / 2, sp.y + size / 2);
+            }
+        }
+        ctx.restore();
+    },
+
+    _ensurePanel() {
+        if (this._panel || typeof document === "undefined") return;
+        const panel = document.createElement("aside");
+        panel.id = "farm-planner";
+        panel.className = "farm-planner";
+        panel.setAttribute("aria-live", "polite");
+        panel.addEventListener("click", (e) => {
+            const btn = e.target.closest?.("[data-mode]");
+            if (btn) this.setMode(btn.dataset.mode);
+            if (e.target.closest?.("[data-close]")) this.close();
+        });
+        (document.querySelector(".game") || document.body).appendChild(panel);
+        this._panel = panel;
+    },
+
+    _renderPanel() {
+        const panel = this._panel;
+        if (!panel || !this._plan) return;
+        const { days, totals } = this._plan;
+        const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+        const modes = PLANNER_MODES.map(m => `<button type="button" data-mode="${m}"
+            class="farm-planner-mode${m === this.mode ? " active" : ""}"
+            aria-pressed="${m === this.mode}">${esc(t(`farmPlanner.modes.${m}`))}</button>`).join("");
+
+        const legend = Object.entries(COLORS[this.mode])
+            .map(([key, color]) => `<li><span class="farm-planner-swatch" style="background:${color}"></span>${esc(t(`farmPlanner.legend.${this.mode}.${key}`))}</li>`)
+            .join("");
+
+        let schedule;
+        if (totals.plants === 0) {
+            schedule = `<p class="farm-planner-empty">${esc(t("farmPlanner.noCrops"))}</p>`;
+        } else if (days.length === 0) {
+            schedule = `<p class="farm-planner-empty">${esc(t("farmPlanner.nothingSoon", { days: HORIZON_DAYS }))}</p>`;
+        } else {
+            schedule = days.map(d => `<section class="farm-planner-day">
+                <h4>${esc(_dayLabel(d.dayOffset))}</h4>
+                <ul>${d.crops.map(c => {
+                    const item = getItem(c.harvestItem)?.name || c.name;
+                    const range = c.yieldMin === c.yieldMax ? `${c.yieldMin}` : `${c.yieldMin}–${c.yieldMax}`;
+                    return `<li><span>${esc(t("farmPlanner.plants", { count: c.plants, name: c.name }))}</span>
+                        <span class="farm-planner-yield">${esc(t("farmPlanner.yield", { range, item }))}</span></li>`;
+                }).join("")}</ul>
+            </section>`).join("");
+        }
+
+        panel.innerHTML = `
+            <header class="farm-planner-header">
+                <h3>${esc(t("farmPlanner.title"))}</h3>
+                <button type="button" class="farm-planner-close" data-close aria-label="${esc(t("farmPlanner.close"))}">×</button>
+            </header>
+            <div class="farm-planner-modes">${modes}</div>
+            <ul class="farm-planner-legend">${legend}</ul>
+            <p class="farm-planner-summary">${esc(t("farmPlanner.summary", totals))}</p>
+            <h4 class="farm-planner-subtitle">${esc(t("farmPlanner.upcoming"))}</h4>
+            ${schedule}`;
+    },
+};
+
+if (typeof document !== "undefined") {
+    // Language switch re-renders the sidebar if it's open.
+    document.addEventListener("languageChanged", () => {
+        if (farmPlanner.active) farmPlanner._renderPanel();
+    });
+}
+
+registerSystem("farmPlanner", farmPlanner);
+
+export default farmPlanner;
@@ -355,6 +355,18 @@ export const foodTroughSystem = {
   hasPremiumFeedAvailable(trough) {
     return _findFeedInInventory(trough || { targetAnimals: [] }, true) != null;
   },
+  // Feed classification, shared with the silo (siloSystem) so a stored
+  // feed goes into the same bar a hand deposit would.
+  isBasicFeedFor(itemData, trough) {
+    return _matchesTroughAsBasic(itemData, trough);
+  },
+  isPremiumFeed(itemData) {
+    return itemData?.type === 'animal_food' && _isPremiumFeed(itemData);
+  },
+  // Trough species (cattle/pork/bird) an animal eats from, or null.
+  speciesFor(assetName) {
+    return ANIMAL_TO_SPECIES[assetName] || null;
+  },
 
   // Returns the 3 eat slots of a trough in world coords. Each: {idx, x, y, w, h}.
   getEatSlots(troughOrId) {
@@ -0,0 +1,285 @@
+/**
+ * @file fruitTreeSystem.js - Árvores frutíferas (fruit trees)
+ * @description A tree seed picked in the seed wheel is planted on a tilled
+ * tile like a crop, but grows into a world object: the tree record lives in
+ * theWorld `fruitTrees` (saved by exportWorldState, solid one-tile trunk
+ * hitbox) and ages one day per `dayChanged` through sapling stages. Once
+ * mature it sets fruit every few days while one of its seasons is on; out of
+ * season the fruit falls and the tree just stands there until next year.
+ *
+ * Interaction goes through itemSystem like the wild trees: by hand it picks
+ * the fruit, with the axe it chops — and a mature tree asks first, so an
+ * orchard isn't lost to a stray swing.
+ *
+ * Tree record: { id, type: 'FRUIT_TREE', seedId, x, y, width, height, hp,
+ *                ageDays, fruits, fruitDays }
+ * @module FruitTreeSystem
+ */
+
+import { registerSystem, getSystem } from "./gameState.js";
+import { getItem } from "./itemUtils.js";
+import { t } from "./i18n/i18n.js";
+import { TILE_SIZE } from "./worldConstants.js";
+
+/**
+ * Fruit trees by seed item id.
+ *   - stageDays: age (days) each stage starts at — sprout, sapling, young, mature
+ *   - fruitEveryDays: days between fruit sets while in season
+ *   - fruitYield: [min, max] fruit added per set, up to maxFruits on the tree
+ */
+export const FRUIT_TREES = Object.freeze({
+    53: {
+        name: "Macieira",
+        fruitItem: 5, // Maçã
+        stageDays: [0, 7, 14, 28],
+        seasons: ["summer", "autumn"],
+        fruitEveryDays: 2,
+        fruitYield: [1, 2],
+        maxFruits: 6,
+        canopyColor: "#3f7d32",
+        fruitColor: "#d6302a",
+    },
+});
+
+const FRUIT_TREE_HP = 3;
+const HARVEST_XP_PER_FRUIT = 2;
+
+/** Growth stage (0 = sprout … last = mature) for the tree's age. */
+export function fruitTreeStage(cfg, ageDays) {
+    let stage = 0;
+    cfg.stageDays.forEach((day, i) => { if (ageDays >= day) stage = i; });
+    return stage;
+}
+
+function _currentSeason() {
+    const w = getSystem("weather") || (typeof window !== "undefined" ? window.WeatherSystem : null);
+    return w?.seasonKey ?? null;
+}
+
+function _world() {
+    return typeof window !== "undefined" ? window.theWorld : null;
+}
+
+const fruitTreeSystem = {
+    /** Config of a tree seed item, or null if the item isn't one. */
+    configFor(seedId) {
+        return FRUIT_TREES[seedId] || null;
+    },
+
+    /** Planted fruit trees (theWorld.fruitTrees). */
+    getTrees() {
+        const list = _world()?.fruitTrees;
+        return Array.isArray(list) ? list : [];
+    },
+
+    getById(id) {
+        return this.getTrees().find(tr => tr.id === id) || null;
+    },
+
+    /** Tree standing on the tile under the world point, or null. */
+    getTreeAt(worldX, worldY) {
+        const x = Math.floor(worldX / TILE_SIZE) * TILE_SIZE;
+        const y = Math.floor(worldY / TILE_SIZE) * TILE_SIZE;
+        return this.getTrees().find(tr => tr.x === x && tr.y === y) || null;
+    },
+
+    isMature(tree) {
+        const cfg = this.configFor(tree?.seedId);
+        return !!cfg && fruitTreeStage(cfg, tree.ageDays || 0) === cfg.stageDays.length - 1;
+    },
+
+    /**
+     * Plants the active seed (if it's a tree seed) on the tilled tile under
+     * the world point. The tile must be free: no crop, no tree, no other
+     * solid object. Consumes one seed.
+     * @returns {boolean} true if it planted.
+     */
+    plantAt(worldX, worldY) {
+        const seed = getSystem("seedWheel")?.getActiveSeed?.();
+        const cfg = this.configFor(seed?.id);
+        const world = _world();
+        if (!cfg || !Array.isArray(world?.fruitTrees)) return false;
+
+        const x = Math.floor(worldX / TILE_SIZE) * TILE_SIZE;
+        const y = Math.floor(worldY / TILE_SIZE) * TILE_SIZE;
+        if (!getSystem("hoeTool")?.isTilled?.(x, y)) return false;
+        const inv = getSystem("inventory");
+        if ((inv?.getItemQuantity?.(seed.id) ?? 0) <= 0) return false;
+
+        const collision = getSystem("collision");
+        const blocked = getSystem("crop")?.hasCropAt?.(x, y)
+            || collision?.areaCollides?.(x, y, TILE_SIZE, TILE_SIZE);
+        if (blocked) {
+            getSystem("hud")?.showMessage?.(t("fruitTrees.noRoom"));
+            return false;
+        }
+
+        const tree = {
+            id: `fruittree_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            type: "FRUIT_TREE",
+            seedId: seed.id,
+            x, y,
+            width: TILE_SIZE,
+            height: TILE_SIZE,
+            hp: FRUIT_TREE_HP,
+            ageDays: 0,
+            fruits: 0,
+            fruitDays: 0,
+        };
+        world.fruitTrees.push(tree);
+        collision?.addHitbox?.(tree.id, tree.type, x, y, tree.width, tree.height, tree);
+        document.dispatchEvent(new CustomEvent("worldObjectAdded", { detail: { object: tree } }));
+        world.markWorldChanged?.();
+
+        inv.removeItem?.(seed.id, 1);
+        getSystem("player")?.consumeNeeds?.("planting");
+        getSystem("hud")?.showMessage?.(t("fruitTrees.planted", { name: cfg.name }));
+        return true;
+    },
+
+    /**
+     * One day passes: every tree ages; mature trees in season set fruit,
+     * out of season they drop what's left.
+     * @param {() => number} [rng=Math.random]
+     */
+    advanceDay(rng = Math.random) {
+        const season = _currentSeason();
+        let grew = false;
+        for (const tree of this.getTrees()) {
+            const cfg = this.configFor(tree.seedId);
+            if (!cfg) continue;
+            const before = fruitTreeStage(cfg, tree.ageDays || 0);
+            tree.ageDays = (tree.ageDays || 0) + 1;
+            if (fruitTreeStage(cfg, tree.ageDays) !== before) grew = true;
+            if (!this.isMature(tree)) continue;
+
+            if (!season || !cfg.seasons.includes(season)) {
+                tree.fruits = 0;
+                tree.fruitDays = 0;
+                continue;
+            }
+            tree.fruitDays = (tree.fruitDays || 0) + 1;
+            if (tree.fruitDays < cfg.fruitEveryDays) continue;
+            tree.fruitDays = 0;
+            const [min, max] = cfg.fruitYield;
+            const add = min + Math.floor(rng() * (max - min + 1));
+            tree.fruits = Math.min(cfg.maxFruits, (tree.fruits || 0) + add);
+        }
+        // Stage sprites are bigger; refresh the render grid when one changed.
+        if (grew) _world()?.markWorldChanged?.();
+    },
+
+    /**
+     * Picks the fruit of a tree (by hand). Without fruit it tells the player
+     * why: still growing, or not its season.
+     * @param {string} id - tree id
+     * @returns {number} fruit picked
+     */
+    harvestById(id) {
+        const tree = this.getById(id);
+        const cfg = this.configFor(tree?.seedId);
+        if (!cfg) return 0;
+        const hud = getSystem("hud");
+
+        if (!this.isMature(tree)) {
+            const days = cfg.stageDays[cfg.stageDays.length - 1] - (tree.ageDays || 0);
+            hud?.showMessage?.(t("fruitTrees.growing", { name: cfg.name, days }));
+            return 0;
+        }
+        const qty = tree.fruits || 0;
+        if (qty <= 0) {
+            const seasons = cfg.seasons.map(s => t(`seasons.${s}`)).join(", ");
+            hud?.showMessage?.(t("fruitTrees.noFruit", { name: cfg.name, seasons }));
+            return 0;
+        }
+        if (!getSystem("inventory")?.acquireItem?.(cfg.fruitItem, qty)) return 0;
+
+        tree.fruits = 0;
+        const fruitName = getItem(cfg.fruitItem)?.name || "";
+        hud?.showMessage?.(t("fruitTrees.harvested", { qty, name: fruitName }));
+        getSystem("xp")?.grantXP?.(qty * HARVEST_XP_PER_FRUIT, `fruit_harvest_${tree.seedId}`);
+        return qty;
+    },
+
+    /**
+     * Called before an axe hit lands. Young trees go down without asking; a
+     * mature one needs a confirmation (once — later hits keep chopping).
+     * @param {string} id - tree id
+     * @returns {boolean} true if the hit may proceed.
+     */
+    confirmChop(id) {
+        const tree = this.getById(id);
+        if (!tree || !this.isMature(tree) || tree._chopConfirmed) return true;
+        const name = this.configFor(tree.seedId).name;
+        const ok = typeof window !== "undefined" && typeof window.confirm === "function"
+            && window.confirm(t("fruitTrees.confirmChop", { name }));
+        if (ok) tree._chopConfirmed = true;
+        return !!ok;
+    },
+
+    /**
+     * Draws one tree (trunk on its tile, canopy above). Size follows the
+     * growth stage; fruit shows as dots on the canopy.
+     */
+    drawTree(ctx, tree, camera) {
+        const cfg = this.configFor(tree?.seedId);
+        if (!ctx || !camera || !cfg) return;
+        const z = camera.zoom || 1;
+        const last = cfg.stageDays.length - 1;
+        const stage = fruitTreeStage(cfg, tree.ageDays || 0);
+        const grow = (stage + 1) / (last + 1); // 0.25 … 1
+        const base = camera.worldToScreen(tree.x + TILE_SIZE / 2, tree.y + TILE_SIZE);
+
+        ctx.save();
+        if (stage === 0) {
+            // Broto: two leaves on a stem.
+            ctx.strokeStyle = cfg.canopyColor;
+            ctx.fillStyle = cfg.canopyColor;
+            ctx.lineWidth = Math.max(1, 2 * z);
+            ctx.beginPath();
+            ctx.moveTo(base.x, base.y - 2 * z);
+            ctx.lineTo(base.x, base.y - 10 * z);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.ellipse(base.x - 3 * z, base.y - 10 * z, 3 * z, 1.5 * z, -0.5, 0, Math.PI * 2);
+            ctx.ellipse(base.x + 3 * z, base.y - 10 * z, 3 * z, 1.5 * z, 0.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+            return;
+        }
+
+        const trunkH = 28 * grow * z;
+        const trunkW = Math.max(2, 8 * grow * z);
+        const radius = 22 * grow * z;
+        const cy = base.y - trunkH - radius * 0.6;
+
+        ctx.fillStyle = "#6b4a2b";
+        ctx.fillRect(base.x - trunkW / 2, base.y - trunkH, trunkW, trunkH);
+        ctx.fillStyle = cfg.canopyColor;
+        ctx.beginPath();
+        ctx.arc(base.x, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.25)";
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Frutos em posições fixas no círculo da copa (não piscam por frame).
+        ctx.fillStyle = cfg.fruitColor;
+        for (let i = 0; i < (tree.fruits || 0); i++) {
+            const a = (i / cfg.maxFruits) * Math.PI * 2 + 0.4;
+            const r = radius * (i % 2 ? 0.35 : 0.65);
+            ctx.beginPath();
+            ctx.arc(base.x + Math.cos(a) * r, cy + Math.sin(a) * r, Math.max(1.5, 2.5 * z), 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    },
+};
+
+if (typeof document !== "undefined") {
+    document.addEventListener("dayChanged", () => fruitTreeSystem.advanceDay());
+}
+
+registerSystem("fruitTree", fruitTreeSystem);
+
+export default fruitTreeSystem;
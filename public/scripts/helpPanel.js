@@ -53,7 +53,7 @@ const HELP_FALLBACK_CODE = 'KeyH';
 const SECTIONS = [
   { titleKey: 'shortcutsPanel.sections.movement', actions: ['moveUp', 'moveDown', 'moveLeft', 'moveRight'] },
   { titleKey: 'shortcutsPanel.sections.actions', actions: ['interact', 'toolWheel'] },
-  { titleKey: 'shortcutsPanel.sections.menus', actions: ['inventory', 'merchants', 'config', HELP_ACTION] },
+  { titleKey: 'shortcutsPanel.sections.menus', actions: ['inventory', 'merchants', 'config', 'farmPlanner', 'herdDashboard', HELP_ACTION] },
 ];
 
 let mounted = false;
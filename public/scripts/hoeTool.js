@@ -14,6 +14,12 @@
  * Durations run on the IN-GAME clock (#165), so the plot decays with the
  * calendar and reverts to grass when the player sleeps — same time base as
  * crops. Tilled tiles are saved/restored per slot.
+ *
+ * Soil fertility: every tile has a nutrient level (0..100, SOIL_NUTRIENT_BASE
+ * for untouched ground). Each harvest depletes it (cropSystem), fertilizer
+ * items refill it, and ground without a crop slowly recovers overnight. It
+ * belongs to the ground, not the tilled state, so it survives the plot
+ * reverting to grass. Shown as an overlay while the hoe is equipped.
  * @module HoeTool
  */
 
@@ -34,6 +40,13 @@ const TILLED_WET_MIN = 80;   // watered tilled soil lasts 80 in-game min
 const RAIN_SOAK_MIN  = 0.5;  // ~0.5 in-game min under rain auto-waters dry soil
 const SCAN_INTERVAL_MS = 500; // throttle the lifecycle scan (real-time perf cap)
 
+// Soil nutrients (0..100). Untouched ground starts at the base; fallow ground
+// (no crop growing) recovers SOIL_FALLOW_RECOVERY per in-game day back up to
+// the base, so resting a plot works but fertilizer is the way past it.
+export const SOIL_NUTRIENT_BASE = 60;
+export const SOIL_NUTRIENT_MAX = 100;
+const SOIL_FALLOW_RECOVERY = 3;
+
 /** Current in-game time in minutes (monotonic; jumps on sleep). */
 function _gameNow() {
     const w = getSystem('weather') || (typeof window !== 'undefined' ? window.WeatherSystem : null);
@@ -58,6 +71,10 @@ const hoeTool = {
     _tilled: new Map(),
     _lastScan: 0,
 
+    // tileKey "tx,ty" -> nutrients (0..100). Only tiles that differ from
+    // SOIL_NUTRIENT_BASE are stored.
+    _nutrients: new Map(),
+
     // Lazy-loaded soil sprites (dry / watered grass-mid variants).
     _dryImg: null,
     _wetImg: null,
@@ -170,6 +187,94 @@ const hoeTool = {
         return this._tilled.has(this._tileKey(worldX, worldY));
     },
 
+    // ── soil fertility ──────────────────────────────────────────────────────
+
+    /** Nutrient level (0..100) of the tile under the world point. */
+    getNutrients(worldX, worldY) {
+        const { x, y } = this._snap(worldX, worldY);
+        return this._nutrients.get(this._tileKey(x, y)) ?? SOIL_NUTRIENT_BASE;
+    },
+
+    /** Sets a tile's nutrients (clamped); base-level tiles aren't stored. */
+    _setNutrients(key, value) {
+        const v = Math.max(0, Math.min(SOIL_NUTRIENT_MAX, Math.round(value)));
+        if (v === SOIL_NUTRIENT_BASE) this._nutrients.delete(key);
+        else this._nutrients.set(key, v);
+        return v;
+    },
+
+    /**
+     * Removes `amount` nutrients from the tile under the world point (called
+     * by cropSystem on harvest).
+     * @returns {number} the tile's new nutrient level.
+     */
+    depleteNutrients(worldX, worldY, amount) {
+        const { x, y } = this._snap(worldX, worldY);
+        const key = this._tileKey(x, y);
+        return this._setNutrients(key, (this._nutrients.get(key) ?? SOIL_NUTRIENT_BASE) - amount);
+    },
+
+    /** True if the item is a fertilizer (has a `fertilizer` nutrient value). */
+    isFertilizer(itemId) {
+        return (getItem(itemId)?.fertilizer ?? 0) > 0;
+    },
+
+    /**
+     * Spreads one fertilizer item on the tilled tile under the world point
+     * (planted or not): consumes it from the inventory and adds its nutrient
+     * value. Refuses untilled ground and soil that is already full.
+     * @returns {boolean} true if it fertilized.
+     */
+    fertilizeAt(worldX, worldY, itemId) {
+        const amount = getItem(itemId)?.fertilizer ?? 0;
+        if (amount <= 0) return false;
+        const { x, y } = this._snap(worldX, worldY);
+        const key = this._tileKey(x, y);
+        if (!this._tilled.has(key)) return false;
+        const current = this._nutrients.get(key) ?? SOIL_NUTRIENT_BASE;
+        if (current >= SOIL_NUTRIENT_MAX) return false;
+
+        const inv = getSystem('inventory');
+        if ((inv?.getItemQuantity?.(itemId) ?? 0) <= 0) return false;
+        inv.removeItem?.(itemId, 1);
+        this._setNutrients(key, current + amount);
+        return true;
+    },
+
+    /**
+     * Daily fallow recovery (dayChanged): tiles below the base level with no
+     * crop on them regain a little fertility.
+     */
+    recoverFallowSoil() {
+        const crop = getSystem('crop');
+        for (const [key, value] of this._nutrients) {
+            if (value >= SOIL_NUTRIENT_BASE) continue;
+            const [tx, ty] = key.split(',').map(Number);
+            if (crop?.hasCropAt?.(tx, ty)) continue;
+            this._setNutrients(key, Math.min(SOIL_NUTRIENT_BASE, value + SOIL_FALLOW_RECOVERY));
+        }
+    },
+
+    /** Save: nutrient levels of every tile that differs from the base. */
+    serializeSoil() {
+        const out = [];
+        for (const [key, value] of this._nutrients) {
+            const comma = key.indexOf(',');
+            out.push({ x: +key.slice(0, comma), y: +key.slice(comma + 1), n: value });
+        }
+        return out;
+    },
+
+    /** Load: replaces all nutrient levels (clears first → no crossover). */
+    restoreSoil(list) {
+        this._nutrients.clear();
+        if (!Array.isArray(list)) return;
+        for (const t of list) {
+            if (typeof t?.x !== 'number' || typeof t?.y !== 'number' || typeof t?.n !== 'number') continue;
+            this._setNutrients(this._tileKey(t.x, t.y), t.n);
+        }
+    },
+
     /**
      * Save: tilled tiles with their REMAINING lifetime in in-game minutes (the
      * in-game clock resets on reload, so we re-anchor on restore). Per-save.
@@ -281,8 +386,48 @@ const hoeTool = {
         }
         ctx.restore();
     },
+
+    /**
+     * Fertility overlay while the hoe is equipped (or a fertilizer is selected
+     * in the seed wheel): tints each tilled tile by its nutrient level
+     * (red = depleted, amber = average, green = rich) with a small level bar.
+     * Drawn by the game loop over the soil, under the cursor. Viewport-culled.
+     */
+    drawFertilityOverlay(ctx, camera) {
+        if (!ctx || !camera || this._tilled.size === 0) return;
+        const active = getSystem('seedWheel')?.getActiveSeed?.();
+        if (!this.isEquipped() && !this.isFertilizer(active?.id)) return;
+
+        const size = Math.ceil(TILE_SIZE * camera.zoom);
+        const barH = Math.max(2, Math.round(2 * camera.zoom));
+        ctx.save();
+        for (const key of this._tilled.keys()) {
+            const comma = key.indexOf(',');
+            const tx = +key.slice(0, comma);
+            const ty = +key.slice(comma + 1);
+            if (camera.isInViewport && !camera.isInViewport(tx, ty, TILE_SIZE, TILE_SIZE)) continue;
+
+            const n = this._nutrients.get(key) ?? SOIL_NUTRIENT_BASE;
+            const rgb = n >= 75 ? '95, 217, 122' : (n >= 40 ? '230, 192, 74' : '224, 86, 63');
+            const sp = camera.worldToScreen(tx, ty);
+            const x = Math.round(sp.x);
+            const y = Math.round(sp.y);
+            ctx.fillStyle = `rgba(${rgb}, 0.18)`;
+            ctx.fillRect(x, y, size, size);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.fillRect(x + 2, y + size - barH - 2, size - 4, barH);
+            ctx.fillStyle = `rgba(${rgb}, 0.95)`;
+            ctx.fillRect(x + 2, y + size - barH - 2, Math.round((size - 4) * n / SOIL_NUTRIENT_MAX), barH);
+        }
+        ctx.restore();
+    },
 };
 
 registerSystem('hoeTool', hoeTool);
 
+if (typeof document !== 'undefined') {
+    // Fallow ground regains a little fertility each in-game day.
+    document.addEventListener('dayChanged', () => hoeTool.recoverFallowSoil());
+}
+
 export default hoeTool;
@@ -39,6 +39,7 @@ export default {
     firstHarvest:     { title: 'First Harvest',     description: 'Harvest your first crop' },
     bountifulHarvest: { title: 'Bountiful Harvest', description: 'Harvest 100 crops' },
     harvestMaster:    { title: 'Harvest Master',    description: 'Harvest 500 crops' },
+    giantCrop:        { title: 'Giant Harvest',     description: 'Fell a giant crop with the axe' },
     animalFriend:  { title: 'Animal Friend',      description: 'Pet an animal for the first time' },
     rancher:       { title: 'Rancher',            description: 'Feed animals 20 times' },
     firstCoin:     { title: 'First Coin',         description: 'Earn money for the first time' },
@@ -160,6 +161,7 @@ export default {
     seed: 'Seed',
     crop: 'Crop',
     medicine: 'Medicine',
+    vaccine: 'Vaccine',
     animal: 'Animal',
   },
 
@@ -226,6 +228,7 @@ export default {
         food: 'Food',
         animal_food: 'Animal Feed',
         medicine: 'Medicine',
+        vaccine: 'Vaccine',
         animal: 'Animal',
         resource: 'Resource',
         crop: 'Crop',
@@ -482,6 +485,20 @@ export default {
     134: 'Country Salad',
     135: 'Pumpkin Soup',
     136: 'Tropical Salad',
+    137: 'Manure',
+    138: 'Compost',
+    139: 'Organic Fertilizer',
+    140: 'Basic Sprinkler',
+    141: 'Iron Sprinkler',
+    142: 'Steel Sprinkler',
+    143: 'Natural Insecticide',
+    144: 'Fungicide',
+    145: 'Scarecrow',
+    146: 'Barn',
+    147: 'Chicken Coop',
+    148: 'Feed Silo',
+    149: 'Fair Trophy',
+    150: 'Harvest Blue Ribbon',
     // Misc items previously untranslated (materials, decorations, feed, quest)
     41: 'Water Bottle',
     44: 'Flower Pot',
@@ -498,6 +515,7 @@ export default {
     96: 'Poultry Grain',
     97: 'Ground Corn & Soy Meal',
     98: 'Quality Feed',
+    102: 'Dog Food',
     // Veterinary medicines (ids 200-207)
     200: 'Fast Dewormer',
     201: 'Common Dewormer',
@@ -507,6 +525,11 @@ export default {
     205: 'Powdered Probiotic',
     206: 'Strong Antipyretic',
     207: 'Medicinal Tea',
+    // Vaccines (ids 210-213)
+    210: 'Antiparasitic Vaccine',
+    211: 'Respiratory Vaccine',
+    212: 'Digestive Vaccine',
+    213: 'Fever Vaccine',
     // Animals sold by Rico / enclosure panel (ids 300-308)
     300: 'Chick',
     301: 'Lamb',
@@ -517,7 +540,8 @@ export default {
     306: 'Turkey',
     307: 'Rooster',
     308: 'Bull',
-    309: 'Hen'
+    309: 'Hen',
+    312: 'Sheepdog'
   },
 
   // Recipe names by ID - for dynamic translation
@@ -548,7 +572,19 @@ export default {
     animal_treat: 'Animal Treat',
     cattle_food_trough: 'Cattle Food Trough',
     pork_food_trough: 'Pig Food Trough',
-    bird_food_trough: 'Poultry Food Trough'
+    bird_food_trough: 'Poultry Food Trough',
+    compost: 'Compost',
+    fertilizer_manure: 'Manure Fertilizer',
+    fertilizer_compost: 'Compost Fertilizer',
+    tempered_steel: 'Tempered Steel',
+    basic_sprinkler: 'Basic Sprinkler',
+    iron_sprinkler: 'Iron Sprinkler',
+    steel_sprinkler: 'Steel Sprinkler',
+    scarecrow: 'Scarecrow',
+    barn: 'Barn',
+    coop: 'Chicken Coop',
+    insecticide: 'Natural Insecticide',
+    fungicide: 'Fungicide'
   },
 
   // General Messages
@@ -670,6 +706,14 @@ export default {
       label: 'Help',
       desc: 'Open/close shortcuts'
     },
+    farmPlanner: {
+      label: 'Farm planner',
+      desc: 'Show/hide the farm planner'
+    },
+    herdDashboard: {
+      label: 'Herd overview',
+      desc: 'Open/close the herd overview'
+    },
     // Issue #170: human-readable tool type names (toolType field on items).
     // Shown on the inventory details panel as "Type: Axe" etc.
     toolTypes: {
@@ -728,7 +772,8 @@ export default {
     lamb: 'Lamb',
     turkey: 'Turkey',
     goat: 'Goat',
-    horse: 'Horse'
+    horse: 'Horse',
+    dog: 'Dog'
   },
 
   // Animal UI Panel
@@ -744,6 +789,7 @@ export default {
       unguide: 'Stop Guiding',
       feed: 'Feed',
       collect: 'Collect',
+      commands: 'Commands',
       close: 'Close'
     },
     stats: {
@@ -785,6 +831,9 @@ export default {
       medicine_mild_reject: 'Grimaced, but took it.',
       medicine_reject: 'Hated the medicine!',
       medicine_cured: 'Healed! ✨',
+      vaccinated: 'Vaccinated! 💉',
+      vaccine_sick: 'Already sick with this — treat it first.',
+      not_vaccine: 'This item is not a vaccine.',
       not_medicine: 'This item is not a medicine.',
       // Collect button feedback (mirror of animal.production.*)
       collected: 'Collected!',
@@ -802,6 +851,9 @@ export default {
       empty: 'No medicines in inventory.',
       emptyFood: 'No animal food in inventory.',
       wrongFoodHint: "This food doesn't suit this species",
+      vaccine: 'Vaccines',
+      vaccinesTitle: 'Vaccines',
+      emptyVaccine: 'No vaccines in inventory. Alice sells them at the vet.',
     },
     type: {
       unknown: 'Unknown'
@@ -864,6 +916,190 @@ export default {
       pregnant: 'Pregnant',
       bornFx: '🐣 Born!',
     },
+    // Genetics — genome shown in the animal info panel.
+    genetics: {
+      title: 'Genetics',
+      generation: 'Gen {n}',
+      genes: {
+        production: 'Production',
+        temperament: 'Temperament',
+        resistance: 'Resistance',
+        longevity: 'Longevity',
+        coat: 'Coat',
+      },
+      tips: {
+        production: 'High: produces a day sooner. Low: a day later.',
+        temperament: 'Calm animals lose morale more slowly.',
+        resistance: 'Lowers the daily chance of getting sick.',
+        longevity: 'How long the animal lives.',
+      },
+      coats: {
+        standard: 'Standard',
+        light: 'Light',
+        dark: 'Dark',
+        russet: 'Russet',
+        smoky: 'Smoky',
+      },
+    },
+    // Pedigree — family tree modal (animal info panel + memorial).
+    pedigree: {
+      open: 'Family tree',
+      title: 'Family tree',
+      close: 'Close',
+      hint: 'Drag to move · scroll to zoom · click an animal to center it',
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      recenter: 'Recenter',
+      born: 'Born on day {day}',
+      founder: 'Founder',
+      died: '✝ Died on day {day}',
+      dead: '✝ Deceased',
+      gone: 'Left the farm',
+      empty: 'No family records for this animal.',
+      rows: {
+        greatGreatGrandparents: 'Great-great-grandparents',
+        greatGrandparents: 'Great-grandparents',
+        grandparents: 'Grandparents',
+        parents: 'Parents',
+        children: 'Offspring',
+        grandchildren: 'Grandchildren',
+        greatGrandchildren: 'Great-grandchildren',
+        greatGreatGrandchildren: 'Great-great-grandchildren',
+      },
+    },
+    // Vaccines (vaccinationSystem) — UiPanel card and daily reminder
+    vaccine: {
+      cardTitle: 'Vaccines',
+      daysLeft: '{days}d left',
+      reminder: {
+        title: '💉 Vaccination reminder — day {day}',
+        close: 'Close reminder',
+        lapsed: 'Herd immunity lost',
+        lapsedRow: '{disease}: only {vaccinated}/{total} vaccinated',
+        expired: 'Vaccines expired ({count})',
+        expiredRow: '{name} — {disease}',
+        hint: 'Buy boosters from Alice at the vet.',
+      },
+    },
+    // Farm dog (dogSystem → dogCommandPanel)
+    dog: {
+      title: '🐕 {name}',
+      close: 'Close',
+      status: 'Now: {mode}',
+      sleeping: 'Sleeping… wakes up at 6am.',
+      modes: {
+        follow: 'Follow',
+        stay: 'Stay',
+        guard: 'Guard',
+        herd: 'Herding',
+      },
+      modeTips: {
+        follow: 'Comes along wherever you go.',
+        stay: 'Stays right where it is.',
+        guard: 'Patrols here and stays awake all night, scaring foxes off.',
+      },
+      herdTitle: 'Take to a pen',
+      penLabel: 'Destination pen',
+      herdBtn: 'Go',
+      noLoose: 'No animals roaming loose on the farm.',
+      inHerd: 'in the group',
+      bark: 'Woof!',
+      adopted: 'Your dog is here! Click it to give it a name.',
+      toast: {
+        follow: '{name} will follow you.',
+        stay: '{name} stays here.',
+        guard: '{name} is on guard.',
+        herd: '{name} is taking {count} animal(s) to {pen}.',
+        refused: '{count} refused to go.',
+      },
+      errors: {
+        already_have: 'You already have a dog.',
+        no_asset: 'Dog sprite unavailable.',
+        no_world: 'World unavailable.',
+        spawn_failed: 'The dog could not arrive.',
+        no_dog: 'The dog is no longer on the farm.',
+        no_dog_system: 'System unavailable.',
+        sleeping: 'The dog is asleep.',
+        no_enclosure: 'No closed pens on the farm.',
+        none_joined: 'No animal agreed to go.',
+        unknown_mode: 'Unknown command.',
+        generic: 'That did not work ({reason}).',
+      },
+    },
+    // Morning fox report (predatorSystem → predatorReport)
+    predator: {
+      title: '🦊 Foxes last night — day {day}',
+      close: 'Close',
+      summary: '{count} fox(es) prowled the farm.',
+      carried: 'Carried off ({count})',
+      injured: 'Injured ({count})',
+      injuredRow: '{name} — {injury}',
+      noLosses: 'No birds were lost.',
+      scared: 'They were scared away {count} time(s).',
+      hint: 'Close poultry in a fenced pen or a coop before nightfall.',
+    },
+    // Daily outbreak report (diseaseSystem → outbreakReport)
+    outbreak: {
+      title: '🦠 Outbreak report — day {day}',
+      close: 'Close',
+      exposed: 'Exposed ({count})',
+      fellIll: 'Fell ill ({count})',
+      route: {
+        contact: '{name} — close contact with {source} ({disease})',
+        pen: '{name} — shares a pen with {source} ({disease})',
+      },
+      cause: {
+        contagion: '{name} — symptoms after incubation',
+        spontaneous: '{name} — weather, hunger or neglect',
+      },
+      unknownDisease: 'undiagnosed',
+      blocked: 'Quarantine blocked {count} exposure(s).',
+      hint: 'Isolate exposed animals in a quarantine pen and take the sick to the vet.',
+    },
+    // Herd overview (herdDashboard) — full-screen table of every animal
+    herd: {
+      title: '🐄 Herd overview',
+      close: 'Close',
+      count: '{shown} of {total} animals',
+      empty: 'No animals on the farm yet.',
+      noMatch: 'No animal matches these filters.',
+      loose: 'Loose',
+      hospital: 'Vet ({days}d)',
+      yes: 'Yes',
+      locate: 'Show {name} on the map',
+      locateHospital: 'At the vet — not on the map.',
+      locateAway: 'Go back to the farm to locate animals on the map.',
+      columns: {
+        name: 'Name',
+        species: 'Species',
+        stage: 'Age',
+        hunger: 'Hunger',
+        thirst: 'Thirst',
+        moral: 'Morale',
+        injury: 'Injury',
+        disease: 'Disease',
+        pregnant: 'Pregnant',
+        product: 'Product',
+        pen: 'Pen',
+      },
+      filters: {
+        search: 'Search by name or species…',
+        species: 'Species',
+        pen: 'Pen',
+        status: 'Status',
+        allSpecies: 'All species',
+        allPens: 'All pens',
+        hospital: 'At the vet',
+      },
+      status: {
+        all: 'Any status',
+        attention: 'Needs attention',
+        sick: 'Sick',
+        injured: 'Injured',
+        pregnant: 'Pregnant',
+        product: 'Product ready',
+      },
+    },
     // Tomb / memorial — when an animal dies of old age, a tomb appears
     // and clicking opens a card with their data.
     tomb: {
@@ -884,7 +1120,72 @@ export default {
     potato: 'Potato',
     tomato: 'Tomato',
     pumpkin: 'Pumpkin',
-    cabbage: 'Cabbage'
+    cabbage: 'Cabbage',
+    outOfSeason: '{name} can only be planted in: {seasons}',
+    outOfSeasonShort: 'Out of season',
+    plantIn: 'Plant in: {seasons}',
+    daysLeft: '{days} day(s) to harvest',
+    readyToHarvest: 'Ready to harvest',
+    witheredBySeason: '{count} crop(s) withered with the change of season',
+    pestOutbreak: 'Pests spotted on {count} plant(s)!',
+    pestTreated: '{pest} treated',
+    wrongTreatment: 'This spray does not cure {pest}',
+    pestSymptom: 'Sick: {pest}',
+    giantFormed: 'A giant {name} grew in your field!',
+    giantName: 'Giant {name}',
+    giantNeedsAxe: 'Giant — use the axe to harvest',
+    giantHarvested: 'Giant harvest: {qty}x {name}',
+    pests: {
+      aphids: 'Aphids',
+      blight: 'Blight'
+    }
+  },
+
+  // Fruit trees (fruitTreeSystem.js)
+  fruitTrees: {
+    planted: '{name} planted — it takes a few weeks to bear fruit',
+    noRoom: 'No room for a tree here',
+    growing: '{name} is still growing ({days} day(s) to mature)',
+    noFruit: '{name} has no fruit now — fruits in: {seasons}',
+    harvested: 'Picked {qty}x {name}',
+    confirmChop: 'Chop down this grown {name}? It bears fruit every year.'
+  },
+
+  // Crows (crowSystem) — dawn raids on unprotected fields
+  crows: {
+    raided: 'Crows raided the field at dawn and ate {count} plant(s)!',
+    scaredAway: 'Crows came at dawn, but the scarecrows kept them off the crops'
+  },
+
+  // Farm planner overlay (farmPlanner.js)
+  farmPlanner: {
+    title: '🗓️ Farm Planner',
+    close: 'Close planner',
+    modes: {
+      harvest: 'Harvest',
+      water: 'Water',
+      risk: 'Risk'
+    },
+    legend: {
+      harvest: { ready: 'Ready', soon: 'Today/tomorrow', week: 'This week', later: 'Later', giant: 'Giant (axe)' },
+      water: { full: 'Watered', half: 'Half water', dry: 'Dry', none: 'No water needed' },
+      risk: { low: 'Safe', medium: 'Watch', high: 'Withering' }
+    },
+    summary: '{plants} plant(s) · {ready} ready · {thirsty} need water · {atRisk} at risk',
+    upcoming: 'Upcoming harvests',
+    today: 'Today',
+    tomorrow: 'Tomorrow',
+    inDays: 'In {days} days',
+    plants: '{count}x {name}',
+    yield: '{range} {item}',
+    noCrops: 'Nothing planted yet.',
+    nothingSoon: 'No harvests in the next {days} days.'
+  },
+
+  // Harvest quality tiers (itemQuality.js)
+  quality: {
+    silver: 'Silver',
+    gold: 'Gold'
   },
 
   // UI Elements
@@ -913,6 +1214,7 @@ export default {
     inventoryNotAvailable: '🎒 Inventory system not available',
     done: 'Done',
     minimapToggle: 'Toggle minimap (M)',
+    minimapScarecrows: 'Show scarecrow coverage',
     click: 'click',
     rightClick: 'right click',
   },
@@ -1087,6 +1389,29 @@ export default {
       premiumSuccess: 'Special added',
     },
   },
+  silo: {
+    deposited: '{count} feed stored in the silo',
+    compacted: '{raw} raw hay compacted into {count} Hay in the silo',
+    shortage: 'The silo ran out of feed for {count} trough(s)',
+    errors: {
+      full: 'The silo is full',
+      no_feed: 'No trough feed in your inventory',
+      no_raw_hay: 'You need at least 3 Harvested Hay',
+      no_inventory: 'Inventory unavailable',
+    },
+    panel: {
+      title: 'Feed Silo',
+      close: 'Close',
+      levelName: 'Stored feed',
+      empty: 'Empty — deposit feed or harvested hay',
+      troughs: 'Tops up {count} food trough(s) in this pen every morning',
+      noEnclosure: 'Outside a pen: it only feeds troughs inside the same pen',
+      lastReport: 'Last morning: {fed} portion(s) handed out.',
+      lastShort: 'Ran short for {count} trough(s).',
+      depositBtn: 'Deposit feed',
+      compactBtn: 'Compact harvested hay',
+    },
+  },
   waterTrough: {
     needBucket: 'You need a water bucket',
     filled: 'Trough filled',
@@ -1228,6 +1553,8 @@ export default {
     wellLoading: 'well system loading...',
     placed: 'placed! ({remaining} remaining)',
     placeError: 'error placing object',
+    sprinklerOnCrop: 'cannot place a sprinkler on a planted tile',
+    scarecrowOnCrop: 'cannot place a scarecrow on a planted tile',
     worldNotAvailable: 'error: theWorld.addWorldObject not available',
     variant: 'variant: {name}',
     notAvailable: 'Build function not available.',
@@ -1263,6 +1590,7 @@ export default {
       cardMeta: '{price} · {count} in enclosure',
       speciesLimitTitle: 'Reached limit of {max} species',
       noMoneyTitle: 'Not enough money',
+      herdBtn: '🐄 Herd ({count})',
       toast: {
         added: '{name} added!',
         speciesLimit: 'Limit of {max} different species in this enclosure.',
@@ -1277,6 +1605,50 @@ export default {
         generic: 'Failed ({reason}).',
       },
     },
+    livestock: {
+      title: 'Herd — {pen}',
+      close: 'Close',
+      count: '{count} animals',
+      empty: 'No animals in this pen yet.',
+      buyBtn: '+ Buy',
+      penLabel: 'Pen {n}',
+      quarantineOn: '🩺 Quarantine',
+      quarantineOff: 'Mark as quarantine',
+      quarantineTitle: 'Sick animals can be sent here.',
+      meta: '{species} · {stage} · {health}',
+      health: {
+        healthy: 'healthy',
+        sick: 'sick',
+        injured: 'injured',
+        exposed: 'exposed',
+      },
+      sellBtn: 'Sell {price}',
+      sellTitle: 'Sell back to Rico',
+      sellConfirm: 'Confirm?',
+      moveLabel: 'Move to',
+      moveBtn: 'Move',
+      noOtherPens: 'There is no other pen.',
+      quarantineBtn: '🩺 Isolate',
+      toast: {
+        sold: '{name} sold to Rico for {price}.',
+        moved: '{name} moved to {pen}.',
+        quarantined: '{name} isolated in {pen}.',
+        quarantineSet: '{pen} is now a quarantine pen.',
+        quarantineCleared: '{pen} is no longer a quarantine pen.',
+      },
+      errors: {
+        not_found: 'Animal not found.',
+        no_enclosure: 'Enclosure not found.',
+        same_enclosure: 'The animal is already in that pen.',
+        species_limit: 'The target pen already has 3 species.',
+        no_cells: 'Enclosure has no interior cells.',
+        species: 'Rico does not buy this species.',
+        no_currency_system: 'Currency system unavailable.',
+        remove_failed: 'Failed to remove the animal from the world.',
+        no_quarantine: 'Mark another pen as quarantine first.',
+        generic: 'Failed ({reason}).',
+      },
+    },
   },
 
   // Quests
@@ -1430,6 +1802,7 @@ export default {
       two:   'Diagnose',
       three: 'Hospitalize',
       four:  'Medicine',
+      five:  'Vaccines',
     },
     dialogue: {
       hint: 'Click to continue',
@@ -1480,6 +1853,18 @@ export default {
       inventoryFull: 'Inventory full.',
       boughtToast: 'Bought: {name} (${value})',
     },
+    vaccine: {
+      title: 'Vaccines',
+      back: '← Back',
+      intro: 'Prevention beats cure: a vaccinated animal rarely catches that disease. Keep at least {percent}% of the herd covered.',
+      protects: 'Protects against {disease} for {days} days',
+      coverage: 'Herd: {vaccinated}/{total} vaccinated',
+      buyBtn: 'Buy (${value})',
+      noMoney: 'Insufficient balance (${value}).',
+      inventoryFull: 'Inventory full.',
+      unavailable: 'Shop unavailable right now.',
+      boughtToast: 'Bought: {name} (${value}). Apply it on the animal: Feed → Vaccines.',
+    },
   },
 
   // Hospital / Admission — flows from the vet's Hospitalize button
@@ -1514,6 +1899,78 @@ export default {
       recovering: '{total} in recovery',
     },
   },
+  // Slaughterhouse — panel opened from the travel map (slaughterhouseSystem.js)
+  slaughterhouse: {
+    title: 'Slaughterhouse',
+    subtitle: 'Meat and leather paid by species, age and health',
+    close: 'Close',
+    closeHint: 'Press ESC to close',
+    animalsTitle: 'Farm animals',
+    historyTitle: 'Sales history',
+    historySummary: '{count} sale(s) · {total} earned',
+    historyEmpty: 'No sales in this save yet.',
+    empty: 'No animals on the farm.',
+    priceFormat: '$ {value}',
+    day: 'Day {day}',
+    sellBtn: 'Sell',
+    products: {
+      meat: 'Meat',
+      leather: 'Leather',
+      feathers: 'Feathers',
+    },
+    health: {
+      good: 'Healthy',
+      fair: 'Underfed',
+      sick: 'Sick (reduced price)',
+    },
+    blocked: {
+      young: 'Young — not old enough yet.',
+      injured: 'Injured — treat it at the vet first.',
+      hospitalized: 'Hospitalized at the vet.',
+      species: 'The slaughterhouse does not buy this species.',
+      not_found: 'Animal not found.',
+      no_currency_system: 'Currency system unavailable.',
+      remove_failed: 'Could not take the animal.',
+    },
+    confirm: {
+      message: 'Sell {name} to the slaughterhouse?',
+      total: 'Total',
+      warning: 'This cannot be undone.',
+      cancel: 'Cancel',
+      confirm: 'Sell',
+    },
+    toast: {
+      sold: '{name} sold for {total}.',
+    },
+  },
+  // County fair (fairSystem)
+  fair: {
+    judgeName: 'Fair Judge',
+    today: 'The {season} county fair is in town today!',
+    errors: {
+      not_fair_day: 'There is no fair today.',
+      not_in_city: 'The fair is held in the city.',
+      already_entered: 'You have already competed in this fair.',
+      no_entry: 'Nothing to judge? Come back with an animal or a harvest!',
+      no_animal: 'That animal could not be found on your farm.',
+      no_crop: 'You no longer have that harvest item.',
+    },
+    dialogue: {
+      welcome: 'Welcome to the {season} county fair! One animal and one harvest item per farm.',
+      askAnimal: 'Which animal are you entering in the livestock show?',
+      noAnimal: 'No animal this time',
+      later: 'Maybe later',
+      askCrop: 'And for the harvest contest?',
+      noCrop: 'No harvest this time',
+      livestockResult: 'Livestock: {name} scored {score} points and placed #{place}. Champion: {winner} ({winnerScore}).',
+      produceResult: 'Harvest: {name} scored {score} points and placed #{place}. Champion: {winner} ({winnerScore}).',
+      prizeCoins: '{coins} coins',
+      prizeXp: '{xp} XP',
+      prizes: '*Prizes received:* {list}',
+      alreadyJudged: 'Your entries have already been judged. Here are the results:',
+      goodbye: 'See you at next season\'s fair!',
+    },
+  },
   // NPC Bartolomeu dialogues
   npc: {
     bartolomeu: {
@@ -1840,6 +2297,25 @@ export default {
           l4: '*smiles* I\'ll be sure to come.',
         },
       },
+      // Madalena's litter — optional ending (catSystem)
+      kitten: {
+        litter: 'Oh! Before you go... Madalena had a litter a few weeks ago. *shows you a basket of sleepy kittens*',
+        offer: 'Would you like to take one home? A farm is the best place for a kitty to grow up!',
+        askAgain: 'By the way, dear... one of Madalena\'s kittens is still waiting for a home. Interested?',
+        choiceAdopt: 'I\'d love to!',
+        choiceLater: 'Maybe another time.',
+        adopted: 'Wonderful! This is {name}. I\'ll bring her over, she\'ll be waiting by your farmhouse door!',
+        later: 'That\'s alright, dear. If you change your mind, just ask!',
+        greet: '*{name} rubs against your legs and purrs*',
+        choicePet: 'Pet {name}',
+        choiceFollow: 'Come with me!',
+        choiceStay: 'Go back to the house.',
+        choiceLeave: 'Leave',
+        petted: '*{name} purrs and kneads your hand. You feel a little more rested.* (+{energy} energy)',
+        alreadyPetted: '*{name} already got her cuddles today and just flicks her tail.*',
+        following: '*{name} trots after you*',
+        staying: '*{name} heads back toward the farmhouse*',
+      },
     },
 
     // ── Bru & Juan — introduction dialogue ──
@@ -39,6 +39,7 @@ export default {
     firstHarvest:     { title: 'Primera Cosecha',     description: 'Cosecha tu primer cultivo' },
     bountifulHarvest: { title: 'Cosecha Abundante',   description: 'Cosecha 100 cultivos' },
     harvestMaster:    { title: 'Maestro de la Cosecha', description: 'Cosecha 500 cultivos' },
+    giantCrop:        { title: 'Cosecha Gigante',   description: 'Tala un cultivo gigante con el hacha' },
     animalFriend:  { title: 'Amigo Animal',         description: 'Acaricia un animal por primera vez' },
     rancher:       { title: 'Ganadero',             description: 'Alimenta animales 20 veces' },
     firstCoin:     { title: 'Primera Moneda',       description: 'Gana dinero por primera vez' },
@@ -160,6 +161,7 @@ export default {
     seed: 'Semilla',
     crop: 'Cosecha',
     medicine: 'Medicina',
+    vaccine: 'Vacuna',
     animal: 'Animal',
   },
 
@@ -226,6 +228,7 @@ export default {
         food: 'Comida',
         animal_food: 'Alimento Animal',
         medicine: 'Medicina',
+        vaccine: 'Vacuna',
         animal: 'Animal',
         resource: 'Recurso',
         crop: 'Cosecha',
@@ -482,6 +485,20 @@ export default {
     134: 'Ensalada Campestre',
     135: 'Sopa de Calabaza',
     136: 'Ensalada Tropical',
+    137: 'Estiércol',
+    138: 'Compost',
+    139: 'Abono Orgánico',
+    140: 'Aspersor Simple',
+    141: 'Aspersor de Hierro',
+    142: 'Aspersor de Acero',
+    143: 'Insecticida Natural',
+    144: 'Fungicida',
+    145: 'Espantapájaros',
+    146: 'Granero',
+    147: 'Gallinero',
+    148: 'Silo de Pienso',
+    149: 'Trofeo de la Feria',
+    150: 'Cinta Azul de la Cosecha',
     // Ítems varios antes sin traducir (materiales, decoraciones, alimento, quest)
     41: 'Botella de Agua',
     44: 'Maceta',
@@ -498,6 +515,7 @@ export default {
     96: 'Grano para Aves',
     97: 'Maíz Molido y Harina de Soja',
     98: 'Alimento de Calidad',
+    102: 'Pienso para Perro',
     // Medicinas veterinarias (ids 200-207)
     200: 'Desparasitante Rápido',
     201: 'Desparasitante Común',
@@ -507,6 +525,11 @@ export default {
     205: 'Probiótico en Polvo',
     206: 'Antipirético Fuerte',
     207: 'Té Medicinal',
+    // Vacunas (ids 210-213)
+    210: 'Vacuna Antiparasitaria',
+    211: 'Vacuna Respiratoria',
+    212: 'Vacuna Digestiva',
+    213: 'Vacuna contra la Fiebre',
     // Animales vendidos por Rico / panel del cercado (ids 300-308)
     300: 'Pollito',
     301: 'Cordero',
@@ -517,7 +540,8 @@ export default {
     306: 'Pavo',
     307: 'Gallo',
     308: 'Toro',
-    309: 'Gallina'
+    309: 'Gallina',
+    312: 'Perro Pastor'
   },
 
   // Recipe names by ID - para traducción dinámica
@@ -548,7 +572,19 @@ export default {
     animal_treat: 'Golosina Animal',
     cattle_food_trough: 'Comedero de Forraje (Ganado/Oveja)',
     pork_food_trough: 'Comedero de Forraje (Cerdos)',
-    bird_food_trough: 'Comedero de Forraje (Aves)'
+    bird_food_trough: 'Comedero de Forraje (Aves)',
+    compost: 'Compost',
+    fertilizer_manure: 'Abono de Estiércol',
+    fertilizer_compost: 'Abono de Compost',
+    tempered_steel: 'Acero Templado',
+    basic_sprinkler: 'Aspersor Simple',
+    iron_sprinkler: 'Aspersor de Hierro',
+    steel_sprinkler: 'Aspersor de Acero',
+    scarecrow: 'Espantapájaros',
+    barn: 'Granero',
+    coop: 'Gallinero',
+    insecticide: 'Insecticida Natural',
+    fungicide: 'Fungicida'
   },
 
   // General Messages
@@ -670,6 +706,14 @@ export default {
       label: 'Ayuda',
       desc: 'Abrir/cerrar atajos'
     },
+    farmPlanner: {
+      label: 'Planificador',
+      desc: 'Mostrar/ocultar el planificador de la granja'
+    },
+    herdDashboard: {
+      label: 'Rebaño',
+      desc: 'Abrir/cerrar el panel general del rebaño'
+    },
     // Issue #170: human-readable tool type names (toolType field on items).
     // Shown on the inventory details panel as "Type: Axe" etc.
     toolTypes: {
@@ -728,7 +772,8 @@ export default {
     lamb: 'Cordero',
     turkey: 'Pavo',
     goat: 'Cabra',
-    horse: 'Caballo'
+    horse: 'Caballo',
+    dog: 'Perro'
   },
 
   // Animal UI Panel
@@ -744,6 +789,7 @@ export default {
       unguide: 'Dejar de Guiar',
       feed: 'Alimentar',
       collect: 'Recolectar',
+      commands: 'Órdenes',
       close: 'Cerrar'
     },
     stats: {
@@ -785,6 +831,9 @@ export default {
       medicine_mild_reject: 'Hizo mueca, pero la tomó.',
       medicine_reject: '¡Detestó la medicina!',
       medicine_cured: '¡Curado! ✨',
+      vaccinated: '¡Vacunado! 💉',
+      vaccine_sick: 'Ya está enfermo de esto — trátalo primero.',
+      not_vaccine: 'Este objeto no es una vacuna.',
       not_medicine: 'Este objeto no es una medicina.',
       // Feedback del botón Recolectar (mirror de animal.production.*)
       collected: '¡Recolectado!',
@@ -802,6 +851,9 @@ export default {
       empty: 'No hay medicinas en el inventario.',
       emptyFood: 'No hay comida de animal en el inventario.',
       wrongFoodHint: 'Esta comida no es apta para esta especie',
+      vaccine: 'Vacunas',
+      vaccinesTitle: 'Vacunas',
+      emptyVaccine: 'No hay vacunas en el inventario. Alice las vende en la veterinaria.',
     },
     type: {
       unknown: 'Desconocido'
@@ -865,6 +917,190 @@ export default {
       pregnant: 'Embarazada',
       bornFx: '🐣 ¡Nació!',
     },
+    // Genética — genoma mostrado en el panel de info del animal.
+    genetics: {
+      title: 'Genética',
+      generation: 'Generación {n}',
+      genes: {
+        production: 'Producción',
+        temperament: 'Temperamento',
+        resistance: 'Resistencia',
+        longevity: 'Longevidad',
+        coat: 'Pelaje',
+      },
+      tips: {
+        production: 'Alta: produce un día antes. Baja: un día después.',
+        temperament: 'Los animales tranquilos pierden moral más despacio.',
+        resistance: 'Reduce la probabilidad diaria de enfermar.',
+        longevity: 'Cuánto tiempo vive el animal.',
+      },
+      coats: {
+        standard: 'Estándar',
+        light: 'Claro',
+        dark: 'Oscuro',
+        russet: 'Rojizo',
+        smoky: 'Ahumado',
+      },
+    },
+    // Pedigrí — modal del árbol genealógico (panel del animal + memorial).
+    pedigree: {
+      open: 'Árbol genealógico',
+      title: 'Árbol genealógico',
+      close: 'Cerrar',
+      hint: 'Arrastra para mover · rueda para zoom · clic en un animal para centrarlo',
+      zoomIn: 'Acercar',
+      zoomOut: 'Alejar',
+      recenter: 'Recentrar',
+      born: 'Nació el día {day}',
+      founder: 'Fundador',
+      died: '✝ Murió el día {day}',
+      dead: '✝ Fallecido',
+      gone: 'Dejó la granja',
+      empty: 'No hay registros familiares de este animal.',
+      rows: {
+        greatGreatGrandparents: 'Tatarabuelos',
+        greatGrandparents: 'Bisabuelos',
+        grandparents: 'Abuelos',
+        parents: 'Padres',
+        children: 'Crías',
+        grandchildren: 'Nietos',
+        greatGrandchildren: 'Bisnietos',
+        greatGreatGrandchildren: 'Tataranietos',
+      },
+    },
+    // Vacunas (vaccinationSystem) — tarjeta del UiPanel y recordatorio diario
+    vaccine: {
+      cardTitle: 'Vacunas',
+      daysLeft: 'quedan {days}d',
+      reminder: {
+        title: '💉 Recordatorio de vacunación — día {day}',
+        close: 'Cerrar recordatorio',
+        lapsed: 'Inmunidad del rebaño perdida',
+        lapsedRow: '{disease}: solo {vaccinated}/{total} vacunados',
+        expired: 'Vacunas vencidas ({count})',
+        expiredRow: '{name} — {disease}',
+        hint: 'Compra refuerzos con Alice en la veterinaria.',
+      },
+    },
+    // Perro de la granja (dogSystem → dogCommandPanel)
+    dog: {
+      title: '🐕 {name}',
+      close: 'Cerrar',
+      status: 'Ahora: {mode}',
+      sleeping: 'Durmiendo… se despierta a las 6h.',
+      modes: {
+        follow: 'Seguir',
+        stay: 'Quieto',
+        guard: 'Vigilar',
+        herd: 'Pastoreando',
+      },
+      modeTips: {
+        follow: 'Te acompaña a donde vayas.',
+        stay: 'Se queda donde está.',
+        guard: 'Hace la ronda aquí y pasa la noche despierto, ahuyentando zorros.',
+      },
+      herdTitle: 'Llevar al corral',
+      penLabel: 'Corral de destino',
+      herdBtn: 'Llevar',
+      noLoose: 'No hay animales sueltos en la granja.',
+      inHerd: 'en el grupo',
+      bark: '¡Guau!',
+      adopted: '¡Llegó el perro! Haz clic en él para ponerle nombre.',
+      toast: {
+        follow: '{name} te va a seguir.',
+        stay: '{name} se queda aquí.',
+        guard: '{name} está de guardia.',
+        herd: '{name} está llevando {count} animal(es) al {pen}.',
+        refused: '{count} no quiso(ieron) ir.',
+      },
+      errors: {
+        already_have: 'Ya tienes un perro.',
+        no_asset: 'Sprite del perro no disponible.',
+        no_world: 'Mundo no disponible.',
+        spawn_failed: 'El perro no pudo llegar.',
+        no_dog: 'El perro ya no está en la granja.',
+        no_dog_system: 'Sistema no disponible.',
+        sleeping: 'El perro está durmiendo.',
+        no_enclosure: 'No hay corrales cerrados en la granja.',
+        none_joined: 'Ningún animal quiso ir.',
+        unknown_mode: 'Orden desconocida.',
+        generic: 'No funcionó ({reason}).',
+      },
+    },
+    // Informe matutino de los zorros (predatorSystem → predatorReport)
+    predator: {
+      title: '🦊 Zorros anoche — día {day}',
+      close: 'Cerrar',
+      summary: '{count} zorro(s) rondaron la granja.',
+      carried: 'Se llevaron ({count})',
+      injured: 'Heridas ({count})',
+      injuredRow: '{name} — {injury}',
+      noLosses: 'No se perdió ninguna ave.',
+      scared: 'Fueron ahuyentados {count} vez/veces.',
+      hint: 'Encierra las aves en un corral o en el gallinero antes del anochecer.',
+    },
+    // Boletín diario de brote (diseaseSystem → outbreakReport)
+    outbreak: {
+      title: '🦠 Boletín de brote — día {day}',
+      close: 'Cerrar',
+      exposed: 'Expuestos ({count})',
+      fellIll: 'Enfermaron ({count})',
+      route: {
+        contact: '{name} — contacto con {source} ({disease})',
+        pen: '{name} — mismo cercado que {source} ({disease})',
+      },
+      cause: {
+        contagion: '{name} — síntomas tras la incubación',
+        spontaneous: '{name} — clima, hambre o descuido',
+      },
+      unknownDisease: 'sin diagnóstico',
+      blocked: 'La cuarentena bloqueó {count} exposición(es).',
+      hint: 'Aísla a los expuestos en un cercado de cuarentena y lleva a los enfermos a la veterinaria.',
+    },
+    // Panel general del rebaño (herdDashboard) — tabla con todos los animales
+    herd: {
+      title: '🐄 Panel del rebaño',
+      close: 'Cerrar',
+      count: '{shown} de {total} animales',
+      empty: 'Aún no hay animales en la granja.',
+      noMatch: 'Ningún animal coincide con estos filtros.',
+      loose: 'Suelto',
+      hospital: 'Veterinaria ({days}d)',
+      yes: 'Sí',
+      locate: 'Mostrar a {name} en el mapa',
+      locateHospital: 'En la veterinaria — no está en el mapa.',
+      locateAway: 'Vuelve a la granja para localizar animales en el mapa.',
+      columns: {
+        name: 'Nombre',
+        species: 'Especie',
+        stage: 'Edad',
+        hunger: 'Hambre',
+        thirst: 'Sed',
+        moral: 'Moral',
+        injury: 'Herida',
+        disease: 'Enfermedad',
+        pregnant: 'Preñez',
+        product: 'Producto',
+        pen: 'Corral',
+      },
+      filters: {
+        search: 'Buscar por nombre o especie…',
+        species: 'Especie',
+        pen: 'Corral',
+        status: 'Situación',
+        allSpecies: 'Todas las especies',
+        allPens: 'Todos los corrales',
+        hospital: 'En la veterinaria',
+      },
+      status: {
+        all: 'Cualquier situación',
+        attention: 'Necesita atención',
+        sick: 'Enfermos',
+        injured: 'Heridos',
+        pregnant: 'Preñadas',
+        product: 'Producto listo',
+      },
+    },
     // Tumba / memorial — cuando animal muere de viejo, aparece tumba
     // y el clic abre un panel con sus datos.
     tomb: {
@@ -885,7 +1121,72 @@ export default {
     potato: 'Papa',
     tomato: 'Tomate',
     pumpkin: 'Calabaza',
-    cabbage: 'Repollo'
+    cabbage: 'Repollo',
+    outOfSeason: '{name} solo se puede plantar en: {seasons}',
+    outOfSeasonShort: 'Fuera de temporada',
+    plantIn: 'Plantar en: {seasons}',
+    daysLeft: '{days} día(s) para cosechar',
+    readyToHarvest: 'Listo para cosechar',
+    witheredBySeason: '{count} cultivo(s) se marchitaron con el cambio de estación',
+    pestOutbreak: '¡Plagas en {count} planta(s)!',
+    pestTreated: 'Tratamiento aplicado: {pest}',
+    wrongTreatment: 'Este rociador no cura {pest}',
+    pestSymptom: 'Enferma: {pest}',
+    giantFormed: '¡Un cultivo gigante de {name} creció en tu campo!',
+    giantName: '{name} gigante',
+    giantNeedsAxe: 'Gigante — usa el hacha para cosechar',
+    giantHarvested: 'Cosecha gigante: {qty}x {name}',
+    pests: {
+      aphids: 'Pulgones',
+      blight: 'Tizón'
+    }
+  },
+
+  // Fruit trees (fruitTreeSystem.js)
+  fruitTrees: {
+    planted: '{name} plantado — tarda unas semanas en dar fruto',
+    noRoom: 'No hay espacio para un árbol aquí',
+    growing: '{name} aún está creciendo ({days} día(s) para madurar)',
+    noFruit: '{name} no tiene frutos ahora — fructifica en: {seasons}',
+    harvested: 'Recogiste {qty}x {name}',
+    confirmChop: '¿Talar este {name} adulto? Da frutos todos los años.'
+  },
+
+  // Crows (crowSystem) — dawn raids on unprotected fields
+  crows: {
+    raided: '¡Los cuervos atacaron el campo al amanecer y se comieron {count} planta(s)!',
+    scaredAway: 'Los cuervos vinieron al amanecer, pero los espantapájaros los alejaron de los cultivos'
+  },
+
+  // Farm planner overlay (farmPlanner.js)
+  farmPlanner: {
+    title: '🗓️ Planificador',
+    close: 'Cerrar planificador',
+    modes: {
+      harvest: 'Cosecha',
+      water: 'Agua',
+      risk: 'Riesgo'
+    },
+    legend: {
+      harvest: { ready: 'Lista', soon: 'Hoy/mañana', week: 'Esta semana', later: 'Más tarde', giant: 'Gigante (hacha)' },
+      water: { full: 'Regada', half: 'Media agua', dry: 'Seca', none: 'No necesita agua' },
+      risk: { low: 'Segura', medium: 'Atención', high: 'Marchitándose' }
+    },
+    summary: '{plants} planta(s) · {ready} lista(s) · {thirsty} necesitan agua · {atRisk} en riesgo',
+    upcoming: 'Próximas cosechas',
+    today: 'Hoy',
+    tomorrow: 'Mañana',
+    inDays: 'En {days} días',
+    plants: '{count}x {name}',
+    yield: '{range} {item}',
+    noCrops: 'Aún no hay nada plantado.',
+    nothingSoon: 'Sin cosechas en los próximos {days} días.'
+  },
+
+  // Harvest quality tiers (itemQuality.js)
+  quality: {
+    silver: 'Plata',
+    gold: 'Oro'
   },
 
   // UI Elements
@@ -914,6 +1215,7 @@ export default {
     inventoryNotAvailable: '🎒 Sistema de inventario no disponible',
     done: 'Hecho',
     minimapToggle: 'Alternar minimapa (M)',
+    minimapScarecrows: 'Mostrar cobertura de espantapájaros',
     click: 'clic',
     rightClick: 'clic der',
   },
@@ -1088,6 +1390,29 @@ export default {
       premiumSuccess: 'Especial añadido',
     },
   },
+  silo: {
+    deposited: '{count} de pienso guardado en el silo',
+    compacted: '{raw} de heno cosechado compactado en {count} Heno en el silo',
+    shortage: 'El silo se quedó sin pienso para {count} comedero(s)',
+    errors: {
+      full: 'El silo está lleno',
+      no_feed: 'No tienes pienso para comederos en el inventario',
+      no_raw_hay: 'Necesitas al menos 3 de Heno Cosechado',
+      no_inventory: 'Inventario no disponible',
+    },
+    panel: {
+      title: 'Silo de Pienso',
+      close: 'Cerrar',
+      levelName: 'Pienso guardado',
+      empty: 'Vacío — deposita pienso o heno cosechado',
+      troughs: 'Rellena {count} comedero(s) de este corral cada mañana',
+      noEnclosure: 'Fuera de un corral: solo abastece comederos del mismo corral',
+      lastReport: 'Última mañana: {fed} ración(es) repartida(s).',
+      lastShort: 'Faltó pienso para {count} comedero(s).',
+      depositBtn: 'Depositar pienso',
+      compactBtn: 'Compactar heno cosechado',
+    },
+  },
   waterTrough: {
     needBucket: 'Necesitas un balde con agua',
     filled: 'Abrevadero llenado',
@@ -1229,6 +1554,8 @@ export default {
     wellLoading: 'sistema de pozos cargando...',
     placed: '¡colocado! ({remaining} restante)',
     placeError: 'error al colocar objeto',
+    sprinklerOnCrop: 'no se puede poner un aspersor sobre un cultivo',
+    scarecrowOnCrop: 'no se puede poner un espantapájaros sobre un cultivo',
     worldNotAvailable: 'error: theWorld.addWorldObject no disponible',
     variant: 'variante: {name}',
     notAvailable: 'Función de construcción no disponible.',
@@ -1264,6 +1591,7 @@ export default {
       cardMeta: '{price} · {count} en el cercado',
       speciesLimitTitle: 'Límite de {max} especies alcanzado',
       noMoneyTitle: 'Saldo insuficiente',
+      herdBtn: '🐄 Rebaño ({count})',
       toast: {
         added: '¡{name} agregado!',
         speciesLimit: 'Límite de {max} especies diferentes en este cercado.',
@@ -1278,6 +1606,50 @@ export default {
         generic: 'Falla ({reason}).',
       },
     },
+    livestock: {
+      title: 'Rebaño — {pen}',
+      close: 'Cerrar',
+      count: '{count} animales',
+      empty: 'Todavía no hay animales en este cercado.',
+      buyBtn: '+ Comprar',
+      penLabel: 'Cercado {n}',
+      quarantineOn: '🩺 Cuarentena',
+      quarantineOff: 'Marcar cuarentena',
+      quarantineTitle: 'Los animales enfermos pueden enviarse aquí.',
+      meta: '{species} · {stage} · {health}',
+      health: {
+        healthy: 'sano',
+        sick: 'enfermo',
+        injured: 'herido',
+        exposed: 'expuesto',
+      },
+      sellBtn: 'Vender {price}',
+      sellTitle: 'Venderle de vuelta a Rico',
+      sellConfirm: '¿Confirmar?',
+      moveLabel: 'Mover a',
+      moveBtn: 'Mover',
+      noOtherPens: 'No hay otro cercado.',
+      quarantineBtn: '🩺 Aislar',
+      toast: {
+        sold: '{name} vendido a Rico por {price}.',
+        moved: '{name} se movió al {pen}.',
+        quarantined: '{name} aislado en el {pen}.',
+        quarantineSet: '{pen} ahora es cuarentena.',
+        quarantineCleared: '{pen} ya no es cuarentena.',
+      },
+      errors: {
+        not_found: 'Animal no encontrado.',
+        no_enclosure: 'Cercado no encontrado.',
+        same_enclosure: 'El animal ya está en ese cercado.',
+        species_limit: 'El cercado de destino ya tiene 3 especies.',
+        no_cells: 'Cercado sin celdas interiores.',
+        species: 'Rico no compra esta especie.',
+        no_currency_system: 'Sistema de moneda no disponible.',
+        remove_failed: 'Falla al sacar el animal del mundo.',
+        no_quarantine: 'Marca otro cercado como cuarentena primero.',
+        generic: 'Falla ({reason}).',
+      },
+    },
   },
 
   // Misiones
@@ -1431,6 +1803,7 @@ export default {
       two:   'Diagnosticar',
       three: 'Hospitalizar',
       four:  'Medicinas',
+      five:  'Vacunas',
     },
     dialogue: {
       hint: 'Haz clic para continuar',
@@ -1481,6 +1854,18 @@ export default {
       inventoryFull: 'Inventario lleno.',
       boughtToast: 'Comprado: {name} (${value})',
     },
+    vaccine: {
+      title: 'Vacunas',
+      back: '← Volver',
+      intro: 'Más vale prevenir: un animal vacunado casi no contrae esa enfermedad. Mantén al menos el {percent}% del rebaño cubierto.',
+      protects: 'Protege contra {disease} durante {days} días',
+      coverage: 'Rebaño: {vaccinated}/{total} vacunados',
+      buyBtn: 'Comprar (${value})',
+      noMoney: 'Saldo insuficiente (${value}).',
+      inventoryFull: 'Inventario lleno.',
+      unavailable: 'Tienda no disponible ahora.',
+      boughtToast: 'Comprado: {name} (${value}). Aplícala en el animal: Alimentar → Vacunas.',
+    },
   },
 
   // Hospital / Hospitalización — flujos del botón Hospitalizar del vet
@@ -1515,6 +1900,78 @@ export default {
       recovering: '{total} en recuperación',
     },
   },
+  // Matadero — panel abierto desde el mapa de viaje (slaughterhouseSystem.js)
+  slaughterhouse: {
+    title: 'Matadero',
+    subtitle: 'Carne y cuero pagados según especie, edad y salud',
+    close: 'Cerrar',
+    closeHint: 'Pulsa ESC para cerrar',
+    animalsTitle: 'Animales de la granja',
+    historyTitle: 'Historial de ventas',
+    historySummary: '{count} venta(s) · {total} recibidos',
+    historyEmpty: 'Todavía no hay ventas en esta partida.',
+    empty: 'No hay animales en la granja.',
+    priceFormat: '$ {value}',
+    day: 'Día {day}',
+    sellBtn: 'Vender',
+    products: {
+      meat: 'Carne',
+      leather: 'Cuero',
+      feathers: 'Plumas',
+    },
+    health: {
+      good: 'Sano',
+      fair: 'Flaco',
+      sick: 'Enfermo (precio reducido)',
+    },
+    blocked: {
+      young: 'Cría — todavía no tiene edad.',
+      injured: 'Herido — trátalo antes en el veterinario.',
+      hospitalized: 'Internado en el veterinario.',
+      species: 'El matadero no compra esta especie.',
+      not_found: 'Animal no encontrado.',
+      no_currency_system: 'Sistema de moneda no disponible.',
+      remove_failed: 'No se pudo llevar al animal.',
+    },
+    confirm: {
+      message: '¿Vender {name} al matadero?',
+      total: 'Total',
+      warning: 'Esta acción no se puede deshacer.',
+      cancel: 'Cancelar',
+      confirm: 'Vender',
+    },
+    toast: {
+      sold: '{name} vendido por {total}.',
+    },
+  },
+  // Feria del condado (fairSystem)
+  fair: {
+    judgeName: 'Juez de la Feria',
+    today: '¡Hoy llega a la ciudad la feria del condado de {season}!',
+    errors: {
+      not_fair_day: 'Hoy no hay feria.',
+      not_in_city: 'La feria se celebra en la ciudad.',
+      already_entered: 'Ya compitió en esta feria.',
+      no_entry: '¿Nada que juzgar? ¡Vuelva con un animal o una cosecha!',
+      no_animal: 'No se encontró ese animal en su granja.',
+      no_crop: 'Ya no tiene ese producto de la cosecha.',
+    },
+    dialogue: {
+      welcome: '¡Bienvenido a la feria del condado de {season}! Un animal y un producto de la cosecha por granja.',
+      askAnimal: '¿Qué animal inscribe en la muestra de ganado?',
+      noAnimal: 'Esta vez sin animal',
+      later: 'Quizás después',
+      askCrop: '¿Y para el concurso de cosecha?',
+      noCrop: 'Esta vez sin cosecha',
+      livestockResult: 'Ganado: {name} obtuvo {score} puntos y quedó en el puesto {place}. Campeón: {winner} ({winnerScore}).',
+      produceResult: 'Cosecha: {name} obtuvo {score} puntos y quedó en el puesto {place}. Campeón: {winner} ({winnerScore}).',
+      prizeCoins: '{coins} monedas',
+      prizeXp: '{xp} XP',
+      prizes: '*Premios recibidos:* {list}',
+      alreadyJudged: 'Sus inscripciones ya fueron juzgadas. Estos son los resultados:',
+      goodbye: '¡Nos vemos en la feria de la próxima estación!',
+    },
+  },
   // NPC Bartolomeu dialogues
   npc: {
     bartolomeu: {
@@ -1841,6 +2298,25 @@ export default {
           l4: '*sonríe* Cuente con ello, vendré.',
         },
       },
+      // Camada de Madalena — final opcional (catSystem)
+      kitten: {
+        litter: '¡Ah! Antes de que te vayas... Madalena tuvo gatitos hace unas semanas. *te muestra una cesta de gatitos dormidos*',
+        offer: '¿Te gustaría llevarte uno a casa? ¡Una granja es el mejor lugar para que crezca un gatito!',
+        askAgain: 'Por cierto, cariño... uno de los gatitos de Madalena todavía espera un hogar. ¿Te interesa?',
+        choiceAdopt: '¡Me encantaría!',
+        choiceLater: 'Quizás en otro momento.',
+        adopted: '¡Qué maravilla! Esta es {name}. Yo te la llevo, ¡te estará esperando en la puerta de tu casa!',
+        later: 'Está bien, cariño. Si cambias de idea, ¡solo pídelo!',
+        greet: '*{name} se frota contra tus piernas y ronronea*',
+        choicePet: 'Acariciar a {name}',
+        choiceFollow: '¡Ven conmigo!',
+        choiceStay: 'Vuelve a la casa.',
+        choiceLeave: 'Salir',
+        petted: '*{name} ronronea y amasa tu mano. Qué buen descanso.* (+{energy} de energía)',
+        alreadyPetted: '*{name} ya recibió sus mimos hoy y solo mueve la cola.*',
+        following: '*{name} trota detrás de ti*',
+        staying: '*{name} vuelve hacia la casa*',
+      },
     },
 
     // ── Bru & Juan — diálogo de introducción ──
@@ -39,6 +39,7 @@ export default {
     firstHarvest:     { title: 'Primeira Colheita',   description: 'Colha sua primeira plantação' },
     bountifulHarvest: { title: 'Colheita Farta',      description: 'Colha 100 plantações' },
     harvestMaster:    { title: 'Mestre da Colheita',  description: 'Colha 500 plantações' },
+    giantCrop:        { title: 'Colheita Gigante',    description: 'Derrube uma plantação gigante com o machado' },
     animalFriend:  { title: 'Amigo dos Animais',     description: 'Acaricie um animal pela primeira vez' },
     rancher:       { title: 'Fazendeiro',            description: 'Alimente animais 20 vezes' },
     firstCoin:     { title: 'Primeira Moeda',        description: 'Ganhe dinheiro pela primeira vez' },
@@ -160,6 +161,7 @@ export default {
     seed: 'Semente',
     crop: 'Colheita',
     medicine: 'Remédio',
+    vaccine: 'Vacina',
     animal: 'Animal',
   },
 
@@ -226,6 +228,7 @@ export default {
         food: 'Comida',
         animal_food: 'Ração',
         medicine: 'Remédio',
+        vaccine: 'Vacina',
         animal: 'Animal',
         resource: 'Recurso',
         crop: 'Colheita',
@@ -482,6 +485,20 @@ export default {
     134: 'Salada Campestre',
     135: 'Sopa de Abóbora',
     136: 'Salada Tropical',
+    137: 'Esterco',
+    138: 'Composto',
+    139: 'Adubo Orgânico',
+    140: 'Irrigador Simples',
+    141: 'Irrigador de Ferro',
+    142: 'Irrigador de Aço',
+    143: 'Inseticida Natural',
+    144: 'Fungicida',
+    145: 'Espantalho',
+    146: 'Celeiro',
+    147: 'Galinheiro',
+    148: 'Silo de Ração',
+    149: 'Troféu da Feira',
+    150: 'Faixa Azul da Colheita',
     // Itens diversos sem tradução prévia (materiais, decorações, rações, quest)
     41: 'Garrafa com Água',
     44: 'Vaso de Flores',
@@ -498,6 +515,7 @@ export default {
     96: 'Grãos para Aves',
     97: 'Milho Moído e Farelo de Soja',
     98: 'Ração de Qualidade',
+    102: 'Ração para Cão',
     // Remédios veterinários (ids 200-207)
     200: 'Vermífugo Rápido',
     201: 'Vermífugo Comum',
@@ -507,6 +525,11 @@ export default {
     205: 'Probiótico em Pó',
     206: 'Antitérmico Forte',
     207: 'Chá Medicinal',
+    // Vacinas (ids 210-213)
+    210: 'Vacina Antiparasitária',
+    211: 'Vacina Respiratória',
+    212: 'Vacina Digestiva',
+    213: 'Vacina contra Febre',
     // Animais vendidos pelo Rico / painel do cercado (ids 300-308)
     300: 'Pintinho',
     301: 'Cordeiro',
@@ -517,7 +540,8 @@ export default {
     306: 'Peru',
     307: 'Galo',
     308: 'Touro',
-    309: 'Galinha'
+    309: 'Galinha',
+    312: 'Cão Pastor'
   },
 
   // Recipe names by ID - para tradução dinâmica
@@ -548,7 +572,19 @@ export default {
     animal_treat: 'Petisco Animal',
     cattle_food_trough: 'Cocho de Ração (Gado/Ovelha)',
     pork_food_trough: 'Cocho de Ração (Suínos)',
-    bird_food_trough: 'Cocho de Ração (Aves)'
+    bird_food_trough: 'Cocho de Ração (Aves)',
+    compost: 'Composto',
+    fertilizer_manure: 'Adubo de Esterco',
+    fertilizer_compost: 'Adubo de Composto',
+    tempered_steel: 'Aço Temperado',
+    basic_sprinkler: 'Irrigador Simples',
+    iron_sprinkler: 'Irrigador de Ferro',
+    steel_sprinkler: 'Irrigador de Aço',
+    scarecrow: 'Espantalho',
+    barn: 'Celeiro',
+    coop: 'Galinheiro',
+    insecticide: 'Inseticida Natural',
+    fungicide: 'Fungicida'
   },
 
   // General Messages
@@ -669,6 +705,14 @@ export default {
       label: 'Ajuda',
       desc: 'Abrir/fechar atalhos'
     },
+    farmPlanner: {
+      label: 'Planejador',
+      desc: 'Mostrar/ocultar o planejador da plantação'
+    },
+    herdDashboard: {
+      label: 'Rebanho',
+      desc: 'Abrir/fechar o painel geral do rebanho'
+    },
     // Issue #170: human-readable tool type names (toolType field on items).
     // Shown on the inventory details panel as "Type: Axe" etc.
     toolTypes: {
@@ -727,7 +771,8 @@ export default {
     lamb: 'Cordeiro',
     turkey: 'Peru',
     goat: 'Cabra',
-    horse: 'Cavalo'
+    horse: 'Cavalo',
+    dog: 'Cão'
   },
 
   // Animal UI Panel
@@ -743,6 +788,7 @@ export default {
       unguide: 'Parar de Guiar',
       feed: 'Alimentar',
       collect: 'Coletar',
+      commands: 'Comandos',
       close: 'Fechar'
     },
     stats: {
@@ -784,6 +830,9 @@ export default {
       medicine_mild_reject: 'Fez careta, mas tomou.',
       medicine_reject: 'Detestou o remédio!',
       medicine_cured: 'Curado! ✨',
+      vaccinated: 'Vacinado! 💉',
+      vaccine_sick: 'Já está doente disso — trate primeiro.',
+      not_vaccine: 'Este item não é uma vacina.',
       not_medicine: 'Esse item não é um remédio.',
       // Mensagens do botão Coletar (mirror das chaves animal.production.*)
       collected: 'Coletou!',
@@ -801,6 +850,9 @@ export default {
       empty: 'Nenhum remédio no inventário.',
       emptyFood: 'Nenhum alimento no inventário.',
       wrongFoodHint: 'Esta comida não serve pra esta espécie',
+      vaccine: 'Vacinas',
+      vaccinesTitle: 'Vacinas',
+      emptyVaccine: 'Nenhuma vacina no inventário. A Alice vende na veterinária.',
     },
     type: {
       unknown: 'Desconhecido'
@@ -864,6 +916,190 @@ export default {
       pregnant: 'Grávida',
       bornFx: '🐣 Nasceu!',
     },
+    // Genética — genoma exibido no painel de info do animal.
+    genetics: {
+      title: 'Genética',
+      generation: 'Geração {n}',
+      genes: {
+        production: 'Produção',
+        temperament: 'Temperamento',
+        resistance: 'Resistência',
+        longevity: 'Longevidade',
+        coat: 'Pelagem',
+      },
+      tips: {
+        production: 'Alta: produz um dia antes. Baixa: um dia depois.',
+        temperament: 'Animais calmos perdem moral mais devagar.',
+        resistance: 'Diminui a chance diária de adoecer.',
+        longevity: 'Quanto tempo o animal vive.',
+      },
+      coats: {
+        standard: 'Padrão',
+        light: 'Clara',
+        dark: 'Escura',
+        russet: 'Ruiva',
+        smoky: 'Fumaça',
+      },
+    },
+    // Pedigree — modal da árvore genealógica (painel do animal + memorial).
+    pedigree: {
+      open: 'Árvore genealógica',
+      title: 'Árvore genealógica',
+      close: 'Fechar',
+      hint: 'Arraste para mover · role para dar zoom · clique num animal para centralizar',
+      zoomIn: 'Aproximar',
+      zoomOut: 'Afastar',
+      recenter: 'Recentralizar',
+      born: 'Nasceu no dia {day}',
+      founder: 'Fundador',
+      died: '✝ Morreu no dia {day}',
+      dead: '✝ Falecido',
+      gone: 'Saiu da fazenda',
+      empty: 'Nenhum registro de família para este animal.',
+      rows: {
+        greatGreatGrandparents: 'Trisavós',
+        greatGrandparents: 'Bisavós',
+        grandparents: 'Avós',
+        parents: 'Pais',
+        children: 'Filhotes',
+        grandchildren: 'Netos',
+        greatGrandchildren: 'Bisnetos',
+        greatGreatGrandchildren: 'Trinetos',
+      },
+    },
+    // Vacinas (vaccinationSystem) — cartão do UiPanel e lembrete diário
+    vaccine: {
+      cardTitle: 'Vacinas',
+      daysLeft: 'faltam {days}d',
+      reminder: {
+        title: '💉 Lembrete de vacinação — dia {day}',
+        close: 'Fechar lembrete',
+        lapsed: 'Rebanho perdeu a imunidade',
+        lapsedRow: '{disease}: só {vaccinated}/{total} vacinados',
+        expired: 'Vacinas vencidas ({count})',
+        expiredRow: '{name} — {disease}',
+        hint: 'Compre o reforço com a Alice na veterinária.',
+      },
+    },
+    // Cão da fazenda (dogSystem → dogCommandPanel)
+    dog: {
+      title: '🐕 {name}',
+      close: 'Fechar',
+      status: 'Agora: {mode}',
+      sleeping: 'Dormindo… só acorda às 6h.',
+      modes: {
+        follow: 'Seguir',
+        stay: 'Ficar',
+        guard: 'Vigiar',
+        herd: 'Pastoreando',
+      },
+      modeTips: {
+        follow: 'Vem atrás de você por onde for.',
+        stay: 'Fica parado onde está.',
+        guard: 'Faz ronda aqui e passa a noite acordado, espantando raposas.',
+      },
+      herdTitle: 'Levar pro cercado',
+      penLabel: 'Cercado de destino',
+      herdBtn: 'Levar',
+      noLoose: 'Nenhum animal solto pela fazenda.',
+      inHerd: 'no grupo',
+      bark: 'Au au!',
+      adopted: 'O cão chegou! Clique nele pra dar um nome.',
+      toast: {
+        follow: '{name} vai te seguir.',
+        stay: '{name} fica aqui.',
+        guard: '{name} está de guarda.',
+        herd: '{name} está levando {count} animal(is) pro {pen}.',
+        refused: '{count} não quis(eram) ir.',
+      },
+      errors: {
+        already_have: 'Você já tem um cão.',
+        no_asset: 'Sprite do cão indisponível.',
+        no_world: 'Mundo indisponível.',
+        spawn_failed: 'O cão não conseguiu chegar.',
+        no_dog: 'O cão não está mais na fazenda.',
+        no_dog_system: 'Sistema indisponível.',
+        sleeping: 'O cão está dormindo.',
+        no_enclosure: 'Nenhum cercado fechado na fazenda.',
+        none_joined: 'Nenhum animal aceitou ir.',
+        unknown_mode: 'Comando desconhecido.',
+        generic: 'Não deu certo ({reason}).',
+      },
+    },
+    // Relatório da manhã das raposas (predatorSystem → predatorReport)
+    predator: {
+      title: '🦊 Raposas esta noite — dia {day}',
+      close: 'Fechar',
+      summary: '{count} raposa(s) rondaram a fazenda.',
+      carried: 'Levadas ({count})',
+      injured: 'Feridas ({count})',
+      injuredRow: '{name} — {injury}',
+      noLosses: 'Nenhuma ave foi perdida.',
+      scared: 'Foram espantadas {count} vez(es).',
+      hint: 'Feche as aves num cercado ou no galinheiro antes de anoitecer.',
+    },
+    // Boletim diário de surto (diseaseSystem → outbreakReport)
+    outbreak: {
+      title: '🦠 Boletim de surto — dia {day}',
+      close: 'Fechar',
+      exposed: 'Expostos ({count})',
+      fellIll: 'Adoeceram ({count})',
+      route: {
+        contact: '{name} — contato com {source} ({disease})',
+        pen: '{name} — mesmo cercado que {source} ({disease})',
+      },
+      cause: {
+        contagion: '{name} — sintomas após a incubação',
+        spontaneous: '{name} — clima, fome ou falta de cuidado',
+      },
+      unknownDisease: 'sem diagnóstico',
+      blocked: 'A quarentena barrou {count} exposição(ões).',
+      hint: 'Isole os expostos num cercado de quarentena e leve os doentes à vet.',
+    },
+    // Painel geral do rebanho (herdDashboard) — tabela com todos os animais
+    herd: {
+      title: '🐄 Painel do rebanho',
+      close: 'Fechar',
+      count: '{shown} de {total} animais',
+      empty: 'Ainda não há animais na fazenda.',
+      noMatch: 'Nenhum animal bate com esses filtros.',
+      loose: 'Solto',
+      hospital: 'Veterinária ({days}d)',
+      yes: 'Sim',
+      locate: 'Mostrar {name} no mapa',
+      locateHospital: 'Na veterinária — fora do mapa.',
+      locateAway: 'Volte pra fazenda pra localizar animais no mapa.',
+      columns: {
+        name: 'Nome',
+        species: 'Espécie',
+        stage: 'Idade',
+        hunger: 'Fome',
+        thirst: 'Sede',
+        moral: 'Moral',
+        injury: 'Ferimento',
+        disease: 'Doença',
+        pregnant: 'Prenhez',
+        product: 'Produto',
+        pen: 'Cercado',
+      },
+      filters: {
+        search: 'Buscar por nome ou espécie…',
+        species: 'Espécie',
+        pen: 'Cercado',
+        status: 'Situação',
+        allSpecies: 'Todas as espécies',
+        allPens: 'Todos os cercados',
+        hospital: 'Na veterinária',
+      },
+      status: {
+        all: 'Qualquer situação',
+        attention: 'Precisa de atenção',
+        sick: 'Doentes',
+        injured: 'Feridos',
+        pregnant: 'Prenhes',
+        product: 'Produto pronto',
+      },
+    },
     // Tumba / memorial — quando animal morre de velhice, tumba aparece
     // no lugar e clique abre card com os dados.
     tomb: {
@@ -884,7 +1120,72 @@ export default {
     potato: 'Batata',
     tomato: 'Tomate',
     pumpkin: 'Abóbora',
-    cabbage: 'Repolho'
+    cabbage: 'Repolho',
+    outOfSeason: '{name} só pode ser plantado em: {seasons}',
+    outOfSeasonShort: 'Fora de estação',
+    plantIn: 'Plante em: {seasons}',
+    daysLeft: '{days} dia(s) para colher',
+    readyToHarvest: 'Pronto para colher',
+    witheredBySeason: '{count} planta(s) murcharam com a troca de estação',
+    pestOutbreak: 'Pragas em {count} planta(s)!',
+    pestTreated: 'Tratamento aplicado: {pest}',
+    wrongTreatment: 'Esta calda não cura {pest}',
+    pestSymptom: 'Doente: {pest}',
+    giantFormed: 'Uma plantação gigante de {name} cresceu no seu campo!',
+    giantName: '{name} gigante',
+    giantNeedsAxe: 'Gigante — use o machado para colher',
+    giantHarvested: 'Colheita gigante: {qty}x {name}',
+    pests: {
+      aphids: 'Pulgões',
+      blight: 'Requeima'
+    }
+  },
+
+  // Fruit trees (fruitTreeSystem.js)
+  fruitTrees: {
+    planted: '{name} plantada — leva algumas semanas para dar frutos',
+    noRoom: 'Não há espaço para uma árvore aqui',
+    growing: '{name} ainda está crescendo ({days} dia(s) para amadurecer)',
+    noFruit: '{name} sem frutos agora — frutifica em: {seasons}',
+    harvested: 'Colheu {qty}x {name}',
+    confirmChop: 'Cortar esta {name} adulta? Ela dá frutos todo ano.'
+  },
+
+  // Crows (crowSystem) — dawn raids on unprotected fields
+  crows: {
+    raided: 'Corvos atacaram a plantação ao amanhecer e comeram {count} planta(s)!',
+    scaredAway: 'Os corvos vieram ao amanhecer, mas os espantalhos os afastaram da plantação'
+  },
+
+  // Farm planner overlay (farmPlanner.js)
+  farmPlanner: {
+    title: '🗓️ Planejador',
+    close: 'Fechar planejador',
+    modes: {
+      harvest: 'Colheita',
+      water: 'Água',
+      risk: 'Risco'
+    },
+    legend: {
+      harvest: { ready: 'Pronta', soon: 'Hoje/amanhã', week: 'Esta semana', later: 'Mais tarde', giant: 'Gigante (machado)' },
+      water: { full: 'Regada', half: 'Meia água', dry: 'Seca', none: 'Não precisa de água' },
+      risk: { low: 'Segura', medium: 'Atenção', high: 'Murchando' }
+    },
+    summary: '{plants} planta(s) · {ready} pronta(s) · {thirsty} precisam de água · {atRisk} em risco',
+    upcoming: 'Próximas colheitas',
+    today: 'Hoje',
+    tomorrow: 'Amanhã',
+    inDays: 'Em {days} dias',
+    plants: '{count}x {name}',
+    yield: '{range} {item}',
+    noCrops: 'Nada plantado ainda.',
+    nothingSoon: 'Nenhuma colheita nos próximos {days} dias.'
+  },
+
+  // Harvest quality tiers (itemQuality.js)
+  quality: {
+    silver: 'Prata',
+    gold: 'Ouro'
   },
 
   // UI Elements
@@ -913,6 +1214,7 @@ export default {
     inventoryNotAvailable: '🎒 Sistema de inventário não disponível',
     done: 'Concluir',
     minimapToggle: 'Alternar minimapa (M)',
+    minimapScarecrows: 'Mostrar alcance dos espantalhos',
     click: 'clique',
     rightClick: 'clique dir',
   },
@@ -1087,6 +1389,29 @@ export default {
       premiumSuccess: 'Especial adicionado',
     },
   },
+  silo: {
+    deposited: '{count} de ração guardada no silo',
+    compacted: '{raw} de feno colhido compactado em {count} Feno no silo',
+    shortage: 'O silo ficou sem ração para {count} cocho(s)',
+    errors: {
+      full: 'O silo está cheio',
+      no_feed: 'Nenhuma ração de cocho no inventário',
+      no_raw_hay: 'Precisa de pelo menos 3 Feno Colhido',
+      no_inventory: 'Inventário indisponível',
+    },
+    panel: {
+      title: 'Silo de Ração',
+      close: 'Fechar',
+      levelName: 'Ração guardada',
+      empty: 'Vazio — deposite ração ou feno colhido',
+      troughs: 'Reabastece {count} cocho(s) deste cercado toda manhã',
+      noEnclosure: 'Fora de um cercado: só abastece cochos do mesmo cercado',
+      lastReport: 'Última manhã: {fed} porção(ões) servida(s).',
+      lastShort: 'Faltou ração para {count} cocho(s).',
+      depositBtn: 'Depositar ração',
+      compactBtn: 'Compactar feno colhido',
+    },
+  },
   waterTrough: {
     needBucket: 'Precisa de um balde com água',
     filled: 'Cocho abastecido',
@@ -1228,6 +1553,8 @@ export default {
     wellLoading: 'sistema de poços carregando...',
     placed: 'colocado! ({remaining} restante)',
     placeError: 'erro ao colocar objeto',
+    sprinklerOnCrop: 'não dá pra colocar irrigador em cima de plantação',
+    scarecrowOnCrop: 'não dá pra colocar espantalho em cima de plantação',
     worldNotAvailable: 'erro: theWorld.addWorldObject não disponível',
     variant: 'variante: {name}',
     notAvailable: 'Função de construção não disponível.',
@@ -1263,6 +1590,7 @@ export default {
       cardMeta: '{price} · {count} no cercado',
       speciesLimitTitle: 'Limite de {max} espécies atingido',
       noMoneyTitle: 'Saldo insuficiente',
+      herdBtn: '🐄 Rebanho ({count})',
       toast: {
         added: '{name} adicionado!',
         speciesLimit: 'Limite de {max} espécies diferentes neste cercado.',
@@ -1277,6 +1605,50 @@ export default {
         generic: 'Falha ({reason}).',
       },
     },
+    livestock: {
+      title: 'Rebanho — {pen}',
+      close: 'Fechar',
+      count: '{count} animais',
+      empty: 'Nenhum animal neste cercado ainda.',
+      buyBtn: '+ Comprar',
+      penLabel: 'Cercado {n}',
+      quarantineOn: '🩺 Quarentena',
+      quarantineOff: 'Marcar quarentena',
+      quarantineTitle: 'Animais doentes podem ser mandados pra cá.',
+      meta: '{species} · {stage} · {health}',
+      health: {
+        healthy: 'saudável',
+        sick: 'doente',
+        injured: 'ferido',
+        exposed: 'exposto',
+      },
+      sellBtn: 'Vender {price}',
+      sellTitle: 'Vender de volta pro Rico',
+      sellConfirm: 'Confirmar?',
+      moveLabel: 'Mover para',
+      moveBtn: 'Mover',
+      noOtherPens: 'Não há outro cercado.',
+      quarantineBtn: '🩺 Isolar',
+      toast: {
+        sold: '{name} vendido ao Rico por {price}.',
+        moved: '{name} foi para o {pen}.',
+        quarantined: '{name} foi isolado no {pen}.',
+        quarantineSet: '{pen} agora é quarentena.',
+        quarantineCleared: '{pen} não é mais quarentena.',
+      },
+      errors: {
+        not_found: 'Animal não encontrado.',
+        no_enclosure: 'Cercado não encontrado.',
+        same_enclosure: 'O animal já está nesse cercado.',
+        species_limit: 'O cercado de destino já tem 3 espécies.',
+        no_cells: 'Cercado sem células interiores.',
+        species: 'O Rico não compra essa espécie.',
+        no_currency_system: 'Sistema de moeda indisponível.',
+        remove_failed: 'Falha ao tirar o animal do mundo.',
+        no_quarantine: 'Marque outro cercado como quarentena primeiro.',
+        generic: 'Falha ({reason}).',
+      },
+    },
   },
 
   // Quests
@@ -1430,6 +1802,7 @@ export default {
       two:   'Diagnosticar',
       three: 'Internar',
       four:  'Remédios',
+      five:  'Vacinas',
     },
     dialogue: {
       hint: 'Clique para continuar',
@@ -1480,6 +1853,18 @@ export default {
       inventoryFull: 'Inventário cheio.',
       boughtToast: 'Comprou: {name} (R$ {value})',
     },
+    vaccine: {
+      title: 'Vacinas',
+      back: '← Voltar',
+      intro: 'Melhor prevenir: animal vacinado quase não pega aquela doença. Mantenha pelo menos {percent}% do rebanho coberto.',
+      protects: 'Protege contra {disease} por {days} dias',
+      coverage: 'Rebanho: {vaccinated}/{total} vacinados',
+      buyBtn: 'Comprar (R$ {value})',
+      noMoney: 'Saldo insuficiente (R$ {value}).',
+      inventoryFull: 'Inventário cheio.',
+      unavailable: 'Loja indisponível agora.',
+      boughtToast: 'Comprou: {name} (R$ {value}). Aplique no animal: Alimentar → Vacinas.',
+    },
   },
 
   // Hospital / Internação — fluxos do botão Internar do vet
@@ -1514,6 +1899,78 @@ export default {
       recovering: '{total} em recuperação',
     },
   },
+  // Abatedouro — painel aberto pelo mapa de viagem (slaughterhouseSystem.js)
+  slaughterhouse: {
+    title: 'Abatedouro',
+    subtitle: 'Carne e couro pagos por espécie, idade e saúde',
+    close: 'Fechar',
+    closeHint: 'Pressione ESC para fechar',
+    animalsTitle: 'Animais da fazenda',
+    historyTitle: 'Histórico de vendas',
+    historySummary: '{count} venda(s) · {total} recebidos',
+    historyEmpty: 'Nenhuma venda neste save ainda.',
+    empty: 'Nenhum animal na fazenda.',
+    priceFormat: 'R$ {value}',
+    day: 'Dia {day}',
+    sellBtn: 'Vender',
+    products: {
+      meat: 'Carne',
+      leather: 'Couro',
+      feathers: 'Penas',
+    },
+    health: {
+      good: 'Saudável',
+      fair: 'Magro',
+      sick: 'Doente (preço reduzido)',
+    },
+    blocked: {
+      young: 'Filhote — ainda sem idade para abate.',
+      injured: 'Ferido — trate na veterinária antes.',
+      hospitalized: 'Internado na veterinária.',
+      species: 'O abatedouro não compra esta espécie.',
+      not_found: 'Animal não encontrado.',
+      no_currency_system: 'Sistema de moeda indisponível.',
+      remove_failed: 'Não foi possível levar o animal.',
+    },
+    confirm: {
+      message: 'Vender {name} para o abatedouro?',
+      total: 'Total',
+      warning: 'Essa ação não pode ser desfeita.',
+      cancel: 'Cancelar',
+      confirm: 'Vender',
+    },
+    toast: {
+      sold: '{name} vendido por {total}.',
+    },
+  },
+  // Feira do condado (fairSystem)
+  fair: {
+    judgeName: 'Juiz da Feira',
+    today: 'A feira do condado de {season} chegou à cidade hoje!',
+    errors: {
+      not_fair_day: 'Hoje não tem feira.',
+      not_in_city: 'A feira acontece na cidade.',
+      already_entered: 'Você já competiu nesta feira.',
+      no_entry: 'Nada para julgar? Volte com um animal ou uma colheita!',
+      no_animal: 'Esse animal não foi encontrado na sua fazenda.',
+      no_crop: 'Você não tem mais esse item de colheita.',
+    },
+    dialogue: {
+      welcome: 'Bem-vindo à feira do condado de {season}! Um animal e um item de colheita por fazenda.',
+      askAnimal: 'Qual animal você inscreve na exposição de pecuária?',
+      noAnimal: 'Sem animal desta vez',
+      later: 'Fica pra depois',
+      askCrop: 'E para o concurso de colheita?',
+      noCrop: 'Sem colheita desta vez',
+      livestockResult: 'Pecuária: {name} fez {score} pontos e ficou em {place}º lugar. Campeão: {winner} ({winnerScore}).',
+      produceResult: 'Colheita: {name} fez {score} pontos e ficou em {place}º lugar. Campeão: {winner} ({winnerScore}).',
+      prizeCoins: '{coins} moedas',
+      prizeXp: '{xp} XP',
+      prizes: '*Prêmios recebidos:* {list}',
+      alreadyJudged: 'Suas inscrições já foram julgadas. Eis os resultados:',
+      goodbye: 'Até a feira da próxima estação!',
+    },
+  },
   // NPC Bartolomeu dialogues
   npc: {
     bartolomeu: {
@@ -1840,6 +2297,25 @@ export default {
           l4: '*sorri* Pode deixar que eu venho.',
         },
       },
+      // Ninhada da Madalena — final opcional (catSystem)
+      kitten: {
+        litter: 'Ah! Antes de você ir... a Madalena teve filhotes umas semanas atrás. *mostra um cestinho de gatinhos sonolentos*',
+        offer: 'Quer levar um pra casa? Fazenda é o melhor lugar pra um gatinho crescer!',
+        askAgain: 'Ah, aliás... um dos filhotes da Madalena ainda está esperando um lar. Quer?',
+        choiceAdopt: 'Eu adoraria!',
+        choiceLater: 'Quem sabe outra hora.',
+        adopted: 'Que maravilha! Essa é a {name}. Eu levo ela pra você, vai estar esperando na porta da sua casa!',
+        later: 'Tudo bem. Se mudar de ideia, é só pedir!',
+        greet: '*{name} se esfrega nas suas pernas e ronrona*',
+        choicePet: 'Fazer carinho na {name}',
+        choiceFollow: 'Vem comigo!',
+        choiceStay: 'Volta pra casa.',
+        choiceLeave: 'Sair',
+        petted: '*{name} ronrona e amassa pãozinho na sua mão. Que descanso bom.* (+{energy} de energia)',
+        alreadyPetted: '*{name} já ganhou carinho hoje e só balança o rabo.*',
+        following: '*{name} vem trotando atrás de você*',
+        staying: '*{name} volta pro lado da casa*',
+      },
     },
 
     // ── Bru & Juan — diálogo de introdução ──
@@ -576,6 +576,54 @@ export const items = [
     type: "food",
     fillUp: { hunger: 24, thirst: 26, energy: 18 }
   },
+  // Soil fertility: manure/compost are crafted into fertilizer, which refills
+  // the nutrients of a tilled tile (hoeTool). `fertilizer` = nutrient points
+  // restored per use (0..100 scale). Selected in the seed wheel like a seed.
+  {
+    id: 137,
+    name: "Esterco",
+    icon: "💩",
+    price: 4,
+    description: "Esterco animal — curtido na bancada vira adubo",
+    type: "resource"
+  },
+  {
+    id: 138,
+    name: "Composto",
+    icon: "🍂",
+    price: 4,
+    description: "Restos de plantas decompostos — base para adubo",
+    type: "resource"
+  },
+  {
+    id: 139,
+    name: "Adubo Orgânico",
+    icon: "🪴",
+    price: 12,
+    description: "Devolve nutrientes ao solo arado: mais colheita e crescimento mais rápido",
+    type: "resource",
+    fertilizer: 40
+  },
+  // Crop sprays (cropPests.js): picked in the seed wheel and applied on an
+  // infected plant; `cropTreatment` lists the pests each one cures.
+  {
+    id: 143,
+    name: "Inseticida Natural",
+    icon: "🧴",
+    price: 18,
+    description: "Calda de pimenta: cura plantas atacadas por pulgões",
+    type: "resource",
+    cropTreatment: ["aphids"]
+  },
+  {
+    id: 144,
+    name: "Fungicida",
+    icon: "🧪",
+    price: 24,
+    description: "Calda de cal: cura plantas com requeima",
+    type: "resource",
+    cropTreatment: ["blight"]
+  },
   {
     id: 30,
     name: "Ração para Vaca",
@@ -706,6 +754,53 @@ export const items = [
     palatability: "palatable"
   },
 
+  // ==================================================================================
+  // 💉 VACINAS (VACCINES)
+  // Prevenção: uma dose protege o animal contra `targetDisease` por
+  // `protectionDays` dias (risco diário de adoecer e de pegar por contágio
+  // cai — ver vaccinationSystem). Não cura quem já está doente.
+  // ==================================================================================
+  {
+    id: 210,
+    name: "Vacina Antiparasitária",
+    icon: "💉",
+    price: 40,
+    description: "Protege contra verminose por 30 dias.",
+    type: "vaccine",
+    targetDisease: "parasitosis",
+    protectionDays: 30
+  },
+  {
+    id: 211,
+    name: "Vacina Respiratória",
+    icon: "💉",
+    price: 55,
+    description: "Protege contra problemas respiratórios por 20 dias.",
+    type: "vaccine",
+    targetDisease: "respiratory",
+    protectionDays: 20
+  },
+  {
+    id: 212,
+    name: "Vacina Digestiva",
+    icon: "💉",
+    price: 35,
+    description: "Protege contra problemas digestivos por 25 dias.",
+    type: "vaccine",
+    targetDisease: "digestive",
+    protectionDays: 25
+  },
+  {
+    id: 213,
+    name: "Vacina contra Febre",
+    icon: "💉",
+    price: 45,
+    description: "Protege contra febre por 25 dias.",
+    type: "vaccine",
+    targetDisease: "fever",
+    protectionDays: 25
+  },
+
   // ==================================================================================
   // 🐄 ANIMAIS (LIVESTOCK)
   // Catálogo de animais vendidos pelo Rico. Não vão para o inventário — o
@@ -805,6 +900,17 @@ export const items = [
     type: "animal",
     assetName: "Chicken"
   },
+  // Cão da fazenda (dogSystem). `companion` fica fora do painel do cercado:
+  // o Rico entrega o filhote direto ao jogador, que passa a ser seguido.
+  {
+    id: 312,
+    name: "Cão Pastor",
+    icon: "🐕",
+    price: 900,
+    description: "Segue você, pastoreia o rebanho até o cercado e vigia as aves à noite.",
+    type: "companion",
+    assetName: "Dog"
+  },
 
   // ==================================================================================
   // 🪨 RECURSOS NATURAIS
@@ -888,7 +994,16 @@ export const items = [
     type: "animal_food",
     targetAnimals: ["Chick", "Chicken", "Rooster", "Turkey"]
   },
-  // Issue #170: ids 101/102 reserved for cat/dog feed once those species exist.
+  // Issue #170: id 101 reserved for cat feed once that species exists.
+  {
+    id: 102,
+    name: "Ração para Cão",
+    icon: "🦴",
+    price: 25,
+    description: "Ração seca para o cão da fazenda",
+    type: "animal_food",
+    targetAnimals: ["Dog"]
+  },
 
   // ==================================================================================
   // 🔧 MATERIAIS PROCESSADOS
@@ -954,10 +1069,9 @@ export const items = [
     icon: "assets/icons/temperedSteelIcon.png",
     price: 90,
     description: "material resistente para construção",
-    type: "resource",
-    // Issue #170: no recipe to produce nor consume. Reserved for future
-    // tier-2 tools or advanced structures.
-    experimental: true
+    // Smelted from iron bar + charcoal (`tempered_steel`); consumed by the
+    // steel sprinkler.
+    type: "resource"
   },
   {
     id: 48,
@@ -1078,7 +1192,8 @@ export const items = [
     icon: "assets/icons/eggIcon.png",
     price: 10,
     description: "Produto fresco das galinhas",
-    type: "resource"
+    type: "resource",
+    animalProduct: true
   },
   {
     id: 61,
@@ -1086,7 +1201,8 @@ export const items = [
     icon: "assets/icons/milkBottleIcon.png",
     price: 15,
     description: "Leite fresco da vaca",
-    type: "resource"
+    type: "resource",
+    animalProduct: true
   },
   {
     id: 62,
@@ -1094,7 +1210,8 @@ export const items = [
     icon: "☁️",
     price: 20,
     description: "Tosquia de ovelha, usada para tecido",
-    type: "resource"
+    type: "resource",
+    animalProduct: true
   },
 
   // ==================================================================================
@@ -1241,6 +1358,106 @@ export const items = [
     species: "bird",
     targetAnimals: ["Chicken", "Chick", "Rooster", "Turkey"]
   },
+  // Sprinklers: water every crop/tilled tile within `sprinklerRadius` tiles
+  // each morning (sprinklerSystem). One tile wide, snapped to the tile grid.
+  {
+    id: 140,
+    name: "Irrigador Simples",
+    icon: "💦",
+    price: 120,
+    description: "Rega as plantações em volta (3×3) toda manhã",
+    type: "construction",
+    placeable: true,
+    buildWidth: 20,
+    buildHeight: 20,
+    originalType: "sprinkler",
+    sprinklerRadius: 1
+  },
+  {
+    id: 141,
+    name: "Irrigador de Ferro",
+    icon: "💦",
+    price: 260,
+    description: "Rega as plantações em volta (5×5) toda manhã",
+    type: "construction",
+    placeable: true,
+    buildWidth: 20,
+    buildHeight: 20,
+    originalType: "sprinkler",
+    sprinklerRadius: 2
+  },
+  {
+    id: 142,
+    name: "Irrigador de Aço",
+    icon: "💦",
+    price: 480,
+    description: "Rega as plantações em volta (7×7) toda manhã",
+    type: "construction",
+    placeable: true,
+    buildWidth: 20,
+    buildHeight: 20,
+    originalType: "sprinkler",
+    sprinklerRadius: 3
+  },
+  // Scarecrow: crows don't touch plants within `scarecrowRadius` tiles
+  // (crowSystem). One tile wide, snapped to the tile grid like the sprinklers.
+  {
+    id: 145,
+    name: "Espantalho",
+    icon: "👒",
+    price: 90,
+    description: "Afasta os corvos das plantações num raio de 4 tiles",
+    type: "construction",
+    placeable: true,
+    buildWidth: 20,
+    buildHeight: 20,
+    originalType: "scarecrow",
+    scarecrowRadius: 4
+  },
+  // Barn/coop: animals sleep inside at night and shelter from storms
+  // (shelterSystem). `shelterCapacity` = places per species; a species
+  // missing from the map doesn't fit in that building.
+  {
+    id: 146,
+    name: "Celeiro",
+    icon: "🛖",
+    price: 1200,
+    description: "Abrigo noturno e contra temporais para vacas, ovelhas e porcos",
+    type: "construction",
+    placeable: true,
+    buildWidth: 128,
+    buildHeight: 96,
+    originalType: "barn",
+    shelterCapacity: { Bull: 2, Cow: 4, Calf: 4, Sheep: 6, Lamb: 6, Pig: 4, Piglet: 6 }
+  },
+  {
+    id: 147,
+    name: "Galinheiro",
+    icon: "🐓",
+    price: 450,
+    description: "Abrigo noturno e contra temporais para as aves",
+    type: "construction",
+    placeable: true,
+    buildWidth: 80,
+    buildHeight: 64,
+    originalType: "coop",
+    shelterCapacity: { Rooster: 2, Chicken: 8, Chick: 8, Turkey: 4 }
+  },
+  // Feed silo: stores feed in bulk and tops up the food troughs of its
+  // enclosure every morning (siloSystem). `siloCapacity` = feed units.
+  {
+    id: 148,
+    name: "Silo de Ração",
+    icon: "🏭",
+    price: 900,
+    description: "Guarda ração a granel e reabastece os cochos do cercado toda manhã",
+    type: "construction",
+    placeable: true,
+    buildWidth: 48,
+    buildHeight: 96,
+    originalType: "silo",
+    siloCapacity: 60
+  },
 
   // ==================================================================================
   // 🎨 DECORAÇÕES
@@ -1278,6 +1495,25 @@ export const items = [
     description: "Placa decorativa",
     type: "construction"
   },
+  // Prêmios exclusivos da feira do condado (fairSystem) — fora de qualquer loja.
+  {
+    id: 149,
+    name: "Troféu da Feira",
+    icon: "🏆",
+    price: 0,
+    description: "Troféu de campeão da pecuária na feira do condado",
+    type: "construction",
+    fairPrize: true
+  },
+  {
+    id: 150,
+    name: "Faixa Azul da Colheita",
+    icon: "🎀",
+    price: 0,
+    description: "Faixa de campeão da colheita na feira do condado",
+    type: "construction",
+    fairPrize: true
+  },
 
   // ==================================================================================
   // 🫙 RECIPIENTES E CONTAINERS
@@ -0,0 +1,124 @@
+/**
+ * @file itemQuality.js - Harvest quality tiers (normal / silver / gold).
+ * @description Quality is stack metadata: a stack carries `quality: 'silver'`
+ * or `'gold'`; a stack without the field is normal. Stacks of the same item
+ * but different tiers never merge. Tiers are rolled at harvest (cropSystem)
+ * from how well the crop was cared for — and for milk/eggs/wool from how well
+ * the animal was kept (productionSystem) — sell for more (merchant) and carry
+ * through crafting to the output.
+ * @module ItemQuality
+ */
+
+import { t } from './i18n/i18n.js';
+
+/** Tiers, lowest → highest. */
+export const QUALITY_TIERS = ['normal', 'silver', 'gold'];
+
+/** Sell-price multiplier per tier. */
+export const QUALITY_PRICE_MULTIPLIER = { normal: 1, silver: 1.25, gold: 1.5 };
+
+/** Small badge drawn next to the item name. */
+export const QUALITY_BADGE = { normal: '', silver: '🥈', gold: '🥇' };
+
+// Only produce (and what's made from it) can carry a tier — a gold plank or
+// a gold hoe would mean nothing. Animal products are 'resource' items, so
+// they opt in with `animalProduct: true` in item.js.
+const QUALITY_ITEM_TYPES = new Set(['crop', 'food', 'animal_food']);
+
+/**
+ * Tier name for a stack/quality value. Unknown/missing → 'normal'.
+ * @param {string|null|undefined} quality
+ * @returns {'normal'|'silver'|'gold'}
+ */
+export function qualityTier(quality) {
+    return QUALITY_TIERS.includes(quality) ? quality : 'normal';
+}
+
+/**
+ * Value to store on a stack: the tier for silver/gold, null for normal (the
+ * field is omitted so plain stacks stay exactly as before).
+ * @param {string|null|undefined} quality
+ * @returns {'silver'|'gold'|null}
+ */
+export function normalizeQuality(quality) {
+    const tier = qualityTier(quality);
+    return tier === 'normal' ? null : tier;
+}
+
+/** Tier rank (normal 0 → gold 2) for ordering. */
+export function qualityRank(quality) {
+    return QUALITY_TIERS.indexOf(qualityTier(quality));
+}
+
+/** True if items of this data entry can carry a quality tier. */
+export function canHaveQuality(itemData) {
+    return !!itemData && (QUALITY_ITEM_TYPES.has(itemData.type) || itemData.animalProduct === true);
+}
+
+/** Sell-price multiplier for a tier. */
+export function qualityPriceMultiplier(quality) {
+    return QUALITY_PRICE_MULTIPLIER[qualityTier(quality)];
+}
+
+/** Translated tier label ('' for normal). */
+export function qualityLabel(quality) {
+    const tier = qualityTier(quality);
+    return tier === 'normal' ? '' : t(`quality.${tier}`);
+}
+
+/**
+ * Display name with the tier badge, e.g. "🥇 Abóbora". Normal → name as is.
+ * @param {string} name
+ * @param {string|null|undefined} quality
+ * @returns {string}
+ */
+export function withQualityBadge(name, quality) {
+    const badge = QUALITY_BADGE[qualityTier(quality)];
+    return badge ? `${badge} ${name}` : name;
+}
+
+/**
+ * Rolls a tier from a 0..1 care score. Gold needs a score above 0.5; a
+ * perfect score gives 30% gold / 60% silver / 10% normal.
+ * @param {number} score
+ * @param {() => number} [rng=Math.random]
+ * @returns {'normal'|'silver'|'gold'}
+ */
+export function rollTier(score, rng = Math.random) {
+    const s = Math.max(0, Math.min(1, Number(score) || 0));
+    const goldChance = Math.max(0, s - 0.5) * 0.6;
+    const silverChance = s * 0.6;
+    const r = rng();
+    if (r < goldChance) return 'gold';
+    if (r < goldChance + silverChance) return 'silver';
+    return 'normal';
+}
+
+/**
+ * Rolls a harvest tier. Each input is a 0..1 score:
+ *   - care: share of the growth the crop spent watered (watering streak)
+ *   - fertility: soil nutrients of the tile (0..1 of the max)
+ *   - skill: player level progress
+ * Care weighs most (see `rollTier` for the odds).
+ * @param {{care?:number, fertility?:number, skill?:number}} factors
+ * @param {() => number} [rng=Math.random]
+ * @returns {'normal'|'silver'|'gold'}
+ */
+export function rollQuality({ care = 0, fertility = 0, skill = 0 } = {}, rng = Math.random) {
+    const clamp = (v) => Math.max(0, Math.min(1, Number(v) || 0));
+    return rollTier(0.5 * clamp(care) + 0.3 * clamp(fertility) + 0.2 * clamp(skill), rng);
+}
+
+/**
+ * Tier of a crafted output: the lowest tier among the produce consumed (a
+ * dish is only as good as its worst ingredient). No produce → normal.
+ * @param {Array<{quality?:string|null}>} consumed - tier breakdowns of the
+ *   quality-bearing ingredients actually taken
+ * @returns {'normal'|'silver'|'gold'}
+ */
+export function craftedQuality(consumed) {
+    if (!Array.isArray(consumed) || consumed.length === 0) return 'normal';
+    let rank = QUALITY_TIERS.length - 1;
+    for (const part of consumed) rank = Math.min(rank, qualityRank(part?.quality));
+    return QUALITY_TIERS[rank];
+}
@@ -226,12 +226,24 @@ export class ItemSystem {
                 return;
             }
 
+            // Árvore frutífera: sem machado = colher os frutos; com machado,
+            // a adulta pede confirmação antes do primeiro golpe (pomares
+            // estavam sendo derrubados sem querer).
+            if (targetType === 'fruit_tree') {
+                const fruitTrees = getSystem('fruitTree');
+                if (equippedTool?.toolType !== 'axe') {
+                    fruitTrees?.harvestById?.(id);
+                    return;
+                }
+                if (fruitTrees?.confirmChop && !fruitTrees.confirmChop(id)) return;
+            }
+
             // determina dano e se a ferramenta é a correta
             let damage = 1;
             let isCorrectTool = false;
 
             if (equippedTool) {
-                if (targetType === 'tree' && equippedTool.toolType === 'axe') {
+                if ((targetType === 'tree' || targetType === 'fruit_tree') && equippedTool.toolType === 'axe') {
                     damage = equippedTool.damage || GAME_BALANCE.DAMAGE.AXE_DAMAGE;
                     isCorrectTool = true;
                 } else if (targetType === 'rock' && equippedTool.toolType === 'pickaxe') {
@@ -271,7 +283,8 @@ export class ItemSystem {
      */
     getRequiredTool(type) {
         switch (type) {
-            case 'tree': return 'machado';
+            case 'tree':
+            case 'fruit_tree': return 'machado';
             case 'rock': return 'picareta';
             // Issue #170: Shears are a valid alternative to the machete
             // for thickets. Message stays in PT-BR (i18n via t() is wired
@@ -414,6 +427,7 @@ export class ItemSystem {
      */
     getDropsFromAssetManager(type) {
         if (type === 'tree') return [{ id: 9, minQty: 2, maxQty: 5 }];
+        if (type === 'fruit_tree') return [{ id: 9, minQty: 1, maxQty: 3 }];
         if (type === 'rock') return [{ id: 10, minQty: 1, maxQty: 3 }];
         // Issue #170: thicket dropped nothing — destroying with machete/shears
         // produced no Plant Fiber (54). Now drops 1-3 fibers per thicket,
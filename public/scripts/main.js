@@ -297,6 +297,35 @@ async function initializeCriticalSystems() {
     await import("./animal/diseaseSystem.js");
     logger.debug("animal diseaseSystem carregado");
 
+    await import("./animal/outbreakReportPanel.js");
+    logger.debug("animal outbreakReportPanel carregado");
+
+    await import("./animal/vaccinationSystem.js");
+    logger.debug("animal vaccinationSystem carregado");
+
+    await import("./animal/vaccineReminderPanel.js");
+    logger.debug("animal vaccineReminderPanel carregado");
+
+    await import("./animal/shelterSystem.js");
+    logger.debug("animal shelterSystem carregado");
+
+    await import("./animal/predatorSystem.js");
+    logger.debug("animal predatorSystem carregado");
+
+    await import("./animal/predatorReportPanel.js");
+    logger.debug("animal predatorReportPanel carregado");
+
+    await import("./animal/dogSystem.js");
+    logger.debug("animal dogSystem carregado");
+
+    await import("./animal/catSystem.js");
+    logger.debug("animal catSystem carregado");
+
+    // Painel geral do rebanho (L): tabela com todos os animais + internados.
+    // Self-registers 'herdDashboard'.
+    await import("./animal/herdDashboard.js");
+    logger.debug("animal herdDashboard carregado");
+
     await import("./animal/hospitalSystem.js");
     logger.debug("animal hospitalSystem carregado");
 
@@ -315,6 +344,12 @@ async function initializeCriticalSystems() {
     await import("./animal/tombSystem.js");
     logger.debug("animal tombSystem carregado");
 
+    await import("./animal/pedigreeSystem.js");
+    logger.debug("animal pedigreeSystem carregado");
+
+    await import("./animal/livestockSystem.js");
+    logger.debug("animal livestockSystem carregado");
+
     // Cocho de água — eager load pra que hover+marker funcione antes
     // do player apertar E (lazy load só serve pro fluxo E).
     const wtModule = await import("./waterTroughSystem.js");
@@ -328,15 +363,48 @@ async function initializeCriticalSystems() {
     foodTroughSystem = ftModule.foodTroughSystem;
     logger.debug("foodTroughSystem carregado");
 
+    // Feed silo: tops up the food troughs of its enclosure at dayChanged.
+    // Self-registers 'silo' (also used to draw the silo gauge).
+    await import("./siloSystem.js");
+    logger.debug("siloSystem carregado");
+
     // Hoe tool (Issue #165 planting — step 1): self-registers as 'hoeTool',
     // draws the tile-aligned cursor when the hoe is equipped.
     await import("./hoeTool.js");
     logger.debug("hoeTool carregado");
 
     // Crop system (Issue #165): planting/growth/harvest. Self-registers 'crop'.
-    await import("./cropSystem.js");
+    // Crop definitions come from scripts/data/crops.json — loaded (and
+    // validated) here, before any save restores planted crops.
+    const cropModule = await import("./cropSystem.js");
+    await cropModule.default.loadDefinitions();
     logger.debug("cropSystem carregado");
 
+    // Sprinklers: water crops/tilled soil in their footprint at dayChanged.
+    // Self-registers 'sprinkler' (also used by the build preview).
+    await import("./sprinklerSystem.js");
+    logger.debug("sprinklerSystem carregado");
+
+    // Fruit trees: planted from tree seeds, age/fruit at dayChanged. The
+    // trees themselves live in theWorld.fruitTrees. Self-registers 'fruitTree'.
+    await import("./fruitTreeSystem.js");
+    logger.debug("fruitTreeSystem carregado");
+
+    // County fair: seasonal stands in the city, judge via dialogueSystem.
+    // Self-registers 'fair'; the stands go up on mapChanged/dayChanged.
+    await import("./fairSystem.js");
+    logger.debug("fairSystem carregado");
+
+    // Crows raid unprotected crops at dawn; scarecrows (placed via
+    // buildSystem) keep them off. Self-registers 'crows'.
+    await import("./crowSystem.js");
+    logger.debug("crowSystem carregado");
+
+    // Farm planner overlay (P): colour-codes crops and lists upcoming
+    // harvests. Self-registers 'farmPlanner'.
+    await import("./farmPlanner.js");
+    logger.debug("farmPlanner carregado");
+
     // Watering can charge state (Issue #165). Self-registers 'wateringCan'.
     await import("./wateringCan.js");
     logger.debug("wateringCan carregado");
@@ -500,6 +568,12 @@ function setupInteractionSystem() {
         break;
       }
       case "quest_animal": {
+        // Mesmo tipo de hitbox pro gatinho adotado e pra Madalena da quest.
+        const cat = getSystem('cat');
+        if (cat?.isCatHitbox?.(objectId)) {
+          cat.onInteract();
+          break;
+        }
         const milly = getSystem('npcMilly');
         if (milly && typeof milly.onCatInteract === 'function') {
           milly.onCatInteract();
@@ -509,7 +583,7 @@ function setupInteractionSystem() {
     }
   });
 
-  // ─── Animal interaction handler (pet / feed / guide / applyMedicine) ───
+  // ─── Animal interaction handler (pet / feed / guide / applyMedicine / applyVaccine) ───
   _onMain(document,"animalAction", (e) => {
     const { action, animal, itemId } = e.detail || {};
     if (!animal || typeof animal.pet !== 'function') return;
@@ -585,6 +659,25 @@ function setupInteractionSystem() {
         }
         break;
       }
+      case 'applyVaccine': {
+        // Mesmo fluxo do remédio: tira a dose do inventário antes e devolve
+        // se o animal não pôde receber (dormindo, já doente disso).
+        const inv = getSystem('inventory');
+        const vaccination = getSystem('vaccination');
+        if (!inv || typeof inv.removeItem !== 'function' || !vaccination) {
+          result = { success: false, message: 'no_inventory' };
+          break;
+        }
+        if (!inv.removeItem(itemId, 1)) {
+          result = { success: false, message: 'no_food' };
+          break;
+        }
+        result = vaccination.vaccinate(animal, itemId);
+        if (!result.success) {
+          inv.addItem?.(itemId, 1);
+        }
+        break;
+      }
       default:
         return;
     }
@@ -1052,6 +1145,13 @@ async function startFullGameLoad() {
       handleWarn("falha ao carregar vetSystem", "main:startFullGameLoad:vetSystem", e);
     }
 
+    // Painel do Abatedouro — mesmo fluxo do vet, destino "slaughterhouse".
+    try {
+      await import('./slaughterhouseSystem.js');
+    } catch (e) {
+      handleWarn("falha ao carregar slaughterhouseSystem", "main:startFullGameLoad:slaughterhouseSystem", e);
+    }
+
     // Map Manager (farm ↔ city transitions)
     try {
       await import('./mapManager.js');
@@ -1352,6 +1452,19 @@ _onMain(document,"mainMenu:newGame", () => {
   if (chest?.resetChests) chest.resetChests();
   // Reseta timers de reprodução (#243) pelo mesmo motivo de isolamento por slot.
   getSystem('breeding')?.restoreState?.({});
+  // Idem pra árvore genealógica — senão pais de outro save aparecem no novo.
+  getSystem('pedigree')?.restoreState?.({});
+  // Histórico do abatedouro também é por slot.
+  getSystem('slaughter')?.restoreState?.({});
+  // Noite das raposas (sorteio + perdas do relatório) também.
+  getSystem('predators')?.restoreState?.({});
+  // Resultado da última feira do condado também.
+  getSystem('fair')?.restoreState?.({});
+  // Gatinho adotado da Milly também.
+  getSystem('cat')?.restoreState?.({});
+  // Quarentena é por cercado do slot — não pode vazar pra outra fazenda.
+  getSystem('enclosure')?.restoreQuarantine?.([]);
+  getSystem('animalDisease')?.restoreState?.({});
   // Reseta o relacionamento por NPC (#244) — novo jogo começa "em branco".
   getSystem('personality')?.reset?.();
   const selection = new CharacterSelection();
@@ -1646,6 +1759,10 @@ function gameLoop(timestamp) {
       if (saveRef) { saveRef.tick(deltaTime * 1000); }
 
       updateAnimals();
+      // Raposas noturnas: perseguem as aves soltas, fogem do barulho.
+      getSystem('predators')?.update?.();
+      // Cão: late pras raposas e conduz o pastoreio até o cercado.
+      getSystem('dog')?.update?.();
 
       // Tilled-soil lifecycle (#165): expire dry/wet plots, rain auto-waters.
       getSystem('hoeTool')?.update?.();
@@ -1714,6 +1831,19 @@ function gameLoop(timestamp) {
     handleWarn("falha ao desenhar objetos do mundo", "main:gameLoop:drawObjects", err);
   }
 
+  // Corvos do ataque da manhã — por cima dos objetos (voam sobre tudo).
+  try {
+    if (camera) getSystem('crows')?.drawCrows?.(ctx, camera);
+  } catch (e) {
+    handleWarn("falha ao desenhar corvos", "main:gameLoop:crows", e);
+  }
+
+  try {
+    if (camera) getSystem('predators')?.drawFoxes?.(ctx, camera);
+  } catch (e) {
+    handleWarn("falha ao desenhar raposas", "main:gameLoop:foxes", e);
+  }
+
   try {
     if (BuildSystem && drawBuildPreview) drawBuildPreview(ctx);
 
@@ -1745,7 +1875,10 @@ function gameLoop(timestamp) {
       }
 
       // Hoe / planting / watering tile-cursors (planting #165). Skip in build mode.
+      // Soil fertility overlay first, so the cursor square reads on top of it.
       if (!BuildSystem?.active) {
+        getSystem('farmPlanner')?.drawOverlay?.(ctx, camera);
+        getSystem('hoeTool')?.drawFertilityOverlay?.(ctx, camera);
         getSystem('hoeTool')?.drawTileCursor?.(ctx, camera);
         getSystem('crop')?.drawPlantCursor?.(ctx, camera);
         getSystem('wateringCan')?.drawCursor?.(ctx, camera);
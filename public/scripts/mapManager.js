@@ -8,7 +8,7 @@
 import { registerSystem, getObject, getSystem } from './gameState.js';
 import { collisionSystem } from './collisionSystem.js';
 import { camera } from './thePlayer/cameraSystem.js';
-import { markWorldChanged, invalidateGrassCache, trees, rocks, thickets, houses, animals, placedBuildings, placedWells } from './theWorld.js';
+import { markWorldChanged, invalidateGrassCache, trees, rocks, thickets, houses, animals, placedBuildings, placedWells, fruitTrees } from './theWorld.js';
 import { blockInteractions, unblockInteractions } from './loadingScreen.js';
 import { logger } from './logger.js';
 import { t } from './i18n/i18n.js';
@@ -234,6 +234,8 @@ async function _enterCityNpcs() {
     const npcSys = getSystem('npc');
     if (!npcSys) return;
     await npcSys.loadCityNpcs?.();
+    // Barracas da feira (no dia dela) — antes do re-registro das hitboxes.
+    getSystem('fair')?.syncStands?.('city');
     npcSys.registerHitboxesForMap('city');
 }
 
@@ -268,6 +270,9 @@ export async function triggerPortalTransition() {
             onTravel: async (destinationId) => {
                 if (destinationId === portal.targetMap) {
                     await _executePortalTransition(portal);
+                } else if (destinationId === currentMapId) {
+                    // Ida e volta a um painel (fazenda → abatedouro → fazenda,
+                    // cidade → vet → cidade): já está no mapa, nada a fazer.
                 } else {
                     logger.warn?.(`[mapManager] onTravel disparado pra destino sem portal de transição: ${destinationId} (portal atual aponta pra ${portal.targetMap})`);
                 }
@@ -411,6 +416,7 @@ function snapshotFarmState() {
         animals: [...animals],
         placedBuildings: [...placedBuildings],
         placedWells: [...placedWells],
+        fruitTrees: [...fruitTrees],
     };
 }
 
@@ -422,6 +428,7 @@ function restoreFarmState(state) {
     animals.length = 0;
     placedBuildings.length = 0;
     placedWells.length = 0;
+    fruitTrees.length = 0;
 
     trees.push(...state.trees);
     rocks.push(...state.rocks);
@@ -430,6 +437,7 @@ function restoreFarmState(state) {
     animals.push(...state.animals);
     placedBuildings.push(...state.placedBuildings);
     placedWells.push(...state.placedWells);
+    fruitTrees.push(...(state.fruitTrees || []));
 
     // Re-register hitboxes
     collisionSystem.clear();
@@ -458,6 +466,9 @@ function restoreFarmState(state) {
     for (const w of placedWells) {
         collisionSystem.addHitbox(w.id, 'WELL', w.x, w.y, w.width, w.height);
     }
+    for (const ft of fruitTrees) {
+        collisionSystem.addHitbox(ft.id, 'FRUIT_TREE', ft.x, ft.y, ft.width, ft.height, ft);
+    }
 
     // Re-register pickup truck hitbox (force=true since collisionSystem was cleared)
     const questSys = getSystem('quests');
@@ -472,6 +483,7 @@ function clearWorldObjects() {
     animals.length = 0;
     placedBuildings.length = 0;
     placedWells.length = 0;
+    fruitTrees.length = 0;
     collisionSystem.clear();
 }
 
@@ -10,6 +10,7 @@ import { currencyManager } from "./currencyManager.js";
 import { WeatherSystem } from "./weather.js";
 import { mapTypeToCategory } from "./categoryMapper.js";
 import { getItem, getSellPrice, setItemIcon } from "./itemUtils.js";
+import { normalizeQuality, qualityPriceMultiplier, withQualityBadge } from "./itemQuality.js";
 import { t } from './i18n/i18n.js';
 import { translateDOM } from './settingsUI.js';
 import { registerSystem, getSystem } from "./gameState.js";
@@ -58,6 +59,7 @@ class MerchantSystem {
         this.currentMerchant = null;
         this.tradeMode = 'sell';
         this.selectedPlayerItem = null;
+        this.selectedPlayerQuality = null; // tier da stack selecionada (null = normal)
         this.selectedMerchantItem = null;
         this.playerStorage = 'inventory';
         this.currentPlayerCategory = 'all';
@@ -219,12 +221,14 @@ class MerchantSystem {
                     closeTime: 19 * 60
                 },
                 items: [
-                    // Issue #215: only seeds with a working CROPS config are sold,
-                    // so every purchasable seed can actually be planted. Priced by
-                    // growth cycle (fast/cheap → slow/premium). The old seeds with
-                    // no crop (corn 3, wheat 4, tomato 18, potato 19, strawberry 20,
-                    // flowers 21, tree 53) were removed; re-add them when their
-                    // crops are implemented.
+                    // Issue #215: only seeds with a crop definition (data/crops.json,
+                    // or a fruit tree in fruitTreeSystem.js) are sold, so every
+                    // purchasable seed can actually be planted. Priced by growth
+                    // cycle (fast/cheap → slow/premium). Flower seeds (21) have no
+                    // crop yet and stay off the shelf; re-add them when defined.
+                    // Corn, wheat, tomato, potato and strawberry (3, 4, 18, 19, 20)
+                    // still borrow another crop's sprites ("placeholderArt" in
+                    // crops.json) and stay off too until their own art exists.
                     { id: 114, name: 'Semente de Matinho',   price: 5,  category: 'seed', icon: '', quantity: 60 }, // 2d
                     { id: 107, name: 'Grão de Feno',         price: 8,  category: 'seed', icon: '', quantity: 50 }, // 4d
                     { id: 122, name: 'Semente de Beterraba', price: 10, category: 'seed', icon: '', quantity: 50 }, // 5d
@@ -238,17 +242,26 @@ class MerchantSystem {
                     { id: 118, name: 'Semente de Abóbora',   price: 22, category: 'seed', icon: '', quantity: 25 }, // 12d
                     { id: 112, name: 'Muda de Abacaxi',      price: 30, category: 'seed', icon: '', quantity: 20 }, // 15d
                     { id: 126, name: 'Semente de Uva',       price: 30, category: 'seed', icon: '', quantity: 20 }, // 20d
+                    { id: 53,  name: 'Semente de Árvore',    price: 45, category: 'seed', icon: '', quantity: 10 }, // 28d, frutifica todo ano
                     { id: 7, name: 'Ração para Galinha', price: 30, category: 'animal_food', icon: '', quantity: 20 },
                     { id: 8, name: 'Ração para Ovelha', price: 40, category: 'animal_food', icon: '', quantity: 20 },
                     { id: 29, name: 'Feno', price: 20, category: 'animal_food', icon: '', quantity: 50 },
                     { id: 30, name: 'Ração para Vaca', price: 50, category: 'animal_food', icon: '', quantity: 15 },
                     { id: 31, name: 'Petisco para Animais', price: 15, category: 'animal_food', icon: '', quantity: 25 },
+                    { id: 102, name: 'Ração para Cão', price: 25, category: 'animal_food', icon: '', quantity: 20 },
+                    // Soil fertility: manure from Rico's livestock, cured into fertilizer at the bench.
+                    { id: 137, name: 'Esterco', price: 4, category: 'resource', icon: '', quantity: 60 },
+                    // Crop sprays against pests (cropPests.js).
+                    { id: 143, name: 'Inseticida Natural', price: 18, category: 'resource', icon: '', quantity: 20 },
+                    { id: 144, name: 'Fungicida',          price: 24, category: 'resource', icon: '', quantity: 20 },
                     { id: 12, name: 'Regador', price: 35, category: 'tool', icon: '', quantity: 8 },
                     { id: 15, name: 'Rastelo', price: 40, category: 'tool', icon: '', quantity: 6 },
                     // Issue #171: food troughs per species, livestock fits Rico's stock.
                     { id: 104, name: 'Cocho de Ração (Gado/Ovelha)', price: 280, category: 'construction', icon: '', quantity: 4 },
                     { id: 105, name: 'Cocho de Ração (Suínos)',      price: 260, category: 'construction', icon: '', quantity: 4 },
-                    { id: 106, name: 'Cocho de Ração (Aves)',        price: 220, category: 'construction', icon: '', quantity: 4 }
+                    { id: 106, name: 'Cocho de Ração (Aves)',        price: 220, category: 'construction', icon: '', quantity: 4 },
+                    // Cão da fazenda: sai da loja direto pro lado do jogador (dogSystem.adopt).
+                    { id: 312, name: 'Cão Pastor', price: 900, category: 'animal', icon: '', quantity: 1 }
                 ]
             }
         ];
@@ -361,7 +374,7 @@ class MerchantSystem {
             const hexagon = e.target.closest('.mch-hexagon-slot');
             if (hexagon && hexagon.dataset.itemId) {
                 const itemId = parseInt(hexagon.dataset.itemId, 10);
-                this.selectPlayerItem(itemId);
+                this.selectPlayerItem(itemId, hexagon.dataset.quality || null);
             }
         }, { signal });
 
@@ -426,7 +439,7 @@ class MerchantSystem {
     // obtém quantidade máxima permitida
     getMaxQuantity() {
         if (this.tradeMode === 'sell') {
-            const item = this.getPlayerItems().find(i => i.id === this.selectedPlayerItem);
+            const item = this.getSelectedPlayerItem();
             return item ? item.quantity : 1;
         } else {
             const item = this.getMerchantItems().find(i => i.id === this.selectedMerchantItem);
@@ -847,15 +860,16 @@ class MerchantSystem {
 
         for (const item of items) {
             const slot = document.createElement('div');
-            slot.className = `mch-hexagon-slot ${this.selectedPlayerItem === item.id ? 'mch-item-selected' : ''}`;
+            slot.className = `mch-hexagon-slot ${this._isSelectedPlayerItem(item) ? 'mch-item-selected' : ''}`;
             slot.dataset.itemId = item.id;
+            if (item.quality) slot.dataset.quality = item.quality;
             const iconDiv = document.createElement('div');
             iconDiv.className = 'mch-hexagon-icon';
             const iconSrc = item.icon || getItem(item.id)?.icon || '';
             setItemIcon(iconDiv, iconSrc, item.name);
             const nameDiv = document.createElement('div');
             nameDiv.className = 'mch-hexagon-name';
-            nameDiv.textContent = this.getItemName(item.id, item.name);
+            nameDiv.textContent = withQualityBadge(this.getItemName(item.id, item.name), item.quality);
             const qtyDiv = document.createElement('div');
             qtyDiv.className = 'mch-hexagon-quantity';
             qtyDiv.textContent = item.quantity;
@@ -1027,7 +1041,8 @@ class MerchantSystem {
                             name: item.name,
                             icon: item.icon,
                             quantity: item.quantity,
-                            type: item.type
+                            type: item.type,
+                            quality: item.quality ?? null
                         })));
                     }
                 });
@@ -1045,7 +1060,8 @@ class MerchantSystem {
                                     name: itemData.name,
                                     icon: itemData.icon,
                                     quantity: stack.quantity,
-                                    type: itemData.type
+                                    type: itemData.type,
+                                    quality: stack.quality ?? null
                                 });
                             }
                         });
@@ -1061,6 +1077,17 @@ class MerchantSystem {
         return playerItems;
     }
 
+    // true se a entrada é a stack selecionada (mesmo item E mesmo tier)
+    _isSelectedPlayerItem(item) {
+        return item.id === this.selectedPlayerItem &&
+            normalizeQuality(item.quality) === normalizeQuality(this.selectedPlayerQuality);
+    }
+
+    // stack do jogador atualmente selecionada para venda
+    getSelectedPlayerItem() {
+        return this.getPlayerItems().find(i => this._isSelectedPlayerItem(i));
+    }
+
     // obtém itens do mercador filtrados por categoria
     getMerchantItems() {
         let merchantItems = this.currentMerchant.items;
@@ -1166,26 +1193,28 @@ class MerchantSystem {
         actionPanel.appendChild(tradeButton);
     }
 
-    // seleciona item do jogador
-    selectPlayerItem(itemId) {
+    // seleciona item do jogador (quality = tier da stack clicada)
+    selectPlayerItem(itemId, quality = null) {
         if (this.tradeMode === 'buy') {
             this.showMessage(t('trading.buyMode'));
             return;
         }
 
         this.selectedPlayerItem = itemId;
+        this.selectedPlayerQuality = normalizeQuality(quality);
         this.selectedMerchantItem = null;
         this.tradeQuantity = 1;
 
-        const item = this.getPlayerItems().find(i => i.id === itemId);
+        const item = this.getSelectedPlayerItem();
         if (item) {
             const originalItem = getItem(itemId);
             if (originalItem) {
-                this.tradeValue = this.sellUnitPrice(itemId); // includes profession bonus (#200)
+                // includes profession bonus (#200) and the quality tier
+                this.tradeValue = this.sellUnitPrice(itemId, this.selectedPlayerQuality);
                 this.updateTradeValue();
                 this.renderTradeButton();
                 this.showMessage(t('trading.selected', {
-                    name: this.getItemName(item.id, item.name),
+                    name: withQualityBadge(this.getItemName(item.id, item.name), item.quality),
                     qty: item.quantity,
                     action: t('trading.sell'),
                     price: this.tradeValue
@@ -1206,6 +1235,7 @@ class MerchantSystem {
 
         this.selectedMerchantItem = itemId;
         this.selectedPlayerItem = null;
+        this.selectedPlayerQuality = null;
         this.tradeQuantity = 1;
 
         const item = this.getMerchantItems().find(i => i.id === itemId);
@@ -1228,6 +1258,7 @@ class MerchantSystem {
     // limpa seleções
     clearSelections() {
         this.selectedPlayerItem = null;
+        this.selectedPlayerQuality = null;
         this.selectedMerchantItem = null;
         this.tradeValue = 0;
         this.tradeQuantity = 1;
@@ -1251,8 +1282,8 @@ class MerchantSystem {
 
         let itemName = '';
         if (this.tradeMode === 'sell') {
-            const item = this.getPlayerItems().find(i => i.id === this.selectedPlayerItem);
-            itemName = item ? this.getItemName(item.id, item.name) : 'item';
+            const item = this.getSelectedPlayerItem();
+            itemName = item ? withQualityBadge(this.getItemName(item.id, item.name), item.quality) : 'item';
             messageEl.textContent = t('trading.confirmSell', {qty: this.tradeQuantity, name: itemName, value: totalValue});
         } else {
             const item = this.getMerchantItems().find(i => i.id === this.selectedMerchantItem);
@@ -1320,9 +1351,11 @@ class MerchantSystem {
     // Issue #200: unit sell price to the current merchant, including the
     // profession modifier. Single source of truth for both display and the
     // actual transaction, so they always match. Floored at 1 so the penalty
-    // never drives a sale to $0.
-    sellUnitPrice(itemId) {
-        return Math.max(1, Math.floor(getSellPrice(itemId) * (1 + this.professionModifier(itemId))));
+    // never drives a sale to $0. Silver/gold produce sells at a premium
+    // (itemQuality.js).
+    sellUnitPrice(itemId, quality = null) {
+        const base = getSellPrice(itemId) * qualityPriceMultiplier(quality);
+        return Math.max(1, Math.floor(base * (1 + this.professionModifier(itemId))));
     }
 
     // Issue #202: when the player sells an item the current merchant already
@@ -1340,7 +1373,7 @@ class MerchantSystem {
             if (!this.selectedPlayerItem) return null;
             const itemData = getItem(this.selectedPlayerItem);
             if (!itemData) return null;
-            return this.sellUnitPrice(this.selectedPlayerItem);
+            return this.sellUnitPrice(this.selectedPlayerItem, this.selectedPlayerQuality);
         } else {
             if (!this.selectedMerchantItem) return null;
             const merchantItem = this.getMerchantItems().find(i => i.id === this.selectedMerchantItem);
@@ -1360,7 +1393,7 @@ class MerchantSystem {
         const inventorySystem = getSystem('inventory');
 
         // Validar que o item existe no inventário do jogador
-        const playerItem = this.getPlayerItems().find(i => i.id === this.selectedPlayerItem);
+        const playerItem = this.getSelectedPlayerItem();
         if (!playerItem) {
             this.showMessage('Item não encontrado no inventário', 'error');
             return;
@@ -1389,8 +1422,12 @@ class MerchantSystem {
         }
 
         if (this.playerStorage === 'inventory') {
-            if (inventorySystem && inventorySystem.removeItem) {
-                if (inventorySystem.removeItem(this.selectedPlayerItem, this.tradeQuantity)) {
+            if (inventorySystem && inventorySystem.takeItem) {
+                // Only the selected tier leaves the inventory (it's what was priced).
+                const sold = inventorySystem.takeItem(this.selectedPlayerItem, this.tradeQuantity, {
+                    quality: this.selectedPlayerQuality
+                });
+                if (sold) {
 
                     // Adiciona o valor da venda ao dinheiro do jogador
                     if (typeof currencyManager.earn === 'function') {
@@ -1455,6 +1492,13 @@ class MerchantSystem {
             return;
         }
 
+        // Cão (type 'companion'): não vai pro inventário — o dogSystem solta
+        // o filhote do lado do jogador, e só cobra se ele chegou mesmo.
+        if (getItem(this.selectedMerchantItem)?.type === 'companion') {
+            this.processCompanionBuy(merchantItem);
+            return;
+        }
+
         if (this.playerStorage === 'inventory') {
             if (inventorySystem && inventorySystem.acquireItem) {
                 // #NNN: a full inventory routes the purchase to the warehouse
@@ -1492,6 +1536,28 @@ class MerchantSystem {
         }
     }
 
+    // compra de companheiro (cão): um por vez, entregue pelo dogSystem
+    processCompanionBuy(merchantItem) {
+        const price = merchantItem.price;
+        const result = getSystem('dog')?.adopt?.() || { ok: false, reason: 'no_dog_system' };
+        if (!result.ok) {
+            const key = `animal.dog.errors.${result.reason}`;
+            const text = t(key);
+            this.showMessage(text !== key ? text : t('trading.itemNotFound'), 'error');
+            return;
+        }
+
+        currencyManager.spend(price, "Compra do Mercador");
+        merchantItem.quantity -= 1;
+        this._creditFund(this.currentMerchant, price);
+
+        this.showMessage(t('animal.dog.adopted'), 'success');
+        this.updateBalances();
+        this.updateMerchantFund();
+        this.renderMerchantItems();
+        this.clearSelections();
+    }
+
     // atualiza saldos na UI
     updateBalances() {
         this.updateCommerceBalance();
@@ -1577,6 +1643,7 @@ class MerchantSystem {
         // Clear referências
         this.currentMerchant = null;
         this.selectedPlayerItem = null;
+        this.selectedPlayerQuality = null;
         this.selectedMerchantItem = null;
 
         logger.debug('MerchantSystem destruído');
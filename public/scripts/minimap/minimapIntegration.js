@@ -143,5 +143,10 @@ export function updateMinimap(currentPlayer) {
     ? { pois: _buildCityPois() }
     : { trees, rocks, thickets, houses, placedWells, pois: _buildFarmPois() };
 
+  // Scarecrow coverage overlay — only when toggled on, and only on the farm.
+  if (minimapUI.showScarecrowCoverage && getCurrentMapId() !== 'city') {
+    worldArrays.scarecrowCoverage = getSystem('crows')?.getCoverage?.() || [];
+  }
+
   minimapSystem.update(currentPlayer.x, currentPlayer.y, worldArrays);
 }
@@ -49,6 +49,8 @@ export class MinimapSystem {
       thicket: '#3a6b24',
       well: '#4fc3f7',
       building: '#b0855a',
+      scarecrowCoverage: 'rgba(240, 190, 60, 0.25)',
+      scarecrowCoverageEdge: 'rgba(240, 190, 60, 0.8)',
     };
 
     this.icons = {};
@@ -159,6 +161,19 @@ export class MinimapSystem {
     return Promise.all(promises);
   }
 
+  /**
+   * Center the minimap on a world point for a while (herd dashboard
+   * "locate"), with a pulsing ring on it. Falls back to the player after.
+   */
+  focusOn(worldX, worldY, durationMs = 3000) {
+    this._focus = { x: worldX, y: worldY, until: performance.now() + durationMs };
+  }
+
+  _activeFocus() {
+    if (this._focus && performance.now() >= this._focus.until) this._focus = null;
+    return this._focus;
+  }
+
   /** Update the camera to center on player */
   _updateCamera(playerX, playerY) {
     this._camX = Math.max(0, Math.min(playerX - VIEWPORT_WORLD_WIDTH / 2, this.worldWidth - VIEWPORT_WORLD_WIDTH));
@@ -365,7 +380,8 @@ export class MinimapSystem {
    */
   render(playerX, playerY, worldArrays) {
     const ctx = this.ctx;
-    this._updateCamera(playerX, playerY);
+    const focus = this._activeFocus();
+    this._updateCamera(focus ? focus.x : playerX, focus ? focus.y : playerY);
 
     // Background (black = unexplored)
     ctx.fillStyle = '#000000';
@@ -383,6 +399,9 @@ export class MinimapSystem {
       // Draw exploration fog for visible viewport area
       this._drawExplorationLayer(ctx);
 
+      // Scarecrow coverage (optional overlay), under the object markers.
+      this._renderScarecrowCoverage(ctx, worldArrays.scarecrowCoverage);
+
       // World objects
       this._renderObjects(ctx, worldArrays.trees, 'tree', ICON_SIZE);
       this._renderObjects(ctx, worldArrays.rocks, 'rock', ICON_SIZE - 2);
@@ -424,6 +443,25 @@ export class MinimapSystem {
       ctx.lineWidth = 1;
       ctx.stroke();
     }
+
+    if (focus) this._renderFocusPing(ctx, focus);
+  }
+
+  /** Pulsing ring over the focused point. */
+  _renderFocusPing(ctx, focus) {
+    const pos = this.worldToMinimap(focus.x, focus.y);
+    const pulse = (performance.now() % 1000) / 1000;
+    ctx.save();
+    ctx.strokeStyle = `rgba(255, 213, 79, ${1 - pulse})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, 4 + pulse * 10, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = '#ffd54f';
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
   }
 
   /**
@@ -502,6 +540,30 @@ export class MinimapSystem {
     }
   }
 
+  /**
+   * Render the area each scarecrow protects from crows: one translucent
+   * circle per scarecrow, `{ x, y, radius }` in world px.
+   */
+  _renderScarecrowCoverage(ctx, circles) {
+    if (!Array.isArray(circles) || circles.length === 0) return;
+
+    ctx.save();
+    ctx.fillStyle = this.colors.scarecrowCoverage;
+    ctx.strokeStyle = this.colors.scarecrowCoverageEdge;
+    ctx.lineWidth = 1;
+    for (const c of circles) {
+      if (!c) continue;
+      const pos = this.worldToMinimap(c.x, c.y);
+      const r = c.radius * this.scaleX;
+      if (pos.x + r < 0 || pos.y + r < 0 || pos.x - r > this.minimapWidth || pos.y - r > this.minimapHeight) continue;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   /**
    * Render point-of-interest markers. Each POI: `{ x, y, icon, size?, alwaysShow? }`.
    * `alwaysShow` markers (e.g. the city on the farm) ignore fog; others only
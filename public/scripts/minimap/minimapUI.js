@@ -1,7 +1,7 @@
 /**
  * @file minimapUI.js - Minimap UI management
  * @description Creates and manages the minimap HTML structure, visibility toggle,
- * and keyboard shortcut (M key).
+ * keyboard shortcut (M key) and the scarecrow coverage overlay toggle.
  * @module MinimapUI
  */
 
@@ -23,6 +23,7 @@ export class MinimapUI {
     this.width = MINIMAP_WIDTH;
     this.height = MINIMAP_HEIGHT;
     this.isVisible = true;
+    this.showScarecrowCoverage = false;
     this.canvas = null;
     this._boundKeyHandler = null;
     this._boundLangHandler = null;
@@ -61,8 +62,25 @@ export class MinimapUI {
     toggleBtn.innerHTML = '<i class="fas fa-map"></i>';
     toggleBtn.addEventListener('click', () => this.toggle());
 
+    // Scarecrow coverage overlay (off by default): circles of the area each
+    // scarecrow keeps the crows off.
+    const coverageBtn = document.createElement('button');
+    coverageBtn.type = 'button';
+    coverageBtn.id = 'minimap-scarecrow-toggle';
+    coverageBtn.className = 'minimap-toggle';
+    coverageBtn.title = t('ui.minimapScarecrows');
+    coverageBtn.setAttribute('aria-label', t('ui.minimapScarecrows'));
+    coverageBtn.setAttribute('aria-pressed', String(this.showScarecrowCoverage));
+    coverageBtn.innerHTML = '<i class="fas fa-crow"></i>';
+    coverageBtn.addEventListener('click', () => this.toggleScarecrowCoverage());
+
+    const buttons = document.createElement('div');
+    buttons.className = 'minimap-buttons';
+    buttons.appendChild(toggleBtn);
+    buttons.appendChild(coverageBtn);
+
     frame.appendChild(canvas);
-    wrapper.appendChild(toggleBtn);
+    wrapper.appendChild(buttons);
     wrapper.appendChild(frame);
     this.container.appendChild(wrapper);
 
@@ -78,6 +96,11 @@ export class MinimapUI {
         btn.title = t('ui.minimapToggle');
         btn.setAttribute('aria-label', t('ui.minimapToggle'));
       }
+      const coverageBtn = this._wrapper?.querySelector('#minimap-scarecrow-toggle');
+      if (coverageBtn) {
+        coverageBtn.title = t('ui.minimapScarecrows');
+        coverageBtn.setAttribute('aria-label', t('ui.minimapScarecrows'));
+      }
     };
     document.addEventListener('languageChanged', this._boundLangHandler);
   }
@@ -111,6 +134,13 @@ export class MinimapUI {
     if (btn) btn.setAttribute('aria-pressed', String(this.isVisible));
   }
 
+  /** Toggle the scarecrow coverage overlay */
+  toggleScarecrowCoverage() {
+    this.showScarecrowCoverage = !this.showScarecrowCoverage;
+    const btn = this._wrapper?.querySelector('#minimap-scarecrow-toggle');
+    if (btn) btn.setAttribute('aria-pressed', String(this.showScarecrowCoverage));
+  }
+
   /** Set minimap visibility */
   setVisibility(visible) {
     this.isVisible = visible;
@@ -8,6 +8,7 @@
  *
  * Quest: encontrar a gatinha Madalena que fugiu para a fazenda.
  * A Madalena nasce em frente à casa da fazenda, com fallback seguro.
+ * Depois da entrega, a Milly oferece um filhote da ninhada (catSystem).
  */
 
 import { getSystem, registerSystem } from '../gameState.js';
@@ -34,6 +35,7 @@ const MILLY_HOUSE = { x: 2276, y: 1740, width: 174, height: 178 };
 
 const M = 'npc.milly';
 const Q = 'npc.milly.q2';
+const K = 'npc.milly.kitten';
 const QUEST_REWARD = 200;
 const MADALENA_ITEM_ID = 9991; // item temporário no inventário (resources)
 
@@ -121,6 +123,10 @@ function tQ(key, params) {
   return i18n.t(`${Q}.${key}`, params);
 }
 
+function tK(key, params) {
+  return i18n.t(`${K}.${key}`, params);
+}
+
 function getCurrentHour() {
   if (typeof WeatherSystem?.getHour === 'function') {
     return WeatherSystem.getHour();
@@ -661,6 +667,64 @@ function buildDeliverDialogue() {
         },
       },
     ],
+    onEnd: () => {
+      // Final opcional: um filhote da ninhada da Madalena (catSystem).
+      if (questState === 'completed' && canOfferKitten()) {
+        const dlg = getSystem('dialogue');
+        if (dlg) {
+          setTimeout(() => dlg.start(buildKittenDialogue()), 150);
+        }
+      }
+    },
+  };
+}
+
+// ─── Filhote da Madalena ────────────────────────────────────────────────────
+function canOfferKitten() {
+  const cat = getSystem('cat');
+  return typeof cat?.adopt === 'function' && !cat.isAdopted();
+}
+
+/** Oferta do filhote: adotar (catSystem.adopt) ou deixar pra depois. */
+function pushKittenOffer(lines, askKey) {
+  lines.push({ side: 'right', text: tK(askKey) });
+
+  const choiceLine = {
+    side: 'left',
+    text: '',
+    type: 'choice',
+    options: [
+      { text: tK('choiceAdopt'), next: -1 },
+      { text: tK('choiceLater'), next: -1 },
+    ],
+  };
+  lines.push(choiceLine);
+
+  const adoptIdx = lines.length;
+  lines.push({
+    side: 'right',
+    text: tK('adopted', { name: getSystem('cat')?.getName?.() || '' }),
+    end: true,
+    action: () => {
+      const res = getSystem('cat')?.adopt?.();
+      if (!res?.ok) logger.warn(`[Milly] Não foi possível entregar o filhote: ${res?.reason}`);
+    },
+  });
+
+  const laterIdx = lines.length;
+  lines.push({ side: 'right', text: tK('later'), end: true });
+
+  choiceLine.options[0].next = adoptIdx;
+  choiceLine.options[1].next = laterIdx;
+}
+
+function buildKittenDialogue() {
+  const lines = [{ side: 'right', text: tK('litter') }];
+  pushKittenOffer(lines, 'offer');
+  return {
+    left: { name: getPlayerName(), portrait: getPlayerDialogPortrait() },
+    right: { name: 'Milly', portrait: DIALOGUE_PORTRAIT },
+    lines,
   };
 }
 
@@ -694,6 +758,12 @@ function buildFreeDialogue() {
     lines.push({ side: 'left',  text: i18n.t(`${F}.stella.l4`), thought: true, end: true });
   }
 
+  // Quem deixou o filhote pra depois pode mudar de ideia aqui.
+  if (canOfferKitten()) {
+    delete lines[lines.length - 1].end;
+    pushKittenOffer(lines, 'askAgain');
+  }
+
   return { left, right, lines };
 }
 
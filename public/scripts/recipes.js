@@ -52,6 +52,36 @@ export const recipes = [
         icon: "",
     },
 
+    // Soil fertility: weeds rot into compost; manure or compost is cured into
+    // fertilizer (139), which refills a tilled tile's nutrients.
+    {
+        id: "compost",
+        name: "Composto",
+        requiredItems: [{ itemId: 115, qty: 3 }],
+        result: { itemId: 138, qty: 1 },
+        category: "material",
+        craftTime: 4,
+        icon: "",
+    },
+    {
+        id: "fertilizer_manure",
+        name: "Adubo de Esterco",
+        requiredItems: [{ itemId: 137, qty: 2 }],
+        result: { itemId: 139, qty: 1 },
+        category: "material",
+        craftTime: 4,
+        icon: "",
+    },
+    {
+        id: "fertilizer_compost",
+        name: "Adubo de Composto",
+        requiredItems: [{ itemId: 138, qty: 2 }],
+        result: { itemId: 139, qty: 1 },
+        category: "material",
+        craftTime: 4,
+        icon: "",
+    },
+
     /* materiais básicos e processamento */
     {
         id: "wood_scrap",
@@ -110,6 +140,45 @@ export const recipes = [
         craftTime: 15,
         icon: ""
     },
+    {
+        id: "tempered_steel",
+        name: "Aço Temperado",
+        requiredItems: [
+            { itemId: 73, qty: 2 },
+            { itemId: 56, qty: 2 }
+        ],
+        result: { itemId: 38, qty: 1 },
+        category: "material",
+        craftTime: 20,
+        icon: ""
+    },
+    // Crop sprays (cropPests.js): chili water against aphids, lime wash
+    // against blight.
+    {
+        id: "insecticide",
+        name: "Inseticida Natural",
+        requiredItems: [
+            { itemId: 129, qty: 3 },
+            { itemId: 41, qty: 1 }
+        ],
+        result: { itemId: 143, qty: 2 },
+        category: "material",
+        craftTime: 8,
+        icon: ""
+    },
+    {
+        id: "fungicide",
+        name: "Fungicida",
+        requiredItems: [
+            { itemId: 10, qty: 2 },
+            { itemId: 56, qty: 1 },
+            { itemId: 41, qty: 1 }
+        ],
+        result: { itemId: 144, qty: 2 },
+        category: "material",
+        craftTime: 8,
+        icon: ""
+    },
     {
         id: "nail",
         name: "Prego",
@@ -306,6 +375,100 @@ export const recipes = [
         craftTime: 15,
         icon: ""
     },
+    // Sprinklers (140-142): the tier widens the watered footprint; iron bar
+    // for basic/iron, tempered steel for the top tier.
+    {
+        id: "basic_sprinkler",
+        name: "Irrigador Simples",
+        requiredItems: [
+            { itemId: 73, qty: 1 },
+            { itemId: 34, qty: 4 }
+        ],
+        result: { itemId: 140, qty: 1 },
+        category: "construction",
+        craftTime: 10,
+        icon: ""
+    },
+    {
+        id: "iron_sprinkler",
+        name: "Irrigador de Ferro",
+        requiredItems: [
+            { itemId: 73, qty: 4 },
+            { itemId: 34, qty: 6 }
+        ],
+        result: { itemId: 141, qty: 1 },
+        category: "construction",
+        craftTime: 15,
+        icon: ""
+    },
+    {
+        id: "steel_sprinkler",
+        name: "Irrigador de Aço",
+        requiredItems: [
+            { itemId: 38, qty: 2 },
+            { itemId: 73, qty: 2 },
+            { itemId: 34, qty: 6 }
+        ],
+        result: { itemId: 142, qty: 1 },
+        category: "construction",
+        craftTime: 20,
+        icon: ""
+    },
+    // Scarecrow (145): stick frame, straw (fiber) stuffing and an old cloth.
+    {
+        id: "scarecrow",
+        name: "Espantalho",
+        requiredItems: [
+            { itemId: 76, qty: 2 },
+            { itemId: 54, qty: 5 },
+            { itemId: 49, qty: 1 }
+        ],
+        result: { itemId: 145, qty: 1 },
+        category: "construction",
+        craftTime: 10,
+        icon: ""
+    },
+    // Barn (146) and coop (147): plank walls, tiled roof, nails to hold it up.
+    {
+        id: "barn",
+        name: "Celeiro",
+        requiredItems: [
+            { itemId: 58, qty: 20 },
+            { itemId: 33, qty: 10 },
+            { itemId: 34, qty: 30 }
+        ],
+        result: { itemId: 146, qty: 1 },
+        category: "construction",
+        craftTime: 40,
+        icon: ""
+    },
+    {
+        id: "coop",
+        name: "Galinheiro",
+        requiredItems: [
+            { itemId: 58, qty: 8 },
+            { itemId: 54, qty: 6 },
+            { itemId: 34, qty: 12 }
+        ],
+        result: { itemId: 147, qty: 1 },
+        category: "construction",
+        craftTime: 20,
+        icon: ""
+    },
+    // Feed silo (148): metal plates for the bin, planks for the frame.
+    {
+        id: "silo",
+        name: "Silo de Ração",
+        requiredItems: [
+            { itemId: 74, qty: 10 },
+            { itemId: 58, qty: 8 },
+            { itemId: 75, qty: 16 }
+        ],
+        result: { itemId: 148, qty: 1 },
+        category: "construction",
+        craftTime: 30,
+        icon: ""
+    },
 
     /* culinária */
     {
@@ -959,9 +959,12 @@ class SaveSystem {
 
     // Issue #165: tilled soil + crops + watering-can charges. Generic over all
     // crops (each system serializes its own state with relative timers).
+    // `soil` holds per-tile nutrient levels (fertility), kept apart from
+    // `tilled` because fertility outlives the tilled state.
     _getPlantationData() {
         return {
             tilled: getSystem('hoeTool')?.serialize?.() ?? [],
+            soil: getSystem('hoeTool')?.serializeSoil?.() ?? [],
             crops: getSystem('crop')?.serialize?.() ?? [],
             wateringCanCharges: getSystem('wateringCan')?.serialize?.() ?? 0,
             bucketLevel: getSystem('bucket')?.serialize?.() ?? 0,
@@ -1052,7 +1055,8 @@ class SaveSystem {
         for (const [catName, catData] of Object.entries(inventory.categories || {})) {
             categories[catName] = (catData.items || []).map(item => ({
                 id: item.id,
-                quantity: item.quantity
+                quantity: item.quantity,
+                ...(item.quality ? { quality: item.quality } : {})
             }));
         }
 
@@ -1191,7 +1195,9 @@ class SaveSystem {
         for (const [catName, items] of Object.entries(data.categories)) {
             if (inventory.categories[catName]) {
                 for (const savedItem of items) {
-                    const added = inventory.addItem(savedItem.id, savedItem.quantity);
+                    const added = savedItem.quality
+                        ? inventory.addItemWithQuality(savedItem.id, savedItem.quantity, savedItem.quality)
+                        : inventory.addItem(savedItem.id, savedItem.quantity);
                     if (!added) {
                         failedItems.push({ id: savedItem.id, quantity: savedItem.quantity, category: catName });
                     }
@@ -1321,7 +1327,7 @@ class SaveSystem {
     }
 
     /**
-     * Aplica dados do plantio (#165): solo arado, plantas, cargas do regador.
+     * Aplica dados do plantio (#165): solo arado, fertilidade, plantas, cargas do regador.
      * Cada sistema limpa o estado atual antes de restaurar, então carregar um
      * save (mesmo sem plantio) NÃO vaza plantação do save anterior.
      */
@@ -1329,6 +1335,7 @@ class SaveSystem {
         const p = data || {};
         try {
             getSystem('hoeTool')?.restore?.(p.tilled ?? []);
+            getSystem('hoeTool')?.restoreSoil?.(p.soil ?? []);
             getSystem('crop')?.restore?.(p.crops ?? []);
             getSystem('wateringCan')?.restore?.(p.wateringCanCharges ?? 0);
             getSystem('bucket')?.restore?.(p.bucketLevel ?? 0);
@@ -25,6 +25,8 @@ const ACTION_META = [
   { action: 'merchants', fallbackLabel: 'Mercadores', fallbackDesc: 'Abrir/fechar mercadores' },
   { action: 'config', fallbackLabel: 'Configurações', fallbackDesc: 'Abrir/fechar configurações' },
   { action: 'help', fallbackLabel: 'Ajuda', fallbackDesc: 'Abrir/fechar atalhos' },
+  { action: 'farmPlanner', fallbackLabel: 'Planejador', fallbackDesc: 'Mostrar/ocultar o planejador da plantação' },
+  { action: 'herdDashboard', fallbackLabel: 'Rebanho', fallbackDesc: 'Abrir/fechar o painel geral do rebanho' },
 ];
 
 let keybindsState = loadKeybinds();
@@ -0,0 +1,189 @@
+/**
+ * @file siloPanel.js - Painel modal do silo de ração
+ * Espelhado do foodTroughPanelSimple.js: nível do silo, ração guardada,
+ * quantos cochos ele abastece e o relatório da última manhã. Dois botões:
+ * depositar a ração do inventário e compactar o feno colhido direto no silo.
+ */
+
+import { getSystem } from './gameState.js';
+import { getItem } from './itemUtils.js';
+import { t } from './i18n/i18n.js';
+
+const OVERLAY_ID = 'silo-panel';
+
+let _abortController = null;
+
+function _itemName(id) {
+  const k = `itemNames.${id}`;
+  const tr = t(k);
+  return (tr && tr !== k) ? tr : (getItem(id)?.name || '?');
+}
+
+export function openSiloPanel(silo) {
+  if (!silo?.id) return;
+
+  const old = document.getElementById(OVERLAY_ID);
+  if (old) old.remove();
+
+  _abortController?.abort();
+  _abortController = new AbortController();
+  const { signal } = _abortController;
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+
+  const card = document.createElement('div');
+  card.className = 'slp-card';
+
+  // Header
+  const header = document.createElement('div');
+  header.className = 'slp-header';
+  const title = document.createElement('h2');
+  title.className = 'slp-title';
+  title.textContent = t('silo.panel.title');
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'slp-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', t('silo.panel.close'));
+  closeBtn.addEventListener('click', () => closeSiloPanel(), { signal });
+  header.append(title, closeBtn);
+
+  const body = document.createElement('div');
+  body.className = 'slp-body';
+
+  // Nível do silo
+  const levelWrap = document.createElement('div');
+  levelWrap.className = 'slp-level';
+  const levelLabel = document.createElement('div');
+  levelLabel.className = 'slp-level-label';
+  const levelName = document.createElement('span');
+  levelName.textContent = `🌾 ${t('silo.panel.levelName')}`;
+  const levelText = document.createElement('span');
+  levelText.className = 'slp-level-text';
+  levelLabel.append(levelName, levelText);
+  const barOuter = document.createElement('div');
+  barOuter.className = 'slp-bar';
+  const barFill = document.createElement('div');
+  barFill.className = 'slp-bar-fill';
+  barOuter.appendChild(barFill);
+  levelWrap.append(levelLabel, barOuter);
+
+  // Ração guardada
+  const stockList = document.createElement('ul');
+  stockList.className = 'slp-stock';
+
+  // Cochos abastecidos + relatório da manhã
+  const info = document.createElement('div');
+  info.className = 'slp-info';
+  const report = document.createElement('div');
+  report.className = 'slp-report';
+
+  // Botões
+  const actions = document.createElement('div');
+  actions.className = 'slp-actions';
+  const depositBtn = document.createElement('button');
+  depositBtn.type = 'button';
+  depositBtn.className = 'slp-btn';
+  depositBtn.textContent = t('silo.panel.depositBtn');
+  const compactBtn = document.createElement('button');
+  compactBtn.type = 'button';
+  compactBtn.className = 'slp-btn';
+  compactBtn.textContent = t('silo.panel.compactBtn');
+  actions.append(depositBtn, compactBtn);
+
+  const toast = document.createElement('div');
+  toast.className = 'slp-toast';
+  function setToast(msg, state = '') {
+    toast.textContent = msg || '';
+    if (state) toast.dataset.state = state;
+    else delete toast.dataset.state;
+  }
+
+  function render() {
+    const sys = getSystem('silo');
+    if (!sys) return;
+
+    const cap = sys.capacityOf(silo);
+    const stored = sys.stored(silo);
+    barFill.style.setProperty('--pct', cap > 0 ? Math.round((stored / cap) * 100) : 0);
+    levelText.textContent = `${stored}/${cap}`;
+
+    stockList.replaceChildren();
+    const entries = Object.entries(silo.siloStock || {}).filter(([, q]) => q > 0);
+    if (entries.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'slp-empty';
+      li.textContent = t('silo.panel.empty');
+      stockList.appendChild(li);
+    }
+    for (const [id, qty] of entries) {
+      const li = document.createElement('li');
+      li.textContent = `${_itemName(Number(id))} × ${qty}`;
+      stockList.appendChild(li);
+    }
+
+    info.textContent = sys.enclosureOf(silo)
+      ? t('silo.panel.troughs', { count: sys.troughsFor(silo).length })
+      : t('silo.panel.noEnclosure');
+    info.dataset.state = sys.enclosureOf(silo) ? '' : 'warn';
+
+    const last = silo.lastReport;
+    report.hidden = !last || last.noEnclosure;
+    if (last && !last.noEnclosure) {
+      report.textContent = last.short.length > 0
+        ? `${t('silo.panel.lastReport', { fed: last.fed })} ${t('silo.panel.lastShort', { count: last.short.length })}`
+        : t('silo.panel.lastReport', { fed: last.fed });
+    }
+
+    const full = sys.room(silo) <= 0;
+    depositBtn.disabled = full;
+    compactBtn.disabled = full;
+  }
+
+  depositBtn.addEventListener('click', () => {
+    const res = getSystem('silo')?.depositFromInventory?.(silo) || { ok: false, reason: 'no_inventory' };
+    if (res.ok) setToast(t('silo.deposited', { count: res.moved }), 'success');
+    else setToast(t(`silo.errors.${res.reason}`), 'error');
+    render();
+  }, { signal });
+
+  compactBtn.addEventListener('click', () => {
+    const res = getSystem('silo')?.compactRawHay?.(silo) || { ok: false, reason: 'no_inventory' };
+    if (res.ok) setToast(t('silo.compacted', { raw: res.used, count: res.made }), 'success');
+    else setToast(t(`silo.errors.${res.reason}`), 'error');
+    render();
+  }, { signal });
+
+  body.append(levelWrap, stockList, info, report, actions, toast);
+  card.append(header, body);
+  overlay.appendChild(card);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeSiloPanel();
+  }, { signal });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeSiloPanel();
+  }, { signal });
+
+  document.addEventListener('siloChanged', render, { signal });
+  document.addEventListener('enclosuresChanged', render, { signal });
+  document.addEventListener('languageChanged', render, { signal });
+
+  document.body.appendChild(overlay);
+  requestAnimationFrame(() => {
+    overlay.classList.add('slp-visible');
+  });
+
+  render();
+}
+
+export function closeSiloPanel() {
+  const el = document.getElementById(OVERLAY_ID);
+  if (el) el.remove();
+  _abortController?.abort();
+  _abortController = null;
+}
@@ -0,0 +1,234 @@
+/**
+ * @file siloSystem.js - Feed silo that tops up the food troughs
+ * @description Silos are placed through buildSystem like any other
+ * construction (originalType 'silo'). A silo holds animal feed in bulk —
+ * `siloStock` on the world object, itemId → units, up to the item's
+ * `siloCapacity`. It's filled from the player's inventory, or straight from
+ * harvested raw hay, compacted on the spot with the `compact_hay` recipe.
+ *
+ * Every morning (`dayChanged`) each silo standing inside an enclosure tops
+ * up the food troughs of that same enclosure, one feed unit at a time, with
+ * the same rules as a hand deposit (foodTroughSystem): species feed
+ * (cattle/pork/bird, by `targetAnimals`) goes into the main bar, universal
+ * feed into the premium bar. Troughs it couldn't fill are logged as a
+ * shortage — HUD message, `siloShortage` event and the silo's `lastReport`,
+ * shown in the silo panel.
+ * @module SiloSystem
+ */
+
+import { registerSystem, getSystem } from "./gameState.js";
+import { getItem } from "./itemUtils.js";
+import { logger } from "./logger.js";
+import { t } from "./i18n/i18n.js";
+import { recipes } from "./recipes.js";
+
+// Raw harvested hay (109) → Feno (29), same ratio as the crafting bench.
+const RAW_HAY_RECIPE_ID = "compact_hay";
+
+function _center(b) {
+    return { x: b.x + (b.width || 0) / 2, y: b.y + (b.height || 0) / 2 };
+}
+
+function _currentDay() {
+    const sys = getSystem("dayNight") || getSystem("weather");
+    return sys?.dayCount ?? sys?.day ?? 0;
+}
+
+function _stockOf(silo) {
+    if (!silo.siloStock || typeof silo.siloStock !== "object") silo.siloStock = {};
+    return silo.siloStock;
+}
+
+const siloSystem = {
+    /** Placed silos (world objects with originalType 'silo'). */
+    getSilos() {
+        const list = window.theWorld?.placedBuildings;
+        if (!Array.isArray(list)) return [];
+        return list.filter(b => b && b.originalType === "silo");
+    },
+
+    /** Silo under a world point, or null (click → silo panel). */
+    getSiloAt(wx, wy) {
+        return this.getSilos().find(s =>
+            wx >= s.x && wx <= s.x + s.width && wy >= s.y && wy <= s.y + s.height) || null;
+    },
+
+    capacityOf(silo) {
+        return Math.max(0, Math.floor(getItem(silo?.itemId)?.siloCapacity || 0));
+    },
+
+    /** Units stored, all feeds together. */
+    stored(silo) {
+        return Object.values(silo?.siloStock || {}).reduce((sum, q) => sum + (q || 0), 0);
+    },
+
+    /** Free room, in feed units. */
+    room(silo) {
+        return Math.max(0, this.capacityOf(silo) - this.stored(silo));
+    },
+
+    /**
+     * True if a silo takes this item: feed some trough can use — species
+     * feed of a farm animal, or the universal (premium) kind.
+     */
+    accepts(itemData) {
+        const ft = getSystem("foodTrough");
+        if (!itemData || itemData.type !== "animal_food" || !ft) return false;
+        if (ft.isPremiumFeed?.(itemData)) return true;
+        return Array.isArray(itemData.targetAnimals)
+            && itemData.targetAnimals.some(a => ft.speciesFor?.(a));
+    },
+
+    /** Enclosure the silo stands in (its center), or null. */
+    enclosureOf(silo) {
+        const c = _center(silo);
+        return getSystem("enclosure")?.getEnclosureAtPoint?.(c.x, c.y) || null;
+    },
+
+    /** Food troughs inside the same enclosure as the silo. */
+    troughsFor(silo) {
+        const enc = this.enclosureOf(silo);
+        if (!enc) return [];
+        const encSys = getSystem("enclosure");
+        const troughs = getSystem("foodTrough")?.getFoodTroughs?.() || [];
+        return troughs.filter(ft => {
+            const c = _center(ft);
+            return encSys.getEnclosureAtPoint(c.x, c.y)?.id === enc.id;
+        });
+    },
+
+    /**
+     * Moves every accepted feed from the inventory into the silo, up to its
+     * capacity.
+     * @returns {{ ok: boolean, moved: number, reason?: string }}
+     */
+    depositFromInventory(silo) {
+        const inv = getSystem("inventory");
+        if (!silo || !inv) return { ok: false, moved: 0, reason: "no_inventory" };
+        if (this.room(silo) <= 0) return { ok: false, moved: 0, reason: "full" };
+
+        const slots = inv.getInventory?.()?.animal_food?.items || [];
+        const ids = [...new Set(slots.filter(s => (s.quantity || 0) > 0).map(s => s.id))]
+            .filter(id => this.accepts(getItem(id)));
+        if (ids.length === 0) return { ok: false, moved: 0, reason: "no_feed" };
+
+        const stock = _stockOf(silo);
+        let moved = 0;
+        for (const id of ids) {
+            const qty = Math.min(inv.getItemQuantity(id), this.room(silo));
+            if (qty <= 0) break;
+            if (!inv.removeItem(id, qty)) continue;
+            stock[id] = (stock[id] || 0) + qty;
+            moved += qty;
+        }
+        if (moved > 0) document.dispatchEvent(new CustomEvent("siloChanged", { detail: { silo } }));
+        return { ok: moved > 0, moved, reason: moved > 0 ? undefined : "no_feed" };
+    },
+
+    /**
+     * Compacts the raw harvested hay in the inventory straight into the
+     * silo (the `compact_hay` recipe: 3 raw → 1 Feno). Leftover raw hay
+     * that doesn't make a full batch stays in the inventory.
+     * @returns {{ ok: boolean, used: number, made: number, reason?: string }}
+     */
+    compactRawHay(silo) {
+        const inv = getSystem("inventory");
+        const recipe = recipes.find(r => r.id === RAW_HAY_RECIPE_ID);
+        if (!silo || !inv || !recipe) return { ok: false, used: 0, made: 0, reason: "no_inventory" };
+        const input = recipe.requiredItems[0];
+        const output = recipe.result;
+
+        const batchesByRoom = Math.floor(this.room(silo) / output.qty);
+        if (batchesByRoom <= 0) return { ok: false, used: 0, made: 0, reason: "full" };
+        const batches = Math.min(Math.floor(inv.getItemQuantity(input.itemId) / input.qty), batchesByRoom);
+        if (batches <= 0) return { ok: false, used: 0, made: 0, reason: "no_raw_hay" };
+
+        const used = batches * input.qty;
+        if (!inv.removeItem(input.itemId, used)) return { ok: false, used: 0, made: 0, reason: "no_raw_hay" };
+        const made = batches * output.qty;
+        const stock = _stockOf(silo);
+        stock[output.itemId] = (stock[output.itemId] || 0) + made;
+        document.dispatchEvent(new CustomEvent("siloChanged", { detail: { silo } }));
+        return { ok: true, used, made };
+    },
+
+    /** Takes one unit of the first stored feed matching `test`; its id or null. */
+    _take(silo, test) {
+        const stock = _stockOf(silo);
+        for (const [key, qty] of Object.entries(stock)) {
+            if (!(qty > 0) || !test(getItem(Number(key)))) continue;
+            if (qty <= 1) delete stock[key];
+            else stock[key] = qty - 1;
+            return Number(key);
+        }
+        return null;
+    },
+
+    /**
+     * Morning run for one silo: fills the main and premium bars of every
+     * food trough in its enclosure as far as the stock goes.
+     * @returns {{ day: number, fed: number, short: Array<{troughId: string, species: string}>, noEnclosure?: boolean }}
+     */
+    refill(silo) {
+        const ft = getSystem("foodTrough");
+        const report = { day: _currentDay(), fed: 0, short: [] };
+        if (!ft || !this.enclosureOf(silo)) {
+            report.noEnclosure = true;
+            silo.lastReport = report;
+            return report;
+        }
+
+        const maxFood = ft.getMaxFoodLevel();
+        const maxPremium = ft.getMaxPremiumLevel();
+        for (const trough of this.troughsFor(silo)) {
+            while ((trough.foodLevel || 0) < maxFood) {
+                if (this._take(silo, it => ft.isBasicFeedFor(it, trough)) == null) break;
+                ft.addFood(trough.id, ft.getFoodPerFeed());
+                report.fed++;
+            }
+            // Premium only tops up what's there; an empty silo shelf for it
+            // isn't a shortage (it's an extra, not the daily ration).
+            while ((trough.premiumLevel || 0) < maxPremium) {
+                if (this._take(silo, it => ft.isPremiumFeed(it)) == null) break;
+                ft.addPremium(trough.id, ft.getPremiumPerFeed());
+                report.fed++;
+            }
+            if ((trough.foodLevel || 0) < maxFood) {
+                report.short.push({ troughId: trough.id, species: trough.species });
+            }
+        }
+        silo.lastReport = report;
+        document.dispatchEvent(new CustomEvent("siloChanged", { detail: { silo } }));
+        return report;
+    },
+
+    /**
+     * Morning run: every silo tops up its enclosure's troughs. Shortages
+     * are logged and shown once on the HUD.
+     * @returns {number} feed units used across all silos.
+     */
+    refillAll() {
+        let fed = 0;
+        const short = [];
+        for (const silo of this.getSilos()) {
+            const report = this.refill(silo);
+            fed += report.fed;
+            short.push(...report.short);
+        }
+        if (short.length > 0) {
+            logger.warn(`[silo] ${short.length} cocho(s) sem ração: ${short.map(s => s.species).join(", ")}`);
+            getSystem("hud")?.showMessage?.(t("silo.shortage", { count: short.length }));
+            document.dispatchEvent(new CustomEvent("siloShortage", { detail: { short } }));
+        }
+        return fed;
+    },
+};
+
+if (typeof document !== "undefined") {
+    // Same morning hook as the sprinklers: troughs start each day topped up.
+    document.addEventListener("dayChanged", () => siloSystem.refillAll());
+}
+
+registerSystem("silo", siloSystem);
+
+export default siloSystem;
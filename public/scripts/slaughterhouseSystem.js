@@ -0,0 +1,427 @@
+/**
+ * @file slaughterhouseSystem.js - Painel do Abatedouro
+ * Modal aberto a partir do mapa de viagem ao chegar no Abatedouro (mesmo
+ * fluxo do vet: `panelId` no LOCATIONS do travelMap → `open()`, e o mapa
+ * reabre no `slaughterhousePanelClosed`).
+ *
+ * Estrutura:
+ *  - Esquerda: animais da fazenda com a cotação (carne + couro/penas),
+ *    estágio de vida e saúde. Filhotes, feridos e internados aparecem
+ *    bloqueados com o motivo.
+ *  - Direita: histórico de vendas deste save.
+ *  - Vender sempre passa por um diálogo de confirmação com o detalhamento.
+ *
+ * Regras/preço/histórico ficam no `slaughterSystem` (animal/slaughterSystem.js).
+ *
+ * Uso:
+ *   const slh = getSystem('slaughterhouse');
+ *   slh.open();
+ *   slh.close();
+ */
+
+import { registerSystem } from './gameState.js';
+import { t } from './i18n/i18n.js';
+import { assets } from './assetManager.js';
+import { slaughterSystem } from './animal/slaughterSystem.js';
+
+const PRODUCT_ICONS = {
+  meat: '🥩',
+  leather: '🧥',
+  feathers: '🪶',
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function getAnimalThumbnailFromAsset(assetName) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 48;
+  canvas.height = 48;
+  const ctx = canvas.getContext('2d');
+
+  const data = assets.animals?.[assetName];
+  if (data?.img) {
+    const img = data.img;
+    const fw = data.frameWidth || (img.width / (data.cols || 4));
+    const fh = data.frameHeight || (img.height / (data.rows || 4));
+    const sy = (data.directionRows?.down ?? 0) * fh;
+    ctx.drawImage(img, 0, sy, fw, fh, 0, 0, 48, 48);
+  } else {
+    ctx.fillStyle = '#b0a090';
+    ctx.fillRect(0, 0, 48, 48);
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('?', 24, 24);
+  }
+
+  return canvas.toDataURL();
+}
+
+function getDisplayName(assetName, customName) {
+  if (customName) return customName;
+  const key = `animals.${(assetName || '').toLowerCase()}`;
+  const translated = t(key);
+  return translated !== key ? translated : (assetName || 'animal');
+}
+
+function fmtPrice(v) {
+  return t('slaughterhouse.priceFormat', { value: v });
+}
+
+function fmtProducts(products) {
+  return products
+    .map(p => `${PRODUCT_ICONS[p.id] || '•'} ${t(`slaughterhouse.products.${p.id}`)} ${fmtPrice(p.value)}`)
+    .join(' · ');
+}
+
+/** Faixa de saúde exibida no card (a cotação já traz o multiplicador). */
+function healthLabel(animal, quote) {
+  if (animal.disease) return t('slaughterhouse.health.sick');
+  if ((quote.health ?? 1) >= 0.9) return t('slaughterhouse.health.good');
+  return t('slaughterhouse.health.fair');
+}
+
+class SlaughterhousePanel {
+  constructor() {
+    this.overlay = null;
+    this.visible = false;
+    this._abortController = null;
+  }
+
+  isOpen() { return this.visible; }
+
+  open() {
+    if (this.visible) return;
+    this._previousActiveElement =
+      document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    this._buildDOM();
+    requestAnimationFrame(() => {
+      this.overlay?.classList.add('slh-visible');
+      this._closeBtn?.focus();
+    });
+    this.visible = true;
+    document.dispatchEvent(new CustomEvent('slaughterhousePanelOpened'));
+  }
+
+  close() {
+    if (!this.visible && !this.overlay) return;
+    if (this.overlay) this.overlay.classList.remove('slh-visible');
+
+    // Snapshot das refs — um open() durante o fade não pode ser abortado
+    // pelo timer deste close (mesma proteção do vetSystem).
+    const overlayToRemove = this.overlay;
+    const controllerToAbort = this._abortController;
+    const previousFocus = this._previousActiveElement;
+    this.overlay = null;
+    this._abortController = null;
+    this._previousActiveElement = null;
+
+    setTimeout(() => {
+      controllerToAbort?.abort();
+      overlayToRemove?.parentNode?.removeChild(overlayToRemove);
+      previousFocus?.focus?.();
+    }, 320);
+
+    this.visible = false;
+    document.dispatchEvent(new CustomEvent('slaughterhousePanelClosed'));
+  }
+
+  _buildDOM() {
+    this._abortController = new AbortController();
+    const signal = this._abortController.signal;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'slaughterhouse-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'slh-title');
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slh-wrapper';
+
+    // ─── Header ───────────────────────────────────────────────────────────
+    const header = document.createElement('div');
+    header.className = 'slh-header';
+    const titleBox = document.createElement('div');
+    titleBox.className = 'slh-title-box';
+    const title = document.createElement('h1');
+    title.id = 'slh-title';
+    title.className = 'slh-title';
+    const subtitle = document.createElement('p');
+    subtitle.className = 'slh-subtitle';
+    titleBox.append(title, subtitle);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'slh-close-btn';
+    closeBtn.textContent = '✕';
+    closeBtn.addEventListener('click', () => this.close(), { signal });
+    header.append(titleBox, closeBtn);
+    this._closeBtn = closeBtn;
+
+    // ─── Body: animais | histórico ───────────────────────────────────────
+    const body = document.createElement('div');
+    body.className = 'slh-body';
+
+    const animalsCol = document.createElement('section');
+    animalsCol.className = 'slh-col';
+    const animalsTitle = document.createElement('h2');
+    animalsTitle.className = 'slh-col-title';
+    const list = document.createElement('div');
+    list.className = 'slh-list';
+    animalsCol.append(animalsTitle, list);
+
+    const historyCol = document.createElement('aside');
+    historyCol.className = 'slh-col slh-history';
+    const historyTitle = document.createElement('h2');
+    historyTitle.className = 'slh-col-title';
+    const historySummary = document.createElement('div');
+    historySummary.className = 'slh-history-summary';
+    const historyList = document.createElement('div');
+    historyList.className = 'slh-list';
+    historyCol.append(historyTitle, historySummary, historyList);
+
+    body.append(animalsCol, historyCol);
+
+    const toast = document.createElement('div');
+    toast.className = 'slh-toast';
+    toast.setAttribute('aria-live', 'polite');
+
+    wrapper.append(header, body, toast);
+    overlay.appendChild(wrapper);
+
+    this._refs = {
+      wrapper, title, subtitle, closeBtn, animalsTitle, list,
+      historyTitle, historySummary, historyList, toast,
+    };
+    this._render();
+
+    // Estado dos animais muda com o painel aberto (internação, cura, idioma).
+    const rerender = () => this._render();
+    document.addEventListener('languageChanged', rerender, { signal });
+    document.addEventListener('animalAdmitted', rerender, { signal });
+    document.addEventListener('animalRetrieved', rerender, { signal });
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    }, { signal });
+
+    // ESC fecha o diálogo de confirmação, se houver; senão, o painel.
+    // Demais teclas não vazam pro jogo.
+    const blockKeys = (e) => {
+      if (!this.visible) return;
+      if (e.key === 'Escape' && e.type === 'keydown') {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        const dialog = this._refs?.wrapper.querySelector('.slh-confirm-overlay');
+        if (dialog) dialog.remove();
+        else this.close();
+        return;
+      }
+      e.stopImmediatePropagation();
+    };
+    window.addEventListener('keydown',  blockKeys, { capture: true, signal });
+    window.addEventListener('keyup',    blockKeys, { capture: true, signal });
+    window.addEventListener('keypress', blockKeys, { capture: true, signal });
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+  }
+
+  _render() {
+    const r = this._refs;
+    if (!r) return;
+    r.title.textContent = t('slaughterhouse.title');
+    r.subtitle.textContent = t('slaughterhouse.subtitle');
+    r.closeBtn.setAttribute('aria-label', t('slaughterhouse.close'));
+    r.closeBtn.title = t('slaughterhouse.closeHint');
+    r.animalsTitle.textContent = t('slaughterhouse.animalsTitle');
+    r.historyTitle.textContent = t('slaughterhouse.historyTitle');
+
+    // Vendáveis primeiro (mais caros no topo), bloqueados depois.
+    const candidates = slaughterSystem.getCandidates()
+      .sort((a, b) => (b.quote.ok - a.quote.ok) || (b.quote.total - a.quote.total));
+    r.list.replaceChildren();
+    if (candidates.length === 0) {
+      r.list.appendChild(this._empty(t('slaughterhouse.empty')));
+    }
+    for (const c of candidates) r.list.appendChild(this._buildCard(c));
+
+    const history = slaughterSystem.getHistory();
+    const earned = history.reduce((sum, s) => sum + s.total, 0);
+    r.historySummary.textContent = t('slaughterhouse.historySummary', {
+      count: history.length, total: fmtPrice(earned),
+    });
+    r.historyList.replaceChildren();
+    if (history.length === 0) {
+      r.historyList.appendChild(this._empty(t('slaughterhouse.historyEmpty')));
+    }
+    for (const sale of history) {
+      const row = document.createElement('div');
+      row.className = 'slh-sale';
+      const main = document.createElement('div');
+      main.className = 'slh-sale-main';
+      const name = document.createElement('span');
+      name.className = 'slh-sale-name';
+      name.textContent = getDisplayName(sale.assetName, sale.customName);
+      const total = document.createElement('span');
+      total.className = 'slh-sale-total';
+      total.textContent = fmtPrice(sale.total);
+      main.append(name, total);
+      const meta = document.createElement('div');
+      meta.className = 'slh-sale-meta';
+      meta.textContent = `${t('slaughterhouse.day', { day: sale.day })} · ${t(`animal.aging.stage.${sale.stage}`)}`;
+      row.append(main, meta);
+      r.historyList.appendChild(row);
+    }
+  }
+
+  _empty(text) {
+    const el = document.createElement('div');
+    el.className = 'slh-empty';
+    el.textContent = text;
+    return el;
+  }
+
+  _buildCard({ animal, entry, quote, hospitalized }) {
+    const src = animal || entry;
+    const card = document.createElement('div');
+    card.className = 'slh-animal';
+    if (!quote.ok) card.dataset.blocked = quote.reason;
+
+    const img = document.createElement('img');
+    img.className = 'slh-thumb';
+    img.src = getAnimalThumbnailFromAsset(src.assetName);
+    img.width = 48;
+    img.height = 48;
+    img.alt = '';
+
+    const info = document.createElement('div');
+    info.className = 'slh-info';
+    const name = document.createElement('div');
+    name.className = 'slh-name';
+    name.textContent = getDisplayName(src.assetName, src.customName);
+    const meta = document.createElement('div');
+    meta.className = 'slh-meta';
+    const detail = document.createElement('div');
+    detail.className = 'slh-detail';
+
+    if (quote.ok) {
+      meta.textContent = `${t(`animal.aging.stage.${quote.stage}`)} · ${healthLabel(animal, quote)}`;
+      detail.textContent = fmtProducts(quote.products);
+    } else {
+      if (!hospitalized && animal._lifeStage) meta.textContent = t(`animal.aging.stage.${animal._lifeStage}`);
+      detail.textContent = t(`slaughterhouse.blocked.${quote.reason}`);
+    }
+    info.append(name, meta, detail);
+
+    const side = document.createElement('div');
+    side.className = 'slh-side';
+    if (quote.ok) {
+      const price = document.createElement('div');
+      price.className = 'slh-price';
+      price.textContent = fmtPrice(quote.total);
+      side.appendChild(price);
+    }
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'slh-btn';
+    btn.textContent = t('slaughterhouse.sellBtn');
+    btn.disabled = !quote.ok;
+    if (quote.ok) {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._confirmSale(animal, quote);
+      }, { signal: this._abortController?.signal });
+    }
+    side.appendChild(btn);
+
+    card.append(img, info, side);
+    return card;
+  }
+
+  _confirmSale(animal, quote) {
+    const r = this._refs;
+    if (!r) return;
+    r.wrapper.querySelector('.slh-confirm-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'slh-confirm-overlay';
+    const dialog = document.createElement('div');
+    dialog.className = 'slh-dialog';
+
+    const name = getDisplayName(animal.assetName, animal.customName);
+    const msg = document.createElement('p');
+    msg.textContent = t('slaughterhouse.confirm.message', { name });
+    const breakdown = document.createElement('ul');
+    breakdown.className = 'slh-breakdown';
+    for (const p of quote.products) {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${PRODUCT_ICONS[p.id] || '•'} ${t(`slaughterhouse.products.${p.id}`)}`;
+      const value = document.createElement('span');
+      value.textContent = fmtPrice(p.value);
+      li.append(label, value);
+      breakdown.appendChild(li);
+    }
+    const totalLi = document.createElement('li');
+    totalLi.className = 'slh-breakdown-total';
+    const totalLabel = document.createElement('span');
+    totalLabel.textContent = t('slaughterhouse.confirm.total');
+    const totalValue = document.createElement('span');
+    totalValue.textContent = fmtPrice(quote.total);
+    totalLi.append(totalLabel, totalValue);
+    breakdown.appendChild(totalLi);
+
+    const warning = document.createElement('p');
+    warning.className = 'slh-warning';
+    warning.textContent = t('slaughterhouse.confirm.warning');
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'slh-dialog-buttons';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'slh-btn secondary';
+    cancelBtn.textContent = t('slaughterhouse.confirm.cancel');
+    cancelBtn.addEventListener('click', () => overlay.remove());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = 'slh-btn danger';
+    confirmBtn.textContent = t('slaughterhouse.confirm.confirm');
+    confirmBtn.addEventListener('click', () => {
+      overlay.remove();
+      const result = slaughterSystem.sell(animal.id);
+      this._showToast(result.ok
+        ? t('slaughterhouse.toast.sold', { name, total: fmtPrice(result.sale.total) })
+        : t(`slaughterhouse.blocked.${result.reason}`), result.ok ? 'success' : 'error');
+      this._render();
+    });
+    btnRow.append(cancelBtn, confirmBtn);
+
+    dialog.append(msg, breakdown, warning, btnRow);
+    overlay.appendChild(dialog);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) overlay.remove();
+    });
+    r.wrapper.appendChild(overlay);
+    confirmBtn.focus?.();
+  }
+
+  _showToast(text, state) {
+    const toast = this._refs?.toast;
+    if (!toast) return;
+    toast.textContent = text;
+    toast.dataset.state = state;
+    clearTimeout(this._toastTimer);
+    this._toastTimer = setTimeout(() => {
+      if (toast.textContent === text) toast.textContent = '';
+    }, 3500);
+  }
+}
+
+const slaughterhousePanel = new SlaughterhousePanel();
+registerSystem('slaughterhouse', slaughterhousePanel);
+
+export default slaughterhousePanel;
+export { slaughterhousePanel };
@@ -0,0 +1,88 @@
+/**
+ * @file sprinklerSystem.js - Irrigadores (sprinklers)
+ * @description Sprinklers are placed through buildSystem like any other
+ * construction (originalType 'sprinkler'). Every morning (`dayChanged`) each
+ * one waters the crops and tilled tiles in its footprint: a square of tiles
+ * centered on the tile it stands on. The tier (basic / iron / steel) lives on
+ * the item as `sprinklerRadius` — 1 → 3×3, 2 → 5×5, 3 → 7×7.
+ *
+ * No state of its own: placed sprinklers are world objects (saved with the
+ * world), and the radius is read back from the item by `itemId`.
+ * @module SprinklerSystem
+ */
+
+import { registerSystem, getSystem } from "./gameState.js";
+import { getItem } from "./itemUtils.js";
+import { TILE_SIZE } from "./worldConstants.js";
+
+const sprinklerSystem = {
+    /** Footprint radius (tiles) of a sprinkler item; 0 if it isn't one. */
+    radiusOf(itemId) {
+        return Math.max(0, Math.floor(getItem(itemId)?.sprinklerRadius || 0));
+    },
+
+    /**
+     * Tiles (top-left world coords) covered by a sprinkler standing at the
+     * world point. The sprinkler's own tile is included — nothing grows
+     * under it, so watering it is a no-op.
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} radius - in tiles
+     * @returns {Array<{x:number, y:number}>}
+     */
+    coverageTiles(worldX, worldY, radius) {
+        const cx = Math.floor(worldX / TILE_SIZE) * TILE_SIZE;
+        const cy = Math.floor(worldY / TILE_SIZE) * TILE_SIZE;
+        const tiles = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                tiles.push({ x: cx + dx * TILE_SIZE, y: cy + dy * TILE_SIZE });
+            }
+        }
+        return tiles;
+    },
+
+    /** Placed sprinklers (world objects with originalType 'sprinkler'). */
+    getPlaced() {
+        const list = window.theWorld?.placedBuildings;
+        if (!Array.isArray(list)) return [];
+        return list.filter(b => b && b.originalType === 'sprinkler');
+    },
+
+    /**
+     * Morning run: every sprinkler waters the crops and tilled soil in its
+     * footprint. Overlapping footprints water a tile only once.
+     * @returns {number} how many tiles got water (crop or soil).
+     */
+    waterAll() {
+        const crop = getSystem('crop');
+        const hoe = getSystem('hoeTool');
+        const done = new Set();
+        let watered = 0;
+
+        for (const s of this.getPlaced()) {
+            const radius = this.radiusOf(s.itemId);
+            if (radius <= 0) continue;
+            const cx = s.x + (s.width || TILE_SIZE) / 2;
+            const cy = s.y + (s.height || TILE_SIZE) / 2;
+            for (const tile of this.coverageTiles(cx, cy, radius)) {
+                const key = `${tile.x},${tile.y}`;
+                if (done.has(key)) continue;
+                done.add(key);
+                const wetCrop = crop?.waterAt?.(tile.x, tile.y) === true;
+                const wetSoil = hoe?.waterAt?.(tile.x, tile.y) === true;
+                if (wetCrop || wetSoil) watered++;
+            }
+        }
+        return watered;
+    },
+};
+
+if (typeof document !== 'undefined') {
+    // Sprinklers run at the day change, so crops start each morning watered.
+    document.addEventListener('dayChanged', () => sprinklerSystem.waterAll());
+}
+
+registerSystem('sprinkler', sprinklerSystem);
+
+export default sprinklerSystem;
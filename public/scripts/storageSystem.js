@@ -10,6 +10,7 @@ import { t } from './i18n/i18n.js';
 import { registerSystem, getSystem } from './gameState.js';
 import { sanitizeQuantity, isValidPositiveInteger, isValidItemId } from './validation.js';
 import { logger } from './logger.js';
+import { normalizeQuality, qualityRank } from './itemQuality.js';
 
 /**
  * Obtém nome traduzido do item pelo ID
@@ -184,17 +185,32 @@ export class StorageSystem {
    * @param {string} storageCategory - Categoria de destino
    * @param {number} itemId - ID do item a adicionar
    * @param {number} quantity - Quantidade a adicionar
+   * @param {string|null} [quality=null] - Tier de qualidade (stacks de tiers diferentes não se misturam)
    * @returns {boolean} True se pelo menos um item foi adicionado
    */
-  _addToCategory(storageCategory, itemId, quantity) {
+  _addToCategory(storageCategory, itemId, quantity, quality = null) {
+    return this._addStacks(storageCategory, itemId, quantity, quality) > 0;
+  }
+
+  /**
+   * Empilha itens numa categoria e retorna quanto coube
+   * @private
+   * @param {string} storageCategory - Categoria de destino
+   * @param {number} itemId - ID do item
+   * @param {number} quantity - Quantidade desejada
+   * @param {string|null} [quality=null] - Tier de qualidade
+   * @returns {number} Quantidade efetivamente adicionada
+   */
+  _addStacks(storageCategory, itemId, quantity, quality = null) {
     const config = this.categories[storageCategory];
-    if (!config) return false;
+    if (!config) return 0;
 
+    const tier = normalizeQuality(quality);
     let remaining = quantity;
 
     while (remaining > 0) {
       const stack = this.storage[storageCategory].find(
-        (s) => s.itemId === itemId && s.quantity < this.maxStack
+        (s) => s.itemId === itemId && (s.quality ?? null) === tier && s.quantity < this.maxStack
       );
 
       if (stack) {
@@ -209,12 +225,13 @@ export class StorageSystem {
           itemId,
           quantity: add,
           addedAt: Date.now(),
+          ...(tier ? { quality: tier } : {}),
         });
         remaining -= add;
       }
     }
 
-    return remaining !== quantity;
+    return quantity - remaining;
   }
 
   /**
@@ -276,49 +293,27 @@ export class StorageSystem {
         return false;
     }
 
-    let remaining = qty;
-    let deposited = 0;
-
-    while (remaining > 0) {
-      const existingStack = this.storage[storageCategory].find(
-        (s) => s.itemId === itemId && s.quantity < this.maxStack
-      );
-
-      if (existingStack) {
-        const add = Math.min(remaining, this.maxStack - existingStack.quantity);
-        existingStack.quantity += add;
-        remaining -= add;
-        deposited += add;
-      } else {
-        if (this.storage[storageCategory].length >= categoryConfig.maxStacks) {
-          this.showMessage(t('storage.storageFull', { category: categoryConfig.name }));
-          break;
-        }
-
-        const add = Math.min(remaining, this.maxStack);
-        this.storage[storageCategory].push({
-          itemId,
-          quantity: add,
-          addedAt: Date.now(),
-        });
+    // Tira do inventário primeiro pra saber quais tiers de qualidade saem;
+    // o que não couber no armazém volta pro inventário com o mesmo tier.
+    const taken = inventory.takeItem(itemId, qty);
+    if (!taken) {
+      this.showMessage(t('storage.insufficientQuantity'));
+      return false;
+    }
 
-        remaining -= add;
-        deposited += add;
+    let deposited = 0;
+    for (const part of taken) {
+      const added = this._addStacks(storageCategory, itemId, part.quantity, part.quality);
+      deposited += added;
+      if (added < part.quantity) {
+        inventory.addItemWithQuality(itemId, part.quantity - added, part.quality);
       }
     }
 
-    if (deposited <= 0) return false;
-
-    const removedOk = invCatOk
-      ? inventory.removeItem(inventoryCategory, itemId, deposited)
-      : inventory.removeItem(itemId, deposited);
-
-    // Se falhou remover do inventário, desfaz a adição
-    if (!removedOk && removedOk !== undefined) {
-      this.removeItem(storageCategory, itemId, deposited);
-      this.showMessage(t('storage.syncError'));
-      return false;
+    if (deposited < qty) {
+      this.showMessage(t('storage.storageFull', { category: categoryConfig.name }));
     }
+    if (deposited <= 0) return false;
 
     this.showMessage(t('storage.deposited', { qty: deposited, name: getItemName(itemId, itemData.name) }));
     document.dispatchEvent(new CustomEvent('itemStored', {
@@ -353,9 +348,8 @@ export class StorageSystem {
     const itemData = getItem(itemId);
     if (!itemData) return false;
 
-    // removeItem NÃO é atômico: se qty > disponível, ele drena os stacks
-    // existentes antes de retornar false — perdendo o que foi drenado. Confere
-    // a disponibilidade nesta categoria ANTES de remover.
+    // Confere a disponibilidade nesta categoria ANTES de tirar (takeItem é
+    // atômico, mas assim o jogador recebe a mensagem certa).
     const availableInCategory = (this.storage[storageCategory] || [])
       .reduce((sum, s) => (s.itemId === itemId ? sum + (s.quantity || 0) : sum), 0);
     if (availableInCategory < qty) {
@@ -363,31 +357,34 @@ export class StorageSystem {
       return false;
     }
 
-    // Contagem ANTES pra confirmar depois quanto realmente entrou (a soma é
-    // por todas as categorias/stacks).
-    const before = inventory.getItemQuantity(itemId);
-
-    const removed = this.removeItem(storageCategory, itemId, qty);
-    if (!removed) {
+    const taken = this.takeItem(itemId, qty, { category: storageCategory });
+    if (!taken) {
       this.showMessage(t('storage.itemNotFound'));
       return false;
     }
 
-    inventory.addItem(itemId, qty);
-
-    // Safety-net (#bateria): NÃO confia no retorno do addItem — confere pela
-    // contagem real quanto entrou. Se addItem retornar true sem adicionar tudo
-    // (ou nada), o que sobrou seria removido do armazém e PERDIDO. Aqui
-    // devolvemos ao armazém exatamente a diferença que não coube.
-    const landed = Math.max(0, inventory.getItemQuantity(itemId) - before);
+    let landed = 0;
+    for (const part of taken) {
+      // Contagem ANTES pra confirmar depois quanto realmente entrou (a soma é
+      // por todas as categorias/stacks).
+      const before = inventory.getItemQuantity(itemId);
+      inventory.addItemWithQuality(itemId, part.quantity, part.quality);
+
+      // Safety-net (#bateria): NÃO confia no retorno do addItem — confere pela
+      // contagem real quanto entrou. Se addItem retornar true sem adicionar tudo
+      // (ou nada), o que sobrou seria removido do armazém e PERDIDO. Aqui
+      // devolvemos ao armazém exatamente a diferença que não coube, no mesmo tier.
+      const partLanded = Math.max(0, Math.min(part.quantity, inventory.getItemQuantity(itemId) - before));
+      landed += partLanded;
+      const missing = part.quantity - partLanded;
+      if (missing > 0) this._addToCategory(storageCategory, itemId, missing, part.quality);
+    }
 
     if (landed >= qty) {
       this.showMessage(t('storage.withdrawn', { qty, name: getItemName(itemId, itemData.name) }));
       return true;
     }
 
-    const missing = qty - landed;
-    if (missing > 0) this._addToCategory(storageCategory, itemId, missing);
     this.showMessage(t('storage.inventoryFull'));
     return landed > 0; // true se pelo menos parte saiu
   }
@@ -397,9 +394,10 @@ export class StorageSystem {
    * Determina automaticamente a categoria baseado no tipo do item
    * @param {number} itemId - ID do item a adicionar
    * @param {number} [quantity=1] - Quantidade a adicionar
+   * @param {string|null} [quality=null] - Tier de qualidade (itemQuality.js)
    * @returns {boolean} True se a adição foi bem-sucedida
    */
-  addItem(itemId, quantity = 1) {
+  addItem(itemId, quantity = 1, quality = null) {
     if (typeof quantity !== "number" || !Number.isFinite(quantity)) {
       logger.warn("[Storage] Invalid quantity:", quantity);
       return false;
@@ -417,7 +415,7 @@ export class StorageSystem {
 
     const category = this.mapItemTypeToCategory(itemData.type);
     const beforeQuantity = this.getItemQuantity(itemId);
-    const result = this._addToCategory(category, itemId, qty);
+    const result = this._addToCategory(category, itemId, qty, quality);
     const addedQuantity = this.getItemQuantity(itemId) - beforeQuantity;
 
     // Dispatch event for quest system
@@ -469,9 +467,10 @@ export class StorageSystem {
 
     if (!this.storage[category]) return false;
 
+    // Tier mais baixo primeiro; dentro do tier, stacks mais antigos (FIFO).
     const stacks = this.storage[category]
       .filter((s) => s.itemId === id)
-      .sort((a, b) => a.addedAt - b.addedAt);
+      .sort((a, b) => (qualityRank(a.quality) - qualityRank(b.quality)) || (a.addedAt - b.addedAt));
 
     let remaining = qty;
 
@@ -486,6 +485,51 @@ export class StorageSystem {
     return remaining === 0;
   }
 
+  /**
+   * Remove itens do armazenamento informando quais tiers de qualidade saíram.
+   * Diferente do removeItem, é atômico: se não houver o bastante, nada sai.
+   * @param {number} itemId - ID do item
+   * @param {number} [quantity=1] - Quantidade a retirar
+   * @param {Object} [options]
+   * @param {string} [options.category] - Categoria de origem (padrão: a do item)
+   * @param {string} [options.quality] - Restringe a um tier; omitido = qualquer
+   * @param {boolean} [options.bestFirst=false] - Consome o tier mais alto primeiro
+   * @returns {Array<{quality:string|null, quantity:number}>|null} O que saiu, por tier
+   */
+  takeItem(itemId, quantity = 1, { category, quality, bestFirst = false } = {}) {
+    if (!isValidItemId(itemId)) return null;
+    const qty = sanitizeQuantity(quantity, 1, 9999);
+    const cat = category ?? this.findItem(itemId)?.category;
+    if (!cat || !this.storage[cat]) return null;
+
+    const wanted = quality === undefined ? undefined : normalizeQuality(quality);
+    const stacks = this.storage[cat]
+      .filter((s) => s.itemId === itemId && (wanted === undefined || (s.quality ?? null) === wanted))
+      .sort((a, b) => {
+        const byTier = qualityRank(a.quality) - qualityRank(b.quality);
+        return (bestFirst ? -byTier : byTier) || (a.addedAt - b.addedAt);
+      });
+
+    const available = stacks.reduce((sum, s) => sum + (s.quantity || 0), 0);
+    if (available < qty) return null;
+
+    const taken = [];
+    let remaining = qty;
+    for (const stack of stacks) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, stack.quantity);
+      stack.quantity -= take;
+      remaining -= take;
+      const q = stack.quality ?? null;
+      const part = taken.find((p) => p.quality === q);
+      if (part) part.quantity += take;
+      else taken.push({ quality: q, quantity: take });
+    }
+
+    this.storage[cat] = this.storage[cat].filter((s) => s.quantity > 0);
+    return taken;
+  }
+
   /**
    * Localiza um item no armazenamento
    * @param {number} itemId - ID do item a localizar
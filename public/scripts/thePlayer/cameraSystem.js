@@ -21,6 +21,13 @@ export function setViewportSize(width, height) {
     camera.height = ZOOMED_VIEWPORT_HEIGHT;
 }
 
+// Foco temporário (focusOn): fração do caminho andada por frame, ida e volta.
+const FOCUS_EASE = 0.12;
+
+function _now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
 export const camera = {
     x: 0,
     y: 0,
@@ -32,9 +39,45 @@ export const camera = {
     _mapWidth: WORLD_WIDTH,
     _mapHeight: WORLD_HEIGHT,
 
+    /** { x, y, until, returning } enquanto a câmera olha pra outro ponto. */
+    _focus: null,
+
+    /**
+     * Desliza a câmera até um ponto do mundo (ex.: "localizar" do painel do
+     * rebanho), segura ali por `durationMs` e volta deslizando pro jogador.
+     */
+    focusOn(x, y, durationMs = 3000) {
+        this._focus = { x, y, until: _now() + durationMs, returning: false };
+    },
+
+    clearFocus() {
+        this._focus = null;
+    },
+
     follow(target) {
-        this.x = target.x - this.width / 2 + target.width / 2;
-        this.y = target.y - this.height / 2 + target.height / 2;
+        let goalX = target.x - this.width / 2 + target.width / 2;
+        let goalY = target.y - this.height / 2 + target.height / 2;
+
+        const focus = this._focus;
+        if (focus) {
+            if (!focus.returning && _now() >= focus.until) focus.returning = true;
+            if (!focus.returning) {
+                goalX = focus.x - this.width / 2;
+                goalY = focus.y - this.height / 2;
+            }
+            // Clampa antes de comparar: perto da borda do mapa o alvo sem
+            // clamp fica fora do alcance e o foco nunca seria solto.
+            goalX = Math.max(0, Math.min(this._mapWidth - this.width, goalX));
+            goalY = Math.max(0, Math.min(this._mapHeight - this.height, goalY));
+            goalX = this.x + (goalX - this.x) * FOCUS_EASE;
+            goalY = this.y + (goalY - this.y) * FOCUS_EASE;
+            // De volta no jogador: solta o foco e segue normal.
+            if (focus.returning && Math.abs(goalX - this.x) < 0.5 && Math.abs(goalY - this.y) < 0.5) {
+                this._focus = null;
+            }
+        }
+        this.x = goalX;
+        this.y = goalY;
 
         this.x = Math.max(0, Math.min(this._mapWidth - this.width, this.x));
         this.y = Math.max(0, Math.min(this._mapHeight - this.height, this.y));
@@ -71,4 +114,9 @@ export const camera = {
                screenPos.y + (height * this.zoom) > 0 && 
                screenPos.y < VIEWPORT_HEIGHT;
     }
-};
\ No newline at end of file
+};
+
+// Trocar de mapa teleporta o jogador; um foco pendente deslizaria pelo mapa novo.
+if (typeof document !== "undefined") {
+    document.addEventListener("mapChanged", () => camera.clearFocus());
+}
@@ -525,6 +525,15 @@ export class PlayerInteractionSystem {
                 return;
             }
 
+            // Silo de ração: painel de estoque/depósito.
+            const siloHit = getSystem('silo')?.getSiloAt?.(worldPos.x, worldPos.y);
+            if (siloHit) {
+                import('../siloPanel.js').then(m => {
+                    m.openSiloPanel(siloHit);
+                }).catch(err => logger.warn('Falha ao abrir painel do silo:', err));
+                return;
+            }
+
             // Issue #165: crop actions (priority order).
             const cropSys = getSystem('crop');
             // 1) Scythe equipped + mature crop under cursor → harvest.
@@ -534,6 +543,18 @@ export class PlayerInteractionSystem {
                 cropSys.harvestAt(worldPos.x, worldPos.y);
                 return;
             }
+            // 1a) Giant crop under the cursor: only the axe fells it (the
+            // scythe's harvestAt refuses with a "use the axe" hint).
+            if (cropSys?.isGiantAt?.(worldPos.x, worldPos.y)) {
+                if (eqItem?.toolType === 'axe') {
+                    cropSys.harvestGiantAt(worldPos.x, worldPos.y);
+                    return;
+                }
+                if (eqItem?.toolType === 'scythe') {
+                    cropSys.harvestAt(worldPos.x, worldPos.y);
+                    return;
+                }
+            }
             // 1b) Watering can equipped → water the crop (or tilled soil) under
             // the cursor, spending one charge. Empty cans do nothing (refill at
             // the well). Always consumes the click (tool-in-hand semantics).
@@ -559,7 +580,18 @@ export class PlayerInteractionSystem {
                 return;
             }
             // 2) Active seed + tilled, unplanted tile → plant (consumes a seed).
-            if (cropSys?.plantAt?.(worldPos.x, worldPos.y)) {
+            // A fertilizer picked in the seed wheel is spread instead, on any
+            // tilled tile (planted or not) — consumes one, refills nutrients.
+            // A crop spray is applied on the plant under the cursor (cures its pest).
+            const activeSeed = getSystem('seedWheel')?.getActiveSeed?.();
+            const hoeSys = getSystem('hoeTool');
+            if (activeSeed && cropSys?.isTreatment?.(activeSeed.id)) {
+                if (cropSys.treatAt(worldPos.x, worldPos.y, activeSeed.id)) return;
+            } else if (activeSeed && hoeSys?.isFertilizer?.(activeSeed.id)) {
+                if (hoeSys.fertilizeAt(worldPos.x, worldPos.y, activeSeed.id)) return;
+            } else if (getSystem('fruitTree')?.plantAt?.(worldPos.x, worldPos.y)) {
+                return;
+            } else if (cropSys?.plantAt?.(worldPos.x, worldPos.y)) {
                 return;
             }
 
@@ -802,7 +834,8 @@ export class PlayerInteractionSystem {
             let snapBest = null;
             let snapBestDistSq = Infinity;
             for (const a of animals) {
-                if (!a) continue;
+                // Abrigado no celeiro/galinheiro: não está no mundo.
+                if (!a || a.sheltered) continue;
                 const w = a.width || a.frameWidth || 32;
                 const h = a.height || a.frameHeight || 32;
                 const ax = a.x || 0;
@@ -1147,6 +1180,20 @@ function setupUIShortcuts() {
             return;
         }
 
+        if (isActionKeyEvent(e, "farmPlanner") && !e.repeat) {
+            if (BuildSystem?.active) return;
+            e.preventDefault();
+            getSystem('farmPlanner')?.toggle?.();
+            return;
+        }
+
+        if (isActionKeyEvent(e, "herdDashboard") && !e.repeat) {
+            if (BuildSystem?.active) return;
+            e.preventDefault();
+            getSystem('herdDashboard')?.toggle?.();
+            return;
+        }
+
         if (isActionKeyEvent(e, "config") && !e.repeat) {
             e.preventDefault();
 
@@ -2,6 +2,7 @@ import { logger } from '../logger.js';
 import { safeDispatch } from '../safeDispatch.js';
 import { consumeItem, equipItem, discardItem } from './playerInventory.js';
 import { mapTypeToCategory, INVENTORY_CATEGORIES } from '../categoryMapper.js';
+import { normalizeQuality, qualityRank } from '../itemQuality.js';
 import { getItem, getStackLimit, isPlaceable, isConsumable as itemUtilsIsConsumable, getConsumptionData as itemUtilsGetConsumptionData, getAllItems } from '../itemUtils.js';
 import { t } from '../i18n/i18n.js';
 import { UI_UPDATE_DELAY_MS, UI_MIN_UPDATE_INTERVAL_MS, INIT_DELAY_MS, CONSUMPTION_BAR_DURATION_MS } from '../constants.js';
@@ -150,30 +151,59 @@ export class InventorySystem {
     }
 
     addItem(categoryOrId, itemIdOrQty, quantity = 1, _recursionDepth = 0) {
-        if (_recursionDepth > 100) {
-            logger.error('❌ Limite de recursão excedido ao adicionar itens');
-            return false;
-        }
-
         let category = categoryOrId;
         let id = itemIdOrQty;
         let qty = quantity;
-        let itemDataCached = null;
 
         if (typeof categoryOrId === 'number') {
             id = categoryOrId;
             qty = itemIdOrQty || 1;
 
             // Usar getItem() centralizado
-            itemDataCached = getItem(id);
-            if (!itemDataCached) {
+            const itemData = getItem(id);
+            if (!itemData) {
                 logger.error(`Erro: Item ID ${id} não existe no banco de dados`);
                 return false;
             }
 
             // Usar mapeamento centralizado
-            category = mapTypeToCategory(itemDataCached.type);
-            logger.debug(`Adicionando: ${itemDataCached.name} (Tipo: ${itemDataCached.type}) → ${category}`);
+            category = mapTypeToCategory(itemData.type);
+            logger.debug(`Adicionando: ${itemData.name} (Tipo: ${itemData.type}) → ${category}`);
+        }
+
+        return this._addToCategory(category, id, qty, null, _recursionDepth);
+    }
+
+    /**
+     * Adds `quantity` of an item with a harvest quality tier (itemQuality.js).
+     * Tiered stacks never merge with other tiers; 'normal'/null behaves
+     * exactly like `addItem(itemId, qty)`.
+     * @param {number} itemId
+     * @param {number} [quantity=1]
+     * @param {string|null} [quality=null] - 'normal' | 'silver' | 'gold'
+     * @returns {boolean}
+     */
+    addItemWithQuality(itemId, quantity = 1, quality = null) {
+        const tier = normalizeQuality(quality);
+        if (!tier) return this.addItem(itemId, quantity);
+
+        const itemData = getItem(itemId);
+        if (!itemData) {
+            logger.error(`Erro: Item ID ${itemId} não existe no banco de dados`);
+            return false;
+        }
+        return this._addToCategory(mapTypeToCategory(itemData.type), itemId, quantity || 1, tier);
+    }
+
+    /**
+     * Núcleo do addItem: empilha na categoria, abrindo stacks novas no
+     * overflow. `quality` (null = normal) faz parte da identidade da stack.
+     * @private
+     */
+    _addToCategory(category, id, qty, quality = null, _recursionDepth = 0) {
+        if (_recursionDepth > 100) {
+            logger.error('❌ Limite de recursão excedido ao adicionar itens');
+            return false;
         }
 
         // Sanitizar quantidade (bloqueia NaN, negativo, Infinity)
@@ -185,8 +215,8 @@ export class InventorySystem {
             return false;
         }
 
-        // Validar que o item existe no banco de dados (reusar lookup se já feito)
-        const itemData = itemDataCached || getItem(id);
+        // Validar que o item existe no banco de dados
+        const itemData = getItem(id);
         if (!itemData) {
             logger.error(`Item ID ${id} não encontrado no banco de dados`);
             return false;
@@ -198,7 +228,7 @@ export class InventorySystem {
         }
 
         const categoryData = this.categories[category];
-        const existingItem = categoryData.items.find(item => item.id === id);
+        const existingItem = categoryData.items.find(item => item.id === id && (item.quality ?? null) === quality);
         
         const stackLimit = getStackLimit(id);
 
@@ -216,18 +246,7 @@ export class InventorySystem {
                 existingItem.quantity = stackLimit;
 
                 // Criar nova stack com o overflow
-                const itemData = getItem(id);
-                categoryData.items.push({
-                    id: itemData.id,
-                    name: itemData.name,
-                    icon: itemData.icon,
-                    type: itemData.type,
-                    quantity: overflow,
-                    placeable: itemData.placeable || false,
-                    variants: itemData.variants || null,
-                    toolType: itemData.toolType || null,
-                    fillUp: itemData.fillUp || null
-                });
+                categoryData.items.push(this._makeStack(itemData, overflow, quality));
 
                 logger.debug(` Stack dividida: ${itemData.name} - Principal: ${stackLimit}, Nova: ${overflow}`);
             } else {
@@ -239,32 +258,14 @@ export class InventorySystem {
                 return false;
             }
 
-            const itemData = getItem(id);
-            if (!itemData) {
-                logger.error(`❌ Erro ao buscar dados do item ${id}`);
-                return false;
-            }
-
             // Criar nova stack respeitando stack limit
-            const stackLimit = getStackLimit(id);
-            const itemClone = {
-                id: itemData.id,
-                name: itemData.name,
-                icon: itemData.icon,
-                type: itemData.type,
-                quantity: Math.min(qty, stackLimit),
-                placeable: itemData.placeable || false,
-                variants: itemData.variants || null,
-                toolType: itemData.toolType || null,
-                fillUp: itemData.fillUp || null
-            };
-            categoryData.items.push(itemClone);
+            categoryData.items.push(this._makeStack(itemData, Math.min(qty, stackLimit), quality));
             
             // Se houver overflow, chamar recursivamente
             if (qty > stackLimit) {
                 const overflow = qty - stackLimit;
                 logger.debug(`📚 Item split: criando nova stack com ${overflow} itens`);
-                return this.addItem(category, id, overflow, _recursionDepth + 1);
+                return this._addToCategory(category, id, overflow, quality, _recursionDepth + 1);
             }
         }
 
@@ -273,20 +274,38 @@ export class InventorySystem {
         return true;
     }
 
+    /** Builds an inventory stack from item data (quality only when tiered). */
+    _makeStack(itemData, quantity, quality = null) {
+        const stack = {
+            id: itemData.id,
+            name: itemData.name,
+            icon: itemData.icon,
+            type: itemData.type,
+            quantity,
+            placeable: itemData.placeable || false,
+            variants: itemData.variants || null,
+            toolType: itemData.toolType || null,
+            fillUp: itemData.fillUp || null
+        };
+        if (quality) stack.quality = quality;
+        return stack;
+    }
+
     /**
      * Acquire a newly obtained item: put it in the inventory, and if the
      * inventory category is full, route it to the warehouse instead so it's
      * never lost. Shows a notice when it goes to the warehouse (or when both
      * are full). Use this for collecting/buying; plain addItem() is still used
      * where overflow-to-warehouse is undesirable (e.g. warehouse withdraw).
+     * `quality` (itemQuality.js tier) is kept on whichever side it lands.
      * @returns {boolean} true if the item landed in the inventory OR warehouse.
      */
-    acquireItem(itemId, quantity = 1) {
-        if (this.addItem(itemId, quantity)) return true;
+    acquireItem(itemId, quantity = 1, quality = null) {
+        if (this.addItemWithQuality(itemId, quantity, quality)) return true;
 
         const storage = getSystem('storage');
         const name = getItem(itemId)?.name || '';
-        if (storage?.addItem && storage.addItem(itemId, quantity)) {
+        if (storage?.addItem && storage.addItem(itemId, quantity, quality)) {
             getSystem('hud')?.showMessage?.(t('inventory.fullSentToWarehouse', { name }));
             return true;
         }
@@ -357,45 +376,121 @@ export class InventorySystem {
 
         if (!this.categories[category]) return false;
 
+        // Drena qualquer tier de qualidade, do mais baixo pro mais alto.
+        if (!this._drainStacks(category, id, qty)) return false;
+
+        // Issue #166 polish: quando o item equipado é removido programaticamente
+        // (merchant vende, quest consome), dispara o evento canônico em vez de
+        // setar `equipped.tool = null` direto. O playerSystem ouve, chama
+        // `unequipItem()` que dispara `itemUnequipped` — esse evento cascateia:
+        //   - `inventorySystem` (listener próprio) limpa `equipped.tool` + save dirty
+        //   - `playerHUD` esconde o badge "Equipado: X"
+        //   - Q-wheel deixa de marcar a slot como atual
+        // Setar direto pulava todos os 3 → estado fantasma no HUD/wheel após venda.
+        if (this.equipped.tool === id) {
+            document.dispatchEvent(new Event('unequipItemRequest'));
+        }
+
+        this._markSaveDirty();
+        this.scheduleUIUpdate();
+        return true;
+    }
+
+    /**
+     * Drena `qty` de um item de uma categoria, atravessando stacks (um item
+     * pode ocupar várias, ex. 200 cercas = 99+99+2). Sem `quality` consome
+     * qualquer tier, do mais baixo pro mais alto (quest/receita nunca come o
+     * ouro antes do normal); `bestFirst` inverte a ordem. Com `quality`, só
+     * aquele tier. Atômico: se não houver o bastante, nada é removido.
+     * @private
+     * @returns {Array<{quality:string|null, quantity:number}>|null} o que
+     *   saiu, por tier; null se faltou quantidade.
+     */
+    _drainStacks(category, id, qty, { quality, bestFirst = false } = {}) {
         const categoryData = this.categories[category];
+        if (!categoryData) return null;
+
+        const wanted = quality === undefined ? undefined : normalizeQuality(quality);
+        const matches = (it) => it.id === id && (wanted === undefined || (it.quality ?? null) === wanted);
 
-        // An item can occupy several stacks (e.g. 200 fences = 99+99+2). Sum
-        // across ALL of them and drain across stacks — not just the first, which
-        // capped removals (and thus deposits/sells) at one stack's worth.
         const available = categoryData.items.reduce(
-            (sum, it) => (it.id === id ? sum + (it.quantity || 0) : sum), 0);
+            (sum, it) => (matches(it) ? sum + (it.quantity || 0) : sum), 0);
 
-        if (available <= 0) return false;
+        if (available <= 0) return null;
         if (available < qty) {
             logger.warn(` Quantidade insuficiente: tem ${available}, tentou remover ${qty}`);
-            return false;
+            return null;
         }
 
+        // Ordem de consumo: por tier, e dentro do tier das stacks do fim pro
+        // começo (comportamento histórico do removeItem).
+        const order = categoryData.items
+            .map((it, index) => ({ it, index }))
+            .filter(({ it }) => matches(it))
+            .sort((a, b) => {
+                const byTier = qualityRank(a.it.quality) - qualityRank(b.it.quality);
+                return (bestFirst ? -byTier : byTier) || b.index - a.index;
+            });
+
+        const taken = [];
         let remaining = qty;
-        for (let i = categoryData.items.length - 1; i >= 0 && remaining > 0; i--) {
-            const it = categoryData.items[i];
-            if (it.id !== id) continue;
+        for (const { it } of order) {
+            if (remaining <= 0) break;
             const take = Math.min(it.quantity, remaining);
             it.quantity -= take;
             remaining -= take;
-            if (it.quantity <= 0) categoryData.items.splice(i, 1);
+            const q = it.quality ?? null;
+            const part = taken.find(p => p.quality === q);
+            if (part) part.quantity += take;
+            else taken.push({ quality: q, quantity: take });
+        }
+        for (let i = categoryData.items.length - 1; i >= 0; i--) {
+            if (categoryData.items[i].quantity <= 0) categoryData.items.splice(i, 1);
         }
+        return taken;
+    }
 
-        // Issue #166 polish: quando o item equipado é removido programaticamente
-        // (merchant vende, quest consome), dispara o evento canônico em vez de
-        // setar `equipped.tool = null` direto. O playerSystem ouve, chama
-        // `unequipItem()` que dispara `itemUnequipped` — esse evento cascateia:
-        //   - `inventorySystem` (listener próprio) limpa `equipped.tool` + save dirty
-        //   - `playerHUD` esconde o badge "Equipado: X"
-        //   - Q-wheel deixa de marcar a slot como atual
-        // Setar direto pulava todos os 3 → estado fantasma no HUD/wheel após venda.
-        if (this.equipped.tool === id) {
+    /**
+     * Remove `quantity` de um item (qualquer categoria) e informa quais tiers
+     * de qualidade saíram — usado por quem precisa repassar a qualidade
+     * (crafting, baú, armazém, venda).
+     * @param {number} itemId
+     * @param {number} [quantity=1]
+     * @param {{quality?:string, bestFirst?:boolean}} [options] - `quality`
+     *   restringe a um tier ('normal' | 'silver' | 'gold'); omitido = qualquer.
+     * @returns {Array<{quality:string|null, quantity:number}>|null}
+     */
+    takeItem(itemId, quantity = 1, options = {}) {
+        if (!isValidItemId(itemId)) return null;
+        const qty = sanitizeQuantity(quantity, 1, 9999);
+        const category = this.findItemCategory(itemId);
+        if (!category) return null;
+        const taken = this._drainStacks(category, itemId, qty, options);
+        if (!taken) return null;
+
+        if (this.equipped.tool === itemId) {
             document.dispatchEvent(new Event('unequipItemRequest'));
         }
-
         this._markSaveDirty();
         this.scheduleUIUpdate();
-        return true;
+        return taken;
+    }
+
+    /**
+     * Quantidade de um item num tier específico (todas as categorias).
+     * @param {number} itemId
+     * @param {string|null} quality - 'normal' | 'silver' | 'gold'
+     * @returns {number}
+     */
+    getQualityQuantity(itemId, quality) {
+        const wanted = normalizeQuality(quality);
+        let total = 0;
+        for (const catData of Object.values(this.categories)) {
+            for (const item of catData.items) {
+                if (item.id === itemId && (item.quality ?? null) === wanted) total += item.quantity;
+            }
+        }
+        return total;
     }
 
     /**
@@ -5,6 +5,7 @@ import { t } from '../i18n/i18n.js';
 import { INVENTORY_CATEGORIES } from '../categoryMapper.js';
 import { getSystem } from "../gameState.js";
 import { getItemFillLevel } from "../fillLevel.js";
+import { QUALITY_BADGE, qualityTier, qualityLabel, withQualityBadge } from "../itemQuality.js";
 
 // ---------- CSS ISOLADO COM SHADOW DOM ----------
 const createInventoryUI = () => {
@@ -1061,6 +1062,15 @@ function renderInventory() {
       slotEl.appendChild(waterBadge);
     }
 
+    // Harvest quality tier (🥈/🥇) in the top-left corner; normal shows nothing.
+    if (QUALITY_BADGE[qualityTier(slot.quality)]) {
+      const qualityBadge = document.createElement('span');
+      qualityBadge.textContent = QUALITY_BADGE[qualityTier(slot.quality)];
+      qualityBadge.setAttribute('aria-label', qualityLabel(slot.quality));
+      qualityBadge.style.cssText = 'position:absolute;top:2px;left:2px;font-size:13px;pointer-events:none;text-shadow:0 0 3px rgba(0,0,0,0.8);';
+      slotEl.appendChild(qualityBadge);
+    }
+
     slotEl.addEventListener('click', () => {
       const prevSelected = shadowRoot.querySelector('.inv-slot.selected');
       if (prevSelected) prevSelected.classList.remove('selected');
@@ -1070,7 +1080,7 @@ function renderInventory() {
       updateDetailsPanel(fullItem, itemQuantity);
     });
 
-    slotEl.addEventListener('mouseenter', (e) => _showTooltip(fullItem, itemQuantity, e));
+    slotEl.addEventListener('mouseenter', (e) => _showTooltip(fullItem, itemQuantity, e, slot.quality));
     slotEl.addEventListener('mousemove', _positionTooltip);
     slotEl.addEventListener('mouseleave', _hideTooltip);
 
@@ -1092,7 +1102,7 @@ function renderInventory() {
 
 // Slim hover tooltip — name + description + a few key tech rows. Reuses
 // the same i18n keys as the side panel.
-function _showTooltip(item, qty, evt) {
+function _showTooltip(item, qty, evt, quality = null) {
   if (!item) return;
   const tip = shadowRoot.getElementById('invTooltip');
   if (!tip) return;
@@ -1101,7 +1111,7 @@ function _showTooltip(item, qty, evt) {
 
   const name = document.createElement('div');
   name.className = 'inv-tooltip-name';
-  name.textContent = `${getItemName(item.id, item.name)}${qty > 1 ? ` (x${qty})` : ''}`;
+  name.textContent = `${withQualityBadge(getItemName(item.id, item.name), quality)}${qty > 1 ? ` (x${qty})` : ''}`;
   tip.appendChild(name);
 
   if (item.description) {
@@ -48,10 +48,25 @@ function _ensureDom() {
     return state.dom;
 }
 
-/** Builds entries: index 0 = "no seed", then each seed in the inventory. */
+/** Fertilizers (soil fertility) live in Resources; the wheel lists them after the seeds. */
+function _isFertilizer(item) {
+    return (item?.fertilizer ?? 0) > 0;
+}
+
+/** Crop sprays (cropPests.js) also live in Resources and are listed last. */
+function _isCropTreatment(item) {
+    return Array.isArray(item?.cropTreatment);
+}
+
+/**
+ * Builds entries: index 0 = "no seed", then each seed in the inventory, then
+ * each fertilizer (spread on tilled soil the same way a seed is planted), then
+ * each crop spray (applied on an infected plant).
+ */
 function _refreshEntries() {
     const inv = inventorySystem.getInventory();
     const seedSlots = inv?.seeds?.items || [];
+    const resourceSlots = inv?.resources?.items || [];
 
     const seeds = [];
     for (const slot of seedSlots) {
@@ -59,6 +74,16 @@ function _refreshEntries() {
         if (!item || item.type !== 'seed') continue;
         seeds.push({ id: slot.id, item, quantity: slot.quantity || 1 });
     }
+    for (const slot of resourceSlots) {
+        const item = getItem(slot.id);
+        if (!_isFertilizer(item)) continue;
+        seeds.push({ id: slot.id, item, quantity: slot.quantity || 1 });
+    }
+    for (const slot of resourceSlots) {
+        const item = getItem(slot.id);
+        if (!_isCropTreatment(item)) continue;
+        seeds.push({ id: slot.id, item, quantity: slot.quantity || 1 });
+    }
 
     state.entries = [{ id: SLOT_NONE, item: null, quantity: 0 }, ...seeds];
 
@@ -181,15 +206,16 @@ export function isSeedWheelOpen() {
 }
 
 /**
- * The seed currently chosen to plant, or null. Re-validates against the
- * inventory (a consumed/dropped seed clears the selection). Read by the
- * planting step.
- * @returns {Object|null} the seed item definition, or null.
+ * The seed (or fertilizer) currently chosen to plant, or null. Re-validates
+ * against the inventory (a consumed/dropped item clears the selection). Read
+ * by the planting / fertilizing step.
+ * @returns {Object|null} the item definition, or null.
  */
 export function getActiveSeed() {
     if (state.activeSeedId == null) return null;
     const inv = inventorySystem.getInventory();
-    const ok = (inv?.seeds?.items || []).some((s) => s.id === state.activeSeedId && (s.quantity || 0) > 0);
+    const slots = [...(inv?.seeds?.items || []), ...(inv?.resources?.items || [])];
+    const ok = slots.some((s) => s.id === state.activeSeedId && (s.quantity || 0) > 0);
     if (!ok) { state.activeSeedId = null; return null; }
     return getItem(state.activeSeedId);
 }
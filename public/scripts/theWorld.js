@@ -87,6 +87,9 @@ export const placedBuildings = [];
 /** @type {Array<Object>} Array of well structures in the world */
 export const placedWells = [];
 
+/** @type {Array<Object>} Array of player-planted fruit trees (fruitTreeSystem.js) */
+export const fruitTrees = [];
+
 /** @type {boolean} Flag indicating if world has been initialized */
 export let worldInitialized = false;
 
@@ -186,7 +189,7 @@ export function markWorldChanged() {
  * @returns {{ itemsCompacted: number }} Number of removed items
  */
 export function compactLargeArrays() {
-  const arrays = [trees, rocks, thickets, houses, animals, placedBuildings, placedWells];
+  const arrays = [trees, rocks, thickets, houses, animals, placedBuildings, placedWells, fruitTrees];
 
   let removed = 0;
   for (const arr of arrays) {
@@ -405,6 +408,9 @@ export function updateAnimals() {
   if (milly && typeof milly.updateMadalena === 'function') {
     milly.updateMadalena();
   }
+
+  // Gatinho adotado da Milly (fora do array de animais).
+  getSystem('cat')?.update?.();
 }
 
 /**
@@ -492,6 +498,14 @@ function _wrapWell(w) {
     },
   }));
 }
+function _wrapFruitTree(ft) {
+  return _getOrCreateWrapper(ft, (x) => ({
+    id: x.id, type: "FRUIT_TREE", originalType: "fruit_tree",
+    x: x.x || 0, y: x.y || 0,
+    width: x.width || TILE_SIZE, height: x.height || TILE_SIZE,
+    draw: (ctx) => getSystem('fruitTree')?.drawTree?.(ctx, x, camera),
+  }));
+}
 function _wrapHouse(h) {
   if (!h.id) h.id = `house_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
   return _getOrCreateWrapper(h, (x) => ({
@@ -540,6 +554,7 @@ function rebuildStaticCache() {
   for (const th of thickets)         _addToRenderGrid(_wrapThicket(th));
   for (const b of placedBuildings)   _addToRenderGrid(_wrapBuilding(b));
   for (const w of placedWells)       _addToRenderGrid(_wrapWell(w));
+  for (const ft of fruitTrees)       _addToRenderGrid(_wrapFruitTree(ft));
   for (const h of houses)            _addToRenderGrid(_wrapHouse(h));
 
   const tombSys = getSystem('animalTomb');
@@ -642,6 +657,13 @@ export function getSortedWorldObjects(player) {
     for (let i = 0; i < catObjs.length; i++) out.push(catObjs[i]);
   }
 
+  // 6b. Gatinho adotado (filhote da Madalena)
+  const cat = getSystem('cat');
+  if (cat && mgr) {
+    const petObjs = cat.getWorldObjects(mgr.getCurrentMapId());
+    for (let i = 0; i < petObjs.length; i++) out.push(petObjs[i]);
+  }
+
   // 7. Portal (high Y forces it on top of everything) — reused wrapper
   if (mgr) {
     _portalWrapper._mgr = mgr;
@@ -709,6 +731,10 @@ export function registerWorldObjects() {
     document.dispatchEvent(new CustomEvent("worldObjectAdded", { detail: { object: building } }));
   });
 
+  fruitTrees.forEach(tree => {
+    document.dispatchEvent(new CustomEvent("worldObjectAdded", { detail: { object: tree } }));
+  });
+
   placedWells.forEach(well => {
     document.dispatchEvent(new CustomEvent("worldObjectAdded", {
       detail: {
@@ -962,6 +988,117 @@ function drawBuilding(ctx, building) {
     return;
   }
 
+  if (building.originalType === "sprinkler") {
+    // Irrigador: disco metálico pequeno com o ícone por cima.
+    ctx.fillStyle = "#7d8a94";
+    ctx.beginPath();
+    ctx.arc(drawX + drawW / 2, drawY + drawH / 2, Math.min(drawW, drawH) / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "#3f4a52";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    if (building.icon) {
+      ctx.font = `${Math.max(10, drawH * 0.6)}px Arial`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(building.icon, drawX + drawW / 2, drawY + drawH / 2);
+    }
+    ctx.restore();
+    return;
+  }
+
+  if (building.originalType === "scarecrow") {
+    // Espantalho: poste e travessa de madeira, camisa de pano, cabeça de
+    // palha com chapéu — cresce pra cima do tile, que nem uma árvore.
+    const cx = drawX + drawW / 2;
+    const base = drawY + drawH;
+    const u = drawW / 20;
+    ctx.fillStyle = "#7a5230";
+    ctx.fillRect(cx - 1.5 * u, base - 34 * u, 3 * u, 34 * u);
+    ctx.fillRect(cx - 11 * u, base - 26 * u, 22 * u, 2.5 * u);
+    ctx.fillStyle = "#a23b2c";
+    ctx.fillRect(cx - 6 * u, base - 27 * u, 12 * u, 11 * u);
+    ctx.fillStyle = "#e3c66b";
+    ctx.beginPath();
+    ctx.arc(cx, base - 31 * u, 4 * u, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#6b4a2b";
+    ctx.fillRect(cx - 6.5 * u, base - 35 * u, 13 * u, 1.5 * u);
+    ctx.fillRect(cx - 3.5 * u, base - 38 * u, 7 * u, 3 * u);
+    ctx.restore();
+    return;
+  }
+
+  if (building.originalType === "silo") {
+    // Silo: cilindro de chapa com cúpula e nervuras; a faixa na lateral
+    // mostra quanto tem de ração guardada (siloSystem).
+    const domeH = drawH * 0.18;
+    ctx.fillStyle = "#9aa7ad";
+    ctx.fillRect(drawX, drawY + domeH, drawW, drawH - domeH);
+    ctx.fillStyle = "#6f7c82";
+    ctx.beginPath();
+    ctx.ellipse(drawX + drawW / 2, drawY + domeH, drawW / 2, domeH, 0, Math.PI, 0);
+    ctx.fill();
+    ctx.strokeStyle = "#5a666b";
+    ctx.lineWidth = Math.max(1, drawW / 48);
+    for (let i = 1; i < 4; i++) {
+      const ry = drawY + domeH + ((drawH - domeH) * i) / 4;
+      ctx.beginPath();
+      ctx.moveTo(drawX, ry);
+      ctx.lineTo(drawX + drawW, ry);
+      ctx.stroke();
+    }
+    const silo = getSystem("silo");
+    const cap = silo?.capacityOf?.(building) || 0;
+    const pct = cap > 0 ? Math.min(1, silo.stored(building) / cap) : 0;
+    const gaugeW = Math.max(3, drawW * 0.12);
+    const gaugeX = drawX + drawW - gaugeW * 1.8;
+    const gaugeTop = drawY + domeH * 1.5;
+    const gaugeH = drawH - domeH * 1.5 - drawH * 0.06;
+    ctx.fillStyle = "#3b2616";
+    ctx.fillRect(gaugeX, gaugeTop, gaugeW, gaugeH);
+    ctx.fillStyle = "#d9b25f";
+    ctx.fillRect(gaugeX, gaugeTop + gaugeH * (1 - pct), gaugeW, gaugeH * pct);
+    ctx.restore();
+    return;
+  }
+
+  if (building.originalType === "barn" || building.originalType === "coop") {
+    // Celeiro (vermelho, telhado escuro) / galinheiro (madeira clara):
+    // paredes no footprint, telhado de duas águas por cima e a porta no
+    // meio da parede de baixo — onde os animais entram (shelterSystem).
+    const isBarn = building.originalType === "barn";
+    const roofH = drawH * 0.4;
+    ctx.fillStyle = isBarn ? "#9e3328" : "#c49a5c";
+    ctx.fillRect(drawX, drawY + roofH * 0.5, drawW, drawH - roofH * 0.5);
+    ctx.fillStyle = isBarn ? "#4a3b36" : "#7a5230";
+    ctx.beginPath();
+    ctx.moveTo(drawX - drawW * 0.05, drawY + roofH);
+    ctx.lineTo(drawX + drawW / 2, drawY - roofH * 0.4);
+    ctx.lineTo(drawX + drawW * 1.05, drawY + roofH);
+    ctx.closePath();
+    ctx.fill();
+    const doorW = drawW * (isBarn ? 0.3 : 0.24);
+    const doorH = drawH * 0.45;
+    const doorX = drawX + (drawW - doorW) / 2;
+    const doorY = drawY + drawH - doorH;
+    ctx.fillStyle = "#3b2616";
+    ctx.fillRect(doorX, doorY, doorW, doorH);
+    ctx.strokeStyle = "#f1e3c6";
+    ctx.lineWidth = Math.max(1, drawW / 64);
+    ctx.strokeRect(doorX, doorY, doorW, doorH);
+    if (isBarn) {
+      ctx.beginPath();
+      ctx.moveTo(doorX, doorY);
+      ctx.lineTo(doorX + doorW, doorY + doorH);
+      ctx.moveTo(doorX + doorW, doorY);
+      ctx.lineTo(doorX, doorY + doorH);
+      ctx.stroke();
+    }
+    ctx.restore();
+    return;
+  }
+
   if (building.variant && assets.furniture?.fences?.[building.variant]?.img) {
     const fenceImg = assets.furniture.fences[building.variant].img;
     if (fenceImg && fenceImg.complete && fenceImg.naturalWidth > 0) {
@@ -1136,6 +1273,7 @@ export function initializeWorld() {
   houses.length = 0;
   placedBuildings.length = 0;
   placedWells.length = 0;
+  fruitTrees.length = 0;
   animals.length = 0;
 
   staticCacheValid = false;
@@ -1243,6 +1381,7 @@ export function objectDestroyed(objOrId) {
   removeFrom(houses);
   removeFrom(placedBuildings);
   removeFrom(placedWells);
+  removeFrom(fruitTrees);
   removeFrom(animals);
 
   try { 
@@ -1596,13 +1735,22 @@ export function exportWorldState() {
       type: b.type, originalType: b.originalType,
       name: b.name, icon: b.icon, variant: b.variant,
       itemId: b.itemId, interactable: b.interactable,
-      storageId: b.storageId
+      storageId: b.storageId,
+      // Ração guardada no silo (siloSystem).
+      ...(b.siloStock ? { siloStock: { ...b.siloStock } } : {})
     })) : [],
     placedWells: Array.isArray(placedWells) ? placedWells.map(w => ({
       id: w.id, x: w.x, y: w.y,
       width: w.width, height: w.height,
       originalType: w.originalType, name: w.name
     })) : [],
+    // Árvores frutíferas plantadas: idade e frutos na copa persistem.
+    fruitTrees: Array.isArray(fruitTrees) ? fruitTrees.map(ft => ({
+      id: ft.id, x: ft.x, y: ft.y,
+      width: ft.width, height: ft.height,
+      type: ft.type, seedId: ft.seedId, hp: ft.hp,
+      ageDays: ft.ageDays, fruits: ft.fruits, fruitDays: ft.fruitDays
+    })) : [],
     animals: Array.isArray(animals) ? animals.map(a => {
       // Use serialize method if available, otherwise fallback to basic fields
       if (typeof a.serialize === 'function') {
@@ -1626,6 +1774,11 @@ export function exportWorldState() {
       const enc = getSystem('enclosure');
       return enc?.serializeState ? enc.serializeState() : {};
     })(),
+    // Cercados marcados como quarentena (ids estáveis por bounds).
+    enclosureQuarantine: (() => {
+      const enc = getSystem('enclosure');
+      return enc?.serializeQuarantine ? enc.serializeQuarantine() : [];
+    })(),
     // Tumbas de animais. Persistem entre saves — memorial não some por
     // recarregar. Cada tomb tem nome, idade, últimas palavras, posição.
     animalTombs: (() => {
@@ -1638,6 +1791,37 @@ export function exportWorldState() {
     breeding: (() => {
       const breeding = getSystem('breeding');
       return breeding?.serializeState ? breeding.serializeState() : {};
+    })(),
+    // Árvore genealógica: pais, nascimento e morte por id de animal. Guarda
+    // também quem já morreu ou foi vendido — a entidade some, o registro não.
+    pedigree: (() => {
+      const pedigree = getSystem('pedigree');
+      return pedigree?.serializeState ? pedigree.serializeState() : {};
+    })(),
+    // Boletins de surto dos últimos dias (diseaseSystem).
+    outbreaks: (() => {
+      const disease = getSystem('animalDisease');
+      return disease?.serializeState ? disease.serializeState() : { reports: [] };
+    })(),
+    // Histórico de vendas do abatedouro (por slot).
+    slaughter: (() => {
+      const slaughter = getSystem('slaughter');
+      return slaughter?.serializeState ? slaughter.serializeState() : { history: [] };
+    })(),
+    // Noite das raposas em andamento: sorteio e perdas pro relatório da manhã.
+    predators: (() => {
+      const predators = getSystem('predators');
+      return predators?.serializeState ? predators.serializeState() : { night: null };
+    })(),
+    // Resultado da última feira do condado (uma inscrição por feira).
+    fair: (() => {
+      const fair = getSystem('fair');
+      return fair?.serializeState ? fair.serializeState() : { lastEntry: null };
+    })(),
+    // Gatinho adotado da Milly: modo, posição e carinho do dia.
+    pet: (() => {
+      const cat = getSystem('cat');
+      return cat?.serializeState ? cat.serializeState() : { adopted: false };
     })()
   };
 }
@@ -1673,6 +1857,7 @@ function registerStaticWorldHitboxes() {
 
   for (const b of placedBuildings) add(b.id, getPlacedBuildingCollisionType(b), b.x, b.y, b.width, b.height, "theWorld:importWorldState:buildingHitbox");
   for (const w of placedWells) add(w.id, "WELL", w.x, w.y, w.width, w.height, "theWorld:importWorldState:wellHitbox");
+  for (const ft of fruitTrees) add(ft.id, "FRUIT_TREE", ft.x, ft.y, ft.width, ft.height, "theWorld:importWorldState:fruitTreeHitbox");
 }
 
 /**
@@ -1710,7 +1895,7 @@ export function importWorldState(data) {
     // Remove as hitboxes dos objetos atuais ANTES de zerar os arrays. Sem
     // isso, os objetos colocados (cerca/baú/poço/cocho) de um save anterior
     // permaneceriam como colisões-fantasma ao trocar de save (cf. #181).
-    for (const arr of [trees, rocks, thickets, houses, placedBuildings, placedWells, animals]) {
+    for (const arr of [trees, rocks, thickets, houses, placedBuildings, placedWells, fruitTrees, animals]) {
       for (const o of arr) { if (o?.id) collisionSystem.removeHitbox(o.id); }
     }
 
@@ -1721,6 +1906,7 @@ export function importWorldState(data) {
     houses.length = 0;
     placedBuildings.length = 0;
     placedWells.length = 0;
+    fruitTrees.length = 0;
     animals.length = 0;
 
     // Rebuild arrays (ensure ids)
@@ -1742,6 +1928,9 @@ export function importWorldState(data) {
     if (Array.isArray(payload.placedWells)) {
       placedWells.push(...payload.placedWells.map(o => ({ ...o, id: o.id || generateId() })));
     }
+    if (Array.isArray(payload.fruitTrees)) {
+      fruitTrees.push(...payload.fruitTrees.map(o => ({ ...o, type: "FRUIT_TREE", id: o.id || generateId() })));
+    }
 
     // Rebuild static collision hitboxes for the freshly loaded world.
     registerStaticWorldHitboxes();
@@ -1808,6 +1997,9 @@ export function importWorldState(data) {
     for (const w of placedWells) {
       addRestoredHitbox(w.id, "WELL", w.x, w.y, w.width, w.height, w);
     }
+    for (const ft of fruitTrees) {
+      addRestoredHitbox(ft.id, "FRUIT_TREE", ft.x, ft.y, ft.width, ft.height, ft);
+    }
 
     if (payload.seed && typeof worldGenerator.setSeed === "function") {
       worldGenerator.setSeed(payload.seed);
@@ -1824,6 +2016,7 @@ export function importWorldState(data) {
     if (enc?.restoreState) {
       enc.restoreState(payload.enclosureSpecies ?? {});
     }
+    enc?.restoreQuarantine?.(payload.enclosureQuarantine ?? []);
 
     // Restaura tumbas (memorial persiste entre saves).
     const tomb = getSystem('animalTomb');
@@ -1839,6 +2032,30 @@ export function importWorldState(data) {
       breeding.restoreState(payload.breeding ?? {});
     }
 
+    // Restaura o registro genealógico (saves antigos começam sem histórico).
+    const pedigree = getSystem('pedigree');
+    if (pedigree?.restoreState) {
+      pedigree.restoreState(payload.pedigree ?? {});
+    }
+
+    // Boletins de surto (saves antigos começam sem histórico).
+    getSystem('animalDisease')?.restoreState?.(payload.outbreaks ?? { reports: [] });
+
+    // Histórico do abatedouro (saves antigos começam vazios).
+    const slaughter = getSystem('slaughter');
+    if (slaughter?.restoreState) {
+      slaughter.restoreState(payload.slaughter ?? { history: [] });
+    }
+
+    // Noite das raposas (saves antigos: nenhuma em andamento).
+    getSystem('predators')?.restoreState?.(payload.predators ?? { night: null });
+
+    // Feira do condado (saves antigos: nunca competiu).
+    getSystem('fair')?.restoreState?.(payload.fair ?? { lastEntry: null });
+
+    // Gatinho da Milly (saves antigos: sem gato).
+    getSystem('cat')?.restoreState?.(payload.pet ?? { adopted: false });
+
     // Re-register entity hitboxes wiped by collisionSystem.clear() so NPCs and
     // the house stay interactive after the load.
     reregisterFarmEntityHitboxes();
@@ -1852,6 +2069,7 @@ const theWorld = {
   addWorldObject: window.addWorldObject || null,
   placedBuildings,
   placedWells,
+  fruitTrees,
   objectDestroyed,
   getSortedWorldObjects,
   drawBackground,
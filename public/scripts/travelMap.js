@@ -24,7 +24,7 @@ import { logger } from './logger.js';
 const LOCATIONS = {
   city:           { id: 'city',           icon: '🏘️', x: 40, y: 75, connectedTo: ['farm', 'vet', 'blocked'], blocked: false, traversable: true },
   farm:           { id: 'farm',           icon: '🌾', x: 15, y: 55, connectedTo: ['city', 'slaughterhouse'], blocked: false, traversable: true },
-  slaughterhouse: { id: 'slaughterhouse', icon: '🥩', x: 35, y: 20, connectedTo: ['farm'],                   blocked: false, traversable: false },
+  slaughterhouse: { id: 'slaughterhouse', icon: '🥩', x: 35, y: 20, connectedTo: ['farm'],                   blocked: false, traversable: false, panelId: 'slaughterhouse' },
   vet:            { id: 'vet',            icon: '🏥', x: 50, y: 35, connectedTo: ['city'],                   blocked: false, traversable: false, panelId: 'vet' },
   blocked:        { id: 'blocked',        icon: '🔒', x: 75, y: 75, connectedTo: ['city'],                   blocked: true,  traversable: false },
 };
@@ -752,7 +752,7 @@ this._moveThroughPoints(points, () => {
     return;
   }
 
-  // Locais com painel próprio, como a veterinária: também consomem combustível,
+  // Locais com painel próprio (veterinária, abatedouro): também consomem combustível,
   // mesmo sem trocar para um mapa caminhável.
  if (target.panelId) {
   const panelSys = getSystem(target.panelId);
@@ -5,7 +5,7 @@
  * o painel está aberto: o painel cobre a tela toda.
  *
  * Estrutura:
- *  - Lado esquerdo: 4 botões quadrados de interação (placeholders).
+ *  - Lado esquerdo: 5 botões quadrados de interação.
  *    Ao clicar, dispara um CustomEvent('vetActionClick', { actionId }) no
  *    document, para que o jogador possa "bolar" a ação depois.
  *  - Centro: Alice.png inteira, em moldura elegante combinando com a palheta.
@@ -23,6 +23,7 @@ import { mountHospitalizeView } from './animal/hospitalizePanel.js';
 import { mountRecoveryView } from './animal/recoveryPanel.js';
 import { mountDiagnoseView } from './animal/diagnosePanel.js';
 import { mountMedicineView } from './animal/medicinePanel.js';
+import { mountVaccineView } from './animal/vaccinePanel.js';
 import { animals } from './theWorld.js';
 
 const ALICE_SRC = 'assets/character/portrait/Alice.png';
@@ -34,6 +35,7 @@ const ACTION_BUTTONS = [
   { id: 'diagnose',     icon: '🩺', labelKey: 'vet.actions.two' },
   { id: 'hospitalize',  icon: '🏥', labelKey: 'vet.actions.three' },
   { id: 'medicine',     icon: '💊', labelKey: 'vet.actions.four' },
+  { id: 'vaccine',      icon: '💉', labelKey: 'vet.actions.five' },
 ];
 
 // ───────────────────────────────────────────────────────────────────────────
@@ -442,13 +444,15 @@ class VetPanel {
       this._showStageView('diagnose');
     } else if (actionId === 'medicine') {
       this._showStageView('medicine');
+    } else if (actionId === 'vaccine') {
+      this._showStageView('vaccine');
     }
   }
 
   /**
    * Troca o conteúdo do stage entre Alice (default), internação, retirada,
-   * diagnóstico e loja de remédios.
-   * @param {'alice'|'hospitalize'|'recovery'|'diagnose'|'medicine'} viewName
+   * diagnóstico, loja de remédios e de vacinas.
+   * @param {'alice'|'hospitalize'|'recovery'|'diagnose'|'medicine'|'vaccine'} viewName
    */
   _showStageView(viewName) {
     if (!this._stage || !this._frame || !this._subViewHost) return;
@@ -513,6 +517,11 @@ class VetPanel {
       this._subViewHost.hidden = false;
       this._currentSubViewAbort = mountMedicineView(this._subViewHost, { onBack }) ?? null;
       fadeIn(this._subViewHost);
+    } else if (viewName === 'vaccine') {
+      this._frame.hidden = true;
+      this._subViewHost.hidden = false;
+      this._currentSubViewAbort = mountVaccineView(this._subViewHost, { onBack }) ?? null;
+      fadeIn(this._subViewHost);
     }
 
     this._currentView = viewName;
@@ -1,5 +1,5 @@
 // Test environment setup - stubs for browser globals
-import { afterAll, mock } from "bun:test";
+import { mock } from "bun:test";
 
 // ==============================
 // Simple EventTarget helpers
@@ -33,11 +33,6 @@ function dispatchTo(map, target, event) {
   return !event?.defaultPrevented;
 }
 
-// IMPORTANT: avoid mock.module leakage across test files
-afterAll(() => {
-  try { mock.restore(); } catch {}
-});
-
 // ==============================
 // Globals
 // ==============================
@@ -204,3 +199,55 @@ globalThis.resetTestEnvironment = () => {
   _documentListeners.clear();
   _windowListeners.clear();
 };
+
+// ==============================
+// Module mocks
+// ==============================
+// mock.module() swaps a module for the rest of the run, not just for the file
+// that calls it, and mock.restore() does not undo it. This file is preloaded
+// (bunfig.toml), so the modules tests mock are loaded for real here, before
+// any test file runs. A file that mocks one of them puts the real exports back
+// when it is done:
+//
+//   afterAll(restoreModuleMocks);
+//
+// settingsUI.js is left out: it wires the settings modal into the DOM as soon
+// as it loads.
+const MOCKED_MODULES = [
+  "../public/scripts/gameState.js",
+  "../public/scripts/logger.js",
+  "../public/scripts/errorHandler.js",
+  "../public/scripts/validation.js",
+  "../public/scripts/constants.js",
+  "../public/scripts/optimizationConstants.js",
+  "../public/scripts/worldConstants.js",
+  "../public/scripts/item.js",
+  "../public/scripts/itemUtils.js",
+  "../public/scripts/categoryMapper.js",
+  "../public/scripts/i18n/i18n.js",
+  "../public/scripts/assetManager.js",
+  "../public/scripts/generatorSeeds.js",
+  "../public/scripts/loadingScreen.js",
+  "../public/scripts/keybindDefaults.js",
+  "../public/scripts/currencyManager.js",
+  "../public/scripts/wellSystem.js",
+  "../public/scripts/buildSystem.js",
+  "../public/scripts/animal/animalAI.js",
+  "../public/scripts/thePlayer/cameraSystem.js",
+  "../public/scripts/thePlayer/playerInventory.js",
+  "../public/scripts/thePlayer/inventorySystem.js",
+  "../public/scripts/thePlayer/playerSystem.js",
+  "../public/scripts/thePlayer/stella.js",
+];
+
+const realModules = new Map();
+for (const path of MOCKED_MODULES) {
+  realModules.set(path, { ...(await import(path)) });
+}
+
+/** Puts the real exports of every module in MOCKED_MODULES back. */
+export function restoreModuleMocks() {
+  for (const [path, exports] of realModules) {
+    mock.module(path, () => ({ ...exports }));
+  }
+}
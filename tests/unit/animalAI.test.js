@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Mock dependencies
 
@@ -135,6 +137,24 @@ describe('AnimalEntity (Production Implementation)', () => {
       expect(animal._sfxCooldownMs).toBeLessThanOrEqual(40000);
     });
 
+    test('genome: founder by default, persisted through serialize/deserialize', () => {
+      expect(animal.genome.generation).toBe(0);
+      expect(animal._lifespan).toBe(85 + Math.round(animal.genome.longevity * 0.25));
+
+      const bred = new AnimalEntity('Bull', createAssetData(), 0, 0, {
+        genome: { production: 90, temperament: 10, resistance: 75, longevity: 100, coat: 'dark', generation: 3 },
+      });
+      const copy = new AnimalEntity('Bull', createAssetData(), 0, 0);
+      copy.deserialize(bred.serialize());
+      expect(copy.genome).toEqual(bred.genome);
+      expect(copy._lifespan).toBe(110);
+
+      // Save antigo sem genoma: longevidade alinhada com o lifespan salvo.
+      const legacy = new AnimalEntity('Bull', createAssetData(), 0, 0);
+      legacy.deserialize({ ...bred.serialize(), genome: undefined, lifespan: 95 });
+      expect(legacy.genome.longevity).toBe(40);
+    });
+
     test('should calculate frameWidth from img when not provided', () => {
       const a = new AnimalEntity('Bull', { img: { width: 256, height: 256 }, cols: 4, rows: 4 }, 0, 0);
       expect(a.frameWidth).toBe(64); // 256/4
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import '../setup.js';
+
+const { collisionSystem } = await import('../../public/scripts/collisionSystem.js');
+const {
+  findPath, buildFlowField, fieldWaypoint, troughWaypoint, boxBlocker, clearPathCache,
+} = await import('../../public/scripts/animal/animalPathfinder.js');
+
+// Walls are plain GENERIC hitboxes (no size config → the rect as given).
+let wallCount = 0;
+const wall = (x, y, w, h) => collisionSystem.addHitbox(`wall${wallCount++}`, 'GENERIC', x, y, w, h);
+
+const BOX = { width: 10, height: 10, offsetX: 0, offsetY: 0 };
+const blocked = boxBlocker(BOX);
+
+// A fence from y=-100 to y=100 at x=50..60, between the animal and its goal.
+const fenceBetween = () => wall(50, -100, 10, 200);
+
+// Walks waypoint to waypoint (field or path) and checks no leg crosses a wall.
+function walk(next, start, maxLegs = 100) {
+  let pos = { ...start };
+  for (let k = 0; k < maxLegs; k++) {
+    const wp = next(pos);
+    if (!wp || (wp.x === pos.x && wp.y === pos.y)) return pos;
+    const steps = Math.ceil(Math.hypot(wp.x - pos.x, wp.y - pos.y));
+    for (let s = 1; s <= steps; s++) {
+      const x = pos.x + (wp.x - pos.x) * s / steps;
+      const y = pos.y + (wp.y - pos.y) * s / steps;
+      expect(blocked(x, y)).toBe(false);
+    }
+    pos = wp;
+  }
+  return pos;
+}
+
+describe('animalPathfinder', () => {
+  beforeEach(() => {
+    collisionSystem.clear();
+    clearPathCache();
+  });
+
+  test('open ground: a straight path collapses into a single waypoint', () => {
+    expect(findPath({ x: 0, y: 0 }, { x: 100, y: 0 }, blocked)).toEqual([{ x: 100, y: 0 }]);
+  });
+
+  test('A* goes around the end of a fence instead of into it', () => {
+    fenceBetween();
+    const path = findPath({ x: 0, y: 0 }, { x: 120, y: 0 }, blocked);
+
+    expect(path).not.toBeNull();
+    expect(path.at(-1)).toEqual({ x: 120, y: 0 });
+    // Some waypoint must clear the fence end (y beyond ±100).
+    expect(path.some(p => p.y <= -110 || p.y >= 100)).toBe(true);
+    let i = 0;
+    expect(walk(() => path[i++] || null, { x: 0, y: 0 })).toEqual({ x: 120, y: 0 });
+  });
+
+  test('no path when the goal is walled in', () => {
+    wall(80, -40, 80, 10); wall(80, 40, 80, 10);
+    wall(80, -40, 10, 90); wall(150, -40, 10, 90);
+    expect(findPath({ x: 0, y: 0 }, { x: 120, y: 0 }, blocked)).toBeNull();
+  });
+
+  test('flow field leads any start around the fence to the goal', () => {
+    fenceBetween();
+    const goal = { x: 120, y: 0 };
+    const field = buildFlowField(goal, blocked);
+
+    for (const start of [{ x: 0, y: 0 }, { x: -30, y: 70 }, { x: 10, y: -90 }]) {
+      expect(walk((p) => fieldWaypoint(field, p.x, p.y), start)).toEqual(goal);
+    }
+    // Outside the field window there's no advice.
+    expect(fieldWaypoint(field, goal.x + 1000, 0)).toBeNull();
+  });
+
+  test('moving hitboxes are ignored while planning', () => {
+    collisionSystem.addHitbox('cow', 'ANIMAL', 40, -20, 40, 40);
+    expect(blocked(50, 0)).toBe(false);
+    wall(40, -20, 40, 40);
+    expect(blocked(50, 0)).toBe(true);
+  });
+
+  test('trough fields are cached until the collision layout changes', () => {
+    const goal = { x: 100, y: 0 };
+    let calls = 0;
+    const areaCollides = collisionSystem.areaCollides;
+    collisionSystem.areaCollides = function (...a) { calls++; return areaCollides.apply(this, a); };
+    try {
+      troughWaypoint('water:t1:0', goal, BOX, 0, 0);
+      const first = calls;
+      expect(first).toBeGreaterThan(0);
+
+      troughWaypoint('water:t1:0', goal, BOX, 30, 30);
+      expect(calls).toBe(first); // same field, no new queries
+
+      fenceBetween(); // bumps collisionSystem.layoutVersion
+      const wp = troughWaypoint('water:t1:0', goal, BOX, 0, 0);
+      expect(calls).toBeGreaterThan(first);
+      expect(wp.x).toBeLessThan(50); // heads for the fence end, not through it
+      expect(Math.abs(wp.y)).toBeGreaterThan(0);
+    } finally {
+      collisionSystem.areaCollides = areaCollides;
+    }
+  });
+});
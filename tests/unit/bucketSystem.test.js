@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import '../setup.js';
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
 
 mock.module('../../public/scripts/gameState.js', () => ({
   registerSystem: () => {},
@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, beforeAll, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, beforeAll, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 let BuildSystem;
 
@@ -210,6 +212,16 @@ describe('BuildSystem (Production Implementation)', () => {
       expect(BuildSystem.getConstructionType()).toBe('fence');
     });
 
+    test('should return sprinkler for sprinkler items', () => {
+      BuildSystem.selectedItem = { id: 141, originalType: 'sprinkler', sprinklerRadius: 2 };
+      expect(BuildSystem.getConstructionType()).toBe('sprinkler');
+    });
+
+    test('should return scarecrow for scarecrow items', () => {
+      BuildSystem.selectedItem = { id: 145, originalType: 'scarecrow', scarecrowRadius: 4 };
+      expect(BuildSystem.getConstructionType()).toBe('scarecrow');
+    });
+
     test('should return construction for generic item', () => {
       BuildSystem.selectedItem = { id: 50 };
       expect(BuildSystem.getConstructionType()).toBe('construction');
@@ -313,6 +325,16 @@ describe('BuildSystem (Production Implementation)', () => {
   });
 
   describe('getSnapPosition', () => {
+    test('centers a sprinkler on the tile under the cursor', () => {
+      BuildSystem.selectedItem = { id: 140, originalType: 'sprinkler', buildWidth: 10, buildHeight: 10 };
+      BuildSystem.mouseTile = { x: 47, y: 61 }; // tile (40,60), gridSize 20
+
+      const pos = BuildSystem.getSnapPosition();
+
+      expect(pos.x).toBe(45);
+      expect(pos.y).toBe(65);
+    });
+
     test('should snap to center of tile by default (subPos 0,0)', () => {
       BuildSystem.selectedItem = { id: 69 }; // chest 31x31
       BuildSystem.mouseTile = { x: 5, y: 5 };
@@ -0,0 +1,50 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { camera } = await import('../../public/scripts/thePlayer/cameraSystem.js');
+
+const player = (x, y) => ({ x, y, width: 32, height: 32 });
+const settle = (target, frames = 200) => {
+  for (let i = 0; i < frames; i++) camera.follow(target);
+};
+
+describe('camera focus', () => {
+  beforeEach(() => {
+    camera.clearFocus();
+    camera.width = 600;
+    camera.height = 400;
+    camera._mapWidth = 4000;
+    camera._mapHeight = 4000;
+    camera.x = 1500;
+    camera.y = 1500;
+  });
+  afterEach(() => { camera.clearFocus(); });
+
+  test('slides to the focus point instead of jumping and holds it', () => {
+    const p = player(2000, 2000);
+    camera.focusOn(1000, 800);
+    camera.follow(p);
+    const goalX = 1000 - camera.width / 2;
+    expect(camera.x).toBeLessThan(1500);
+    expect(camera.x).toBeGreaterThan(goalX);
+    settle(p);
+    // Com o pixel snap o passo final arredonda pra zero a poucos px do alvo.
+    expect(Math.abs(camera.x - goalX)).toBeLessThan(3);
+    expect(camera._focus).not.toBeNull();
+  });
+
+  test('slides back to the player and lets go, even at the map edge', () => {
+    // No canto o alvo sem clamp fica fora do mapa; o foco tem que soltar.
+    const p = player(0, 0);
+    camera.focusOn(2000, 2000, 0);
+    settle(p);
+    expect(camera._focus).toBeNull();
+    expect({ x: camera.x, y: camera.y }).toEqual({ x: 0, y: 0 });
+  });
+
+  test('a map change drops the focus', () => {
+    camera.focusOn(300, 400);
+    document.dispatchEvent(new CustomEvent('mapChanged', { detail: { mapId: 'city' } }));
+    expect(camera._focus).toBeNull();
+  });
+});
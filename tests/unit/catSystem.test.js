@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem, setObject, getObject } = await import('../../public/scripts/gameState.js');
+const { collisionSystem } = await import('../../public/scripts/collisionSystem.js');
+const { catSystem, CatMode, PET_ENERGY } = await import('../../public/scripts/animal/catSystem.js');
+
+const fakeMap = {
+  mapId: 'farm',
+  getCurrentMapId() { return this.mapId; },
+};
+const restored = [];
+const setClock = (hour, day = 3) => registerSystem('weather', { day, month: 2, year: 1, currentTime: hour * 60 });
+// Avança o tempo em passos de 100 ms (o máximo que o gato anda por frame).
+const run = (ms, start = 1000) => {
+  for (let t = start; t <= start + ms; t += 100) catSystem.update(t);
+  return start + ms;
+};
+
+const saved = {};
+const names = ['weather', 'mapManager', 'player', 'house'];
+
+describe('catSystem', () => {
+  beforeEach(() => {
+    for (const n of names) saved[n] = getSystem(n);
+    saved.currentPlayer = getObject('currentPlayer');
+    fakeMap.mapId = 'farm';
+    restored.length = 0;
+    setClock(12);
+    registerSystem('mapManager', fakeMap);
+    registerSystem('player', { restoreNeeds: (...args) => restored.push(args) });
+    registerSystem('house', { houseInteractionHitbox: { x: 2134, y: 2361, width: 52, height: 80 } });
+    setObject('currentPlayer', { x: 2400, y: 2700, width: 32, height: 32 });
+    catSystem.restoreState({});
+    catSystem._lastTick = null;
+  });
+  afterEach(() => {
+    catSystem.restoreState({});
+    for (const n of names) registerSystem(n, saved[n]);
+    setObject('currentPlayer', saved.currentPlayer);
+  });
+
+  test('Milly hands over one kitten, waiting at the farmhouse door', () => {
+    expect(catSystem.isAdopted()).toBe(false);
+    expect(catSystem.adopt()).toEqual({ ok: true });
+    // Meio da porta, logo abaixo da parede da casa.
+    expect(catSystem.getPosition()).toEqual({ x: 2160, y: 2495 });
+    expect(catSystem.getMode()).toBe(CatMode.HOME);
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(true);
+    expect(catSystem.isCatHitbox('farm_pet_cat')).toBe(true);
+    expect(catSystem.getWorldObjects('farm')).toHaveLength(1);
+    expect(catSystem.getWorldObjects('city')).toEqual([]);
+    expect(catSystem.adopt()).toMatchObject({ ok: false, reason: 'already_have' });
+  });
+
+  test('petting gives a little energy once per game day', () => {
+    expect(catSystem.pet()).toMatchObject({ ok: false, reason: 'no_cat' });
+    catSystem.adopt();
+    expect(catSystem.pet()).toEqual({ ok: true, energy: PET_ENERGY });
+    expect(restored).toEqual([[0, 0, PET_ENERGY]]);
+    expect(catSystem.canPetToday()).toBe(false);
+    expect(catSystem.pet()).toMatchObject({ ok: false, reason: 'already_petted' });
+
+    setClock(12, 4);
+    expect(catSystem.canPetToday()).toBe(true);
+    expect(catSystem.pet().ok).toBe(true);
+    expect(restored).toHaveLength(2);
+  });
+
+  test('follows the player and stops a step away; home mode stays near the door', () => {
+    catSystem.adopt();
+    expect(catSystem.command('sit')).toMatchObject({ ok: false, reason: 'unknown_mode' });
+    expect(catSystem.command(CatMode.FOLLOW)).toEqual({ ok: true });
+    run(5000);
+    const feet = { x: 2416, y: 2732 };
+    const pos = catSystem.getPosition();
+    expect(Math.hypot(feet.x - pos.x, feet.y - pos.y)).toBeCloseTo(56, 0);
+    const box = collisionSystem.hitboxes.get('farm_pet_cat');
+    expect(box.x).toBeCloseTo(pos.x - 11, 5);
+
+    catSystem.command(CatMode.HOME);
+    run(60000, 7000);
+    const home = catSystem.homePoint();
+    const p = catSystem.getPosition();
+    expect(Math.abs(p.x - home.x)).toBeLessThanOrEqual(180);
+    expect(p.y).toBeGreaterThanOrEqual(home.y);
+  });
+
+  test('goes into the house at night and comes back out in the morning', () => {
+    catSystem.adopt();
+    catSystem.command(CatMode.FOLLOW);
+    run(5000);
+    setClock(21);
+    run(5000, 7000);
+    expect(catSystem.isAsleep()).toBe(true);
+    expect(catSystem.getWorldObjects('farm')).toEqual([]);
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(false);
+    expect(catSystem.pet()).toMatchObject({ ok: false, reason: 'asleep' });
+
+    setClock(7, 4);
+    catSystem.update(20000);
+    expect(catSystem.isAsleep()).toBe(false);
+    expect(catSystem.getPosition()).toEqual(catSystem.homePoint());
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(true);
+    expect(catSystem.getMode()).toBe(CatMode.FOLLOW);
+  });
+
+  test('state is saved per slot; away from the farm it has no hitbox', () => {
+    catSystem.adopt();
+    catSystem.command(CatMode.FOLLOW);
+    catSystem.pet();
+    const copy = JSON.parse(JSON.stringify(catSystem.serializeState()));
+
+    catSystem.restoreState({});
+    expect(catSystem.isAdopted()).toBe(false);
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(false);
+
+    fakeMap.mapId = 'city';
+    catSystem.restoreState(copy);
+    expect(catSystem.isAdopted()).toBe(true);
+    expect(catSystem.getMode()).toBe(CatMode.FOLLOW);
+    expect(catSystem.canPetToday()).toBe(false);
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(false);
+
+    // De volta na fazenda a hitbox volta no próximo frame.
+    fakeMap.mapId = 'farm';
+    catSystem.update(1000);
+    expect(collisionSystem.hitboxes.has('farm_pet_cat')).toBe(true);
+  });
+});
@@ -1,5 +1,7 @@
 import { describe, test, expect, beforeEach, afterEach, afterAll, mock } from 'bun:test';
-import "../setup.js";
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Track calls for assertions
 let setActiveCharacterCalls = [];
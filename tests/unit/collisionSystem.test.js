@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Set up required globals for CollisionSystem
 globalThis.window.DEBUG_HITBOXES = false;
@@ -354,6 +356,20 @@ describe('CollisionSystem (Production Implementation)', () => {
       const updatedInteraction = system.interactionHitboxes.get('tree1');
       expect(updatedInteraction.x).not.toBe(originalX);
     });
+
+    test('layoutVersion changes for static hitboxes only', () => {
+      const v0 = system.layoutVersion;
+      system.addHitbox('fence1', 'FENCEX', 0, 0, 28, 30);
+      const v1 = system.layoutVersion;
+      expect(v1).toBeGreaterThan(v0);
+
+      system.addHitbox('cow1', 'ANIMAL', 50, 50, 32, 32);
+      system.updateHitboxPosition('cow1', 60, 60);
+      expect(system.layoutVersion).toBe(v1);
+
+      system.removeHitbox('fence1');
+      expect(system.layoutVersion).toBeGreaterThan(v1);
+    });
   });
 
   describe('createPlayerHitbox', () => {
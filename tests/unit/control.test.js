@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, beforeAll, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, beforeAll, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 let keys, getKeybinds, setKeybinds, isMobile, getMovementDirection;
 let TouchMoveSystem, PlayerInteractionSystem, PLAYER_INTERACTION_CONFIG, destroyControls;
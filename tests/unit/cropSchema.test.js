@@ -0,0 +1,86 @@
+import { describe, test, expect } from 'bun:test';
+import '../setup.js';
+import { validateCropDefinitions } from '../../public/scripts/cropSchema.js';
+import cropsJson from '../../public/scripts/data/crops.json';
+
+// A valid entry to tweak per test.
+const base = () => ({
+  seedId: 114,
+  name: 'Matinho',
+  harvestItem: 115,
+  harvestYield: 1,
+  growthDays: 2,
+  regrowDays: 1,
+  noWater: true,
+  sheet: 'assets/crops/test.png',
+  frames: [{ x: 0, w: 16 }, { x: 16, w: 16 }, { x: 32, w: 16 }, { x: 48, w: 16 }],
+  frameH: 32,
+  matureStage: 2,
+  harvestedFrame: 3,
+});
+
+const check = (...crops) => validateCropDefinitions({ version: 1, crops });
+
+describe('crop definitions (crops.json)', () => {
+  test('the shipped crops.json is valid and includes the re-added seeds', () => {
+    const { crops, errors } = validateCropDefinitions(cropsJson);
+    expect(errors).toEqual([]);
+    for (const id of [3, 4, 18, 19, 20, 107, 114, 132]) expect(crops[id]).toBeTruthy();
+    // seedId is the key, not a field
+    expect(crops[3].seedId).toBeUndefined();
+  });
+
+  test('crops drawn with a borrowed sheet are flagged as placeholder art', () => {
+    const { crops } = validateCropDefinitions(cropsJson);
+    const flagged = Object.keys(crops).filter(id => crops[id].placeholderArt).map(Number);
+    expect(flagged.sort((a, b) => a - b)).toEqual([3, 4, 18, 19, 20]);
+    expect(check({ ...base(), placeholderArt: 'yes' }).errors)
+      .toContain('crops[0] (seedId 114): placeholderArt must be true or false');
+  });
+
+  test('rejects seed and harvest ids that are not in item.js', () => {
+    const { crops, errors } = check({ ...base(), seedId: 99999 }, { ...base(), harvestItem: 99998 });
+    expect(Object.keys(crops)).toHaveLength(0);
+    expect(errors.some(e => e.includes('crops[0] (seedId 99999): seedId 99999 is not an item'))).toBe(true);
+    expect(errors.some(e => e.includes('crops[1] (seedId 114): harvestItem 99998 is not an item'))).toBe(true);
+  });
+
+  test('a seedId that is not a seed item is rejected', () => {
+    const { errors } = check({ ...base(), seedId: 115 });
+    expect(errors[0]).toContain('is not a seed item');
+  });
+
+  test('reports typos, bad frames and out-of-range stages by field', () => {
+    const bad = { ...base(), growthDay: 3, frames: [{ x: 0, w: 0 }, { x: 16, w: 16 }], matureStage: 5 };
+    const { errors } = check(bad);
+    expect(errors).toContain('crops[0] (seedId 114): growthDay is not a known crop field');
+    expect(errors).toContain('crops[0] (seedId 114): frames[0].w must be a positive number');
+    expect(errors).toContain('crops[0] (seedId 114): matureStage must be a frame index from 1 to 1');
+  });
+
+  test('water, seasons and duplicates', () => {
+    const { noWater, ...thirsty } = base();
+    const { crops, errors } = check(thirsty, { ...base(), seasons: ['summer', 'monsoon'] }, base(), base());
+    expect(errors.some(e => e.startsWith('crops[0]') && e.includes('waterDays'))).toBe(true);
+    expect(errors.some(e => e.startsWith('crops[1]') && e.includes('"monsoon"'))).toBe(true);
+    expect(errors).toContain('crops[3] (seedId 114): seedId 114 is defined more than once');
+    expect(crops[114]).toBeTruthy(); // crops[2] loaded
+  });
+
+  test('invalid entries are dropped, valid ones still load; notes are stripped', () => {
+    const { crops, errors } = check({ ...base(), seedId: 99999 }, { ...base(), _comment: 'placeholder art' });
+    expect(errors).toHaveLength(1);
+    expect(crops[114]).toBeTruthy();
+    expect(crops[114]._comment).toBeUndefined();
+  });
+
+  test('giantChance must be a probability', () => {
+    expect(check({ ...base(), giantChance: 0.05 }).errors).toEqual([]);
+    expect(check({ ...base(), giantChance: 2 }).errors[0]).toContain('giantChance must be a number in (0, 1]');
+  });
+
+  test('a file without a crops list is reported', () => {
+    expect(validateCropDefinitions(null).errors).toHaveLength(1);
+    expect(validateCropDefinitions({ version: 1 }).errors[0]).toContain('"crops" list');
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import '../setup.js';
+import { describe, test, expect, beforeEach, afterEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
 
 // Issue #216: planting and harvesting must grant XP, scaled per crop.
 
@@ -35,10 +37,16 @@ const inv = {
 };
 mock.module('../../public/scripts/thePlayer/inventorySystem.js', () => ({ inventorySystem: inv }));
 
-mock.module('../../public/scripts/itemUtils.js', () => ({ getItem: () => null }));
+// Only the crop sprays matter here; everything else is a plain item.
+const sprays = { 143: { id: 143, cropTreatment: ['aphids'] }, 144: { id: 144, cropTreatment: ['blight'] } };
+mock.module('../../public/scripts/itemUtils.js', () => ({ getItem: (id) => sprays[id] || null }));
 mock.module('../../public/scripts/worldConstants.js', () => ({ TILE_SIZE: 32 }));
 
 const cropSystem = (await import('../../public/scripts/cropSystem.js')).default;
+// Crop definitions are data (loaded at boot in the game); feed the real file.
+const { default: cropsJson } = await import('../../public/scripts/data/crops.json');
+cropSystem.setDefinitions(cropsJson);
+const { pestRisk, pestYieldFactor } = await import('../../public/scripts/cropPests.js');
 
 // Helper: plant a seed at (0,0), force it mature, harvest, return granted amounts.
 function plantHarvest(seedId) {
@@ -178,3 +186,354 @@ describe('getWaterCostAt', () => {
     expect(cropSystem.getWaterCostAt(0, 0)).toBe(0);
   });
 });
+
+// Seasonal crop calendar: seeds only go in during their seasons, and crops
+// left in the ground wither when the season rolls over (dayChanged).
+describe('crop seasons', () => {
+  const plantIn = (seedId, season) => {
+    activeSeedId = seedId;
+    inv.qty[seedId] = 5;
+    weather._t = 0;
+    weather.seasonKey = season;
+    return cropSystem.plantAt(0, 0);
+  };
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+  });
+
+  test('an in-season seed is planted', () => {
+    expect(plantIn(118, 'autumn')).toBe(true); // pumpkin
+    delete weather.seasonKey;
+  });
+
+  test('an out-of-season seed is refused and nothing is consumed', () => {
+    expect(plantIn(118, 'summer')).toBe(false);
+    expect(cropSystem._crops.size).toBe(0);
+    delete weather.seasonKey;
+  });
+
+  test('crops without a season list (matinho) grow all year', () => {
+    expect(plantIn(114, 'winter')).toBe(true);
+    delete weather.seasonKey;
+  });
+
+  test('winter and summer need different plans', () => {
+    expect(cropSystem.isInSeason(132)).toBe(true); // no season known yet → allowed
+    weather.seasonKey = 'winter';
+    expect(cropSystem.isInSeason(132)).toBe(true);  // couve-flor
+    expect(cropSystem.isInSeason(128)).toBe(false); // pimentinha
+    weather.seasonKey = 'summer';
+    expect(cropSystem.isInSeason(132)).toBe(false);
+    expect(cropSystem.isInSeason(128)).toBe(true);
+    delete weather.seasonKey;
+  });
+
+  test('out-of-season crops wither on dayChanged; in-season ones survive', () => {
+    plantIn(118, 'autumn');           // pumpkin at (0,0)
+    activeSeedId = 120;               // broccoli: autumn + winter
+    inv.qty[120] = 5;
+    cropSystem.plantAt(64, 0);
+    expect(cropSystem._crops.size).toBe(2);
+
+    weather.seasonKey = 'winter';
+    document.dispatchEvent(new CustomEvent('dayChanged', { detail: { day: 1 } }));
+    expect(cropSystem.hasCropAt(0, 0)).toBe(false);
+    expect(cropSystem.hasCropAt(64, 0)).toBe(true);
+    delete weather.seasonKey;
+  });
+
+  test('minutesToMature counts down to 0 at maturity', () => {
+    plantIn(114, 'spring'); // matinho: growthDays 2, matureStage 2
+    const rec = [...cropSystem._crops.values()][0];
+    expect(cropSystem.minutesToMature(rec, 0)).toBe(2 * 24 * 60);
+    rec.stage = 2;
+    expect(cropSystem.minutesToMature(rec, 0)).toBe(0);
+    delete weather.seasonKey;
+  });
+});
+
+// Soil fertility: nutrients scale growth speed and yield; harvests deplete them.
+describe('soil fertility effects', () => {
+  const soil = { n: 60, depleted: 0 };
+  const plain = systems.hoeTool;
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+    soil.n = 60;
+    soil.depleted = 0;
+    systems.hoeTool = {
+      isTilled: () => true,
+      getNutrients: () => soil.n,
+      depleteNutrients: (x, y, amount) => { soil.depleted += amount; soil.n -= amount; return soil.n; },
+    };
+  });
+
+  afterEach(() => {
+    systems.hoeTool = plain;
+  });
+
+  const plantStageMin = (n) => {
+    soil.n = n;
+    cropSystem._crops.clear();
+    activeSeedId = 114;
+    inv.qty[114] = 5;
+    weather._t = 0;
+    cropSystem.plantAt(0, 0);
+    return [...cropSystem._crops.values()][0].stageMin;
+  };
+
+  test('rich soil grows faster and exhausted soil slower than base soil', () => {
+    const base = plantStageMin(60);
+    expect(plantStageMin(100)).toBeLessThan(base);
+    expect(plantStageMin(0)).toBeGreaterThan(base);
+  });
+
+  test('harvesting draws nutrients out of the tile', () => {
+    plantStageMin(60);
+    [...cropSystem._crops.values()][0].stage = 2;
+    expect(cropSystem.harvestAt(0, 0)).toBe(true);
+    expect(soil.depleted).toBeGreaterThan(0);
+  });
+
+  test('rich soil yields more than exhausted soil', () => {
+    const acquired = [];
+    inv.acquireItem = (id, qty) => { acquired.push(qty); };
+    const harvestQty = (n) => {
+      let total = 0;
+      for (let i = 0; i < 40; i++) {
+        plantStageMin(n);
+        [...cropSystem._crops.values()][0].stage = 2;
+        acquired.length = 0;
+        cropSystem.harvestAt(0, 0);
+        total += acquired[0];
+      }
+      return total;
+    };
+    expect(harvestQty(100)).toBeGreaterThan(harvestQty(0));
+    delete inv.acquireItem;
+  });
+
+  test('yieldRange bounds a harvest by fertility, pests and giants (planner)', () => {
+    soil.n = 60; // base soil: ×1
+    expect(cropSystem.yieldRange({ seedId: 114, x: 0, y: 0 })).toEqual([1, 2]); // luck bonus
+    soil.n = 100; // ×1.5
+    expect(cropSystem.yieldRange({ seedId: 114, x: 0, y: 0 })).toEqual([1, 3]);
+    expect(cropSystem.yieldRange({ seedId: 118, x: 0, y: 0, giant: true })[0]).toBe(18);
+    expect(cropSystem.yieldRange({ seedId: 99999 })).toEqual([0, 0]);
+    expect(cropSystem.getDefinition(114).matureStage).toBeGreaterThan(0);
+  });
+});
+
+// Harvest quality: the tier is rolled from the watering streak, fertility and
+// player level, and travels with the harvested item.
+describe('harvest quality', () => {
+  const realRandom = Math.random;
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+    activeSeedId = 110; // cucumber: needs water
+    inv.qty[110] = 5;
+    weather._t = 0;
+  });
+
+  afterEach(() => {
+    Math.random = realRandom;
+    delete inv.acquireItem;
+  });
+
+  test('the streak counts watered growth and breaks when the plant dries out', () => {
+    cropSystem.plantAt(0, 0);
+    const rec = [...cropSystem._crops.values()][0];
+    rec.nextStageAt = 0;
+    cropSystem.update();
+    expect(rec.stage).toBe(1);
+    expect(rec.streak).toBe(1);
+
+    rec.water = 50;
+    rec.waterDropAt = 0;
+    cropSystem.update();
+    expect(rec.water).toBe(0);
+    expect(rec.streak).toBe(0);
+  });
+
+  test('a well-kept crop can harvest gold; a neglected one cannot', () => {
+    const tiers = [];
+    inv.acquireItem = (id, qty, quality) => { tiers.push(quality); };
+    Math.random = () => 0; // best roll
+
+    cropSystem.plantAt(0, 0);
+    let rec = [...cropSystem._crops.values()][0];
+    Object.assign(rec, { stage: 2, streak: rec.cycleStages });
+    cropSystem.harvestAt(0, 0);
+
+    cropSystem._crops.clear();
+    cropSystem.plantAt(0, 0);
+    rec = [...cropSystem._crops.values()][0];
+    Object.assign(rec, { stage: 2, streak: 0 });
+    cropSystem.harvestAt(0, 0);
+
+    expect(tiers[0]).toBe('gold');
+    expect(tiers[1]).not.toBe('gold');
+  });
+
+  test('the streak survives save/load', () => {
+    cropSystem.plantAt(0, 0);
+    [...cropSystem._crops.values()][0].streak = 1;
+    cropSystem.restore(cropSystem.serialize());
+    expect([...cropSystem._crops.values()][0].streak).toBe(1);
+  });
+});
+
+describe('crop pests', () => {
+  const plantAt = (x) => {
+    activeSeedId = 114; // matinho: all year
+    inv.qty[114] = 5;
+    return cropSystem.plantAt(x, 0);
+  };
+  const recAt = (x) => cropSystem._crops.get(`${x},0`);
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+    weather._t = 0;
+    weather.weatherType = 'clear';
+  });
+
+  afterEach(() => {
+    delete weather.weatherType;
+  });
+
+  test('wet weather favours blight and infected neighbours raise the risk', () => {
+    expect(pestRisk('blight', { weather: 'rain' })).toBeGreaterThan(pestRisk('blight', { weather: 'clear' }));
+    expect(pestRisk('aphids', { infectedNeighbours: 2 })).toBeGreaterThan(pestRisk('aphids', { infectedNeighbours: 0 }));
+  });
+
+  test('a pest spreads to the adjacent plant, not to a distant one', () => {
+    plantAt(0);
+    plantAt(32);  // neighbour (TILE_SIZE 32)
+    plantAt(128); // far away
+    recAt(0).pest = { id: 'aphids', days: 0 };
+
+    const infected = cropSystem.rollDailyPests(() => 0.1);
+
+    expect(infected).toBe(1);
+    expect(recAt(32).pest).toEqual({ id: 'aphids', days: 0 });
+    expect(recAt(128).pest ?? null).toBeNull();
+    expect(recAt(0).pest.days).toBe(1);
+  });
+
+  test('infected plants lose more yield the longer the infection runs', () => {
+    expect(pestYieldFactor(null)).toBe(1);
+    const early = pestYieldFactor({ id: 'blight', days: 0 });
+    const late = pestYieldFactor({ id: 'blight', days: 3 });
+    expect(early).toBeLessThan(1);
+    expect(late).toBeCloseTo(0.5);
+  });
+
+  test('only the matching spray cures the plant, and it survives save/load', () => {
+    plantAt(0);
+    recAt(0).pest = { id: 'blight', days: 2 };
+    cropSystem.restore(cropSystem.serialize());
+    expect(cropSystem.getPestAt(0, 0)).toEqual({ id: 'blight', days: 2 });
+
+    inv.qty[143] = 1;
+    inv.qty[144] = 1;
+    expect(cropSystem.isTreatment(144)).toBe(true);
+    expect(cropSystem.treatAt(0, 0, 143)).toBe(false); // insecticide vs blight
+    expect(cropSystem.treatAt(0, 0, 144)).toBe(true);
+    expect(cropSystem.getPestAt(0, 0)).toBeNull();
+  });
+});
+
+describe('giant crops', () => {
+  const T = 32; // TILE_SIZE
+  // Plants `seedId` on a cols×rows block at the origin, all mature.
+  const field = (seedId, cols = 3, rows = 3) => {
+    activeSeedId = seedId;
+    inv.qty[seedId] = cols * rows;
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) cropSystem.plantAt(c * T, r * T);
+    }
+    for (const rec of cropSystem._crops.values()) rec.stage = 2;
+  };
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+    weather._t = 0;
+  });
+
+  afterEach(() => {
+    delete inv.acquireItem;
+  });
+
+  test('a full 3×3 block of a giant-capable crop merges on a lucky roll', () => {
+    field(118); // abóbora
+    expect(cropSystem.mergeGiantCrops(() => 0.99)).toBe(0);
+    expect(cropSystem.mergeGiantCrops(() => 0)).toBe(1);
+    expect(cropSystem._crops.get('0,0').giant).toBe(true);
+    expect(cropSystem._crops.get(`${2 * T},${2 * T}`).giantOf).toBe('0,0');
+    expect(cropSystem.isGiantAt(T, T)).toBe(true);
+    expect(cropSystem.isMatureAt(T, T)).toBe(false); // not scythable
+  });
+
+  test('incomplete blocks, unripe plants and ordinary crops never merge', () => {
+    field(118, 3, 2);
+    expect(cropSystem.mergeGiantCrops(() => 0)).toBe(0);
+
+    cropSystem._crops.clear();
+    field(118);
+    cropSystem._crops.get(`${T},${T}`).stage = 1;
+    expect(cropSystem.mergeGiantCrops(() => 0)).toBe(0);
+
+    cropSystem._crops.clear();
+    field(124); // cenoura: no giantChance
+    expect(cropSystem.mergeGiantCrops(() => 0)).toBe(0);
+  });
+
+  test('the axe fells it for a big harvest and clears the block', () => {
+    field(118);
+    cropSystem.mergeGiantCrops(() => 0);
+    const got = [];
+    inv.acquireItem = (id, qty) => { got.push({ id, qty }); };
+    let evt = null;
+    const handler = (e) => { evt = e.detail; };
+    document.addEventListener('giantCropHarvested', handler);
+
+    expect(cropSystem.harvestAt(T, T)).toBe(false); // scythe refuses
+    expect(cropSystem.harvestGiantAt(2 * T, T)).toBe(true);
+    document.removeEventListener('giantCropHarvested', handler);
+
+    // Nine pumpkins (1–2 each with the luck bonus) ×2.
+    expect(got[0].qty).toBeGreaterThanOrEqual(18);
+    expect(evt).toMatchObject({ seedId: 118, quantity: got[0].qty });
+    expect(cropSystem._crops.size).toBe(0);
+  });
+
+  test('a giant survives save/load', () => {
+    field(132); // couve-flor
+    cropSystem.mergeGiantCrops(() => 0);
+    cropSystem.restore(cropSystem.serialize());
+    expect(cropSystem._crops.get('0,0').giant).toBe(true);
+    expect(cropSystem._crops.get(`0,${T}`).giantOf).toBe('0,0');
+  });
+});
+
+describe('crow targets', () => {
+  const T = 32; // TILE_SIZE
+
+  beforeEach(() => {
+    cropSystem._crops.clear();
+  });
+
+  test('crows see growing plants only and can destroy them', () => {
+    cropSystem._crops.set(`0,0`, { seedId: 124, stage: 1 });
+    cropSystem._crops.set(`${T},0`, { seedId: 124, stage: 3, harvested: true });
+    cropSystem._crops.set(`${2 * T},0`, { seedId: 118, stage: 2, giant: true });
+
+    expect(cropSystem.getRaidableTiles()).toEqual([{ x: 0, y: 0 }]);
+    expect(cropSystem.destroyCropAt(2 * T + 5, 5)).toBe(false); // giants stay
+    expect(cropSystem.destroyCropAt(5, 5)).toBe(true);
+    expect(cropSystem.hasCropAt(0, 0)).toBe(false);
+    expect(cropSystem.destroyCropAt(5, 5)).toBe(false);
+  });
+});
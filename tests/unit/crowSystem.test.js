@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+import { t } from '../../public/scripts/i18n/i18n.js';
+
+afterAll(restoreModuleMocks);
+
+// Plants on the field ("x,y" of the tile top-left) and HUD messages.
+const messages = [];
+const crop = {
+  plants: new Set(),
+  getRaidableTiles: () => [...crop.plants].map(k => {
+    const [x, y] = k.split(',').map(Number);
+    return { x, y };
+  }),
+  destroyCropAt: (x, y) => crop.plants.delete(`${x},${y}`),
+};
+const systems = { crop, hud: { showMessage: (m) => messages.push(m) } };
+
+mock.module('../../public/scripts/gameState.js', () => ({
+  getSystem: (name) => systems[name] || null,
+  registerSystem: () => {},
+}));
+mock.module('../../public/scripts/itemUtils.js', () => ({
+  getItem: (id) => ({ 145: { scarecrowRadius: 2 } })[id] || null,
+}));
+mock.module('../../public/scripts/worldConstants.js', () => ({ TILE_SIZE: 20 }));
+
+const { default: crowSystem } = await import('../../public/scripts/crowSystem.js');
+
+// Scarecrow placed the way buildSystem does it: 20×20, top-left on the tile.
+const scarecrow = (tx, ty) => ({
+  itemId: 145, originalType: 'scarecrow', x: tx * 20, y: ty * 20, width: 20, height: 20,
+});
+const plant = (tx, ty) => crop.plants.add(`${tx * 20},${ty * 20}`);
+// Deterministic rng: returns the queued values, then 0.
+const seq = (...values) => () => (values.length ? values.shift() : 0);
+
+describe('crowSystem', () => {
+  beforeEach(() => {
+    messages.length = 0;
+    crop.plants.clear();
+    crowSystem._pending = false;
+    crowSystem._flocks = [];
+    window.theWorld = { placedBuildings: [] };
+  });
+
+  test('coverage is a circle of tiles around the scarecrow', () => {
+    const tiles = crowSystem.coverageTiles(50, 50, 2); // tile (40,40)
+    expect(tiles).toHaveLength(13);
+    expect(tiles).toContainEqual({ x: 0, y: 40 });
+    expect(tiles).not.toContainEqual({ x: 0, y: 0 }); // corner of the 5×5 square
+  });
+
+  test('protects plants within the radius only', () => {
+    window.theWorld.placedBuildings.push(scarecrow(5, 5));
+    expect(crowSystem.isProtected(7 * 20, 5 * 20)).toBe(true);
+    expect(crowSystem.isProtected(6 * 20 + 5, 6 * 20 + 5)).toBe(true);
+    expect(crowSystem.isProtected(7 * 20, 7 * 20)).toBe(false);
+    expect(crowSystem.getCoverage()).toEqual([{ x: 110, y: 110, radius: 50 }]);
+  });
+
+  test('a raid eats up to 3 unprotected plants and reports it', () => {
+    window.theWorld.placedBuildings.push(scarecrow(5, 5));
+    plant(6, 5);                      // protected
+    plant(20, 20); plant(21, 20); plant(22, 20); plant(23, 20);
+    const raided = [];
+    document.addEventListener('cropsRaided', (e) => raided.push(e.detail.count), { once: true });
+
+    const eaten = crowSystem.raid(seq(0.99)); // 0.99 → 3 plants
+
+    expect(eaten).toHaveLength(3);
+    expect(crop.plants.has('120,100')).toBe(true);
+    expect(crop.plants.size).toBe(2);
+    expect(raided).toEqual([3]);
+    expect(messages).toEqual([t('crows.raided', { count: 3 })]);
+    expect(crowSystem._flocks).toHaveLength(3);
+  });
+
+  test('a fully protected field scares the crows away', () => {
+    window.theWorld.placedBuildings.push(scarecrow(5, 5));
+    plant(5, 6); plant(6, 6);
+
+    expect(crowSystem.raid(seq(0.99))).toEqual([]);
+    expect(crop.plants.size).toBe(2);
+    expect(messages).toEqual([t('crows.scaredAway')]);
+  });
+
+  test('the visit is set at dayChanged and happens at dawn', () => {
+    plant(1, 1);
+    const dawn = (time) => document.dispatchEvent(new CustomEvent('timeChanged', { detail: { time } }));
+
+    document.dispatchEvent(new CustomEvent('dayChanged'));
+    expect(crowSystem._pending).toBe(true);
+    dawn(5 * 60);
+    expect(crowSystem._pending).toBe(true); // still night
+
+    const orig = Math.random;
+    Math.random = () => 0; // crows come, eat one plant
+    try { dawn(6 * 60); } finally { Math.random = orig; }
+
+    expect(crowSystem._pending).toBe(false);
+    expect(crop.plants.size).toBe(0);
+  });
+
+  test('no visit without a day change, and no raid on a failed roll', () => {
+    plant(1, 1);
+    expect(crowSystem.dawnVisit(seq(0))).toEqual([]);
+    crowSystem._pending = true;
+    expect(crowSystem.dawnVisit(seq(0.9))).toEqual([]);
+    expect(crop.plants.size).toBe(1);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { enclosureSystem } = await import('../../public/scripts/animal/enclosureSystem.js');
+const { diseaseSystem, CONTAGION } = await import('../../public/scripts/animal/diseaseSystem.js');
+
+const mk = (id, x, y, extra = {}) => ({
+  id, assetName: 'Sheep', x, y, width: 32, height: 32,
+  stats: { hunger: 100, thirst: 100, moral: 100 }, disease: null, exposure: null, ...extra,
+});
+const sick = (id, x, y, diseaseId = 'respiratory', diagnosed = false) =>
+  mk(id, x, y, { disease: { id: diseaseId, daysSince: 0, diagnosed } });
+
+// Square pen of fences, 200px wide, top-left corner at (ox, 0).
+function pen(ox) {
+  return [
+    { id: `t${ox}`, originalType: 'fenceX', x: ox, y: 0, width: 200, height: 8 },
+    { id: `b${ox}`, originalType: 'fenceX', x: ox, y: 192, width: 200, height: 8 },
+    { id: `l${ox}`, originalType: 'fenceY', x: ox, y: 0, width: 8, height: 200 },
+    { id: `r${ox}`, originalType: 'fenceY', x: ox + 192, y: 0, width: 8, height: 200 },
+  ];
+}
+
+const realRandom = Math.random;
+
+describe('diseaseSystem contagion', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    // Two pens sharing a wall at x≈200.
+    window.theWorld = { placedBuildings: [...pen(0), ...pen(200)], animals };
+    enclosureSystem.restoreQuarantine([]);
+    enclosureSystem.detect();
+    diseaseSystem.restoreState({});
+    Math.random = () => 0;
+  });
+  afterEach(() => { Math.random = realRandom; });
+
+  test('close contact exposes the neighbour with the source disease', () => {
+    animals.push(sick('src', 40, 40, 'fever'), mk('a', 70, 40), mk('far', 1000, 1000));
+    const { exposed } = diseaseSystem.spreadContagion();
+
+    expect(exposed.map(e => [e.animal.id, e.route])).toEqual([['a', 'contact']]);
+    expect(animals[1].exposure).toMatchObject({
+      id: 'fever', sourceId: 'src', daysLeft: CONTAGION.fever.incubationDays,
+    });
+    // Exposed but not sick yet — and not contagious either.
+    expect(animals[1].disease).toBeNull();
+    expect(animals[2].exposure).toBeNull();
+  });
+
+  test('sharing a pen spreads beyond the contact radius', () => {
+    animals.push(sick('src', 20, 20, 'digestive'), mk('a', 150, 150));
+    const { exposed } = diseaseSystem.spreadContagion();
+    expect(exposed.map(e => e.route)).toEqual(['pen']);
+  });
+
+  test('symptoms show up when incubation ends', () => {
+    const a = mk('a', 500, 500, { exposure: { id: 'parasitosis', daysLeft: 2, sourceId: 'x', day: 0 } });
+    animals.push(a);
+    expect(diseaseSystem.tickAll()).toEqual([]);
+    expect(a.exposure.daysLeft).toBe(1);
+    expect(diseaseSystem.tickAll()).toEqual([a]);
+    expect(a.disease.id).toBe('parasitosis');
+    expect(a.exposure).toBeNull();
+  });
+
+  test('quarantine blocks spread across the fence, not inside the pen', () => {
+    const [left] = enclosureSystem.getEnclosures().sort((p, q) => p.bounds.minX - q.bounds.minX);
+    // Source at the right edge of the left pen, neighbour just across the wall.
+    animals.push(sick('src', 150, 80), mk('across', 215, 80), mk('inside', 120, 80));
+    enclosureSystem.setQuarantine(left.id, true);
+
+    const { exposed, blocked } = diseaseSystem.spreadContagion();
+    expect(exposed.map(e => e.animal.id)).toEqual(['inside']);
+    expect(blocked).toBe(1);
+
+    enclosureSystem.setQuarantine(left.id, false);
+    animals[2].exposure = null;
+    expect(diseaseSystem.spreadContagion().exposed.map(e => e.animal.id)).toEqual(['across', 'inside']);
+  });
+
+  test('daily report lists exposed animals and hides undiagnosed diseases', () => {
+    let fired = null;
+    document.addEventListener('outbreakReport', (e) => { fired = e.detail.report; });
+    animals.push(sick('src', 40, 40, 'respiratory'), sick('known', 400, 40, 'fever', true),
+      mk('a', 60, 40, { customName: 'Dolly' }), mk('b', 420, 40));
+
+    const report = diseaseSystem.runDaily(7);
+    expect(fired).toBe(report);
+    expect(report.day).toBe(7);
+    expect(report.exposed).toEqual([
+      expect.objectContaining({ animalId: 'a', name: 'Dolly', sourceId: 'src', route: 'contact', diseaseId: null }),
+      expect.objectContaining({ animalId: 'b', sourceId: 'known', diseaseId: 'fever' }),
+    ]);
+    expect(diseaseSystem.getReports()).toHaveLength(1);
+  });
+
+  test('quiet days produce no report; reports survive save/restore', () => {
+    animals.push(sick('src', 40, 40), mk('a', 60, 40));
+    diseaseSystem.runDaily(1);
+    Math.random = () => 0.99;
+    expect(diseaseSystem.runDaily(2).exposed).toEqual([]);
+    expect(diseaseSystem.getReports().map(r => r.day)).toEqual([1]);
+
+    const saved = JSON.parse(JSON.stringify(diseaseSystem.serializeState()));
+    diseaseSystem.restoreState({});
+    expect(diseaseSystem.getReports()).toEqual([]);
+    diseaseSystem.restoreState(saved);
+    expect(diseaseSystem.getReports()[0].exposed[0].animalId).toBe('a');
+  });
+});
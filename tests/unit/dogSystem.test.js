@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem, setObject, getObject } = await import('../../public/scripts/gameState.js');
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { AnimalEntity, DogMode } = await import('../../public/scripts/animal/animalAI.js');
+const { predatorSystem } = await import('../../public/scripts/animal/predatorSystem.js');
+const { dogSystem } = await import('../../public/scripts/animal/dogSystem.js');
+
+const assetData = () => ({ img: { width: 128, height: 128, complete: true }, cols: 4, rows: 4, frameWidth: 32, frameHeight: 32 });
+const spawn = (assetName, x, y, opts = {}) => {
+  const a = new AnimalEntity(assetName, assetData(), x, y, opts);
+  animals.push(a);
+  return a;
+};
+const seq = (...values) => () => (values.length > 1 ? values.shift() : values[0]);
+
+// Cercado fake: bounds 400..600 × 0..200; quem "entra" é teleportado pro centro.
+const pen = { id: 'enc', centerX: 500, centerY: 100, bounds: { minX: 400, minY: 0, maxX: 600, maxY: 200 } };
+const fakeEnclosure = {
+  moved: [],
+  getEnclosures: () => [pen],
+  getEnclosureOfAnimal: a => (a.x >= 400 && a.x < 600 && a.y >= 0 && a.y < 200 ? pen : null),
+  moveAnimalToEnclosure(animalId, encId) {
+    const a = animals.find(x => x.id === animalId);
+    a.relocate(pen.centerX, pen.centerY);
+    this.moved.push([animalId, encId]);
+    return { ok: true, animal: a, to: encId };
+  },
+};
+
+const realEnclosure = getSystem('enclosure');
+const realWeather = getSystem('weather');
+const realPlayer = getObject('currentPlayer');
+const setHour = (hour) => registerSystem('weather', { day: 3, currentTime: hour * 60, weatherType: 'clear', seasonKey: 'spring' });
+
+describe('dogSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    window.theWorld = {
+      placedBuildings: [],
+      animals,
+      addAnimal: (name, data, x, y, opts) => spawn(name, x, y, opts),
+    };
+    fakeEnclosure.moved = [];
+    registerSystem('enclosure', fakeEnclosure);
+    setHour(12);
+    setObject('currentPlayer', { x: 100, y: 600, width: 32, height: 32 });
+    predatorSystem.restoreState({});
+  });
+  afterEach(() => {
+    registerSystem('enclosure', realEnclosure);
+    registerSystem('weather', realWeather);
+    setObject('currentPlayer', realPlayer);
+  });
+
+  test('Rico delivers one dog next to the player, already following', () => {
+    const res = dogSystem.adopt();
+    expect(res.ok).toBe(true);
+    expect(res.animal).toMatchObject({ assetName: 'Dog', dogMode: DogMode.FOLLOW, following: true });
+    expect(res.animal.x).toBeGreaterThan(100);
+    expect(dogSystem.adopt()).toMatchObject({ ok: false, reason: 'already_have' });
+  });
+
+  test('herds the picked loose animals behind the dog and into the pen', () => {
+    const dog = spawn('Dog', 100, 500, { id: 'dog' });
+    const sheep = spawn('Sheep', 150, 520, { id: 'sheep' });
+    const lamb = spawn('Lamb', 160, 560, { id: 'lamb' });
+    spawn('Cow', 450, 50, { id: 'penned' });
+
+    expect(dogSystem.herdCandidates().map(a => a.id)).toEqual(['sheep', 'lamb']);
+    const res = dogSystem.herd(['sheep', 'penned'], 'enc');
+    expect(res).toMatchObject({ ok: true, joined: ['sheep'], refused: [{ id: 'penned', reason: 'not_found' }] });
+    // Guiado pelo guide() de sempre, mas com o cão como líder.
+    expect(sheep.following).toBe(true);
+    expect(sheep._followTarget).toBe(dog);
+    expect(lamb.following).toBe(false);
+    expect(dog.dogMode).toBe(DogMode.HERD);
+    expect(dog._followTarget).toBe(dog.herd.gate);
+    expect(dog.herd.gate.y).toBeGreaterThan(pen.bounds.maxY);
+
+    // Longe da porteira: ninguém entra ainda.
+    dogSystem.update();
+    expect(fakeEnclosure.moved).toEqual([]);
+
+    const finished = [];
+    const onFinish = e => finished.push(e.detail);
+    document.addEventListener('dogHerdFinished', onFinish);
+    try {
+      dog.x = dog.herd.gate.x;
+      dog.y = dog.herd.gate.y;
+      sheep.x = dog.x + 40;
+      sheep.y = dog.y + 20;
+      dogSystem.update();
+    } finally {
+      document.removeEventListener('dogHerdFinished', onFinish);
+    }
+    expect(fakeEnclosure.moved).toEqual([['sheep', 'enc']]);
+    expect(sheep.following).toBe(false);
+    expect(sheep._followTarget).toBeNull();
+    expect(finished).toEqual([{ animal: dog, enclosureId: 'enc', delivered: 1, released: 0 }]);
+    // Serviço feito: volta a seguir o jogador.
+    expect(dog).toMatchObject({ dogMode: DogMode.FOLLOW, herd: null, following: true, _followTarget: null });
+  });
+
+  test('on guard the dog stays awake at night and barks the foxes away', () => {
+    const dog = spawn('Dog', 300, 300, { id: 'dog' });
+    const sheep = spawn('Sheep', 320, 320, { id: 'sheep' });
+    expect(dogSystem.command(DogMode.GUARD).ok).toBe(true);
+    expect(dog.guardPost).toEqual({ x: 300, y: 300 });
+
+    setHour(23);
+    dog.recalcMood();
+    sheep.recalcMood();
+    expect(sheep.mood).toBe('sleeping');
+    expect(dog.mood).not.toBe('sleeping');
+    expect(dogSystem.isGuarding()).toBe(true);
+
+    const hen = spawn('Chicken', 500, 800, { id: 'hen' });
+    predatorSystem.onTime(23 * 60, seq(0.1, 0, 0));
+    const [fox] = predatorSystem.getFoxes();
+    fox.x = 330;
+    fox.y = 480;
+    dogSystem.update();
+    expect(fox.state).toBe('flee');
+
+    // Noite seguinte dormida: com o cão de guarda, ninguém ataca fora de cena.
+    predatorSystem.restoreState({ sawMidnight: true });
+    predatorSystem.onTime(6 * 60, seq(0.1, 0, 0, 0, 0));
+    expect(animals).toContain(hen);
+    expect(hen.injury).toBeNull();
+  });
+
+  test('mode and guard post survive a save', () => {
+    const dog = spawn('Dog', 300, 300, { id: 'dog' });
+    dog.customName = 'Totó';
+    dogSystem.command(DogMode.GUARD);
+
+    const copy = new AnimalEntity('Dog', assetData(), 0, 0, { id: 'copy' });
+    copy.deserialize(dog.serialize());
+    expect(copy).toMatchObject({ customName: 'Totó', dogMode: DogMode.GUARD, guardPost: { x: 300, y: 300 } });
+
+    // Bicho comum não vira cão no load.
+    const sheep = new AnimalEntity('Sheep', assetData(), 0, 0, { id: 's' });
+    sheep.deserialize(dog.serialize());
+    expect(sheep.dogMode).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { default: fairSystem } = await import('../../public/scripts/fairSystem.js');
+
+const genome = (v) => ({ production: v, temperament: v, resistance: v, longevity: v, coat: 'standard', generation: 0 });
+const star = { id: 'star', assetName: 'Cow', customName: 'Mimosa', _lifeStage: 'mature', stats: { moral: 100 }, genome: genome(90) };
+const calf = { id: 'calf', assetName: 'Calf', _lifeStage: 'young', stats: { moral: 40 }, genome: genome(40) };
+const dog = { id: 'dog', assetName: 'Dog', _lifeStage: 'adult', stats: { moral: 100 }, genome: genome(100) };
+
+// Na cidade os animais da fazenda só existem no snapshot do mapManager.
+const fakeMap = {
+  mapId: 'city',
+  getCurrentMapId() { return this.mapId; },
+  getSavedFarmState: () => ({ animals: [calf, star, dog] }),
+};
+
+const fakeInventory = {
+  stacks: [],
+  getInventory() { return { crops: { items: this.stacks } }; },
+  takeItem(id, qty, { quality } = {}) {
+    const q = quality === 'normal' ? undefined : quality;
+    const s = this.stacks.find(x => x.id === id && x.quality === q && x.quantity >= qty);
+    if (!s) return null;
+    s.quantity -= qty;
+    return [{ quality: q ?? null, quantity: qty }];
+  },
+  acquired: [],
+  acquireItem(id, qty) { this.acquired.push([id, qty]); return true; },
+};
+
+const earned = [];
+const xp = [];
+const setDate = (day, month) => registerSystem('weather', { day, month, year: 2 });
+
+const saved = {};
+const names = ['weather', 'mapManager', 'inventory', 'currency', 'xp', 'npc'];
+
+describe('fairSystem', () => {
+  beforeEach(() => {
+    for (const n of names) saved[n] = getSystem(n);
+    setDate(15, 4);
+    fakeMap.mapId = 'city';
+    fakeInventory.stacks = [
+      { id: 109, quantity: 3 },
+      { id: 109, quantity: 1, quality: 'gold' },
+    ];
+    fakeInventory.acquired = [];
+    earned.length = 0;
+    xp.length = 0;
+    registerSystem('mapManager', fakeMap);
+    registerSystem('inventory', fakeInventory);
+    registerSystem('currency', { earn: (amount, source) => earned.push([amount, source]) });
+    registerSystem('xp', { grantXP: (amount, source) => xp.push([amount, source]) });
+    fairSystem.restoreState({});
+  });
+  afterEach(() => {
+    for (const n of names) registerSystem(n, saved[n]);
+  });
+
+  test('the fair is on day 15 of the middle month of each season', () => {
+    expect(fairSystem.isFairDay()).toBe(true);
+    expect(fairSystem.getFairSeason()).toBe('spring');
+    setDate(15, 1);
+    expect(fairSystem.getFairSeason()).toBe('winter');
+    setDate(14, 4);
+    expect(fairSystem.isFairDay()).toBe(false);
+    setDate(15, 5);
+    expect(fairSystem.isFairDay()).toBe(false);
+  });
+
+  test('offers the best animals and harvest first, never the dog', () => {
+    expect(fairSystem.animalCandidates().map(c => c.animal.id)).toEqual(['star', 'calf']);
+    expect(fairSystem.animalScore(star).score).toBeGreaterThan(fairSystem.animalScore(calf).score);
+    expect(fairSystem.cropCandidates().map(c => c.quality)).toEqual(['gold', 'normal']);
+  });
+
+  test('judges both entries, pays the prizes and takes one entry per fair', () => {
+    // rng 0: competidores com a nota mínima (40).
+    const res = fairSystem.enter({ animalId: 'star', crop: { itemId: 109, quality: 'gold' } }, () => 0);
+    expect(res.ok).toBe(true);
+    expect(res.result.livestock).toMatchObject({ animalId: 'star', place: 1, prize: { coins: 400, xp: 100, decoration: 149 } });
+    expect(res.result.produce).toMatchObject({ itemId: 109, quality: 'gold', place: 1, prize: { decoration: 150 } });
+    expect(res.result.livestock.ranking).toHaveLength(4);
+    expect(earned).toEqual([[400, 'fair:livestock'], [400, 'fair:produce']]);
+    expect(xp).toEqual([[100, 'fair:livestock'], [100, 'fair:produce']]);
+    expect(fakeInventory.acquired).toEqual([[149, 1], [150, 1]]);
+    expect(fakeInventory.stacks[1].quantity).toBe(0);
+
+    expect(fairSystem.enter({ animalId: 'calf' })).toMatchObject({ ok: false, reason: 'already_entered' });
+    const copy = JSON.parse(JSON.stringify(fairSystem.serializeState()));
+    fairSystem.restoreState({});
+    expect(fairSystem.hasEntered()).toBe(false);
+    fairSystem.restoreState(copy);
+    expect(fairSystem.hasEntered()).toBe(true);
+  });
+
+  test('a weak entry that misses the podium only earns participation XP', () => {
+    // rng 0.99: competidores perto da nota máxima (~90).
+    const res = fairSystem.enter({ animalId: 'calf' }, () => 0.99);
+    expect(res.result.livestock).toMatchObject({ place: 4, prize: { coins: 0, xp: 10, decoration: null } });
+    expect(res.result.produce).toBeNull();
+    expect(earned).toEqual([]);
+  });
+
+  test('refuses entries away from the city, off the fair day or with nothing to judge', () => {
+    expect(fairSystem.enter({})).toMatchObject({ ok: false, reason: 'no_entry' });
+    expect(fairSystem.enter({ animalId: 'dog' })).toMatchObject({ ok: false, reason: 'no_animal' });
+    expect(fairSystem.enter({ crop: { itemId: 109, quality: 'silver' } })).toMatchObject({ ok: false, reason: 'no_crop' });
+    fakeMap.mapId = 'farm';
+    expect(fairSystem.enter({ animalId: 'star' })).toMatchObject({ ok: false, reason: 'not_in_city' });
+    setDate(16, 4);
+    expect(fairSystem.enter({ animalId: 'star' })).toMatchObject({ ok: false, reason: 'not_fair_day' });
+  });
+
+  test('stands go up only in the city on fair day', () => {
+    const npcs = new Map();
+    registerSystem('npc', { addNpc: (def) => npcs.set(def.id, def), removeNpc: (id) => npcs.delete(id) });
+    fairSystem.syncStands('farm');
+    expect(npcs.size).toBe(0);
+    fairSystem.syncStands('city');
+    expect(npcs.get('fair_judge')).toMatchObject({ map: 'city' });
+    setDate(16, 4);
+    fairSystem.syncStands('city');
+    expect(npcs.size).toBe(0);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
+
+mock.module('../../public/scripts/gameState.js', () => ({
+  getSystem: () => null,
+  registerSystem: () => {},
+}));
+mock.module('../../public/scripts/itemUtils.js', () => ({
+  getItem: () => null,
+}));
+mock.module('../../public/scripts/worldConstants.js', () => ({ TILE_SIZE: 20 }));
+
+const { buildFarmPlan, plannerColor, seasonCountdown } = await import('../../public/scripts/farmPlanner.js');
+
+const DAY = 24 * 60;
+// Two crops: a thirsty summer one (3 stages) and a no-water weed.
+const DEFS = {
+  1: { name: 'Tomate', harvestItem: 10, matureStage: 3, seasons: ['summer'] },
+  2: { name: 'Matinho', harvestItem: 11, matureStage: 2, noWater: true },
+};
+const crops = {
+  getDefinition: (id) => DEFS[id] || null,
+  yieldRange: (rec) => (rec.giant ? [18, 36] : [1, 2]),
+};
+// A serialized crop (cropSystem.serialize() shape).
+const rec = (over) => ({
+  x: 0, y: 0, seedId: 1, stage: 0, harvested: false, water: 100, stageMin: DAY,
+  stageRemaining: DAY, waterDropRemaining: DAY, decayRemaining: null, regrowRemaining: null,
+  pest: null, giant: false, giantOf: null, ...over,
+});
+
+describe('farm planner', () => {
+  test('season countdown follows the 30-day months', () => {
+    expect(seasonCountdown(5, 30)).toEqual({ nextSeason: 'summer', seasonDaysLeft: 1 });
+    expect(seasonCountdown(6, 1)).toEqual({ nextSeason: 'autumn', seasonDaysLeft: 90 });
+    expect(seasonCountdown(12, 10).nextSeason).toBe('spring');
+  });
+
+  test('days to harvest count whole calendar days from the time of day', () => {
+    const plan = buildFarmPlan([
+      rec({ stage: 3 }),                                        // ready
+      rec({ x: 20, stage: 2, stageRemaining: 120 }),           // 02:00 left
+      rec({ x: 40, stage: 0 }),                                 // 3 days
+      rec({ x: 60, harvested: true, regrowRemaining: DAY }),    // twig + 2 stages
+    ], { crops, timeOfDay: 23 * 60 });
+
+    expect(plan.tiles.map(t => t.dayOffset)).toEqual([0, 1, 3, 3]);
+    expect(plan.totals).toMatchObject({ plants: 4, ready: 1 });
+    expect(plannerColor(plan.tiles[0], 'harvest')).toBe(plannerColor({ minutesLeft: 0 }, 'harvest'));
+  });
+
+  test('the schedule groups harvests per day and sums expected yield', () => {
+    const plan = buildFarmPlan([
+      rec({ stage: 3 }), rec({ x: 20, stage: 3 }), rec({ x: 40, seedId: 2, stage: 2 }),
+      rec({ x: 60, stage: 2, stageRemaining: DAY * 2 }),
+      rec({ x: 80, stage: 0, stageRemaining: DAY * 30 }), // beyond the horizon
+    ], { crops, timeOfDay: 8 * 60 });
+
+    expect(plan.days.map(d => d.dayOffset)).toEqual([0, 2]);
+    expect(plan.days[0].crops).toEqual([
+      { seedId: 1, name: 'Tomate', harvestItem: 10, plants: 2, yieldMin: 2, yieldMax: 4 },
+      { seedId: 2, name: 'Matinho', harvestItem: 11, plants: 1, yieldMin: 1, yieldMax: 2 },
+    ]);
+  });
+
+  test('a giant counts once, as nine plants', () => {
+    const plan = buildFarmPlan([
+      rec({ stage: 3, giant: true }), rec({ x: 20, stage: 3, giantOf: '0,0' }),
+    ], { crops });
+    expect(plan.tiles).toHaveLength(1);
+    expect(plan.days[0].crops[0]).toMatchObject({ plants: 9, yieldMin: 18, yieldMax: 36 });
+  });
+
+  test('risk: dry, thirsty and pests', () => {
+    const plan = buildFarmPlan([
+      rec({ water: 0, decayRemaining: 300 }),
+      rec({ x: 20, water: 50, waterDropRemaining: 600 }),
+      rec({ x: 40, water: 50, waterDropRemaining: DAY + 60 }), // lasts past tomorrow
+      rec({ x: 60, pest: { id: 'aphids', days: 1 } }),
+      rec({ x: 80, seedId: 2, water: 0 }),        // no-water crop never dries
+    ], { crops });
+
+    expect(plan.tiles.map(t => t.risk)).toEqual(['high', 'medium', 'low', 'medium', 'low']);
+    expect(plan.tiles[0].reasons).toEqual(['dry']);
+    expect(plan.totals).toMatchObject({ thirsty: 3, atRisk: 3 });
+    expect(plannerColor(plan.tiles[4], 'water')).toBe(plannerColor({ water: null }, 'water'));
+  });
+
+  test('risk: plants the season change would kill', () => {
+    const plan = buildFarmPlan([
+      rec({ stage: 0 }),                 // 3 days, season ends in 2 → lost
+      rec({ x: 20, stage: 3 }),          // ready, season ends in 2 → hurry
+      rec({ x: 40, seedId: 2 }),         // grows all year
+    ], { crops, timeOfDay: 6 * 60, nextSeason: 'autumn', seasonDaysLeft: 2 });
+
+    expect(plan.tiles.map(t => t.risk)).toEqual(['high', 'medium', 'low']);
+    expect(plan.tiles[0].reasons).toEqual(['season']);
+    // The doomed plant isn't on the schedule.
+    expect(plan.days.flatMap(d => d.crops).map(c => c.plants)).toEqual([1, 1]);
+  });
+});
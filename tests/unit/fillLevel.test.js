@@ -1,5 +1,7 @@
-import { describe, test, expect, mock } from 'bun:test';
-import '../setup.js';
+import { describe, test, expect, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
 
 let charges = 3;
 let bucketLevel = 0;
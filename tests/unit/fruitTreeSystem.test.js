@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeEach, afterAll } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { default: fruitTrees, FRUIT_TREES } = await import('../../public/scripts/fruitTreeSystem.js');
+
+const messages = [];
+const weather = { seasonKey: 'summer' };
+let activeSeedId = 53;
+const tilled = new Set();
+const crops = new Set();
+const hitboxes = new Map();
+const inv = {
+  qty: {},
+  got: [],
+  getItemQuantity: (id) => inv.qty[id] ?? 0,
+  removeItem: (id, n) => { inv.qty[id] -= n; return true; },
+  acquireItem: (id, n) => { inv.got.push({ id, n }); return true; },
+};
+const fakes = {
+  weather,
+  inventory: inv,
+  hud: { showMessage: (m) => messages.push(m) },
+  seedWheel: { getActiveSeed: () => (activeSeedId != null ? { id: activeSeedId } : null) },
+  hoeTool: { isTilled: (x, y) => tilled.has(`${x},${y}`) },
+  crop: { hasCropAt: (x, y) => crops.has(`${x},${y}`) },
+  collision: {
+    addHitbox: (id, type, x, y, width, height) => hitboxes.set(id, { type, x, y, width, height }),
+    areaCollides: (x, y, w, h) => [...hitboxes.values()].some(b =>
+      x < b.x + b.width && x + w > b.x && y < b.y + b.height && y + h > b.y),
+  },
+};
+const realSystems = Object.fromEntries(Object.keys(fakes).map(name => [name, getSystem(name)]));
+
+const APPLE = FRUIT_TREES[53];
+const MATURE_DAYS = APPLE.stageDays[APPLE.stageDays.length - 1];
+
+// A tree planted at tile (5,5) and aged `days` days.
+function plantTree(days = 0) {
+  tilled.add('100,100');
+  inv.qty[53] = 1;
+  expect(fruitTrees.plantAt(105, 108)).toBe(true);
+  const tree = fruitTrees.getTreeAt(100, 100);
+  tree.ageDays = days;
+  return tree;
+}
+
+describe('fruitTreeSystem', () => {
+  beforeEach(() => {
+    for (const [name, fake] of Object.entries(fakes)) registerSystem(name, fake);
+    messages.length = 0;
+    tilled.clear();
+    crops.clear();
+    hitboxes.clear();
+    inv.qty = {};
+    inv.got.length = 0;
+    activeSeedId = 53;
+    weather.seasonKey = 'summer';
+    window.theWorld = { fruitTrees: [], markWorldChanged: () => {} };
+  });
+  afterAll(() => {
+    for (const [name, real] of Object.entries(realSystems)) registerSystem(name, real);
+  });
+
+  test('tree seed plants on a free tilled tile with a solid trunk hitbox', () => {
+    const tree = plantTree();
+    expect(tree).toMatchObject({ x: 100, y: 100, seedId: 53, ageDays: 0, fruits: 0 });
+    expect(inv.qty[53]).toBe(0);
+    expect(hitboxes.get(tree.id)).toEqual({ type: 'FRUIT_TREE', x: 100, y: 100, width: 20, height: 20 });
+
+    // The trunk blocks a second tree on the same tile.
+    inv.qty[53] = 1;
+    expect(fruitTrees.plantAt(100, 100)).toBe(false);
+    expect(window.theWorld.fruitTrees).toHaveLength(1);
+  });
+
+  test('refuses untilled tiles, planted tiles and non-tree seeds', () => {
+    inv.qty[53] = 1;
+    expect(fruitTrees.plantAt(100, 100)).toBe(false);
+    tilled.add('100,100');
+    crops.add('100,100');
+    expect(fruitTrees.plantAt(100, 100)).toBe(false);
+    crops.clear();
+    activeSeedId = 114;
+    expect(fruitTrees.plantAt(100, 100)).toBe(false);
+    expect(window.theWorld.fruitTrees).toHaveLength(0);
+  });
+
+  test('takes weeks to mature and only then sets fruit', () => {
+    const tree = plantTree(0);
+    for (let d = 0; d < MATURE_DAYS - 1; d++) fruitTrees.advanceDay(() => 0);
+    expect(fruitTrees.isMature(tree)).toBe(false);
+    expect(tree.fruits).toBe(0);
+
+    fruitTrees.advanceDay(() => 0);
+    expect(fruitTrees.isMature(tree)).toBe(true);
+    for (let d = 0; d < APPLE.fruitEveryDays; d++) fruitTrees.advanceDay(() => 0);
+    expect(tree.fruits).toBe(APPLE.fruitYield[0]);
+  });
+
+  test('fruits only in season; the fruit falls when the season ends', () => {
+    const tree = plantTree(MATURE_DAYS);
+    for (let d = 0; d < 20; d++) fruitTrees.advanceDay(() => 0.99);
+    expect(tree.fruits).toBe(APPLE.maxFruits);
+
+    weather.seasonKey = 'winter';
+    fruitTrees.advanceDay();
+    expect(tree.fruits).toBe(0);
+    for (let d = 0; d < 10; d++) fruitTrees.advanceDay();
+    expect(tree.fruits).toBe(0);
+  });
+
+  test('picking by hand gives the fruit and empties the canopy', () => {
+    const tree = plantTree(MATURE_DAYS);
+    tree.fruits = 4;
+    expect(fruitTrees.harvestById(tree.id)).toBe(4);
+    expect(inv.got).toEqual([{ id: 5, n: 4 }]);
+    expect(tree.fruits).toBe(0);
+    expect(fruitTrees.harvestById(tree.id)).toBe(0);
+  });
+
+  test('an axe on a mature tree asks first; saplings are chopped without asking', () => {
+    const asked = [];
+    let answer = false;
+    window.confirm = (msg) => { asked.push(msg); return answer; };
+
+    const tree = plantTree(3);
+    expect(fruitTrees.confirmChop(tree.id)).toBe(true);
+    expect(asked).toHaveLength(0);
+
+    tree.ageDays = MATURE_DAYS;
+    expect(fruitTrees.confirmChop(tree.id)).toBe(false);
+    answer = true;
+    expect(fruitTrees.confirmChop(tree.id)).toBe(true);
+    // Confirmed once — the following swings don't ask again.
+    expect(fruitTrees.confirmChop(tree.id)).toBe(true);
+    expect(asked).toHaveLength(2);
+  });
+});
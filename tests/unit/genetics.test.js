@@ -0,0 +1,67 @@
+import { describe, test, expect } from 'bun:test';
+import '../setup.js';
+
+const {
+  randomGenome, normalizeGenome, inheritGenome, productionCooldownDelta, moralDecayMult,
+  diseaseRiskMult, lifespanFromGenome, longevityForLifespan, geneGrade, GENE_KEYS, COAT_VARIANTS,
+} = await import('../../public/scripts/animal/genetics.js');
+
+// Deterministic rng: returns the queued values, then `rest`.
+const seq = (values, rest = 0.5) => () => (values.length ? values.shift() : rest);
+
+const parent = (v, coat = 'standard', generation = 0) => ({
+  production: v, temperament: v, resistance: v, longevity: v, coat, generation,
+});
+
+describe('genetics', () => {
+  test('founders get mid-range genes and generation 0', () => {
+    const low = randomGenome(() => 0);
+    const high = randomGenome(() => 0.999);
+    for (const key of GENE_KEYS) {
+      expect(low[key]).toBe(30);
+      expect(high[key]).toBe(70);
+    }
+    expect(low.coat).toBe('standard');
+    expect(COAT_VARIANTS).toContain(high.coat);
+    expect(high.generation).toBe(0);
+  });
+
+  test('normalize clamps genes and rejects unknown coats', () => {
+    expect(normalizeGenome(null)).toBeNull();
+    expect(normalizeGenome({ production: 140, temperament: -3, coat: 'plaid', generation: 2.7 }))
+      .toEqual({ production: 100, temperament: 0, resistance: 50, longevity: 50, coat: 'standard', generation: 2 });
+  });
+
+  test('offspring genes fall between the parents without mutation', () => {
+    // Per gene: blend 0.5, mutation roll 0.9 (none); then coat pick.
+    const child = inheritGenome(parent(20, 'dark', 1), parent(80, 'light', 4),
+      seq([0.5, 0.9, 0.5, 0.9, 0.5, 0.9, 0.5, 0.9, 0.9, 0.2]));
+    for (const key of GENE_KEYS) expect(child[key]).toBe(50);
+    expect(child.coat).toBe('dark');     // 0.2 < 0.5 → mother's coat
+    expect(child.generation).toBe(5);    // max(1, 4) + 1
+  });
+
+  test('mutation can push a gene past both parents', () => {
+    // production: blend 1 → 80, mutation roll 0 → +20 (rng 1 → +span).
+    const child = inheritGenome(parent(80), parent(80), seq([1, 0, 1], 0.9));
+    expect(child.production).toBe(100);
+    expect(child.temperament).toBe(80);
+  });
+
+  test('missing parent counts as a founder', () => {
+    const child = inheritGenome(parent(100), null, () => 0);
+    expect(child.generation).toBe(1);
+    expect(child.production).toBeLessThanOrEqual(100);
+  });
+
+  test('gene effects', () => {
+    expect(productionCooldownDelta(parent(80))).toBe(-1);
+    expect(productionCooldownDelta(parent(50))).toBe(0);
+    expect(productionCooldownDelta(parent(10))).toBe(1);
+    expect(moralDecayMult(parent(100))).toBeCloseTo(0.8);
+    expect(diseaseRiskMult(parent(0))).toBeCloseTo(1.3);
+    expect(lifespanFromGenome(parent(100))).toBe(110);
+    expect(longevityForLifespan(lifespanFromGenome(parent(60)))).toBe(60);
+    expect([90, 60, 45, 20, 5].map(geneGrade)).toEqual(['A', 'B', 'C', 'D', 'E']);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { camera } = await import('../../public/scripts/thePlayer/cameraSystem.js');
+const {
+  collectHerdRows, sortHerdRows, filterHerdRows, locateHerdRow,
+} = await import('../../public/scripts/animal/herdDashboard.js');
+
+// Animal vivo (campos privados) e snapshot de internação (campos públicos).
+const mimosa = {
+  id: 'a1', assetName: 'Cow', customName: 'Mimosa', x: 300, y: 400, _lifeStage: 'mature',
+  stats: { hunger: 80, thirst: 20, moral: 90 }, _pregnant: true,
+  _pendingProduct: 11, _pendingQuality: 'gold', _pendingQuantity: 2,
+};
+const bolinha = {
+  id: 'a2', assetName: 'Chicken', customName: 'Bolinha', x: 900, y: 900, _lifeStage: 'young',
+  stats: { hunger: 70, thirst: 70, moral: 70 },
+  disease: { id: 'fever', diagnosed: false, daysSince: 1 },
+};
+const estrela = {
+  id: 'a3', assetName: 'Cow', customName: 'Estrela', x: 320, y: 410, _lifeStage: 'adult',
+  stats: { hunger: 60, thirst: 60, moral: 60 },
+  disease: { id: 'fever', diagnosed: true, daysSince: 2 },
+};
+const hospitalEntry = {
+  id: 'h1', assetName: 'Sheep', customName: 'Nuvem', severity: 'severe', region: 'leg',
+  totalDays: 3, daysRemaining: 2,
+  animalSnapshot: {
+    id: 'a4', assetName: 'Sheep', customName: 'Nuvem', x: 50, y: 50, lifeStage: 'elderly',
+    stats: { hunger: 50, thirst: 50, moral: 50 }, injury: { severity: 'severe', region: 'leg' },
+    pendingProduct: null,
+  },
+};
+
+const pen = { id: 'pen-a', quarantine: false };
+const fakeMap = { mapId: 'farm', getCurrentMapId() { return this.mapId; } };
+const focused = [];
+
+const saved = {};
+const names = ['enclosure', 'hospital', 'mapManager', 'minimap'];
+
+describe('herdDashboard', () => {
+  beforeEach(() => {
+    for (const n of names) saved[n] = getSystem(n);
+    saved.theWorld = window.theWorld;
+    window.theWorld = { animals: [mimosa, bolinha, estrela] };
+    fakeMap.mapId = 'farm';
+    focused.length = 0;
+    registerSystem('mapManager', fakeMap);
+    registerSystem('enclosure', {
+      getEnclosures: () => [{ id: 'other' }, pen],
+      getEnclosureOfAnimal: (a) => (a.x < 500 ? pen : null),
+    });
+    registerSystem('hospital', { getEntries: () => [hospitalEntry] });
+    registerSystem('minimap', { focusOn: (...args) => focused.push(args) });
+    camera.clearFocus();
+  });
+  afterEach(() => {
+    for (const n of names) registerSystem(n, saved[n]);
+    window.theWorld = saved.theWorld;
+    camera.clearFocus();
+  });
+
+  test('lists live animals with their pen plus the hospitalized ones', () => {
+    const rows = collectHerdRows();
+    expect(rows.map(r => r.id)).toEqual(['a1', 'a2', 'a3', 'a4']);
+    expect(rows[0]).toMatchObject({
+      name: 'Mimosa', stage: 'mature', hunger: 80, thirst: 20, moral: 90, pregnant: true,
+      product: { id: 11, quality: 'gold', quantity: 2 }, penId: 'pen-a', penIndex: 1,
+    });
+    expect(rows[1]).toMatchObject({ penId: null, disease: { id: 'fever', diagnosed: false } });
+    // Internado: dados do snapshot, sem posição no mapa.
+    expect(rows[3]).toMatchObject({
+      name: 'Nuvem', stage: 'elderly', penId: 'hospital', hospitalDays: 2,
+      injury: { severity: 'severe', region: 'leg' }, x: null, y: null,
+    });
+  });
+
+  test('sorts any column both ways, ties broken by name', () => {
+    const rows = collectHerdRows();
+    expect(sortHerdRows(rows, 'thirst').map(r => r.id)).toEqual(['a1', 'a4', 'a3', 'a2']);
+    expect(sortHerdRows(rows, 'name', 'desc').map(r => r.name)).toEqual(['Nuvem', 'Mimosa', 'Estrela', 'Bolinha']);
+    // Sem doença < diagnosticada < "?".
+    expect(sortHerdRows(rows, 'disease', 'desc').map(r => r.id)).toEqual(['a2', 'a3', 'a1', 'a4']);
+    expect(sortHerdRows(rows, 'stage').map(r => r.id)).toEqual(['a2', 'a3', 'a1', 'a4']);
+    // Soltos, depois cercados, internados por último.
+    expect(sortHerdRows(rows, 'pen').map(r => r.id)).toEqual(['a2', 'a3', 'a1', 'a4']);
+  });
+
+  test('filters by search, species, pen and status', () => {
+    const rows = collectHerdRows();
+    const ids = (f) => filterHerdRows(rows, f).map(r => r.id);
+    expect(ids({ search: 'mim' })).toEqual(['a1']);
+    expect(ids({ species: 'Cow' })).toEqual(['a1', 'a3']);
+    expect(ids({ pen: 'loose' })).toEqual(['a2']);
+    expect(ids({ pen: 'hospital' })).toEqual(['a4']);
+    expect(ids({ pen: 'pen-a', status: 'sick' })).toEqual(['a3']);
+    // Sede baixa, doença ou ferimento = precisa de atenção.
+    expect(ids({ status: 'attention' })).toEqual(['a1', 'a2', 'a3', 'a4']);
+    expect(ids({ status: 'pregnant' })).toEqual(['a1']);
+    expect(ids({ status: 'product' })).toEqual(['a1']);
+    expect(ids({ status: 'injured' })).toEqual(['a4']);
+  });
+
+  test('locate pans camera and minimap to the animal, only on the farm', () => {
+    const [row, , , hospitalized] = collectHerdRows();
+    expect(locateHerdRow(hospitalized)).toBe(false);
+    expect(locateHerdRow(row)).toBe(true);
+    expect(focused).toEqual([[300, 400, 3000]]);
+    expect(camera._focus).toMatchObject({ x: 300, y: 400, returning: false });
+
+    camera.clearFocus();
+    fakeMap.mapId = 'city';
+    expect(locateHerdRow(row)).toBe(false);
+    expect(focused).toHaveLength(1);
+    expect(camera._focus).toBeNull();
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, test, expect, mock } from 'bun:test';
-import '../setup.js';
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
 
 // Bug fix: tilled soil must NOT revert to grass while a crop is growing on it.
 
@@ -9,16 +11,26 @@ mock.module('../../public/scripts/logger.js', () => ({
 
 const weather = { _t: 0, getGameMinutes: () => weather._t, weatherType: 'clear' };
 const crop = { _has: false, hasCropAt: () => crop._has };
-const systems = { weather, crop };
+const inventory = {
+  qty: {},
+  getItemQuantity: (id) => inventory.qty[id] ?? 0,
+  removeItem: (id, n) => { inventory.qty[id] -= n; return true; },
+};
+const systems = { weather, crop, inventory };
 
 mock.module('../../public/scripts/gameState.js', () => ({
   getSystem: (name) => systems[name] || null,
   registerSystem: () => {},
 }));
-mock.module('../../public/scripts/itemUtils.js', () => ({ getItem: () => null }));
+// Only the fertilizer (139) matters here; everything else is a plain item.
+mock.module('../../public/scripts/itemUtils.js', () => ({
+  getItem: (id) => (id === 139 ? { id: 139, fertilizer: 40 } : null),
+}));
 mock.module('../../public/scripts/worldConstants.js', () => ({ TILE_SIZE: 32 }));
 
-const hoeTool = (await import('../../public/scripts/hoeTool.js')).default;
+const hoeModule = await import('../../public/scripts/hoeTool.js');
+const hoeTool = hoeModule.default;
+const { SOIL_NUTRIENT_BASE, SOIL_NUTRIENT_MAX } = hoeModule;
 
 function tillExpiredTileAt(key) {
   hoeTool._tilled.clear();
@@ -55,3 +67,67 @@ describe('tilled soil lifecycle vs crops (bug fix)', () => {
     expect(hoeTool._tilled.has('32,32')).toBe(false);
   });
 });
+
+// Soil fertility: per-tile nutrients, depleted by harvests, refilled by fertilizer.
+describe('soil fertility', () => {
+  const tillAt = (x, y) => {
+    hoeTool._tilled.set(`${x},${y}`, { state: 'dry', expiresAt: 1e9, rainSince: null });
+  };
+
+  beforeEach(() => {
+    hoeTool._tilled.clear();
+    hoeTool._nutrients.clear();
+    inventory.qty = { 139: 3 };
+    crop._has = false;
+  });
+
+  test('untouched ground sits at the base level', () => {
+    expect(hoeTool.getNutrients(40, 40)).toBe(SOIL_NUTRIENT_BASE);
+  });
+
+  test('depleting snaps to the tile and never goes below 0', () => {
+    hoeTool.depleteNutrients(40, 40, 15);
+    expect(hoeTool.getNutrients(32, 32)).toBe(SOIL_NUTRIENT_BASE - 15);
+    hoeTool.depleteNutrients(40, 40, 500);
+    expect(hoeTool.getNutrients(32, 32)).toBe(0);
+  });
+
+  test('fertilizer refills a tilled tile and consumes one item', () => {
+    tillAt(32, 32);
+    hoeTool.depleteNutrients(32, 32, 30);
+    expect(hoeTool.fertilizeAt(40, 40, 139)).toBe(true);
+    expect(hoeTool.getNutrients(32, 32)).toBe(SOIL_NUTRIENT_BASE - 30 + 40);
+    expect(inventory.qty[139]).toBe(2);
+  });
+
+  test('fertilizer is refused on untilled ground, full soil or non-fertilizers', () => {
+    expect(hoeTool.fertilizeAt(32, 32, 139)).toBe(false); // not tilled
+    tillAt(32, 32);
+    expect(hoeTool.fertilizeAt(32, 32, 10)).toBe(false);  // not a fertilizer
+    hoeTool.fertilizeAt(32, 32, 139);
+    expect(hoeTool.getNutrients(32, 32)).toBe(SOIL_NUTRIENT_MAX);
+    expect(hoeTool.fertilizeAt(32, 32, 139)).toBe(false); // already full
+    expect(inventory.qty[139]).toBe(2);
+  });
+
+  test('fallow ground recovers overnight, planted ground does not', () => {
+    hoeTool.depleteNutrients(0, 0, 20);
+    hoeTool.recoverFallowSoil();
+    expect(hoeTool.getNutrients(0, 0)).toBeGreaterThan(SOIL_NUTRIENT_BASE - 20);
+
+    const before = hoeTool.getNutrients(0, 0);
+    crop._has = true;
+    hoeTool.recoverFallowSoil();
+    expect(hoeTool.getNutrients(0, 0)).toBe(before);
+  });
+
+  test('nutrients round-trip through serializeSoil/restoreSoil', () => {
+    hoeTool.depleteNutrients(64, 32, 25);
+    const saved = hoeTool.serializeSoil();
+    hoeTool._nutrients.clear();
+    hoeTool.restoreSoil(saved);
+    expect(hoeTool.getNutrients(64, 32)).toBe(SOIL_NUTRIENT_BASE - 25);
+    hoeTool.restoreSoil(null);
+    expect(hoeTool.getNutrients(64, 32)).toBe(SOIL_NUTRIENT_BASE);
+  });
+});
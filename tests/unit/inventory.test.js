@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Mock logger.js
 mock.module('../../public/scripts/logger.js', () => ({
@@ -182,6 +184,58 @@ describe('InventorySystem (Production Implementation)', () => {
     });
   });
 
+  describe('quality tiers', () => {
+    test('tiers of the same item keep separate stacks', () => {
+      inventory.addItem(4, 2);                     // Apple, normal
+      inventory.addItemWithQuality(4, 3, 'gold');
+      inventory.addItemWithQuality(4, 1, 'gold');
+      const stacks = inventory.categories.food.items.filter(i => i.id === 4);
+      expect(stacks).toHaveLength(2);
+      expect(stacks[0].quality).toBeUndefined();
+      expect(inventory.getItemQuantity(4)).toBe(6);
+      expect(inventory.getQualityQuantity(4, 'gold')).toBe(4);
+      expect(inventory.getQualityQuantity(4, 'normal')).toBe(2);
+    });
+
+    test('removeItem drains the lowest tier first', () => {
+      inventory.addItemWithQuality(4, 2, 'gold');
+      inventory.addItem(4, 2);
+      inventory.addItemWithQuality(4, 2, 'silver');
+      expect(inventory.removeItem(4, 3)).toBe(true);
+      expect(inventory.getQualityQuantity(4, 'normal')).toBe(0);
+      expect(inventory.getQualityQuantity(4, 'silver')).toBe(1);
+      expect(inventory.getQualityQuantity(4, 'gold')).toBe(2);
+    });
+
+    test('takeItem reports the tiers taken and can prefer the best', () => {
+      inventory.addItem(4, 2);
+      inventory.addItemWithQuality(4, 2, 'gold');
+      expect(inventory.takeItem(4, 3, { bestFirst: true })).toEqual([
+        { quality: 'gold', quantity: 2 },
+        { quality: null, quantity: 1 },
+      ]);
+      expect(inventory.getItemQuantity(4)).toBe(1);
+    });
+
+    test('takeItem restricted to a tier is atomic', () => {
+      inventory.addItem(4, 5);
+      inventory.addItemWithQuality(4, 1, 'silver');
+      expect(inventory.takeItem(4, 2, { quality: 'silver' })).toBeNull();
+      expect(inventory.getItemQuantity(4)).toBe(6);
+      expect(inventory.takeItem(4, 1, { quality: 'silver' })).toEqual([{ quality: 'silver', quantity: 1 }]);
+    });
+
+    test('acquireItem keeps the tier when overflowing to the warehouse', () => {
+      let stored = null;
+      testSystems.storage = { addItem: (id, qty, quality) => { stored = { id, qty, quality }; return true; } };
+      testSystems.hud = { showMessage: () => {} };
+      inventory.addItemWithQuality = () => false; // simulate a full inventory
+
+      expect(inventory.acquireItem(4, 2, 'gold')).toBe(true);
+      expect(stored).toEqual({ id: 4, qty: 2, quality: 'gold' });
+    });
+  });
+
   describe('acquireItem (overflow to warehouse)', () => {
     test('adds to the inventory when there is room (no warehouse touch)', () => {
       let storageCalled = false;
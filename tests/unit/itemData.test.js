@@ -0,0 +1,15 @@
+import { describe, test, expect } from 'bun:test';
+import { items } from '../../public/scripts/item.js';
+
+describe('item database (item.js)', () => {
+  test('every item id is unique', () => {
+    // itemUtils caches by id, so a repeated id silently shadows the earlier item.
+    const seen = new Map();
+    const dupes = [];
+    for (const item of items) {
+      if (seen.has(item.id)) dupes.push(`${item.id}: ${seen.get(item.id)} / ${item.name}`);
+      else seen.set(item.id, item.name);
+    }
+    expect(dupes).toEqual([]);
+  });
+});
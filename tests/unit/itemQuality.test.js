@@ -0,0 +1,43 @@
+import { describe, test, expect } from 'bun:test';
+import '../setup.js';
+import {
+  normalizeQuality, qualityPriceMultiplier, canHaveQuality, rollQuality, craftedQuality,
+} from '../../public/scripts/itemQuality.js';
+
+describe('itemQuality', () => {
+  test('normal is stored as null; unknown tiers fall back to normal', () => {
+    expect(normalizeQuality('normal')).toBeNull();
+    expect(normalizeQuality(undefined)).toBeNull();
+    expect(normalizeQuality('diamond')).toBeNull();
+    expect(normalizeQuality('gold')).toBe('gold');
+  });
+
+  test('higher tiers sell for more', () => {
+    expect(qualityPriceMultiplier(null)).toBe(1);
+    expect(qualityPriceMultiplier('silver')).toBeGreaterThan(1);
+    expect(qualityPriceMultiplier('gold')).toBeGreaterThan(qualityPriceMultiplier('silver'));
+  });
+
+  test('only produce can carry a tier', () => {
+    expect(canHaveQuality({ type: 'food' })).toBe(true);
+    expect(canHaveQuality({ type: 'crop' })).toBe(true);
+    expect(canHaveQuality({ type: 'tool' })).toBe(false);
+    expect(canHaveQuality({ type: 'resource' })).toBe(false);
+    expect(canHaveQuality({ type: 'resource', animalProduct: true })).toBe(true);
+    expect(canHaveQuality(null)).toBe(false);
+  });
+
+  test('rollQuality: no care gives no gold, perfect care can', () => {
+    expect(rollQuality({ care: 0, fertility: 0, skill: 0 }, () => 0)).toBe('normal');
+    expect(rollQuality({ care: 0.4, fertility: 0.5, skill: 0 }, () => 0)).toBe('silver');
+    expect(rollQuality({ care: 1, fertility: 1, skill: 1 }, () => 0)).toBe('gold');
+    expect(rollQuality({ care: 1, fertility: 1, skill: 1 }, () => 0.95)).toBe('normal');
+  });
+
+  test('craftedQuality takes the worst ingredient tier', () => {
+    expect(craftedQuality([{ quality: 'gold' }, { quality: 'silver' }])).toBe('silver');
+    expect(craftedQuality([{ quality: 'gold' }, { quality: null }])).toBe('normal');
+    expect(craftedQuality([{ quality: 'gold' }])).toBe('gold');
+    expect(craftedQuality([])).toBe('normal');
+  });
+});
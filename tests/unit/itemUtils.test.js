@@ -1,5 +1,7 @@
-import { describe, test, expect, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Mock item.js EXACTLY like inventory.test.js does
 // This prevents conflicts when tests run in any order
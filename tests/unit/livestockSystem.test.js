@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import '../setup.js';
+
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { currencyManager } = await import('../../public/scripts/currencyManager.js');
+const { enclosureSystem } = await import('../../public/scripts/animal/enclosureSystem.js');
+const { livestockSystem, quoteResale } = await import('../../public/scripts/animal/livestockSystem.js');
+
+const full = { hunger: 100, thirst: 100, moral: 100 };
+const mk = (id, assetName, x, y, extra = {}) => ({
+  id, assetName, x, y, width: 32, height: 32, frameWidth: 32, frameHeight: 32,
+  _lifeStage: 'adult', stats: { ...full }, ...extra,
+});
+
+// Square pen of fences with its top-left corner at (ox, 0), 200px wide.
+function pen(ox) {
+  return [
+    { id: `t${ox}`, originalType: 'fenceX', x: ox, y: 0, width: 200, height: 8 },
+    { id: `b${ox}`, originalType: 'fenceX', x: ox, y: 192, width: 200, height: 8 },
+    { id: `l${ox}`, originalType: 'fenceY', x: ox, y: 0, width: 8, height: 200 },
+    { id: `r${ox}`, originalType: 'fenceY', x: ox + 192, y: 0, width: 8, height: 200 },
+  ];
+}
+
+describe('livestockSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    window.theWorld = { placedBuildings: [...pen(0), ...pen(400)], animals };
+    enclosureSystem.restoreQuarantine([]);
+    enclosureSystem.detect();
+    currencyManager.init();
+  });
+
+  test('resale price follows age and health', () => {
+    // Cow costs 450 at Rico → resold for half.
+    expect(quoteResale(mk('c', 'Cow', 0, 0)).price).toBe(225);
+    expect(quoteResale(mk('c', 'Cow', 0, 0, { _lifeStage: 'elderly' })).price).toBe(113);
+    expect(quoteResale(mk('c', 'Cow', 0, 0, { disease: { id: 'flu' } })).price).toBe(113);
+    expect(quoteResale(mk('c', 'Cow', 0, 0, { injury: { severity: 'light' } })).price).toBe(158);
+    // Young are priced from their own catalog entry (Calf 200).
+    expect(quoteResale(mk('k', 'Calf', 0, 0, { _lifeStage: 'young' })).price).toBe(100);
+    expect(quoteResale(mk('d', 'Dragon', 0, 0)).reason).toBe('species');
+  });
+
+  test('selling to Rico removes the animal and pays', () => {
+    const before = currencyManager.getMoney();
+    animals.push(mk('s', 'Sheep', 80, 80));
+    expect(livestockSystem.sellToRico('s')).toEqual({ ok: true, price: 175 });
+    expect(animals).toHaveLength(0);
+    expect(currencyManager.getMoney()).toBe(before + 175);
+    expect(livestockSystem.sellToRico('s').reason).toBe('not_found');
+  });
+
+  test('animals move between detected pens', () => {
+    const [a, b] = enclosureSystem.getEnclosures();
+    animals.push(mk('p', 'Pig', 80, 80));
+    expect(enclosureSystem.getAnimalsInEnclosure(a.id).map(x => x.id)).toEqual(['p']);
+
+    const res = enclosureSystem.moveAnimalToEnclosure('p', b.id);
+    expect(res).toMatchObject({ ok: true, from: a.id, to: b.id });
+    expect(enclosureSystem.getAnimalsInEnclosure(a.id)).toHaveLength(0);
+    expect(enclosureSystem.getEnclosureOfAnimal(animals[0]).id).toBe(b.id);
+    expect(enclosureSystem.moveAnimalToEnclosure('p', b.id).reason).toBe('same_enclosure');
+  });
+
+  test('moving respects the species limit of the target pen', () => {
+    const [, b] = enclosureSystem.getEnclosures();
+    animals.push(
+      mk('c', 'Cow', 480, 80), mk('s', 'Sheep', 480, 100), mk('h', 'Chicken', 500, 100),
+      mk('p', 'Pig', 80, 80), mk('k', 'Calf', 80, 100),
+    );
+    expect(enclosureSystem.moveAnimalToEnclosure('p', b.id).reason).toBe('species_limit');
+    // Calf joins the cattle already there — same family, no new slot.
+    expect(enclosureSystem.moveAnimalToEnclosure('k', b.id).ok).toBe(true);
+  });
+
+  test('quarantine flag survives redetection and a save roundtrip', () => {
+    const [, b] = enclosureSystem.getEnclosures();
+    enclosureSystem.setQuarantine(b.id, true);
+    enclosureSystem.detect();
+    expect(enclosureSystem.getQuarantineEnclosures().map(e => e.id)).toEqual([b.id]);
+
+    const saved = enclosureSystem.serializeQuarantine();
+    enclosureSystem.restoreQuarantine([]);
+    expect(enclosureSystem.isQuarantine(b.id)).toBe(false);
+    enclosureSystem.restoreQuarantine(saved);
+    expect(enclosureSystem.getEnclosures()[1].quarantine).toBe(true);
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Mock logger.js
 mock.module('../../public/scripts/logger.js', () => ({
@@ -307,6 +309,15 @@ describe('MerchantSystem (Production Implementation)', () => {
       expect(merchantSystem.professionModifier(WOOD)).toBeLessThan(0); // resources is not food
     });
 
+    test('sellUnitPrice pays more for silver and gold produce', () => {
+      merchantSystem.currentMerchant = lara;
+      const normal = merchantSystem.sellUnitPrice(APPLE);
+      const silver = merchantSystem.sellUnitPrice(APPLE, 'silver');
+      const gold = merchantSystem.sellUnitPrice(APPLE, 'gold');
+      expect(silver).toBeGreaterThan(normal);
+      expect(gold).toBeGreaterThan(silver);
+    });
+
     test('sellUnitPrice adds a bonus over the base price within specialty', () => {
       merchantSystem.currentMerchant = thomas;
       expect(merchantSystem.sellUnitPrice(WOOD)).toBeGreaterThan(getSellPrice(WOOD));
@@ -503,10 +514,12 @@ describe('MerchantSystem (Production Implementation)', () => {
   // so every purchasable seed can be planted (and no dead seeds linger).
   describe('seed shop (#215)', () => {
     const rico = merchantSystem.merchants.find(m => m.id === 'rico');
-    // Seed ids with a CROPS config (kept in sync with cropSystem.js).
-    const PLANTABLE_SEEDS = [107, 110, 112, 114, 116, 118, 120, 122, 124, 126, 128, 130, 132];
-    // Old seeds with no crop config — must no longer be on sale.
-    const DEAD_SEEDS = [3, 4, 18, 19, 20, 21, 53];
+    // Seed ids with a crop definition and their own art (kept in sync with
+    // data/crops.json), plus the fruit tree seed (fruitTreeSystem.js).
+    const PLANTABLE_SEEDS = [53, 107, 110, 112, 114, 116, 118, 120, 122, 124, 126, 128, 130, 132];
+    // Old seeds with no crop config, and crops still drawn with another
+    // crop's sprites ("placeholderArt") — must not be on sale.
+    const DEAD_SEEDS = [21, 3, 4, 18, 19, 20];
 
     test('Rico sells every plantable seed', () => {
       const sold = new Set(rico.items.filter(i => i.category === 'seed').map(i => i.id));
@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import '../setup.js';
+
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { pedigreeSystem, layoutFamilyTree } = await import('../../public/scripts/animal/pedigreeSystem.js');
+
+const mk = (id, assetName, gender, extra = {}) => ({ id, assetName, gender, customName: '', ...extra });
+
+// Founders cow1 × bull1 → calf1 (day 3) and calf2 (day 9); calf1 × bull2 → calf3.
+function seedFamily() {
+  const cow1 = mk('cow1', 'Cow', 'female');
+  const bull1 = mk('bull1', 'Bull', 'male');
+  const bull2 = mk('bull2', 'Bull', 'male');
+  const calf1 = mk('calf1', 'Calf', 'female');
+  const calf2 = mk('calf2', 'Calf', 'male');
+  const calf3 = mk('calf3', 'Calf', 'male');
+  animals.push(cow1, bull1, bull2, calf1, calf2, calf3);
+  pedigreeSystem.recordBirth(calf2, cow1, bull1, 9);
+  pedigreeSystem.recordBirth(calf1, cow1, bull1, 3);
+  pedigreeSystem.recordBirth(calf3, calf1, bull2, 20);
+  return { cow1, bull1, bull2, calf1, calf2, calf3 };
+}
+
+describe('pedigreeSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    pedigreeSystem.restoreState({});
+  });
+
+  test('animalBorn records parents and birth day', () => {
+    const mom = mk('m', 'Sheep', 'female');
+    const dad = mk('d', 'Sheep', 'male');
+    const lamb = mk('l', 'Lamb', 'female', { genome: { generation: 1 } });
+    animals.push(mom, dad, lamb);
+    document.dispatchEvent(new CustomEvent('animalBorn', { detail: { animal: lamb, mother: mom, father: dad } }));
+
+    expect(pedigreeSystem.getRecord('l')).toMatchObject({
+      motherId: 'm', fatherId: 'd', status: 'alive', species: 'Lamb', generation: 1,
+    });
+    // Founders got a record at the birth, with no parents or birth day.
+    expect(pedigreeSystem.getRecord('m')).toMatchObject({ motherId: null, birthDay: null });
+    expect(pedigreeSystem.getChildren('d').map(n => n.id)).toEqual(['l']);
+  });
+
+  test('dead and sold animals stay in the record', () => {
+    const { cow1, bull1 } = seedFamily();
+    cow1.customName = 'Mimosa';
+    animals.splice(animals.indexOf(cow1), 1);
+    document.dispatchEvent(new CustomEvent('animalTombSpawned', {
+      detail: { tomb: { id: 'tomb_1', animalId: 'cow1', species: 'Cow', animalName: 'Mimosa', deathDay: 30 } },
+    }));
+    animals.splice(animals.indexOf(bull1), 1); // sold
+
+    expect(pedigreeSystem.getRecord('cow1')).toMatchObject({
+      status: 'dead', deathDay: 30, tombId: 'tomb_1', name: 'Mimosa',
+    });
+    expect(pedigreeSystem.getRecord('bull1').status).toBe('gone');
+    expect(pedigreeSystem.getChildren('cow1').map(n => n.id)).toEqual(['calf1', 'calf2']);
+  });
+
+  test('legacy tombs without an animal id are ignored', () => {
+    expect(pedigreeSystem.recordDeath({ id: 'tomb_old', species: 'Pig' })).toBeNull();
+    expect(pedigreeSystem.serializeState()).toEqual({});
+  });
+
+  test('family tree spans ancestors and descendants with depth', () => {
+    seedFamily();
+    const tree = pedigreeSystem.getFamilyTree('calf1');
+    const depth = Object.fromEntries(tree.nodes.map(n => [n.id, n.depth]));
+
+    // Siblings aren't part of calf1's tree — they hang off the parents'.
+    expect(depth).toEqual({ calf1: 0, cow1: -1, bull1: -1, calf3: 1 });
+    expect(tree.links).toContainEqual({ parentId: 'cow1', childId: 'calf1' });
+    expect(tree.links).toContainEqual({ parentId: 'calf1', childId: 'calf3' });
+    expect(tree.links).toHaveLength(3);
+
+    const fromFounder = pedigreeSystem.getFamilyTree('cow1', { depth: 1 });
+    expect(fromFounder.nodes.map(n => n.id).sort()).toEqual(['calf1', 'calf2', 'cow1']);
+  });
+
+  test('a live animal without any record still gets a one-node tree', () => {
+    animals.push(mk('lonely', 'Pig', 'male'));
+    expect(pedigreeSystem.getFamilyTree('lonely').nodes).toHaveLength(1);
+    expect(pedigreeSystem.getFamilyTree('nobody')).toBeNull();
+  });
+
+  test('layout puts mother left of father and children under their parents', () => {
+    seedFamily();
+    const pos = layoutFamilyTree(pedigreeSystem.getFamilyTree('cow1'));
+
+    expect(pos.get('cow1')).toEqual({ x: 0, y: 0 });
+    // Older calf first.
+    expect(pos.get('calf1')).toEqual({ x: -0.5, y: 1 });
+    expect(pos.get('calf2')).toEqual({ x: 0.5, y: 1 });
+    expect(pos.get('calf3')).toEqual({ x: 0, y: 2 });
+
+    const up = layoutFamilyTree(pedigreeSystem.getFamilyTree('calf3'));
+    expect(up.get('calf1').x).toBeLessThan(up.get('bull2').x);
+    expect(up.get('cow1').x).toBeLessThan(up.get('bull1').x);
+  });
+
+  test('state survives a serialize/restore roundtrip', () => {
+    seedFamily();
+    const saved = JSON.parse(JSON.stringify(pedigreeSystem.serializeState()));
+    pedigreeSystem.restoreState({});
+    expect(pedigreeSystem.getRecord('calf3')).toMatchObject({ motherId: null });
+
+    pedigreeSystem.restoreState(saved);
+    expect(pedigreeSystem.getRecord('calf3')).toMatchObject({ motherId: 'calf1', fatherId: 'bull2', birthDay: 20 });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem, setObject, getObject } = await import('../../public/scripts/gameState.js');
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { predatorSystem, PLAYER_NOISE_RADIUS } = await import('../../public/scripts/animal/predatorSystem.js');
+
+const mk = (id, assetName, x, y, extra = {}) => ({
+  id, assetName, x, y, width: 32, height: 32, stats: { hunger: 100, thirst: 100, moral: 100 }, injury: null, ...extra,
+});
+// rng determinístico: devolve os valores em sequência (e repete o último).
+const seq = (...values) => () => (values.length > 1 ? values.shift() : values[0]);
+
+const realEnclosure = getSystem('enclosure');
+const realPlayer = getObject('currentPlayer');
+
+describe('predatorSystem', () => {
+  let reports;
+  const onReport = (e) => reports.push(e.detail.report);
+
+  beforeEach(() => {
+    animals.length = 0;
+    window.theWorld = { placedBuildings: [], animals };
+    predatorSystem.restoreState({});
+    setObject('currentPlayer', null);
+    // Cercado fechado fake: só o animal 'penned' está dentro.
+    registerSystem('enclosure', { getEnclosureOfAnimal: a => (a.id === 'penned' ? { id: 'enc' } : null) });
+    reports = [];
+    document.addEventListener('predatorReport', onReport);
+  });
+  afterEach(() => {
+    document.removeEventListener('predatorReport', onReport);
+    registerSystem('enclosure', realEnclosure);
+    setObject('currentPlayer', realPlayer);
+  });
+
+  test('only loose poultry outside closed pens and coops is prey', () => {
+    animals.push(
+      mk('hen', 'Chicken', 0, 0),
+      mk('chick', 'Chick', 0, 0),
+      mk('penned', 'Turkey', 0, 0),
+      mk('cooped', 'Chicken', 0, 0, { sheltered: true }),
+      mk('cow', 'Cow', 0, 0),
+    );
+    expect(predatorSystem.eligiblePrey().map(a => a.id)).toEqual(['hen', 'chick']);
+  });
+
+  test('a fox that reaches a hen carries it off and the morning report lists it', () => {
+    const hen = mk('hen', 'Chicken', 500, 500, { customName: 'Pipoca' });
+    animals.push(hen);
+    // Vem raposa (0.1 < 35%), uma só, às 21h em ponto.
+    predatorSystem.onTime(21 * 60, seq(0.1, 0, 0));
+    const [fox] = predatorSystem.getFoxes();
+    // Surge na borda mais perto da galinha (a esquerda), na altura dela.
+    expect(fox).toMatchObject({ state: 'stalk', targetId: 'hen', x: 24, y: 516 });
+
+    fox.x = 516;
+    fox.y = 530;
+    const realRandom = Math.random;
+    Math.random = () => 0.1; // < 40% da galinha → leva
+    try { predatorSystem.update(1000); } finally { Math.random = realRandom; }
+    expect(animals).toHaveLength(0);
+    expect(fox).toMatchObject({ state: 'flee', carrying: 'Chicken' });
+
+    predatorSystem.onTime(6 * 60);
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({ foxes: 1, scared: 0, injured: [] });
+    expect(reports[0].carried).toEqual([{ animalId: 'hen', name: 'Pipoca', assetName: 'Chicken' }]);
+    expect(predatorSystem.getFoxes()).toHaveLength(0);
+  });
+
+  test('the player nearby scares foxes away before they bite', () => {
+    animals.push(mk('hen', 'Chicken', 500, 500));
+    predatorSystem.onTime(22 * 60, seq(0.1, 0, 0));
+    const [fox] = predatorSystem.getFoxes();
+    fox.x = 300;
+    fox.y = 516;
+    setObject('currentPlayer', { x: 300 + PLAYER_NOISE_RADIUS - 40, y: 500, width: 32, height: 32 });
+
+    predatorSystem.update(1000);
+    expect(fox.state).toBe('flee');
+    expect(fox.vx).toBeLessThan(0);
+
+    predatorSystem.onTime(6 * 60);
+    expect(reports[0]).toMatchObject({ scared: 1, carried: [], injured: [] });
+    expect(animals[0].injury).toBeNull();
+  });
+
+  test('sleeping through the night still resolves the raid off-screen', () => {
+    const turkey = mk('turkey', 'Turkey', 100, 100, { injury: { severity: 'severe', region: 'head', daysSince: 0 } });
+    animals.push(turkey);
+    document.dispatchEvent(new CustomEvent('dayChanged', { detail: { day: 2 } }));
+    // Acordou às 6h sem nenhum timeChanged noturno: raposa vem, não leva
+    // o peru (0.5 > 20%), morde de leve — mas não alivia a ferida grave.
+    predatorSystem.onTime(6 * 60, seq(0.1, 0, 0, 0, 0.5, 0, 0));
+    expect(animals).toHaveLength(1);
+    expect(turkey.injury.severity).toBe('severe');
+    expect(reports[0].injured).toEqual([
+      { animalId: 'turkey', name: null, assetName: 'Turkey', severity: 'severe', region: 'back' },
+    ]);
+
+    // Manhã seguinte sem virar o dia: nada de novo.
+    predatorSystem.onTime(7 * 60);
+    expect(reports).toHaveLength(1);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { AnimalEntity } = await import('../../public/scripts/animal/animalAI.js');
+const { productionSystem } = await import('../../public/scripts/animal/productionSystem.js');
+
+const assetData = () => ({ img: { width: 128, height: 128, complete: true }, cols: 4, rows: 4, frameWidth: 32, frameHeight: 32 });
+const cow = (opts = {}) => {
+  const a = new AnimalEntity('Cow', assetData(), 100, 100, { gender: 'female', ...opts });
+  a.stats.moral = 80;
+  a.stats.thirst = 90;
+  a.stats.hunger = 50;
+  animals.push(a);
+  return a;
+};
+const pampered = () => cow({
+  avgMoral: 95, lifeStage: 'mature', diet: { basic: 0, premium: 6 }, genome: { production: 90 },
+});
+const neglected = () => cow({
+  avgMoral: 20, lifeStage: 'elderly', diet: { basic: 6, premium: 0 }, genome: { production: 30 },
+});
+
+// Inventário fake: Ração de Qualidade (98, 'all') e Feno (29) na mochila.
+const fakeInventory = {
+  acquired: [],
+  stock: [{ id: 98, quantity: 5 }, { id: 29, quantity: 5 }],
+  findItem(fn) { return this.stock.find(fn) || null; },
+  removeItem() { return true; },
+  acquireItem(itemId, qty, quality) { this.acquired.push({ itemId, qty, quality }); return true; },
+};
+
+const realInventory = getSystem('inventory');
+const realWeather = getSystem('weather');
+
+describe('productionSystem — product quality', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    fakeInventory.acquired = [];
+    registerSystem('inventory', fakeInventory);
+    registerSystem('weather', { day: 10, currentTime: 12 * 60, weatherType: 'clear', seasonKey: 'spring' });
+  });
+  afterEach(() => {
+    registerSystem('inventory', realInventory);
+    registerSystem('weather', realWeather);
+  });
+
+  test('care, premium feed, mature stage and genes raise the score', () => {
+    const good = productionSystem.qualityScore(pampered());
+    const bad = productionSystem.qualityScore(neglected());
+    expect(good.diet).toBe(1);
+    expect(bad.diet).toBe(0);
+    expect(good.score).toBeGreaterThan(0.9);
+    expect(bad.score).toBeLessThan(0.25);
+
+    expect(productionSystem.rollProduct(pampered(), () => 0)).toEqual({ quality: 'gold', quantity: 2 });
+    expect(productionSystem.rollProduct(neglected(), () => 0)).toMatchObject({ quantity: 1 });
+    expect(productionSystem.rollProduct(neglected(), () => 0.5)).toEqual({ quality: 'normal', quantity: 1 });
+  });
+
+  test('hand feeding counts premium vs plain meals', () => {
+    const a = cow();
+    expect(a.feed(98).success).toBe(true);
+    expect(a.feed(29).success).toBe(true);
+    expect(a.feed(98).success).toBe(true);
+    expect(a._diet).toEqual({ basic: 1, premium: 2 });
+  });
+
+  test('the rolled tier and size go into the inventory and reset the diet', () => {
+    const a = pampered();
+    expect(productionSystem.tickAll(() => 0)).toBe(1);
+    expect(a).toMatchObject({ _pendingProduct: 61, _pendingQuality: 'gold', _pendingQuantity: 2 });
+
+    // Produto pendente sobrevive ao save com a qualidade.
+    const copy = new AnimalEntity('Cow', assetData(), 0, 0, { gender: 'female' });
+    copy.deserialize(a.serialize());
+    expect(copy).toMatchObject({ _pendingQuality: 'gold', _pendingQuantity: 2, _diet: { basic: 0, premium: 6 } });
+
+    const res = productionSystem.collect(a, { equippedItem: { id: 16 } });
+    expect(res).toEqual({ ok: true, itemId: 61, quantity: 2, quality: 'gold' });
+    expect(fakeInventory.acquired).toEqual([{ itemId: 61, qty: 2, quality: 'gold' }]);
+    expect(a._collectFx.text).toStartWith('+2 🥇');
+    expect(a).toMatchObject({ _pendingProduct: null, _pendingQuality: null, _pendingQuantity: 1 });
+    expect(a._diet).toEqual({ basic: 0, premium: 0 });
+  });
+
+  test('a normal product adds a plain stack', () => {
+    const a = neglected();
+    a.stats.moral = 40;
+    productionSystem.tickAll(() => 0.99);
+    expect(a._pendingQuality).toBeNull();
+    productionSystem.collect(a, { equippedItem: { id: 16 } });
+    expect(fakeInventory.acquired).toEqual([{ itemId: 61, qty: 1, quality: null }]);
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, afterEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Mock logger.js
 mock.module('../../public/scripts/logger.js', () => ({
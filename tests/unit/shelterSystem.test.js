@@ -0,0 +1,82 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { AnimalEntity } = await import('../../public/scripts/animal/animalAI.js');
+const { diseaseSystem } = await import('../../public/scripts/animal/diseaseSystem.js');
+const { shelterSystem } = await import('../../public/scripts/animal/shelterSystem.js');
+
+// Celeiro 146 (Sheep: 6, Cow: 4…) e galinheiro 147 (só aves), items.js.
+const barn = (id, x, y) => ({ id, itemId: 146, originalType: 'barn', x, y, width: 128, height: 96 });
+const coop = (id, x, y) => ({ id, itemId: 147, originalType: 'coop', x, y, width: 80, height: 64 });
+
+const assetData = () => ({ img: { width: 128, height: 128, complete: true }, cols: 4, rows: 4, frameWidth: 32, frameHeight: 32 });
+
+const realWeather = getSystem('weather');
+const setWeather = (hour, weatherType = 'clear', seasonKey = 'spring') =>
+  registerSystem('weather', { day: 1, currentTime: hour * 60, weatherType, seasonKey });
+
+describe('shelterSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    window.theWorld = { placedBuildings: [], animals };
+  });
+  afterEach(() => { registerSystem('weather', realWeather); });
+
+  test('shelters at night and in storms, not on a clear day', () => {
+    setWeather(12);
+    expect(shelterSystem.shouldShelter()).toBe(false);
+    setWeather(12, 'storm');
+    expect(shelterSystem.shouldShelter()).toBe(true);
+    setWeather(21);
+    expect(shelterSystem.shouldShelter()).toBe(true);
+    setWeather(5, 'rain');
+    expect(shelterSystem.shouldShelter()).toBe(true);
+  });
+
+  test('claim picks the nearest building with room for the species', () => {
+    window.theWorld.placedBuildings.push(coop('coop', 0, 0), barn('near', 200, 0), barn('far', 1000, 0));
+    const cows = [0, 1, 2, 3, 4].map(i => ({ id: `c${i}`, assetName: 'Cow', x: 250, y: 150, width: 32, height: 32 }));
+    animals.push(...cows);
+
+    // O galinheiro está mais perto, mas vaca não cabe lá.
+    for (const c of cows.slice(0, 4)) expect(shelterSystem.claim(c).shelter.id).toBe('near');
+    // Celeiro perto lotado (4 vacas) → vai pro longe.
+    expect(shelterSystem.claim(cows[4]).shelter.id).toBe('far');
+    expect(shelterSystem.capacityFor(barn('x', 0, 0), 'Chicken')).toBe(0);
+  });
+
+  test('an animal at the door walks in at night and comes out in the morning', () => {
+    const b = barn('b1', 0, 0);
+    window.theWorld.placedBuildings.push(b);
+    const sheep = new AnimalEntity('Sheep', assetData(), 0, 0, { id: 'sheep' });
+    animals.push(sheep);
+    const door = shelterSystem.doorFor(b, sheep);
+    sheep.x = door.x;
+    sheep.y = door.y;
+
+    setWeather(21, 'blizzard', 'winter');
+    sheep.update();
+    expect(sheep.sheltered).toBe(true);
+    expect(sheep.state).toBe('sheltered');
+    expect(sheep._weatherMoralPenaltyPerMin()).toBe(0);
+    // Dentro, inverno e nevasca não pesam no risco de doença.
+    const inside = diseaseSystem._computeDailyRisk(sheep);
+    sheep.sheltered = false;
+    expect(diseaseSystem._computeDailyRisk(sheep).risk).toBeGreaterThan(inside.risk);
+    sheep.sheltered = true;
+
+    // Sobrevive ao save/load já lá dentro.
+    const copy = new AnimalEntity('Sheep', assetData(), 0, 0, { id: 'copy' });
+    copy.deserialize(sheep.serialize());
+    expect(copy.sheltered).toBe(true);
+    expect(copy.shelterId).toBe('b1');
+
+    setWeather(9);
+    sheep.update();
+    expect(sheep.sheltered).toBe(false);
+    expect(sheep.shelterId).toBeNull();
+    expect({ x: sheep.x, y: sheep.y }).toEqual(door);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { registerSystem, getSystem } = await import('../../public/scripts/gameState.js');
+const { placedBuildings, exportWorldState } = await import('../../public/scripts/theWorld.js');
+await import('../../public/scripts/foodTroughSystem.js');
+const { default: siloSystem } = await import('../../public/scripts/siloSystem.js');
+
+// Cercado fake: x < 500 é o "pasto", o resto fica fora de qualquer cercado.
+const pasture = { id: 'pasto' };
+const fakeEnclosure = {
+  getEnclosureAtPoint: (x) => (x < 500 ? pasture : null),
+};
+
+// Inventário fake com só o que o silo usa.
+const fakeInventory = {
+  stock: {},
+  getInventory() {
+    return { animal_food: { items: Object.entries(this.stock).map(([id, quantity]) => ({ id: Number(id), quantity })) } };
+  },
+  getItemQuantity(id) { return this.stock[id] || 0; },
+  removeItem(id, qty) {
+    if ((this.stock[id] || 0) < qty) return false;
+    this.stock[id] -= qty;
+    if (this.stock[id] === 0) delete this.stock[id];
+    return true;
+  },
+};
+
+const silo = (over = {}) => ({ id: 'silo1', itemId: 148, originalType: 'silo', x: 100, y: 100, width: 48, height: 96, ...over });
+const trough = (id, x, species, targetAnimals, over = {}) => ({
+  id, originalType: 'foodtrough', x, y: 300, width: 64, height: 32, species, targetAnimals, foodLevel: 0, premiumLevel: 0, ...over,
+});
+
+const realEnclosure = getSystem('enclosure');
+const realInventory = getSystem('inventory');
+const realHud = getSystem('hud');
+
+describe('siloSystem', () => {
+  let messages;
+  beforeEach(() => {
+    placedBuildings.length = 0;
+    window.theWorld = { placedBuildings };
+    fakeInventory.stock = {};
+    messages = [];
+    registerSystem('enclosure', fakeEnclosure);
+    registerSystem('inventory', fakeInventory);
+    registerSystem('hud', { showMessage: (m) => messages.push(m) });
+  });
+  afterEach(() => {
+    placedBuildings.length = 0;
+    registerSystem('enclosure', realEnclosure);
+    registerSystem('inventory', realInventory);
+    registerSystem('hud', realHud);
+  });
+
+  test('deposits trough feed up to capacity and leaves the rest', () => {
+    const s = silo();
+    placedBuildings.push(s);
+    fakeInventory.stock = { 29: 50, 102: 5, 98: 20 };
+
+    const res = siloSystem.depositFromInventory(s);
+    expect(res).toMatchObject({ ok: true, moved: 60 });
+    expect(siloSystem.stored(s)).toBe(60);
+    // Ração de cão não vai pro cocho, então fica no inventário.
+    expect(s.siloStock[102]).toBeUndefined();
+    expect(fakeInventory.stock[102]).toBe(5);
+    expect(fakeInventory.stock[98]).toBe(10);
+
+    expect(siloSystem.depositFromInventory(s)).toMatchObject({ ok: false, reason: 'full' });
+    s.siloStock = {};
+    fakeInventory.stock = { 102: 5 };
+    expect(siloSystem.depositFromInventory(s)).toMatchObject({ ok: false, reason: 'no_feed' });
+  });
+
+  test('compacts raw hay 3:1 and keeps the leftover', () => {
+    const s = silo();
+    fakeInventory.stock = { 109: 10 };
+    expect(siloSystem.compactRawHay(s)).toEqual({ ok: true, used: 9, made: 3 });
+    expect(s.siloStock[29]).toBe(3);
+    expect(fakeInventory.stock[109]).toBe(1);
+    expect(siloSystem.compactRawHay(s)).toMatchObject({ ok: false, reason: 'no_raw_hay' });
+  });
+
+  test('morning refill tops up only the troughs of its own pen with matching feed', () => {
+    const s = silo({ siloStock: { 29: 1, 96: 1, 98: 1 } });
+    const cows = trough('ft-cow', 200, 'cattle', ['Cow', 'Bull', 'Calf']);
+    const hens = trough('ft-hen', 300, 'bird', ['Chicken', 'Chick', 'Rooster', 'Turkey'], { foodLevel: 60 });
+    const outside = trough('ft-out', 700, 'cattle', ['Cow', 'Bull', 'Calf']);
+    placedBuildings.push(s, cows, hens, outside);
+
+    expect(siloSystem.troughsFor(s).map(t => t.id)).toEqual(['ft-cow', 'ft-hen']);
+    document.dispatchEvent(new CustomEvent('dayChanged', { detail: { day: 4 } }));
+
+    expect(cows).toMatchObject({ foodLevel: 50, premiumLevel: 50 });
+    expect(hens.foodLevel).toBe(100);
+    expect(outside.foodLevel).toBe(0);
+    expect(s.siloStock).toEqual({});
+    // Cocho de gado ficou pela metade: vira aviso de falta.
+    expect(s.lastReport).toMatchObject({ fed: 3, short: [{ troughId: 'ft-cow', species: 'cattle' }] });
+    expect(messages).toHaveLength(1);
+  });
+
+  test('a silo outside any pen feeds nothing; its stock is saved with the world', () => {
+    const s = silo({ x: 800, siloStock: { 29: 4 } });
+    placedBuildings.push(s, trough('ft-cow', 200, 'cattle', ['Cow']));
+    expect(siloSystem.refill(s)).toMatchObject({ fed: 0, noEnclosure: true });
+    expect(s.siloStock[29]).toBe(4);
+
+    const saved = exportWorldState().placedBuildings.find(b => b.id === 'silo1');
+    expect(saved.siloStock).toEqual({ 29: 4 });
+  });
+});
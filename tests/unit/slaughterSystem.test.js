@@ -0,0 +1,69 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import '../setup.js';
+
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { currencyManager } = await import('../../public/scripts/currencyManager.js');
+const { slaughterSystem, quoteAnimal } = await import('../../public/scripts/animal/slaughterSystem.js');
+
+const full = { hunger: 100, thirst: 100, moral: 100 };
+const mk = (id, assetName, extra = {}) => ({ id, assetName, _lifeStage: 'adult', stats: { ...full }, ...extra });
+
+describe('slaughterSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    slaughterSystem.restoreState({});
+    currencyManager.init();
+  });
+
+  test('healthy adult pays full carcass value, mature pays a premium', () => {
+    expect(quoteAnimal(mk('c', 'Cow'))).toMatchObject({
+      ok: true, total: 330, products: [{ id: 'meat', value: 260 }, { id: 'leather', value: 70 }],
+    });
+    expect(quoteAnimal(mk('c', 'Cow', { _lifeStage: 'mature' })).total).toBe(363);
+    expect(quoteAnimal(mk('c', 'Cow', { _lifeStage: 'elderly' })).total).toBe(198);
+  });
+
+  test('poor condition and disease lower the price', () => {
+    const starving = quoteAnimal(mk('p', 'Pig', { stats: { hunger: 0, thirst: 0, moral: 0 } }));
+    expect(starving.total).toBe(Math.round(230 * 0.7) + Math.round(30 * 0.7));
+    const sick = quoteAnimal(mk('p', 'Pig', { disease: { id: 'flu' } }));
+    expect(sick.total).toBe(115 + 15);
+  });
+
+  test('young, injured and unknown species are blocked', () => {
+    expect(quoteAnimal(mk('a', 'Cow', { _lifeStage: 'young' })).reason).toBe('young');
+    expect(quoteAnimal(mk('a', 'Cow', { injury: { id: 'cut' } })).reason).toBe('injured');
+    expect(quoteAnimal(mk('a', 'Dragon')).reason).toBe('species');
+  });
+
+  test('sell removes the animal, pays and records history', () => {
+    const before = currencyManager.getMoney();
+    animals.push(mk('s1', 'Sheep', { customName: 'Dolly' }), mk('c1', 'Chicken'));
+
+    const res = slaughterSystem.sell('s1');
+    expect(res.ok).toBe(true);
+    expect(animals.map(a => a.id)).toEqual(['c1']);
+    expect(currencyManager.getMoney()).toBe(before + 230);
+    expect(slaughterSystem.getHistory()[0]).toMatchObject({ animalId: 's1', customName: 'Dolly', total: 230 });
+
+    expect(slaughterSystem.sell('s1')).toEqual({ ok: false, reason: 'not_found' });
+  });
+
+  test('blocked animals are not sold', () => {
+    animals.push(mk('y', 'Pig', { _lifeStage: 'young' }));
+    expect(slaughterSystem.sell('y')).toEqual({ ok: false, reason: 'young' });
+    expect(animals).toHaveLength(1);
+    expect(slaughterSystem.getHistory()).toEqual([]);
+  });
+
+  test('history survives a serialize/restore roundtrip', () => {
+    animals.push(mk('t', 'Turkey'));
+    slaughterSystem.sell('t');
+    const saved = JSON.parse(JSON.stringify(slaughterSystem.serializeState()));
+    slaughterSystem.restoreState({});
+    expect(slaughterSystem.getHistory()).toEqual([]);
+
+    slaughterSystem.restoreState(saved);
+    expect(slaughterSystem.getHistory()[0]).toMatchObject({ assetName: 'Turkey', total: 190 });
+  });
+});
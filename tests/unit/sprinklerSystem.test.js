@@ -0,0 +1,91 @@
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
+
+// Watered tiles recorded by the crop/hoe stubs ("x,y").
+const wateredCrops = [];
+const wateredSoil = [];
+const crop = {
+  planted: new Set(),
+  waterAt: (x, y) => {
+    if (!crop.planted.has(`${x},${y}`)) return false;
+    wateredCrops.push(`${x},${y}`);
+    return true;
+  },
+};
+const hoeTool = {
+  tilled: new Set(),
+  waterAt: (x, y) => {
+    if (!hoeTool.tilled.has(`${x},${y}`)) return false;
+    wateredSoil.push(`${x},${y}`);
+    return true;
+  },
+};
+const systems = { crop, hoeTool };
+
+mock.module('../../public/scripts/gameState.js', () => ({
+  getSystem: (name) => systems[name] || null,
+  registerSystem: () => {},
+}));
+mock.module('../../public/scripts/itemUtils.js', () => ({
+  getItem: (id) => ({ 140: { sprinklerRadius: 1 }, 142: { sprinklerRadius: 3 } })[id] || null,
+}));
+mock.module('../../public/scripts/worldConstants.js', () => ({ TILE_SIZE: 20 }));
+
+const { default: sprinklerSystem } = await import('../../public/scripts/sprinklerSystem.js');
+
+// Sprinkler placed the way buildSystem does it: 20×20, top-left on the tile.
+const sprinkler = (itemId, tx, ty) => ({
+  itemId, originalType: 'sprinkler', x: tx * 20, y: ty * 20, width: 20, height: 20,
+});
+
+describe('sprinklerSystem', () => {
+  beforeEach(() => {
+    wateredCrops.length = 0;
+    wateredSoil.length = 0;
+    crop.planted.clear();
+    hoeTool.tilled.clear();
+    window.theWorld = { placedBuildings: [] };
+  });
+
+  test('coverage is a (2r+1)² square centered on the sprinkler tile', () => {
+    const tiles = sprinklerSystem.coverageTiles(50, 50, 1); // tile (40,40)
+    expect(tiles).toHaveLength(9);
+    expect(tiles[0]).toEqual({ x: 20, y: 20 });
+    expect(tiles[8]).toEqual({ x: 60, y: 60 });
+    expect(sprinklerSystem.coverageTiles(50, 50, 3)).toHaveLength(49);
+  });
+
+  test('waters crops and tilled soil inside the footprint only', () => {
+    window.theWorld.placedBuildings.push(sprinkler(140, 5, 5));
+    crop.planted.add('120,120');   // (6,6) — inside 3×3
+    hoeTool.tilled.add('120,120');
+    hoeTool.tilled.add('80,100');  // (4,5) — inside
+    crop.planted.add('140,100');   // (7,5) — outside radius 1
+
+    expect(sprinklerSystem.waterAll()).toBe(2);
+    expect(wateredCrops).toEqual(['120,120']);
+    expect(wateredSoil.sort()).toEqual(['120,120', '80,100']);
+  });
+
+  test('higher tiers reach further; overlapping footprints water once', () => {
+    window.theWorld.placedBuildings.push(sprinkler(142, 5, 5), sprinkler(140, 6, 5));
+    crop.planted.add('160,100');   // (8,5) — only the steel one (r=3) reaches
+
+    expect(sprinklerSystem.waterAll()).toBe(1);
+    expect(wateredCrops).toEqual(['160,100']);
+  });
+
+  test('ignores other buildings and runs on dayChanged', () => {
+    window.theWorld.placedBuildings.push(
+      { itemId: 69, originalType: 'chest', x: 100, y: 100, width: 20, height: 20 },
+      sprinkler(140, 5, 5),
+    );
+    crop.planted.add('100,100');
+
+    document.dispatchEvent(new CustomEvent('dayChanged'));
+
+    expect(wateredCrops).toEqual(['100,100']);
+  });
+});
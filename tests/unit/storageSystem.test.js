@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import "../setup.js";
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from "../setup.js";
+
+afterAll(restoreModuleMocks);
 
 // Test data for items
 const testItems = [
@@ -384,6 +386,37 @@ describe('StorageSystem (Production Implementation)', () => {
     });
   });
 
+  describe('quality tiers', () => {
+    test('tiers of the same item keep separate stacks', () => {
+      storage.addItem(3, 5);          // Apple, normal
+      storage.addItem(3, 2, 'gold');
+      const stacks = storage.storage.food.filter(s => s.itemId === 3);
+      expect(stacks).toHaveLength(2);
+      expect(stacks[1].quality).toBe('gold');
+      expect(storage.getItemQuantity(3)).toBe(7);
+    });
+
+    test('takeItem reports tiers and is atomic', () => {
+      storage.addItem(3, 2);
+      storage.addItem(3, 2, 'silver');
+      expect(storage.takeItem(3, 5)).toBeNull();
+      expect(storage.getItemQuantity(3)).toBe(4);
+      expect(storage.takeItem(3, 3, { bestFirst: true })).toEqual([
+        { quality: 'silver', quantity: 2 },
+        { quality: null, quantity: 1 },
+      ]);
+      expect(storage.getItemQuantity(3)).toBe(1);
+    });
+
+    test('removeItem drains the lowest tier first', () => {
+      storage.addItem(3, 2, 'gold');
+      storage.addItem(3, 2);
+      storage.removeItem(3, 2);
+      expect(storage.storage.food).toHaveLength(1);
+      expect(storage.storage.food[0].quality).toBe('gold');
+    });
+  });
+
   describe('production-specific methods', () => {
     test('should have mapToInventoryCategory method', () => {
       expect(typeof storage.mapToInventoryCategory).toBe('function');
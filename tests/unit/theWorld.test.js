@@ -1,5 +1,7 @@
-import { describe, test, expect, beforeEach, mock } from 'bun:test';
-import '../setup.js';
+import { describe, test, expect, beforeEach, afterAll, mock } from 'bun:test';
+import { restoreModuleMocks } from '../setup.js';
+
+afterAll(restoreModuleMocks);
 
 // Mock all theWorld.js dependencies
 
@@ -114,6 +116,7 @@ describe('TheWorld (Production Implementation)', () => {
     theWorld.animals.length = 0;
     theWorld.placedBuildings.length = 0;
     theWorld.placedWells.length = 0;
+    theWorld.fruitTrees.length = 0;
   });
 
   describe('exported arrays', () => {
@@ -240,6 +243,24 @@ describe('TheWorld (Production Implementation)', () => {
       expect(state.placedWells).toHaveLength(1);
       expect(state.placedWells[0].originalType).toBe('well');
     });
+
+    test('fruit trees round-trip with their age and fruit, and stay solid', () => {
+      theWorld.fruitTrees.push({
+        id: 'ft1', type: 'FRUIT_TREE', seedId: 53, x: 200, y: 240, width: 20, height: 20,
+        hp: 3, ageDays: 30, fruits: 4, fruitDays: 1, _chopConfirmed: true,
+      });
+
+      const state = theWorld.exportWorldState();
+      expect(state.fruitTrees).toEqual([{
+        id: 'ft1', x: 200, y: 240, width: 20, height: 20, type: 'FRUIT_TREE',
+        seedId: 53, hp: 3, ageDays: 30, fruits: 4, fruitDays: 1,
+      }]);
+
+      theWorld.importWorldState(state);
+      expect(theWorld.fruitTrees).toHaveLength(1);
+      expect(theWorld.fruitTrees[0].ageDays).toBe(30);
+      expect(collisionSystem.areaCollides(205, 245, 5, 5)).toBe(true);
+    });
   });
 
   describe('importWorldState', () => {
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import '../setup.js';
+
+const { animals } = await import('../../public/scripts/theWorld.js');
+const { diseaseSystem } = await import('../../public/scripts/animal/diseaseSystem.js');
+const {
+  vaccinationSystem, vaccineRiskMult, herdCoverage, VACCINE_RISK_MULT,
+} = await import('../../public/scripts/animal/vaccinationSystem.js');
+
+// Vacinas do catálogo (items.js): 210 parasitosis/30d … 213 fever/25d.
+const FEVER_VACCINE = 213;
+
+const mk = (id, x, y, extra = {}) => ({
+  id, assetName: 'Sheep', x, y, width: 32, height: 32,
+  stats: { hunger: 100, thirst: 100, moral: 100 }, disease: null, exposure: null, vaccines: {}, ...extra,
+});
+
+const realRandom = Math.random;
+
+describe('vaccinationSystem', () => {
+  beforeEach(() => {
+    animals.length = 0;
+    window.theWorld = { placedBuildings: [], animals };
+    diseaseSystem.restoreState({});
+  });
+  afterEach(() => { Math.random = realRandom; });
+
+  test('vaccinate records the days of protection and refuses bad targets', () => {
+    const a = mk('a', 0, 0);
+    expect(vaccinationSystem.vaccinate(a, FEVER_VACCINE)).toMatchObject({
+      success: true, diseaseId: 'fever', daysLeft: 25,
+    });
+    expect(a.vaccines).toEqual({ fever: 25 });
+    expect(vaccinationSystem.getVaccines(a)).toEqual([{ diseaseId: 'fever', daysLeft: 25 }]);
+    a.vaccines.fever = 0;
+    expect(vaccinationSystem.getVaccines(a)).toEqual([]);
+
+    // Remédio não é vacina; já doente da mesma doença não adianta vacinar.
+    expect(vaccinationSystem.vaccinate(a, 200).message).toBe('not_vaccine');
+    const sick = mk('s', 0, 0, { disease: { id: 'fever', daysSince: 0, diagnosed: true } });
+    expect(vaccinationSystem.vaccinate(sick, FEVER_VACCINE).message).toBe('vaccine_sick');
+    expect(sick.vaccines).toEqual({});
+  });
+
+  test('risk multiplier applies only to the vaccinated disease while valid', () => {
+    const a = mk('a', 0, 0, { vaccines: { fever: 1 } });
+    expect(vaccineRiskMult(a, 'fever')).toBe(VACCINE_RISK_MULT);
+    expect(vaccineRiskMult(a, 'digestive')).toBe(1);
+    a.vaccines.fever = 0;
+    expect(vaccineRiskMult(a, 'fever')).toBe(1);
+  });
+
+  test('a vaccinated neighbour resists contagion', () => {
+    const src = mk('src', 40, 40, { disease: { id: 'fever', daysSince: 0, diagnosed: false } });
+    // 0.05 < fever contactRisk (0.08), mas > 0.08 × VACCINE_RISK_MULT.
+    Math.random = () => 0.05;
+    animals.push(src, mk('plain', 70, 40), mk('vac', 40, 70, { vaccines: { fever: 30 } }));
+    const { exposed } = diseaseSystem.spreadContagion();
+    expect(exposed.map(e => e.animal.id)).toEqual(['plain']);
+  });
+
+  test('vaccines only remove their share of the spontaneous risk', () => {
+    // Base 0,5%/dia, pesos iguais: vacina contra febre tira 1/4 × 85% do
+    // risco (→ ~0,39%); as quatro vacinas juntas deixam só 15% (→ 0,075%).
+    Math.random = () => 0.0035;
+    const plain = mk('plain', 0, 0);
+    const fever = mk('fever', 0, 0, { vaccines: { fever: 30 } });
+    const all = mk('all', 0, 0, { vaccines: { parasitosis: 30, respiratory: 30, digestive: 30, fever: 30 } });
+    animals.push(plain, fever, all);
+
+    expect(diseaseSystem.rollDailyForAll()).toBe(2);
+    expect(plain.disease).not.toBeNull();
+    expect(fever.disease.id).not.toBe('fever');
+    expect(all.disease).toBeNull();
+  });
+
+  test('daily tick drops expired vaccines and reminds when herd immunity lapses', () => {
+    animals.push(
+      mk('a', 0, 0, { vaccines: { fever: 1, digestive: 5 } }),
+      mk('b', 0, 0, { vaccines: { fever: 1 } }),
+      mk('c', 0, 0, { vaccines: { fever: 3 } }),
+    );
+    expect(herdCoverage().fever).toEqual({ vaccinated: 3, total: 3, ratio: 1 });
+
+    let fired = null;
+    const onReminder = (e) => { fired = e.detail.reminder; };
+    document.addEventListener('vaccineReminder', onReminder);
+    try {
+      const reminder = vaccinationSystem.runDaily(5);
+      expect(fired).toBe(reminder);
+      expect(reminder.expired.map(e => [e.animalId, e.diseaseId])).toEqual([['a', 'fever'], ['b', 'fever']]);
+      expect(reminder.lapsed).toEqual([{ diseaseId: 'fever', vaccinated: 1, total: 3, ratio: 1 / 3 }]);
+      expect(animals[0].vaccines).toEqual({ digestive: 4 });
+
+      // Nada venceu e nenhuma cobertura cruzou o limiar: sem lembrete.
+      fired = null;
+      vaccinationSystem.runDaily(6);
+      expect(fired).toBeNull();
+    } finally {
+      document.removeEventListener('vaccineReminder', onReminder);
+    }
+  });
+
+  test('a dose outlasts the month change and expires after its protection days', () => {
+    // Vacinada no dia 25: os 25 dias de proteção viram o mês (dia 30 → 1).
+    const a = mk('a', 0, 0);
+    animals.push(a);
+    vaccinationSystem.vaccinate(a, FEVER_VACCINE);
+
+    let fired = null;
+    const onReminder = (e) => { fired = e.detail.reminder; };
+    document.addEventListener('vaccineReminder', onReminder);
+    try {
+      const dayAfter = (n) => ((25 + n - 1) % 30) + 1;
+      for (let n = 1; n < 25; n++) vaccinationSystem.runDaily(dayAfter(n));
+      expect(vaccinationSystem.getVaccines(a)).toEqual([{ diseaseId: 'fever', daysLeft: 1 }]);
+      expect(fired).toBeNull();
+
+      vaccinationSystem.runDaily(dayAfter(25));
+      expect(a.vaccines).toEqual({});
+      expect(vaccineRiskMult(a, 'fever')).toBe(1);
+      expect(fired).toMatchObject({ day: 20, expired: [{ animalId: 'a', diseaseId: 'fever' }] });
+      expect(fired.lapsed).toEqual([{ diseaseId: 'fever', vaccinated: 0, total: 1, ratio: 0 }]);
+    } finally {
+      document.removeEventListener('vaccineReminder', onReminder);
+    }
+  });
+});